@@ -0,0 +1,180 @@
+'use strict';
+
+const { formatCurrencyInr } = require('../lib/format');
+const { validate } = require('../lib/schema');
+const { ACTION_SCHEMAS } = require('../flow/actions');
+
+// Web forms asked as text, one question at a time. A `fields` form asks
+// each field of its action's schema in turn; a `list` form collects rows
+// until the user is done or the hint's limit is reached. Question and label
+// texts are "channel.form.<field>" and "channel.field.<field>".
+const FORMS = {
+  bizVerificationForm: {
+    action: 'verifyBusiness',
+    fields: [
+      'fullName',
+      'company',
+      'phone',
+      'email',
+      'gstin',
+      'bankAccount',
+      'ifsc'
+    ]
+  },
+  bizOrderForm: { action: 'submitOrderLines', list: 'lines' }
+};
+
+const DONE = /^(done|finish|finished|submit|bas|ho gaya|हो गया)$/;
+
+/**
+ * @typedef {Object} TextForm
+ * @property {string} kind      the ui hint it stands in for
+ * @property {Object<string, string>} values  answers so far
+ * @property {string[]} pending fields still to ask, next first
+ * @property {string[]} answered fields asked, in order, for "back"
+ * @property {{ denomination: number, count: number }[]} [rows]  list forms
+ * @property {number} [maxRows]
+ * @property {boolean} [submitted]  sent to the stage, awaiting its answer
+ */
+
+/** @returns {TextForm|null} */
+function startForm(ui) {
+  const spec = FORMS[ui.kind];
+  if (!spec) return null;
+  if (spec.list) {
+    return {
+      kind: ui.kind,
+      values: {},
+      pending: [],
+      answered: [],
+      rows: [],
+      maxRows: (ui.limits && ui.limits.maxLines) || 10
+    };
+  }
+  return { kind: ui.kind, values: {}, pending: [...spec.fields], answered: [] };
+}
+
+function actionOf(form) {
+  return FORMS[form.kind].action;
+}
+
+// "500 x 10" (value x cards), or "10 cards x ₹500" as the order stage takes
+function parseRow(text) {
+  const clean = text.replace(/,/g, '').toLowerCase();
+  let m = clean.match(/^(\d+)\s*cards?\s*(?:x|×|\*|of|@)\s*₹?\s*(\d+)/);
+  if (m) return { denomination: Number(m[2]), count: Number(m[1]) };
+  m = clean.match(/^₹?\s*(\d+)\s*(?:x|×|\*)\s*(\d+)(?:\s*cards?)?$/);
+  if (m) return { denomination: Number(m[1]), count: Number(m[2]) };
+  return null;
+}
+
+/**
+ * The next question.
+ * @param {TextForm} form
+ * @param {(key: string, params?: object) => string} t
+ */
+function question(form, t) {
+  if (form.rows) {
+    const n = form.rows.length + 1;
+    return form.rows.length === 0
+      ? t('channel.form.lines', { n })
+      : t('channel.form.lines.more', { n });
+  }
+  return t(`channel.form.${form.pending[0]}`);
+}
+
+/** What the transcript shows for an answer, rather than the answer itself */
+function answerLabel(form, t) {
+  return form.rows
+    ? t('channel.field.lines')
+    : t(`channel.field.${form.pending[0]}`);
+}
+
+/**
+ * Take one answer. Returns the reply to send when more is needed, or the
+ * action to submit once the form is complete.
+ * @param {TextForm} form  updated in place
+ * @returns {{ reply: string } | { action: string, data: object }}
+ */
+function answer(form, input, t, locale) {
+  const { action, list } = FORMS[form.kind];
+  if (form.rows) {
+    if (DONE.test(input.toLowerCase())) {
+      if (form.rows.length === 0) {
+        return { reply: t('channel.form.lines.empty') };
+      }
+      return { action, data: { [list]: form.rows } };
+    }
+    const row = parseRow(input);
+    if (!row) return { reply: t('channel.form.lines.invalid') };
+    form.rows.push(row);
+    if (form.rows.length >= form.maxRows) {
+      return { action, data: { [list]: form.rows } };
+    }
+    const added = t('channel.form.lines.added', {
+      count: row.count,
+      denomination: formatCurrencyInr(row.denomination, locale)
+    });
+    return { reply: `${added}\n${question(form, t)}` };
+  }
+  const field = form.pending[0];
+  const rule = ACTION_SCHEMAS[action][field];
+  const { ok, errors } = validate({ [field]: rule }, { [field]: input });
+  if (!ok) {
+    const error = errors[field];
+    const message =
+      typeof error === 'string' ? t(error) : t(error.key, error.params);
+    return { reply: `${message}\n${question(form, t)}` };
+  }
+  // Kept as typed; the action's own validation normalizes on submit
+  form.values[field] = input;
+  form.answered.push(form.pending.shift());
+  if (form.pending.length > 0) return { reply: question(form, t) };
+  return { action, data: { ...form.values } };
+}
+
+/**
+ * "back" inside a form: forget the last answer. False when there is none,
+ * so the flow's own "back" runs instead.
+ */
+function stepBack(form) {
+  if (form.rows) {
+    return form.rows.pop() !== undefined;
+  }
+  const last = form.answered.pop();
+  if (!last) return false;
+  delete form.values[last];
+  form.pending.unshift(last);
+  return true;
+}
+
+/**
+ * The stage refused the submitted form: ask again for the fields it
+ * flagged, or for everything when it named none (all rows, for a list
+ * form).
+ * @param {TextForm} form
+ * @param {Object<string, string>} errors  field path -> message
+ */
+function reopen(form, errors) {
+  if (form.rows) {
+    form.rows = [];
+    return;
+  }
+  const flagged = new Set(Object.keys(errors).map(path => path.split('.')[0]));
+  let fields = FORMS[form.kind].fields.filter(f => flagged.has(f));
+  if (fields.length === 0) fields = [...FORMS[form.kind].fields];
+  for (const field of fields) delete form.values[field];
+  form.pending = fields;
+  form.answered = form.answered.filter(f => !fields.includes(f));
+}
+
+module.exports = {
+  FORMS,
+  startForm,
+  actionOf,
+  question,
+  answerLabel,
+  answer,
+  stepBack,
+  reopen
+};
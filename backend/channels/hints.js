@@ -0,0 +1,66 @@
+'use strict';
+
+// What a client that cannot draw the web chat's widgets needs from a `ui`
+// hint: the choices to offer and the links to show. Hints arrive localized.
+
+/**
+ * Choices as `{ id, label }`; sending the id as a message picks one. Covers
+ * option hints, the template picker, and the buttons the web client draws
+ * itself for the order review, the delivery email and payment (including
+ * UPI QR codes).
+ * @param {object} [ui]
+ * @param {(key: string, params?: object) => string} t
+ * @returns {{ id: string, label: string }[]}
+ */
+function choicesOf(ui, t) {
+  if (!ui) return [];
+  if (Array.isArray(ui.options)) {
+    return ui.options.map(({ id, label }) => ({ id, label }));
+  }
+  switch (ui.kind) {
+    case 'templatePicker':
+      return (ui.templates || []).map(({ id, label }) => ({ id, label }));
+    case 'confirm':
+      return [
+        { id: 'confirm', label: t('channel.confirm') },
+        { id: 'cancel', label: t('channel.cancel') }
+      ];
+    case 'bizDeliveryForm':
+      return [{ id: 'confirm', label: t('channel.deliveryEmail.keep') }];
+    case 'payment':
+    case 'upiQr':
+      return ['failed', 'expired'].includes(ui.status)
+        ? [
+            { id: 'retry', label: t('channel.payment.retry') },
+            { id: 'paid', label: t('channel.payment.check') }
+          ]
+        : [{ id: 'paid', label: t('channel.payment.check') }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Download links of `download`/`downloads` hints.
+ * @returns {{ label: string, url: string }[]}
+ */
+function linksOf(ui) {
+  if (!ui) return [];
+  if (ui.kind === 'downloads') return ui.items || [];
+  if (ui.kind === 'download' && ui.url) {
+    return [{ label: ui.label, url: ui.url }];
+  }
+  return [];
+}
+
+/**
+ * Images of the hint: the QR code of a UPI payment that can still be paid,
+ * as PNG, which every client can show.
+ * @returns {{ label: string, url: string }[]}
+ */
+function imagesOf(ui, t) {
+  if (!ui || ui.kind !== 'upiQr' || !ui.uri || !ui.qr) return [];
+  return [{ label: t('channel.payment.qr'), url: ui.qr.png }];
+}
+
+module.exports = { choicesOf, linksOf, imagesOf };
@@ -0,0 +1,171 @@
+'use strict';
+
+const { commandOf } = require('../flow');
+const { choicesOf, linksOf, imagesOf } = require('./hints');
+const forms = require('./forms');
+
+/**
+ * How much of a reply's `ui` hint each kind of client can draw:
+ * - web: all of it (the React client)
+ * - text: none; menus, links and forms go in the reply text, for SMS or
+ *   USSD gateways and other plain-text clients
+ * - whatsapp: choices, links and images (whatsapp/render.js), but not
+ *   forms
+ */
+const CHANNELS = {
+  web: { forms: false, menus: false },
+  text: { forms: true, menus: true },
+  whatsapp: { forms: true, menus: false }
+};
+
+function isChannel(value) {
+  return (
+    typeof value === 'string' &&
+    Object.prototype.hasOwnProperty.call(CHANNELS, value)
+  );
+}
+
+/**
+ * Settle the session's channel: a valid pick is kept for later turns.
+ * @returns {string}
+ */
+function resolveChannel(state, requested) {
+  if (isChannel(requested)) state.channel = requested;
+  return state.channel || 'web';
+}
+
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// The option a reply picks: its number where numbers are shown, its id, or
+// part of one label ("my business", "birth"). Digits never match a label,
+// so a custom amount such as "200" is not taken for "₹2000".
+function pickFromMenu(menu, input, numbered) {
+  if (!menu || !input) return null;
+  if (/^\d+$/.test(input)) {
+    const n = Number(input);
+    return numbered && n >= 1 && n <= menu.length ? menu[n - 1].id : null;
+  }
+  const wanted = normalize(input);
+  const byId = menu.find(c => c.id.toLowerCase() === wanted);
+  if (byId) return byId.id;
+  if (wanted.length < 3) return null;
+  const matches = menu.filter(c =>
+    ` ${normalize(c.label)}`.includes(` ${wanted}`)
+  );
+  return matches.length === 1 ? matches[0].id : null;
+}
+
+// Keycap digits ("1️⃣ …") would repeat the menu number. Replies that already
+// list every option ("1️⃣ Myself / Friends & Family …") only get the hint.
+function menuText(choices, reply, t) {
+  if (choices.every(c => reply.includes(c.label))) {
+    return t('channel.menu.hint');
+  }
+  const lines = choices.map(
+    (c, i) => `${i + 1}. ${c.label.replace(/^\d\uFE0F?\u20E3\s*/, '')}`
+  );
+  return [...lines, t('channel.menu.hint')].join('\n');
+}
+
+// The form in progress for a form hint, reopened where the stage refused it
+function formFor(state, ui, errors) {
+  const form = state.textForm;
+  if (!form || form.kind !== ui.kind) return forms.startForm(ui);
+  if (errors) {
+    forms.reopen(form, errors);
+    delete form.submitted;
+    return form;
+  }
+  return form.submitted ? forms.startForm(ui) : form;
+}
+
+function render(state, out, channel, t) {
+  let ui = out.ui;
+  const parts = [out.reply];
+  if (ui && forms.FORMS[ui.kind]) {
+    const form = formFor(state, ui, out.errors);
+    state.textForm = form;
+    if (out.errors) {
+      parts.push(
+        Object.values(out.errors)
+          .map(error => `• ${error}`)
+          .join('\n')
+      );
+    }
+    parts.push(forms.question(form, t));
+    ui = undefined;
+  } else {
+    delete state.textForm;
+  }
+  const choices = choicesOf(ui, t);
+  if (choices.length > 0) state.textMenu = choices;
+  else delete state.textMenu;
+  if (channel.menus && ui) {
+    if (choices.length > 0) parts.push(menuText(choices, out.reply || '', t));
+    const links = [...linksOf(ui), ...imagesOf(ui, t)];
+    if (links.length > 0) {
+      parts.push(links.map(link => `${link.label}: ${link.url}`).join('\n'));
+    }
+    ui = undefined;
+  }
+  return {
+    reply: parts.filter(Boolean).join('\n\n'),
+    ui,
+    errors: out.errors,
+    secrets: out.secrets
+  };
+}
+
+/**
+ * Run one turn on the session's channel. For clients that cannot draw
+ * forms, answers are collected here a question at a time and the finished
+ * form goes to the engine as its action; menu picks become option ids.
+ * Global commands ("help", "cancel", …) always reach the engine, and
+ * "back" inside a form steps back a question.
+ * @param {{ handle: Function }} engine
+ * @param {object} state  the session, updated in place
+ * @param {{ message?: string, action?: string, data?: object, label?: string }} turn
+ * @param {(key: string, params?: object) => string} t  in the session locale
+ * @returns {{ out: { reply: string, ui?: object, errors?: object, secrets?: string[] }, recorded: { message?: string, action?: string, label?: string } }}
+ *   `recorded` is the user turn for the transcript: form answers show the
+ *   question's label, never the answer
+ */
+function handleOnChannel(engine, state, turn, t) {
+  const { message, action, data, label } = turn;
+  const channel = CHANNELS[state.channel] || CHANNELS.web;
+  let recorded = { message, action, label };
+  if (!channel.forms) {
+    return { out: engine.handle(state, { message, action, data }), recorded };
+  }
+  const input = typeof message === 'string' ? message.trim() : '';
+  let next = { message, action, data };
+  const form = state.textForm;
+  if (form && !action && !form.submitted) {
+    const command = commandOf(state, input);
+    if (command === 'back' && forms.stepBack(form)) {
+      return { out: { reply: forms.question(form, t) }, recorded };
+    }
+    if (!command) {
+      recorded = {
+        action: forms.actionOf(form),
+        label: forms.answerLabel(form, t)
+      };
+      const step = forms.answer(form, input, t, state.locale);
+      if (step.reply) return { out: { reply: step.reply }, recorded };
+      form.submitted = true;
+      next = { action: step.action, data: step.data };
+    }
+  } else if (!action) {
+    const id = pickFromMenu(state.textMenu, input, channel.menus);
+    if (id) next = { message: id };
+  }
+  const out = render(state, engine.handle(state, next), channel, t);
+  return { out, recorded };
+}
+
+module.exports = { CHANNELS, resolveChannel, handleOnChannel };
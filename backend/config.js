@@ -0,0 +1,224 @@
+'use strict';
+
+const path = require('path');
+
+function number(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const sellerGstin = process.env.SELLER_GSTIN || '09AAACP1234M1Z5';
+
+module.exports = {
+  port: process.env.PORT || 3001,
+  dataDir,
+  // Express "trust proxy": a hop count, or addresses/subnets to trust
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY || false,
+
+  sessions: {
+    // memory | file | redis
+    store: (process.env.SESSION_STORE || 'file').toLowerCase(),
+    // Sessions idle for longer than this are evicted
+    ttlMs: number(process.env.SESSION_TTL_MINUTES, 24 * 60) * 60 * 1000,
+    sweepIntervalMs: number(process.env.SESSION_SWEEP_SECONDS, 60) * 1000,
+    // Oldest turns are dropped beyond this many (user + bot) entries
+    transcriptLimit: number(process.env.TRANSCRIPT_MAX_TURNS, 500),
+    file: process.env.SESSION_FILE || path.join(dataDir, 'sessions.json'),
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    redisPrefix: process.env.REDIS_PREFIX || 'giftbot:session:',
+    // A call gives up on an unreachable Redis after this long
+    redisTimeoutMs: number(process.env.REDIS_TIMEOUT_SECONDS, 2) * 1000
+  },
+
+  orders: {
+    file: process.env.ORDERS_FILE || path.join(dataDir, 'orders.json')
+  },
+
+  // Counters for request IDs, PI, invoice and credit note numbers
+  numbering: {
+    file: process.env.NUMBERING_FILE || path.join(dataDir, 'numbering.json')
+  },
+
+  giftcards: {
+    // mock | inventory
+    issuer: (process.env.GIFTCARD_ISSUER || 'mock').toLowerCase(),
+    file: process.env.GIFTCARD_FILE || path.join(dataDir, 'giftcards.json'),
+    // Pre-loaded codes for the inventory issuer
+    inventoryFile:
+      process.env.GIFTCARD_INVENTORY_FILE ||
+      path.join(dataDir, 'giftcard-inventory.json'),
+    // Key for the code and PIN hashes; set a real one outside development
+    secret: process.env.GIFTCARD_SECRET || 'dev-only-giftcard-secret',
+    validityMonths: number(process.env.GIFTCARD_VALIDITY_MONTHS, 12),
+    // Warn when fewer cards than this are left of a denomination
+    lowStockThreshold: number(process.env.GIFTCARD_LOW_STOCK, 50),
+    // Balance checks allowed per business account per day (IST)
+    balanceChecksPerDay: number(process.env.GIFTCARD_BALANCE_CHECKS_PER_DAY, 5),
+    balanceChecksFile:
+      process.env.GIFTCARD_BALANCE_CHECKS_FILE ||
+      path.join(dataDir, 'balance-checks.json'),
+    // Claim links of cards sent by SMS
+    claimsFile:
+      process.env.GIFTCARD_CLAIMS_FILE || path.join(dataDir, 'claims.json')
+  },
+
+  // Personal gift cards booked for a later date, sent by a timer in the
+  // server. Dates and times are IST.
+  schedule: {
+    file:
+      process.env.SCHEDULE_FILE || path.join(dataDir, 'scheduled-gifts.json'),
+    intervalMs: number(process.env.SCHEDULE_INTERVAL_SECONDS, 60) * 1000,
+    // When a gift booked for a date without a time goes out
+    defaultTime: process.env.SCHEDULE_DEFAULT_TIME || '09:00',
+    maxDaysAhead: number(process.env.SCHEDULE_MAX_DAYS_AHEAD, 90)
+  },
+
+  // Encrypted card files for business orders, downloaded through signed
+  // links that expire
+  delivery: {
+    dir: process.env.DELIVERY_DIR || path.join(dataDir, 'deliveries'),
+    linkSecret: process.env.DELIVERY_LINK_SECRET || 'dev-only-link-secret',
+    linkTtlMs: number(process.env.DELIVERY_LINK_TTL_HOURS, 24) * 60 * 60 * 1000
+  },
+
+  // Outgoing email. The outbox transport writes messages to a local
+  // Maildir instead of sending them.
+  mail: {
+    // outbox | smtp
+    transport: (process.env.MAIL_TRANSPORT || 'outbox').toLowerCase(),
+    from:
+      process.env.MAIL_FROM || 'Amazon Pay Gift Cards <giftcards@localhost>',
+    file: process.env.MAIL_QUEUE_FILE || path.join(dataDir, 'mail.json'),
+    spoolDir: path.join(dataDir, 'mail-spool'),
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(dataDir, 'outbox'),
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: number(process.env.SMTP_PORT, 587),
+      // true for implicit TLS (port 465); otherwise STARTTLS when offered
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || ''
+    },
+    maxAttempts: number(process.env.MAIL_MAX_ATTEMPTS, 6),
+    // Retries wait 1x, 2x, 4x, ... this, up to retryMaxMs
+    retryBaseMs: number(process.env.MAIL_RETRY_SECONDS, 30) * 1000,
+    retryMaxMs: 60 * 60 * 1000,
+    intervalMs: number(process.env.MAIL_QUEUE_SECONDS, 15) * 1000
+  },
+
+  // Outgoing SMS through DLT-registered templates. The outbox transport
+  // writes messages to a local file and the console instead of sending them.
+  sms: {
+    // outbox
+    transport: (process.env.SMS_TRANSPORT || 'outbox').toLowerCase(),
+    outboxFile:
+      process.env.SMS_OUTBOX_FILE || path.join(dataDir, 'sms-outbox.jsonl'),
+    file: process.env.SMS_QUEUE_FILE || path.join(dataDir, 'sms.json'),
+    // DLT header, principal entity ID and template IDs
+    senderId: process.env.SMS_SENDER_ID || 'AMZPAY',
+    entityId: process.env.SMS_DLT_ENTITY_ID || '1101000000000000000',
+    templateIds: {
+      giftCard:
+        process.env.SMS_DLT_TEMPLATE_GIFT_CARD || '1107000000000000001',
+      deliveryPassword:
+        process.env.SMS_DLT_TEMPLATE_DELIVERY_PASSWORD ||
+        '1107000000000000002'
+    },
+    // Messages that would need more parts than this are not sent
+    maxSegments: number(process.env.SMS_MAX_SEGMENTS, 1),
+    // Short domain for claim links; defaults to PUBLIC_URL
+    linkBase: (process.env.SMS_LINK_BASE || '').replace(/\/+$/, ''),
+    maxAttempts: number(process.env.SMS_MAX_ATTEMPTS, 6),
+    retryBaseMs: number(process.env.SMS_RETRY_SECONDS, 30) * 1000,
+    retryMaxMs: 60 * 60 * 1000,
+    intervalMs: number(process.env.SMS_QUEUE_SECONDS, 15) * 1000
+  },
+
+  // WhatsApp Cloud API channel (/webhook/whatsapp). The outbox transport
+  // writes replies to a local file instead of sending them.
+  whatsapp: {
+    // Echoed back in the webhook subscription handshake
+    verifyToken: process.env.WHATSAPP_VERIFY_TOKEN || '',
+    // Key of the X-Hub-Signature-256 header; unsigned webhooks are refused
+    appSecret: process.env.WHATSAPP_APP_SECRET || '',
+    // outbox | cloud
+    transport: (process.env.WHATSAPP_TRANSPORT || 'outbox').toLowerCase(),
+    outboxFile:
+      process.env.WHATSAPP_OUTBOX_FILE ||
+      path.join(dataDir, 'whatsapp-outbox.jsonl'),
+    apiUrl: (
+      process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v20.0'
+    ).replace(/\/+$/, ''),
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || '',
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN || ''
+  },
+
+  // Business order and personal gift payments. Orders are marked paid, and
+  // gifts sent, only after a verified gateway webhook (POST
+  // /payments/webhook).
+  payments: {
+    // mock
+    gateway: (process.env.PAYMENT_GATEWAY || 'mock').toLowerCase(),
+    file: process.env.PAYMENTS_FILE || path.join(dataDir, 'payments.json'),
+    // Key of the X-Payment-Signature header on webhooks
+    webhookSecret:
+      process.env.PAYMENT_WEBHOOK_SECRET || 'dev-only-payment-secret',
+    // Where the mock gateway delivers its webhooks; defaults to PUBLIC_URL
+    webhookUrl: process.env.PAYMENT_WEBHOOK_URL || '',
+    // Attempts left unpaid for longer than this expire
+    ttlMs: number(process.env.PAYMENT_ATTEMPT_TTL_MINUTES, 15) * 60 * 1000,
+    expiryIntervalMs: number(process.env.PAYMENT_EXPIRY_SECONDS, 60) * 1000
+  },
+
+  // NEFT/RTGS transfers, matched against bank statements that ops upload
+  reconciliation: {
+    file:
+      process.env.RECONCILIATION_FILE ||
+      path.join(dataDir, 'reconciliation.json')
+  },
+
+  // Bearer token for the ops endpoints (/reconciliation/...); set a real
+  // one outside development
+  ops: {
+    token: process.env.OPS_TOKEN || 'dev-only-ops-token'
+  },
+
+  // Base URL of this server, used for document links sent in chat
+  publicUrl: (
+    process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`
+  ).replace(/\/+$/, ''),
+
+  // Issuer printed on proforma and tax invoices, and the accounts buyers pay
+  // into by NEFT/RTGS and UPI
+  seller: {
+    name: process.env.SELLER_NAME || 'Pine Labs Private Limited',
+    address:
+      process.env.SELLER_ADDRESS ||
+      'Candor TechSpace, Sector 62, Noida, Uttar Pradesh 201309',
+    gstin: sellerGstin,
+    // Supplier state for the CGST+SGST / IGST split
+    stateCode: process.env.SELLER_STATE_CODE || sellerGstin.slice(0, 2),
+    bank: {
+      accountName:
+        process.env.SELLER_ACCOUNT_NAME || 'Pine Labs Private Limited',
+      accountNumber: process.env.SELLER_ACCOUNT_NUMBER || '50200012345678',
+      ifsc: process.env.SELLER_IFSC || 'HDFC0000123',
+      bankName: process.env.SELLER_BANK || 'HDFC Bank, Sector 18, Noida'
+    },
+    // Payee of UPI intent links and QR codes
+    upi: {
+      vpa: process.env.SELLER_UPI_VPA || 'pinelabs.giftcards@hdfcbank',
+      name: process.env.SELLER_UPI_NAME || 'Pine Labs Private Limited'
+    }
+  },
+
+  // Tax invoices. Prices are GST-inclusive: the invoice total is the amount
+  // paid and the tax is worked back out of it.
+  gst: {
+    ratePercent: Number(process.env.GST_RATE_PERCENT || 18),
+    hsnSac: process.env.GST_HSN_SAC || '998599'
+  }
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const {
+  isValidEmail,
+  normalizeMobile,
+  normalizeUtr
+} = require('../lib/validators');
+const { hasKnownStateCode } = require('../lib/gst');
+
+// Structured payloads the forms send as `{ action, data }` instead of text.
+// Each schema is checked before the stage's action handler runs; messages
+// are i18n keys.
+const ACTION_SCHEMAS = {
+  verifyBusiness: {
+    fullName: {
+      required: true,
+      maxLength: 100,
+      requiredMessage: 'validation.fullName.required'
+    },
+    company: {
+      required: true,
+      maxLength: 150,
+      requiredMessage: 'validation.company.required'
+    },
+    phone: {
+      required: true,
+      normalize: v => v.replace(/\s|-/g, ''),
+      pattern: /^\+?\d{10,15}$/,
+      message: 'validation.phone'
+    },
+    email: {
+      required: true,
+      test: isValidEmail,
+      message: 'validation.officialEmail'
+    },
+    gstin: {
+      required: true,
+      normalize: v => v.toUpperCase(),
+      pattern: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/,
+      // The state code decides the place of supply on the tax invoice
+      test: hasKnownStateCode,
+      message: 'validation.gstin'
+    },
+    bankAccount: {
+      required: true,
+      pattern: /^\d{8,20}$/,
+      message: 'validation.bankAccount'
+    },
+    ifsc: {
+      required: true,
+      normalize: v => v.toUpperCase(),
+      pattern: /^[A-Z]{4}0[A-Z0-9]{6}$/,
+      message: 'validation.ifsc'
+    }
+  },
+
+  // Limits and totals are enforced by orders/pricing.js
+  submitOrderLines: {
+    lines: {
+      type: 'array',
+      minItems: 1,
+      message: 'validation.lines.required',
+      items: {
+        denomination: { type: 'integer', required: true, min: 1 },
+        count: { type: 'integer', required: true, min: 1 }
+      }
+    }
+  },
+
+  // Each needs a mobile number or an email; the stage checks that and the
+  // count against the order
+  submitRecipients: {
+    recipients: {
+      type: 'array',
+      minItems: 1,
+      message: 'validation.recipients.required',
+      items: {
+        email: { test: isValidEmail, message: 'validation.email' },
+        phone: { test: normalizeMobile, message: 'validation.mobile' }
+      }
+    }
+  },
+
+  setDeliveryEmail: {
+    email: {
+      required: true,
+      test: isValidEmail,
+      message: 'validation.email'
+    }
+  },
+
+  // Reference of a NEFT/RTGS transfer, matched against bank statements
+  submitUtr: {
+    utr: {
+      required: true,
+      normalize: v => normalizeUtr(v) || v,
+      test: normalizeUtr,
+      message: 'validation.utr'
+    }
+  },
+
+  pickTemplate: {
+    templateId: {
+      required: true,
+      pattern: /^t\d+$/,
+      message: 'validation.templateId'
+    }
+  }
+};
+
+module.exports = { ACTION_SCHEMAS };
@@ -0,0 +1,468 @@
+'use strict';
+
+const {
+  formatCurrencyInr,
+  formatDateIst,
+  formatDateTimeIst,
+  fromIst
+} = require('../lib/format');
+const { formatQuoteLines } = require('../orders/pricing');
+const { TRANSITIONS } = require('../orders/ledger');
+const { findTemplateById } = require('./templates');
+const {
+  displayOccasion,
+  describeRecipient,
+  describeDelivery,
+  describeOrderDelivery,
+  readDelivery
+} = require('./slots');
+
+// Option ids double as what users may type to pick a language ("hi" is
+// taken by the greeting)
+const LANGUAGES = [
+  { id: 'english', locale: 'en', aliases: ['angrezi', 'अंग्रेज़ी'] },
+  { id: 'hindi', locale: 'hi', aliases: ['हिन्दी', 'हिंदी'] },
+  { id: 'hinglish', locale: 'hinglish', aliases: [] }
+];
+
+// 16 digits, optionally in groups of four
+const CARD_NUMBER = /\b\d{4}(?:[\s-]?\d{4}){3}\b/;
+
+// "check gc", "balance" and the like, alone or with a card number and
+// nothing else, so a message that merely starts with "balance" is not one
+const BALANCE =
+  /^(?:check\s*gc|check balance|gc balance|balance check|balance)(?:\s+(?:of|for))?[\s:#-]*[\d\s-]*$/;
+
+// Personal gift reference, as shown when a delivery is booked
+const GIFT_REF = /\bPG-[0-9A-F]{12}\b/i;
+
+// Orders in these states have nothing left to lose by starting over
+const SETTLED = ['issued', 'cancelled', 'refunded'];
+
+function currentOrder(ctx) {
+  const biz = ctx.biz;
+  if (!biz || !biz.requestId) return null;
+  return ctx.services.ledger.get(biz.requestId);
+}
+
+// The personal gift in progress, once it has been paid for
+function paidGift(ctx) {
+  const { giftRef } = ctx.data || {};
+  return giftRef ? ctx.services.payments.paid(giftRef) : null;
+}
+
+function hasDraft(ctx) {
+  const data = ctx.data || {};
+  if (ctx.state.stage === 'completed') return false;
+  if (data.buyerType === 'business') {
+    const order = currentOrder(ctx);
+    return Boolean(order) && !SETTLED.includes(order.status);
+  }
+  // A paid gift goes out whatever happens to the chat
+  return Boolean(data.occasion) && !paidGift(ctx);
+}
+
+// Starting over drops the chat's draft. The checkout of an unpaid gift or
+// order is closed with it, so it cannot be paid for afterwards.
+function discardDraft(ctx) {
+  const { giftRef } = ctx.data || {};
+  const { payments } = ctx.services;
+  if (giftRef) payments.close(giftRef, 'Gift discarded in chat');
+  const { requestId } = ctx.biz || {};
+  if (requestId) payments.close(requestId, 'Order discarded in chat');
+  ctx.state.data = {};
+}
+
+function confirmDiscard(ctx) {
+  return hasDraft(ctx) ? 'command.confirmDiscard' : null;
+}
+
+function personalStatus(ctx) {
+  const data = ctx.data || {};
+  const template = findTemplateById(data.templateId);
+  const detail = (key, value) => ctx.t(key, { value });
+  const lines = [
+    data.occasion &&
+      detail('personal.detail.occasion', displayOccasion(ctx, data.occasion)),
+    template && detail('personal.detail.template', template.label),
+    data.amount &&
+      detail(
+        'personal.detail.amount',
+        formatCurrencyInr(data.amount, ctx.locale)
+      ),
+    (data.recipientEmail || data.recipientPhone) &&
+      detail('personal.detail.recipient', describeRecipient(data)),
+    data.personalMessage &&
+      detail('personal.detail.message', data.personalMessage),
+    data.deliveryDate &&
+      detail('personal.detail.delivery', describeDelivery(ctx))
+  ].filter(Boolean);
+  return lines.length > 0
+    ? `${ctx.t('command.status.personal')}\n${lines.join('\n')}`
+    : null;
+}
+
+function businessStatus(ctx) {
+  const biz = ctx.biz || {};
+  const order = currentOrder(ctx);
+  const quote = (order && order.quote) || biz.quote;
+  const lines = [];
+  if (order) {
+    lines.push(
+      ctx.t('command.status.order', {
+        requestId: order.requestId,
+        status: ctx.t(`order.status.${order.status}`)
+      })
+    );
+  } else if (biz.verified) {
+    lines.push(ctx.t('command.status.verified'));
+  }
+  if (quote) {
+    lines.push(
+      formatQuoteLines(quote, ctx.locale),
+      ctx.t('command.status.net', {
+        net: formatCurrencyInr(quote.net, ctx.locale)
+      })
+    );
+  }
+  const delivery = order && order.deliveryEmail ? order : biz;
+  if (delivery.deliveryEmail) {
+    lines.push(
+      ctx.t('command.status.delivery', {
+        delivery: describeOrderDelivery(ctx, delivery)
+      })
+    );
+  }
+  if (biz.paymentMethod) {
+    lines.push(ctx.t('command.status.payment', { method: biz.paymentMethod }));
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+// "check gc 1234-5678-9012-3452". The check counts against the verified
+// business account, or else against whoever is chatting (`state.requester`,
+// set by the server)
+function checkBalance(ctx) {
+  const input = ctx.input;
+  // Any other run of digits is passed on, to be rejected as invalid
+  const code = (input.match(CARD_NUMBER) || input.match(/\d+/) || [''])[0];
+  if (!code) return 'giftcards.balance.usage';
+  const biz = ctx.biz || {};
+  const account = biz.verified
+    ? { gstin: biz.gstin, email: biz.email }
+    : { requester: ctx.state.requester };
+  const { balance } = ctx.services;
+  const result = balance.check(code, account);
+  switch (result.status) {
+    case 'noAccount':
+      return 'giftcards.balance.identify';
+    case 'invalid':
+      return 'giftcards.balance.invalid';
+    case 'limited':
+      return ctx.t('giftcards.balance.limit', { limit: balance.limit });
+    case 'notFound':
+      return ctx.t('giftcards.balance.notFound', { last4: result.last4 });
+    default:
+      break;
+  }
+  const { card } = result;
+  const money = amount => formatCurrencyInr(amount, ctx.locale);
+  const date = value => formatDateIst(value, ctx.locale);
+  const history = card.history.map(m =>
+    ctx.t(`giftcards.movement.${m.type}`, {
+      date: date(m.at),
+      amount: money(m.amount),
+      ref: m.merchantRef || '-'
+    })
+  );
+  return [
+    ctx.t('giftcards.balance.card', { card: card.masked }),
+    ctx.t('giftcards.balance.status', {
+      status: ctx.t(`giftcards.status.${card.status}`)
+    }),
+    ctx.t('giftcards.balance.amount', {
+      balance: money(card.balance),
+      denomination: money(card.denomination)
+    }),
+    ctx.t('giftcards.balance.expiry', { date: date(card.expiresAt) }),
+    history.length > 0
+      ? ctx.t('giftcards.balance.history', { history: history.join('\n') })
+      : ctx.t('giftcards.balance.noHistory'),
+    '',
+    ctx.t('giftcards.balance.remaining', { remaining: result.remaining })
+  ].join('\n');
+}
+
+function pendingGifts(ctx) {
+  return ctx.services.scheduler.pending(ctx.state.giftRefs || []);
+}
+
+function listDeliveries(ctx) {
+  const pending = pendingGifts(ctx);
+  if (pending.length === 0) return 'deliveries.none';
+  const lines = pending.map(entry =>
+    ctx.t('deliveries.item', {
+      ref: entry.ref,
+      amount: formatCurrencyInr(entry.gift.amount, ctx.locale),
+      to: describeRecipient(entry.gift),
+      when: formatDateTimeIst(entry.sendAt, ctx.locale)
+    })
+  );
+  return [
+    ctx.t('deliveries.title'),
+    ...lines,
+    '',
+    ctx.t('deliveries.hint', { ref: pending[0].ref })
+  ].join('\n');
+}
+
+// The pending gift a command is about: the reference it names, or the only
+// one booked in this chat
+function pickGift(ctx) {
+  const named = (ctx.input.match(GIFT_REF) || [])[0];
+  if (named) {
+    const ref = named.toUpperCase();
+    const entry = ctx.services.scheduler.get(ref);
+    if (!entry) return { reply: ctx.t('deliveries.notFound', { ref }) };
+    if (entry.status !== 'pending') {
+      return { reply: ctx.t(`deliveries.already.${entry.status}`, { ref }) };
+    }
+    return { entry };
+  }
+  const pending = pendingGifts(ctx);
+  if (pending.length === 1) return { entry: pending[0] };
+  return { reply: pending.length > 0 ? 'deliveries.pick' : 'deliveries.none' };
+}
+
+// "reschedule PG-… to friday 6pm"; "now" sends the gift straight away
+function rescheduleDelivery(ctx) {
+  const { entry, reply } = pickGift(ctx);
+  if (!entry) return reply;
+  const { scheduler } = ctx.services;
+  const when = ctx.text
+    .replace(/^(reschedule|change delivery)\b/, '')
+    .replace(GIFT_REF, ' ')
+    .replace(/^\s*(to|for|on)\s+/, '')
+    .trim();
+  const answer = readDelivery(ctx, when);
+  if (answer.error === null) return 'deliveries.reschedule.usage';
+  if (answer.error) return answer.error;
+  const sendAt =
+    !answer.now && fromIst(answer.date, answer.time || scheduler.defaultTime);
+  if (sendAt && sendAt > new Date()) {
+    scheduler.reschedule(entry.ref, sendAt);
+    return ctx.t('deliveries.rescheduled', {
+      ref: entry.ref,
+      when: formatDateTimeIst(sendAt, ctx.locale)
+    });
+  }
+  let sent;
+  try {
+    sent = scheduler.sendNow(entry.ref);
+  } catch (err) {
+    if (err.code !== 'OUT_OF_STOCK') throw err;
+    return ctx.t('personal.outOfStock', {
+      amount: formatCurrencyInr(entry.gift.amount, ctx.locale)
+    });
+  }
+  return ctx.t('deliveries.sentNow', {
+    ref: entry.ref,
+    card: sent.result.card.masked,
+    to: describeRecipient(entry.gift)
+  });
+}
+
+function cancelDelivery(ctx) {
+  const { entry, reply } = pickGift(ctx);
+  if (!entry) return reply;
+  // Cancelling would keep the money without sending anything
+  if (entry.paidBy) return ctx.t('deliveries.cancel.paid', { ref: entry.ref });
+  ctx.services.scheduler.cancel(entry.ref);
+  return ctx.t('deliveries.cancelled', {
+    ref: entry.ref,
+    to: describeRecipient(entry.gift)
+  });
+}
+
+function matchLanguage(text) {
+  return LANGUAGES.find(
+    l => l.id === text || l.aliases.includes(text)
+  );
+}
+
+/**
+ * Commands that work at any stage. They take priority over the stage's own
+ * options and handlers.
+ * @param {Record<string, object>} nodes
+ */
+function createCommands(nodes) {
+  return [
+    {
+      // Only a bare greeting restarts, so "hi team" can still be a message
+      id: 'greeting',
+      match: ctx =>
+        /^(hi|hello|hey|namaste|namaskar|नमस्ते|नमस्कार)( there| ji)?[\s!.]*$/.test(
+          ctx.text
+        ),
+      goto: 'awaitStart',
+      confirm: confirmDiscard,
+      run(ctx) {
+        discardDraft(ctx);
+      }
+    },
+    {
+      id: 'restart',
+      match: ctx =>
+        /^(restart|start over|start again|phir se shuru|dobara shuru|फिर से शुरू)$/.test(
+          ctx.text
+        ),
+      goto: 'awaitStart',
+      confirm: confirmDiscard,
+      run(ctx) {
+        discardDraft(ctx);
+      }
+    },
+    {
+      id: 'back',
+      match: ctx =>
+        /^(back|go back|wapas|peeche|वापस|पीछे)$/.test(ctx.text) ||
+        Boolean(ctx.option && ctx.option.id === 'back'),
+      run() {
+        return {
+          back: true,
+          reply: 'command.back.none'
+        };
+      }
+    },
+    {
+      id: 'status',
+      match: ctx => /^(status|order status|sthiti|स्थिति)$/.test(ctx.text),
+      run(ctx) {
+        const data = ctx.data || {};
+        const summary =
+          data.buyerType === 'business'
+            ? businessStatus(ctx)
+            : personalStatus(ctx);
+        return { reply: summary || 'command.status.none' };
+      }
+    },
+    {
+      id: 'help',
+      match: ctx => /^(help|\?|madad|sahayata|मदद|सहायता)$/.test(ctx.text),
+      run(ctx) {
+        const node = nodes[ctx.state.stage] || {};
+        let help =
+          typeof node.help === 'function' ? node.help(ctx) : node.help;
+        if (!help && node.options) {
+          const labels = node.options.map(o => ctx.t(o.label)).join(', ');
+          help = ctx.t('command.help.options', { labels });
+        }
+        help = ctx.t(help || 'command.help.default');
+        return { reply: `ℹ️ ${help}\n\n${ctx.t('command.hint')}` };
+      }
+    },
+    {
+      id: 'cancel',
+      match: ctx =>
+        /^(cancel|cancel order|radd karo|cancel karo|रद्द करें|रद्द)$/.test(
+          ctx.text
+        ),
+      goto: 'idle',
+      run(ctx) {
+        const order = currentOrder(ctx);
+        let reply = 'command.cancel.done';
+        if (order && TRANSITIONS[order.status].includes('cancelled')) {
+          ctx.services.ledger.transition(
+            order.requestId,
+            'cancelled',
+            'Cancelled by buyer in chat'
+          );
+          reply = ctx.t('command.cancel.order', {
+            requestId: order.requestId
+          });
+        } else if (order && order.status === 'paid') {
+          reply = ctx.t('command.cancel.paid', { requestId: order.requestId });
+        } else if (paidGift(ctx)) {
+          reply = ctx.t('command.cancel.giftPaid', { ref: ctx.data.giftRef });
+        }
+        discardDraft(ctx);
+        return { reply };
+      }
+    },
+    {
+      id: 'balance',
+      match: ctx => BALANCE.test(ctx.text),
+      run(ctx) {
+        return { reply: checkBalance(ctx) };
+      }
+    },
+    {
+      id: 'deliveries',
+      match: ctx =>
+        /^(my deliveries|deliveries|scheduled|scheduled gifts|meri deliveries|मेरी डिलीवरी)$/.test(
+          ctx.text
+        ),
+      run(ctx) {
+        return { reply: listDeliveries(ctx) };
+      }
+    },
+    {
+      id: 'rescheduleDelivery',
+      match: ctx => /^(reschedule|change delivery)\b/.test(ctx.text),
+      run(ctx) {
+        return { reply: rescheduleDelivery(ctx) };
+      }
+    },
+    {
+      id: 'cancelDelivery',
+      match: ctx =>
+        /^(cancel delivery|cancel gift|delivery cancel|delivery radd karo)\b/.test(
+          ctx.text
+        ),
+      run(ctx) {
+        return { reply: cancelDelivery(ctx) };
+      }
+    },
+    {
+      id: 'language',
+      match: ctx =>
+        /^(language|change language|bhasha|भाषा)$/.test(ctx.text),
+      run(ctx) {
+        // Remember where the question was asked so the answer is only
+        // taken as a language pick on this same step
+        ctx.state.languageAsked = ctx.state.stage;
+        return {
+          reply: 'language.prompt',
+          ui: {
+            kind: 'options',
+            title: 'language.title',
+            options: LANGUAGES.map(l => ({
+              id: l.id,
+              label: `language.${l.locale}`
+            }))
+          }
+        };
+      }
+    },
+    {
+      id: 'setLanguage',
+      match: ctx =>
+        ctx.state.languageAsked === ctx.state.stage &&
+        Boolean(matchLanguage(ctx.text)),
+      run(ctx) {
+        const language = matchLanguage(ctx.text);
+        delete ctx.state.languageAsked;
+        ctx.state.locale = language.locale;
+        ctx.state.localePicked = true;
+        const node = nodes[ctx.state.stage] || {};
+        const prompt = ctx.t(
+          typeof node.prompt === 'function' ? node.prompt(ctx) : node.prompt
+        );
+        const reply = ctx.t('language.changed');
+        return { reply: prompt ? `${reply}\n\n${prompt}` : reply };
+      }
+    }
+  ];
+}
+
+module.exports = { createCommands };
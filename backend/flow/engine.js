@@ -0,0 +1,400 @@
+'use strict';
+
+const { validate } = require('../lib/schema');
+
+// Declarative conversation-flow engine.
+//
+// Each stage is a node:
+//   {
+//     prompt:      string | (ctx) => string   shown when the stage is entered
+//     ui:          object | (ctx) => object   ui hint sent with the prompt
+//     options:     [{ id, label, next?, aliases?, onSelect? }]
+//     numbered:    true to also accept "1", "2", ... for options
+//     handle:      (ctx) => result | null     free-form input handler
+//     actions:     { name: (ctx) => result }  structured `{ action, data }`
+//                                             input; ctx.payload is the data
+//                                             after schema validation
+//     transitions: ['stageId', ...]           stages handlers may go to
+//     fallback:    string | (ctx) => string   reply when input is not accepted
+//     help:        string | (ctx) => string   explains the step ("help")
+//     checkpoint:  true when earlier stages can no longer be revisited
+//   }
+//
+// Prompts, replies, fallbacks, option labels, ui titles and error messages
+// may be message keys; they go through `translate(locale, key, params)` in
+// the session's locale before they are sent. Errors may also be given as
+// `{ key, params }`. Handlers that build text themselves use `ctx.t`.
+//
+// A handler result is either `{ goto, reply?, notice?, ui? }` to move to
+// another stage (reply/ui override the target's prompt, notice is shown above
+// it) or `{ reply, ui? }` to stay put.
+// Either may carry `errors` (field -> message) for forms to show inline, and
+// `secrets`: strings in the reply shown only this once (a file password),
+// which are masked wherever the reply is kept.
+// Returning null/undefined means the input was not accepted.
+//
+// Every move records the stage it left in `state.backStack`; an intent
+// result of `{ back: true, reply? }` returns to the previous stage (reply is
+// used when there is none). Entering a checkpoint clears the stack.
+//
+// Global intents `{ id, match, run?, goto?, confirm? }` are checked before
+// the stage's own handling. When `confirm(ctx)` returns a question, the
+// intent only runs after the user answers yes.
+//
+// Handlers reach shared services (order ledger, ...) through `ctx.services`.
+
+const MAX_BACK_STACK = 50;
+const YES =
+  /^(yes|y|yes please|confirm|ok|okay|sure|haan|han|ha|ji|ji haan|हाँ|हां|जी)$/;
+const NO = /^(no|n|no thanks|nope|continue|nahi|nahin|na|नहीं|ना)$/;
+
+function resolve(value, ctx) {
+  return typeof value === 'function' ? value(ctx) : value;
+}
+
+function has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function edgesOf(node) {
+  const edges = new Set(node.transitions || []);
+  for (const option of node.options || []) {
+    if (option.next) edges.add(option.next);
+  }
+  return edges;
+}
+
+/**
+ * Check that every transition points at an existing stage and that every
+ * stage can be reached from the initial stage or a global intent.
+ * @returns {string[]} list of problems, empty when the flow is valid
+ */
+function validateFlow({ nodes, initial, intents = [], actions = {} }) {
+  const problems = [];
+  if (!has(nodes, initial)) {
+    problems.push(`initial stage "${initial}" is not defined`);
+  }
+
+  for (const intent of intents) {
+    if (intent.goto && !has(nodes, intent.goto)) {
+      problems.push(
+        `intent "${intent.id}" points at unknown stage "${intent.goto}"`
+      );
+    }
+  }
+
+  for (const [id, node] of Object.entries(nodes)) {
+    for (const target of edgesOf(node)) {
+      if (!has(nodes, target)) {
+        problems.push(`stage "${id}" points at unknown stage "${target}"`);
+      }
+    }
+    for (const name of Object.keys(node.actions || {})) {
+      if (!has(actions, name)) {
+        problems.push(`stage "${id}" handles undeclared action "${name}"`);
+      }
+    }
+  }
+
+  const roots = [initial, ...intents.map(i => i.goto).filter(Boolean)];
+  const seen = new Set();
+  const queue = roots.filter(id => has(nodes, id));
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    for (const target of edgesOf(nodes[id])) {
+      if (has(nodes, target) && !seen.has(target)) queue.push(target);
+    }
+  }
+  for (const id of Object.keys(nodes)) {
+    if (!seen.has(id)) problems.push(`stage "${id}" is unreachable`);
+  }
+
+  return problems;
+}
+
+function matchOption(node, text) {
+  const options = node.options || [];
+  if (node.numbered && /^\d+$/.test(text)) {
+    const byIndex = options[parseInt(text, 10) - 1];
+    if (byIndex) return byIndex;
+  }
+  return (
+    options.find(
+      o =>
+        o.id.toLowerCase() === text ||
+        (o.aliases || []).some(a => a.toLowerCase() === text)
+    ) || null
+  );
+}
+
+function createFlowEngine({
+  nodes,
+  initial,
+  intents = [],
+  actions = {},
+  services = {},
+  fallback,
+  translate = (locale, message) => message
+}) {
+  const problems = validateFlow({ nodes, initial, intents, actions });
+  if (problems.length > 0) {
+    throw new Error(`Invalid conversation flow:\n- ${problems.join('\n- ')}`);
+  }
+
+  const edges = {};
+  for (const [id, node] of Object.entries(nodes)) {
+    edges[id] = edgesOf(node);
+  }
+
+  function localizeUi(ctx, ui) {
+    if (!ui) return ui;
+    const out = { ...ui };
+    for (const field of ['title', 'label']) {
+      if (out[field]) out[field] = ctx.t(out[field]);
+    }
+    for (const field of ['options', 'items']) {
+      if (Array.isArray(out[field])) {
+        out[field] = out[field].map(o => ({ ...o, label: ctx.t(o.label) }));
+      }
+    }
+    return out;
+  }
+
+  function localizeErrors(ctx, errors) {
+    if (!errors) return errors;
+    const out = {};
+    for (const [field, message] of Object.entries(errors)) {
+      out[field] = ctx.t(message);
+    }
+    return out;
+  }
+
+  function renderUi(node, ctx) {
+    const ui = resolve(node.ui, ctx);
+    if (!ui) return undefined;
+    if (node.options && !ui.options && !ui.templates) {
+      return {
+        ...ui,
+        options: node.options.map(o => ({ id: o.id, label: o.label }))
+      };
+    }
+    return ui;
+  }
+
+  function enter(ctx, stageId, override = {}) {
+    ctx.state.stage = stageId;
+    const node = nodes[stageId];
+    if (node.checkpoint) ctx.state.backStack = [];
+    const reply = ctx.t(
+      has(override, 'reply') ? override.reply : resolve(node.prompt, ctx) || ''
+    );
+    return {
+      reply: override.notice
+        ? `${ctx.t(override.notice)}\n\n${reply}`
+        : reply,
+      ui: has(override, 'ui') ? override.ui : renderUi(node, ctx)
+    };
+  }
+
+  function apply(ctx, from, result) {
+    if (result.goto) {
+      if (from && !edges[from].has(result.goto)) {
+        throw new Error(
+          `Stage "${from}" has no declared transition to "${result.goto}"`
+        );
+      }
+      if (from && from !== result.goto) {
+        const stack = ctx.state.backStack || [];
+        stack.push(from);
+        ctx.state.backStack = stack.slice(-MAX_BACK_STACK);
+      }
+      return {
+        ...enter(ctx, result.goto, result),
+        errors: result.errors,
+        secrets: result.secrets
+      };
+    }
+    return {
+      reply: result.reply || '',
+      ui: result.ui,
+      errors: result.errors,
+      secrets: result.secrets
+    };
+  }
+
+  // Reply without moving; the stage's own ui is shown again unless given
+  function stay(ctx, result) {
+    const node = nodes[ctx.state.stage];
+    return {
+      reply: result.reply || '',
+      ui: has(result, 'ui') ? result.ui : node && renderUi(node, ctx),
+      errors: result.errors
+    };
+  }
+
+  function goBack(ctx) {
+    const stack = ctx.state.backStack || [];
+    while (stack.length > 0) {
+      const previous = stack.pop();
+      if (has(nodes, previous)) return enter(ctx, previous);
+    }
+    return null;
+  }
+
+  function runIntent(ctx, intent) {
+    const result = (intent.run && intent.run(ctx)) || {};
+    if (result.back) {
+      return goBack(ctx) || stay(ctx, result);
+    }
+    if (intent.goto) {
+      // Intents that move start a fresh navigation history
+      ctx.state.backStack = [];
+      return enter(ctx, intent.goto, result);
+    }
+    return stay(ctx, result);
+  }
+
+  // Answer to a pending "are you sure?" question. Anything other than a
+  // yes/no drops the question and is handled as a normal turn.
+  function answerPending(ctx) {
+    const intent = intents.find(i => i.id === ctx.state.pendingIntent);
+    if (!intent) return null;
+    if (YES.test(ctx.text)) return runIntent(ctx, intent);
+    if (NO.test(ctx.text)) {
+      const node = nodes[ctx.state.stage];
+      const prompt = node ? ctx.t(resolve(node.prompt, ctx)) : '';
+      const reply = ctx.t('engine.continue');
+      return stay(ctx, { reply: prompt ? `${reply}\n\n${prompt}` : reply });
+    }
+    return null;
+  }
+
+  function startIntent(ctx, intent) {
+    const question = intent.confirm && intent.confirm(ctx);
+    if (!question) return runIntent(ctx, intent);
+    ctx.state.pendingIntent = intent.id;
+    return {
+      reply: question,
+      ui: {
+        kind: 'options',
+        title: 'engine.confirm.title',
+        options: [
+          { id: 'yes', label: 'common.yes' },
+          { id: 'no', label: 'engine.confirm.no' }
+        ]
+      }
+    };
+  }
+
+  function notAccepted(ctx, node) {
+    return {
+      reply: has(node, 'fallback') ? resolve(node.fallback, ctx) : fallback,
+      ui: renderUi(node, ctx)
+    };
+  }
+
+  function runAction(ctx, stageId, node) {
+    const handler = node.actions && node.actions[ctx.action];
+    if (!handler) {
+      return {
+        ...notAccepted(ctx, node),
+        errors: {
+          action: {
+            key: 'engine.actionUnavailable',
+            params: { action: ctx.action }
+          }
+        }
+      };
+    }
+    const { ok, value, errors } = validate(actions[ctx.action], ctx.payload);
+    if (!ok) {
+      return {
+        reply: 'form.fixErrors',
+        ui: renderUi(node, ctx),
+        errors
+      };
+    }
+    ctx.payload = value;
+    const result = handler(ctx);
+    return result ? apply(ctx, stageId, result) : notAccepted(ctx, node);
+  }
+
+  /**
+   * Run one user turn through the flow, mutating `state` in place.
+   * @param {{ stage: string, data: any, locale?: string }} state
+   * @param {{ message?: string, action?: string, data?: object }} turn
+   * @returns {{ reply: string, ui?: object, errors?: object, secrets?: string[] }}
+   */
+  function handle(state, turn) {
+    const { message, action, data } = turn || {};
+    const input = typeof message === 'string' ? message.trim() : '';
+    const ctx = {
+      state,
+      input,
+      text: input.toLowerCase(),
+      action: typeof action === 'string' && action ? action : null,
+      payload: data,
+      option: null,
+      services,
+      get locale() {
+        return state.locale;
+      },
+      t: (message, params) => translate(state.locale, message, params),
+      get data() {
+        return state.data;
+      },
+      get biz() {
+        return state.data.biz;
+      }
+    };
+
+    const stageId = state.stage;
+    const node = nodes[stageId];
+    // Matched up front so intents can react to option buttons (e.g. "Back")
+    if (node && !ctx.action) ctx.option = matchOption(node, ctx.text);
+
+    let out = null;
+    if (state.pendingIntent) {
+      // A form submission drops the question too
+      out = ctx.action ? null : answerPending(ctx);
+      delete state.pendingIntent;
+    }
+    if (!out) {
+      const intent = !ctx.action && intents.find(i => i.match(ctx));
+      if (intent) {
+        out = startIntent(ctx, intent);
+      } else if (!node) {
+        out = { reply: fallback, ui: state.lastUi };
+      } else if (ctx.action) {
+        out = runAction(ctx, stageId, node);
+      } else {
+        let result = null;
+        if (ctx.option && ctx.option.next) {
+          const override =
+            (ctx.option.onSelect && ctx.option.onSelect(ctx)) || {};
+          result = { ...override, goto: ctx.option.next };
+        } else if (node.handle) {
+          result = node.handle(ctx);
+        }
+        out = result ? apply(ctx, stageId, result) : notAccepted(ctx, node);
+      }
+    }
+
+    out = {
+      reply: ctx.t(out.reply),
+      ui: localizeUi(ctx, out.ui),
+      errors: localizeErrors(ctx, out.errors),
+      secrets: out.secrets
+    };
+    // Remember last reply and UI so we can re-surface options on unknown inputs
+    state.lastReply = out.reply;
+    state.lastUi = out.ui;
+    return out;
+  }
+
+  return { handle, nodes };
+}
+
+module.exports = { createFlowEngine, validateFlow };
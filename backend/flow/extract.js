@@ -0,0 +1,234 @@
+'use strict';
+
+// Rule-based entity extraction for free-text gift requests such as
+// "send ₹1500 to priya@x.com for her birthday tomorrow". Everything runs
+// locally; each extractor returns every distinct value it finds so callers
+// can ask the user to pick when a message is ambiguous.
+
+const MONTHS = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+  'jul', 'aug', 'sep', 'oct', 'nov', 'dec'
+];
+const WEEKDAYS = [
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'
+];
+
+// Occasion vocabulary: stored value -> phrases that mean it, in English,
+// Hinglish and Hindi
+const OCCASIONS = {
+  birthday: ['birthday', 'bday', "b'day", 'b-day', 'janamdin', 'जन्मदिन'],
+  'thank you': [
+    'thank you', 'thankyou', 'thanks', 'shukriya', 'dhanyavaad',
+    'धन्यवाद', 'शुक्रिया'
+  ],
+  diwali: ['diwali', 'deepavali', 'दिवाली', 'दीपावली'],
+  'raksha bandhan': [
+    'raksha bandhan', 'rakshabandhan', 'rakhi', 'रक्षाबंधन', 'रक्षा बंधन',
+    'राखी'
+  ],
+  anniversary: ['anniversary', 'saalgirah', 'सालगिरह'],
+  wedding: ['wedding', 'marriage', 'shaadi', 'शादी'],
+  holi: ['holi', 'होली'],
+  christmas: ['christmas', 'xmas', 'क्रिसमस'],
+  'new year': ['new year', 'naya saal', 'नया साल'],
+  congratulations: ['congratulations', 'congrats', 'badhai', 'बधाई'],
+  sorry: ['sorry', 'apology', 'maafi', 'माफ़ी']
+};
+
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*';
+const DAY_MONTH_RE = new RegExp(
+  `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\b`,
+  'g'
+);
+const MONTH_DAY_RE = new RegExp(
+  `\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`,
+  'g'
+);
+const ISO_DATE_RE = /\b(\d{4})-(\d{2})-(\d{2})\b/g;
+const NUMERIC_DATE_RE =
+  /\b(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}|\d{2}))?\b/g;
+const WEEKDAY_RE = /\b(sun|mon|tues|wednes|thurs|fri|satur)day\b/g;
+
+const EMAIL_RE = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// Indian mobile numbers, optionally with +91/0 prefix and a space or dash
+const PHONE_RE = /(?:\+91[\s-]?|\b0)?\b([6-9]\d{4})[\s-]?(\d{5})\b/g;
+const AMOUNT_BEFORE_RE = /(?:₹|\brs\.?|\binr)\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/gi;
+const AMOUNT_AFTER_RE =
+  /\b(\d[\d,]*(?:\.\d+)?)\s*(k)?\s*(?:rupees|rupaye|rs\b|inr\b|bucks\b|रुपये|रुपए)/gi;
+const AMOUNT_WORTH_RE = /\bworth\s+(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/gi;
+
+function escapeRe(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function toAmount(digits, thousands) {
+  const value = parseFloat(digits.replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  const amount = Math.round(thousands ? value * 1000 : value);
+  return amount > 0 ? amount : null;
+}
+
+const AMOUNT_RES = [AMOUNT_BEFORE_RE, AMOUNT_AFTER_RE, AMOUNT_WORTH_RE];
+
+function findAmounts(text) {
+  const amounts = [];
+  for (const re of AMOUNT_RES) {
+    for (const m of text.matchAll(re)) {
+      const amount = toAmount(m[1], m[2]);
+      if (amount !== null) amounts.push(amount);
+    }
+  }
+  return unique(amounts);
+}
+
+// Calendar date in IST as { y, m (0-11), d }
+function istDate(now) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+  const [y, m, d] = parts.split('-').map(Number);
+  return { y, m: m - 1, d };
+}
+
+// YYYY-MM-DD, or null when the day does not exist (e.g. 31 Feb)
+function isoDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m, d));
+  if (date.getUTCMonth() !== m || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays({ y, m, d }, days) {
+  return new Date(Date.UTC(y, m, d + days)).toISOString().slice(0, 10);
+}
+
+// Day/month without a year means the next time that date comes round
+function upcoming(today, m, d) {
+  const passed = Date.UTC(today.y, m, d) < Date.UTC(today.y, today.m, today.d);
+  return isoDate(passed ? today.y + 1 : today.y, m, d);
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+function findDates(text, now) {
+  const today = istDate(now);
+  const dates = [];
+
+  if (/\bday after tomorrow\b/.test(text)) {
+    dates.push(addDays(today, 2));
+  } else if (/\b(tomorrow|tmrw|tmr)\b/.test(text)) {
+    dates.push(addDays(today, 1));
+  }
+  if (/\btoday\b/.test(text)) dates.push(addDays(today, 0));
+
+  for (const m of text.matchAll(/\bin (\d{1,2}) days?\b/g)) {
+    dates.push(addDays(today, Number(m[1])));
+  }
+
+  // "friday", "on friday", "next friday": the coming one, never today
+  for (const m of text.matchAll(WEEKDAY_RE)) {
+    const target = WEEKDAYS.findIndex(w => w.startsWith(m[1]));
+    const current = new Date(Date.UTC(today.y, today.m, today.d)).getUTCDay();
+    dates.push(addDays(today, (target - current + 6) % 7 + 1));
+  }
+
+  for (const m of text.matchAll(ISO_DATE_RE)) {
+    dates.push(isoDate(+m[1], +m[2] - 1, +m[3]));
+  }
+
+  // 15/08, 15/08/2026, 15-8-26 (day first, as written in India)
+  const rest = text.replace(ISO_DATE_RE, ' ');
+  for (const m of rest.matchAll(NUMERIC_DATE_RE)) {
+    const month = +m[2] - 1;
+    if (!m[3]) {
+      dates.push(upcoming(today, month, +m[1]));
+    } else {
+      const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+      dates.push(isoDate(y, month, +m[1]));
+    }
+  }
+
+  for (const m of text.matchAll(DAY_MONTH_RE)) {
+    dates.push(upcoming(today, monthIndex(m[2]), +m[1]));
+  }
+  for (const m of text.matchAll(MONTH_DAY_RE)) {
+    dates.push(upcoming(today, monthIndex(m[1]), +m[2]));
+  }
+
+  return unique(dates.filter(Boolean));
+}
+
+// \b only knows ASCII word characters, so Devanagari phrases are matched
+// between spaces/punctuation instead
+function hasPhrase(text, phrase) {
+  const word = /^[\x00-\x7f]+$/.test(phrase)
+    ? `\\b${escapeRe(phrase)}\\b`
+    : `(?:^|[\\s.,!?])${escapeRe(phrase)}(?=$|[\\s.,!?])`;
+  return new RegExp(word).test(text);
+}
+
+function findOccasions(text) {
+  const found = [];
+  for (const [value, phrases] of Object.entries(OCCASIONS)) {
+    if (phrases.some(p => hasPhrase(text, p))) {
+      found.push(value);
+    }
+  }
+  return found;
+}
+
+// Only explicit template choices count ("t2", "the diwali design"), since
+// template names double as occasions
+function findTemplates(text, templates) {
+  const found = [];
+  for (const t of templates) {
+    const label = escapeRe(t.label.toLowerCase());
+    const byId = new RegExp(`\\b${t.id}\\b`).test(text);
+    const byLabel = new RegExp(
+      `\\b${label}\\s+(template|design|card design)\\b`
+    ).test(text);
+    if (byId || byLabel) found.push(t.id);
+  }
+  return found;
+}
+
+/**
+ * @param {string} message
+ * @param {{ templates?: { id: string, label: string }[], now?: Date }} [options]
+ * @returns {{ amounts: number[], emails: string[], phones: string[], occasions: string[], templates: string[], dates: string[] }}
+ *   dates are IST calendar dates as YYYY-MM-DD
+ */
+function extractEntities(message, { templates = [], now = new Date() } = {}) {
+  let text = String(message || '').toLowerCase();
+
+  const emails = unique(
+    (text.match(EMAIL_RE) || []).map(e => e.replace(/\.+$/, ''))
+  );
+  text = text.replace(EMAIL_RE, ' ');
+
+  const phones = unique([...text.matchAll(PHONE_RE)].map(m => m[1] + m[2]));
+  text = text.replace(PHONE_RE, ' ');
+
+  const amounts = findAmounts(text);
+  // So "₹1.5k" is not read as a date
+  for (const re of AMOUNT_RES) text = text.replace(re, ' ');
+
+  return {
+    amounts,
+    emails,
+    phones,
+    occasions: findOccasions(text),
+    templates: findTemplates(text, templates),
+    dates: findDates(text, now)
+  };
+}
+
+module.exports = { extractEntities, OCCASIONS };
@@ -0,0 +1,69 @@
+'use strict';
+
+const { createFlowEngine } = require('./engine');
+const { ACTION_SCHEMAS } = require('./actions');
+const { createCommands } = require('./commands');
+const { t } = require('../i18n');
+
+// Message key, translated per session like every other reply
+const FALLBACK_MSG = 'engine.fallback';
+
+const nodes = {
+  ...require('./nodes/start'),
+  ...require('./nodes/business'),
+  ...require('./nodes/personal')
+};
+
+// Global commands (greeting, back, restart, ...) run before stage handlers
+const intents = createCommands(nodes);
+
+/**
+ * @param {{
+ *   ledger: ReturnType<import('../orders/ledger').createOrderLedger>,
+ *   payments: ReturnType<import('../payments/service').createPaymentService>,
+ *   reconciliation: ReturnType<import('../payments/reconciliation').createReconciler>,
+ *   giftcards: ReturnType<import('../giftcards/store').createCardStore>,
+ *   balance: ReturnType<import('../giftcards/balance').createBalanceChecker>,
+ *   scheduler: ReturnType<import('../giftcards/scheduler').createGiftScheduler>,
+ *   mailer: ReturnType<import('../mail/mailer').createMailer>,
+ *   sms: ReturnType<import('../sms/sender').createSmsSender>,
+ *   giftSender: ReturnType<import('../giftcards/sender').createGiftSender>,
+ *   deliveries: ReturnType<import('../giftcards/delivery').createDeliveryFiles>,
+ *   links: ReturnType<import('../lib/signedUrl').createUrlSigner>,
+ *   linkTtlMs: number,
+ *   publicUrl: string,
+ *   seller: typeof import('../config').seller,
+ *   gst: typeof import('../config').gst
+ * }} services
+ */
+function createChatEngine(services) {
+  return createFlowEngine({
+    nodes,
+    initial: 'idle',
+    intents,
+    actions: ACTION_SCHEMAS,
+    services,
+    fallback: FALLBACK_MSG,
+    translate: t
+  });
+}
+
+/**
+ * The global command a message would run, if any. Channels that collect
+ * form answers themselves let these through to the engine.
+ * @returns {string|null} the command's id
+ */
+function commandOf(state, message) {
+  const input = typeof message === 'string' ? message.trim() : '';
+  const ctx = {
+    state,
+    input,
+    text: input.toLowerCase(),
+    option: null,
+    data: state.data
+  };
+  const intent = intents.find(i => i.match(ctx));
+  return intent ? intent.id : null;
+}
+
+module.exports = { createChatEngine, commandOf, FALLBACK_MSG };
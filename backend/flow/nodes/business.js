@@ -0,0 +1,1211 @@
+'use strict';
+
+const crypto = require('crypto');
+const { formatCurrencyInr, formatDateIst } = require('../../lib/format');
+const {
+  GSTIN_PATTERN,
+  EMAIL_PATTERN,
+  MOBILE_PATTERN,
+  isValidEmail,
+  normalizeMobile,
+  normalizeUtr
+} = require('../../lib/validators');
+const { LIMITS, priceOrder, formatQuoteLines } = require('../../orders/pricing');
+const { ownedBy } = require('../../orders/ledger');
+const { OPEN, RETRYABLE } = require('../../payments/service');
+const {
+  piValidUntil,
+  renderProformaPdf
+} = require('../../orders/proforma');
+const { describeOrderDelivery } = require('../slots');
+
+// Keep the ledger in step with the chat. Sessions that started before their
+// request was logged have no order to update.
+function updateOrder(ctx, patch) {
+  const { ledger } = ctx.services;
+  if (ledger.get(ctx.biz.requestId)) {
+    ledger.update(ctx.biz.requestId, patch);
+  }
+}
+
+function moveOrder(ctx, status, note) {
+  const { ledger } = ctx.services;
+  const order = ledger.get(ctx.biz.requestId);
+  if (order && order.status !== status) {
+    ledger.transition(ctx.biz.requestId, status, note);
+  }
+}
+
+// Sharing the PI numbers it, moves the draft on and emails it; a PI already
+// shared for this request keeps its number
+function issuePi(ctx) {
+  const { ledger, mailer, seller } = ctx.services;
+  const order = ledger.get(ctx.biz.requestId);
+  if (!order || order.status !== 'draft') return;
+  const issued = ledger.issuePi(
+    ctx.biz.requestId,
+    `PI sent to ${ctx.biz.deliveryEmail}`
+  );
+  mailer.send({
+    template: 'proformaInvoice',
+    to: ctx.biz.deliveryEmail,
+    ref: issued.requestId,
+    data: {
+      buyerName: issued.buyer.name,
+      requestId: issued.requestId,
+      piNumber: issued.pi.number,
+      net: issued.quote.net,
+      validUntil: piValidUntil(issued),
+      url: piUrl(ctx)
+    },
+    attachments: [
+      {
+        filename: `Proforma_Invoice_${issued.requestId}.pdf`,
+        contentType: 'application/pdf',
+        content: renderProformaPdf(issued, seller)
+      }
+    ]
+  });
+}
+
+function orderFormUi() {
+  return { kind: 'bizOrderForm', limits: LIMITS };
+}
+
+// Price the lines and keep the quote on the session; every summary and PI
+// message is rendered from `biz.quote`.
+function applyOrderLines(ctx, lines) {
+  const biz = ctx.biz;
+  const priced = priceOrder(lines, { discountPercent: biz.discountPercent });
+  if (!priced.ok) {
+    return {
+      reply: 'form.fixErrors',
+      ui: orderFormUi(),
+      errors: priced.errors
+    };
+  }
+  biz.quote = priced.quote;
+  biz.orders = priced.quote.lines;
+  updateOrder(ctx, { occasion: biz.occasion, quote: biz.quote });
+  return { goto: 'bizNeedsDeliveryMethod' };
+}
+
+// One order line from free text: "150 cards x ₹100", "₹100 x 150" or
+// "150 x 100". The card count is the number followed by "cards", else the
+// one without ₹, else the first; the other is the denomination. A lone
+// amount ("₹15,000") is a budget, split into ₹1,000 cards.
+function parseOrderText(text) {
+  const numbers = [
+    ...text.matchAll(/(₹\s*)?(\d+(?:,\d+)*)(\s*cards?\b)?/g)
+  ].map(m => ({
+    value: parseInt(m[2].replace(/,/g, ''), 10),
+    rupees: Boolean(m[1]),
+    cards: Boolean(m[3])
+  }));
+  if (numbers.length === 1 && !numbers[0].cards) {
+    return { denomination: 1000, count: Math.floor(numbers[0].value / 1000) };
+  }
+  if (numbers.length !== 2) return null;
+  const count =
+    numbers.find(n => n.cards) || numbers.find(n => !n.rupees) || null;
+  if (!count) return null;
+  const denomination = numbers.find(n => n !== count);
+  return { denomination: denomination.value, count: count.value };
+}
+
+// Direct delivery sends one SMS and/or email per card, so it is kept to
+// orders a chat can list the recipients of
+const DIRECT_DELIVERY_MAX = 100;
+
+/**
+ * Recipients typed into the chat, one per line (or separated by ";"), each
+ * with a mobile number, an email or both. Anything else on a line, such as
+ * a name, is ignored.
+ * @returns {{ recipients: { email?: string, phone?: string }[], invalid: number[] }}
+ *   invalid holds the 1-based positions of entries with neither
+ */
+function parseRecipients(text) {
+  const entries = text
+    .split(/[\n;]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  const recipients = [];
+  const invalid = [];
+  entries.forEach((entry, index) => {
+    const email = (entry.match(EMAIL_PATTERN) || [])[0];
+    const mobile = (entry.replace(email, ' ').match(MOBILE_PATTERN) || [])[0];
+    const recipient = {};
+    if (email && isValidEmail(email)) recipient.email = email;
+    if (mobile) recipient.phone = normalizeMobile(mobile);
+    if (recipient.email || recipient.phone) recipients.push(recipient);
+    else invalid.push(index + 1);
+  });
+  return { recipients, invalid };
+}
+
+function applyRecipients(ctx, recipients) {
+  const biz = ctx.biz;
+  const expected = biz.quote.quantity;
+  if (recipients.length !== expected) {
+    return {
+      reply: ctx.t('biz.recipients.count', {
+        expected,
+        count: recipients.length
+      })
+    };
+  }
+  biz.recipients = recipients;
+  updateOrder(ctx, { delivery: 'direct', recipients });
+  return { goto: 'bizNeedsDeliveryEmail' };
+}
+
+function recipientsPrompt(ctx) {
+  return ctx.t('biz.recipients', { count: ctx.biz.quote.quantity });
+}
+
+function deliveryEmailPrompt(ctx) {
+  return ctx.t('biz.deliveryEmail', { email: ctx.biz.email });
+}
+
+function orderSummaryPrompt(ctx) {
+  const biz = ctx.biz;
+  const quote = biz.quote;
+  const money = amount => formatCurrencyInr(amount, ctx.locale);
+  return ctx.t('biz.summary', {
+    lines: formatQuoteLines(quote, ctx.locale),
+    discountPercent: quote.discountPercent,
+    discount: money(quote.discount),
+    net: money(quote.net),
+    delivery: describeOrderDelivery(ctx, biz)
+  });
+}
+
+// Links to documents served by /orders/:requestId/*. They carry the buyer's
+// data, so they are only served through signed links that expire.
+function documentUrl(ctx, file, requestId = ctx.biz.requestId) {
+  const { publicUrl, links } = ctx.services;
+  return `${publicUrl}${links.sign(
+    `/orders/${encodeURIComponent(requestId)}/${file}`
+  )}`;
+}
+
+function deliveryUrl(ctx, requestId = ctx.biz.requestId) {
+  return documentUrl(ctx, 'delivery.zip', requestId);
+}
+
+function linkHours(ctx) {
+  return Math.round(ctx.services.linkTtlMs / (60 * 60 * 1000));
+}
+
+function piUrl(ctx) {
+  return documentUrl(ctx, 'pi.pdf');
+}
+
+// What each gateway payment option is called in chat and at the gateway
+const PAYMENT_METHODS = {
+  netbanking: { label: 'Netbanking', method: 'netbanking' },
+  credit: { label: 'Credit Card', method: 'card' },
+  upi: { label: 'UPI', method: 'upi' }
+};
+
+function pickPaymentMethod(ctx, option) {
+  const { label, method } = PAYMENT_METHODS[option];
+  ctx.biz.paymentMethod = label;
+  ctx.biz.gatewayMethod = method;
+  moveOrder(ctx, 'payment_pending', label);
+  startPayment(ctx);
+}
+
+// The attempt the buyer pays on. Only the gateway's webhook marks the
+// order paid (see payments/service.js); the chat just checks for it.
+function startPayment(ctx) {
+  const payment = ctx.services.payments.create({
+    reference: ctx.biz.requestId,
+    amount: ctx.biz.quote.net,
+    method: ctx.biz.gatewayMethod || 'netbanking'
+  });
+  ctx.biz.paymentId = payment.id;
+  return payment;
+}
+
+function currentPayment(ctx) {
+  return (
+    (ctx.biz.paymentId && ctx.services.payments.get(ctx.biz.paymentId)) ||
+    startPayment(ctx)
+  );
+}
+
+function checkoutUrl(ctx, payment) {
+  return `${ctx.services.publicUrl}/payments/${encodeURIComponent(
+    payment.id
+  )}/checkout`;
+}
+
+// UPI attempts show their intent link as a QR code, which the client polls
+// the attempt for until it settles; the link goes when the attempt closes
+function paymentUi(ctx, payment) {
+  const ui = {
+    kind: 'payment',
+    title: 'biz.payment.title',
+    paymentId: payment.id,
+    method: payment.method,
+    amount: payment.amount,
+    status: payment.status,
+    expiresAt: payment.expiresAt || null,
+    url: checkoutUrl(ctx, payment),
+    label: 'biz.payment.payNow'
+  };
+  if (payment.method !== 'upi') return ui;
+  const base = `${ctx.services.publicUrl}/payments/${encodeURIComponent(
+    payment.id
+  )}`;
+  return {
+    ...ui,
+    kind: 'upiQr',
+    uri: OPEN.includes(payment.status) ? payment.upiUri || null : null,
+    qr: { svg: `${base}/qr.svg`, png: `${base}/qr.png` },
+    statusUrl: base
+  };
+}
+
+function isPaid(ctx) {
+  const { requestId } = ctx.biz;
+  const order = ctx.services.ledger.get(requestId);
+  return order
+    ? ['paid', 'issued'].includes(order.status)
+    : Boolean(ctx.services.payments.paid(requestId));
+}
+
+// The server issues and sends the cards as soon as the money is confirmed
+// (orders/fulfilment.js); the chat only reports what was done. Null while
+// the cards are still to come.
+function issuedReport(ctx) {
+  const { ledger, giftcards, deliveries } = ctx.services;
+  const { requestId } = ctx.biz;
+  const order = ledger.get(requestId);
+  if (!order || order.status !== 'issued') return null;
+  const cards = giftcards.cardsOf(requestId);
+  const [first] = cards;
+  const money = value => formatCurrencyInr(value, ctx.locale);
+  const phone = normalizeMobile(order.buyer.phone) || '';
+  const lines = [
+    ctx.t('biz.issued.ready', {
+      email: order.deliveryEmail || order.buyer.email,
+      count: cards.length,
+      value: money(order.quote.gross),
+      card: first.masked,
+      amount: money(first.denomination),
+      expiry: formatDateIst(first.expiresAt, ctx.locale)
+    }),
+    ctx.t('biz.issued.password', {
+      phone: `XXXXXX${phone.slice(-4)}`,
+      hours: linkHours(ctx)
+    })
+  ];
+  if (order.delivery === 'direct') {
+    lines.push(ctx.t('biz.issued.direct', { count: cards.length }));
+  }
+  const items = [
+    {
+      label: 'biz.download.gstInvoice',
+      url: documentUrl(ctx, 'invoice.pdf')
+    }
+  ];
+  if (deliveries.has(requestId)) {
+    items.push({ label: 'biz.download.gcDelivery', url: deliveryUrl(ctx) });
+  }
+  return {
+    goto: 'bizFinal',
+    reply: lines.join('\n\n'),
+    ui: { kind: 'downloads', title: 'biz.download.title', items }
+  };
+}
+
+// Paid, but the issuer had no stock for some denomination yet
+function awaitingCards(ctx) {
+  return {
+    goto: 'bizIssued',
+    reply: [ctx.t('biz.issued'), ctx.t('biz.issued.outOfStock')].join('\n\n')
+  };
+}
+
+// NEFT/RTGS to the seller's account, quoting the request ID. The order is
+// paid once reconciliation finds the money on a bank statement.
+function pickBankTransfer(ctx) {
+  ctx.biz.paymentMethod = 'NEFT / RTGS';
+  moveOrder(ctx, 'payment_pending', 'NEFT / RTGS');
+}
+
+function transferUtr(ctx) {
+  const order = ctx.services.ledger.get(ctx.biz.requestId);
+  return order && order.transfer ? order.transfer.utr : null;
+}
+
+function transferUi(ctx) {
+  const { reconciliation, seller } = ctx.services;
+  return {
+    kind: 'payment',
+    method: 'transfer',
+    title: 'biz.transfer.title',
+    amount: ctx.biz.quote.net,
+    status: reconciliation.statusOf(ctx.biz.requestId).state,
+    payee: seller.bank,
+    reference: ctx.biz.requestId,
+    utr: transferUtr(ctx),
+    label: 'biz.transfer.submit'
+  };
+}
+
+function transferPrompt(ctx) {
+  const { bank } = ctx.services.seller;
+  return ctx.t('biz.transfer', {
+    amount: formatCurrencyInr(ctx.biz.quote.net, ctx.locale),
+    accountName: bank.accountName,
+    accountNumber: bank.accountNumber,
+    ifsc: bank.ifsc,
+    bankName: bank.bankName,
+    reference: ctx.biz.requestId,
+    account: `XXXX${String(ctx.biz.bankAccount || '').slice(-4)}`
+  });
+}
+
+// Where the transfer stands, after a UTR or a "paid" check
+function transferStatus(ctx, justNoted) {
+  const status = ctx.services.reconciliation.statusOf(ctx.biz.requestId);
+  if (status.state === 'paid') return issuedReport(ctx) || awaitingCards(ctx);
+  const ui = transferUi(ctx);
+  const utr = transferUtr(ctx);
+  if (status.state === 'wrongAccount') {
+    return { reply: 'biz.transfer.wrongAccount', ui };
+  }
+  if (status.state === 'review') {
+    return { reply: 'biz.transfer.review', ui };
+  }
+  if (status.state === 'short') {
+    return {
+      reply: ctx.t('biz.transfer.short', {
+        received: formatCurrencyInr(status.received, ctx.locale),
+        balance: formatCurrencyInr(status.balance, ctx.locale)
+      }),
+      ui
+    };
+  }
+  if (!utr) return { reply: 'biz.transfer.askUtr', ui };
+  const key = justNoted ? 'biz.transfer.utrNoted' : 'biz.transfer.waiting';
+  return { reply: ctx.t(key, { utr }), ui };
+}
+
+// A statement imported before the UTR was known is searched again
+function submitUtr(ctx, utr) {
+  const { ledger, reconciliation } = ctx.services;
+  try {
+    ledger.recordUtr(ctx.biz.requestId, utr);
+  } catch (err) {
+    if (err.code === 'UTR_IN_USE') {
+      return {
+        reply: 'biz.transfer.utrInUse',
+        ui: transferUi(ctx),
+        errors: { utr: 'biz.transfer.utrInUse' }
+      };
+    }
+    // Already paid: the status below says so
+    if (err.code !== 'ORDER_LOCKED') throw err;
+  }
+  reconciliation.reconcileOrder(ctx.biz.requestId);
+  return transferStatus(ctx, true);
+}
+
+// "2 sent, 1 queued"
+function countStatuses(ctx, messages, prefix) {
+  const counts = {};
+  for (const message of messages) {
+    counts[message.status] = (counts[message.status] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .map(([status, n]) => `${n} ${ctx.t(`${prefix}.${status}`)}`)
+    .join(', ');
+}
+
+// Card messages of a direct order, summed up rather than listed
+function directLine(ctx, order) {
+  const { mailer, sms } = ctx.services;
+  const emails = mailer
+    .messagesFor(order.requestId)
+    .filter(m => m.template === 'giftCard');
+  const texts = sms
+    .messagesFor(order.requestId)
+    .filter(m => m.template === 'giftCard');
+  if (emails.length === 0 && texts.length === 0) return null;
+  const none = ctx.t('common.none');
+  return ctx.t('biz.report.delivery.direct', {
+    count: order.recipients.length,
+    sms: countStatuses(ctx, texts, 'sms.status') || none,
+    email: countStatuses(ctx, emails, 'mail.status') || none
+  });
+}
+
+// "Proforma invoice to a@b.com: sent (19 Oct 2026)" lines for reports. Gift
+// card emails of direct orders are counted in directLine() instead.
+function emailLines(ctx, requestId) {
+  const messages = ctx.services.mailer
+    .messagesFor(requestId)
+    .filter(m => m.template !== 'giftCard');
+  return messages.map(message =>
+    ctx.t('biz.report.delivery.emailLine', {
+      document: ctx.t(`mail.template.${message.template}`),
+      to: message.to.join(', '),
+      status: ctx.t(`mail.status.${message.status}`),
+      date: formatDateIst(
+        message.sentAt || message.bouncedAt || message.createdAt,
+        ctx.locale
+      )
+    })
+  );
+}
+
+function piPrompt(ctx) {
+  const biz = ctx.biz;
+  return ctx.t('biz.pi', {
+    requestId: biz.requestId,
+    net: formatCurrencyInr(biz.quote.net, ctx.locale),
+    email: biz.deliveryEmail,
+    url: piUrl(ctx)
+  });
+}
+
+// Reports are limited to orders placed with the caller's email + GSTIN,
+// once the caller has typed the code emailed to that address. GSTINs are
+// public and verification takes any email, so neither proves who is asking.
+function callerOf(ctx) {
+  return ctx.biz.reportOwner || null;
+}
+
+const REPORT_CODE_TTL_MS = 10 * 60 * 1000;
+const REPORT_CODE_ATTEMPTS = 5;
+
+const hashCode = code =>
+  crypto.createHash('sha256').update(code).digest('hex');
+
+// Email a one-time code for the orders of `owner`. Nothing is sent when no
+// order matches, but the chat says the same, so it tells nobody who has
+// ordered.
+function sendReportCode(ctx, owner) {
+  const { ledger, mailer } = ctx.services;
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  ctx.biz.reportCode = {
+    email: owner.email,
+    gstin: owner.gstin,
+    hash: hashCode(code),
+    expiresAt: new Date(Date.now() + REPORT_CODE_TTL_MS).toISOString(),
+    attempts: 0
+  };
+  if (ledger.find(owner).length > 0) {
+    mailer.send({
+      template: 'otp',
+      to: owner.email,
+      data: { code, minutes: REPORT_CODE_TTL_MS / 60000 }
+    });
+  }
+  return {
+    goto: 'bizReportCode',
+    reply: ctx.t('biz.reportCode.sent', { email: owner.email })
+  };
+}
+
+function statusLabel(ctx, status) {
+  return ctx.t(`order.status.${status}`);
+}
+
+function orderLine(ctx, order) {
+  const value = order.quote
+    ? formatCurrencyInr(order.quote.net, ctx.locale)
+    : '—';
+  return `• ${order.requestId} – ${formatDateIst(
+    order.createdAt,
+    ctx.locale
+  )} – ${value} – ${statusLabel(ctx, order.status)}`;
+}
+
+function invoiceReport(ctx) {
+  const from = new Date();
+  from.setMonth(from.getMonth() - 12);
+  const orders = ctx.services.ledger
+    .find({ ...callerOf(ctx), from: from.toISOString() })
+    .filter(order => order.invoice);
+  if (orders.length === 0) {
+    return {
+      goto: 'bizReportComplete',
+      reply: 'biz.report.noInvoices'
+    };
+  }
+  return {
+    goto: 'bizReportComplete',
+    reply: ctx.t('biz.report.invoices', {
+      count: orders.length,
+      orders: orders.map(order => orderLine(ctx, order)).join('\n')
+    }),
+    ui: {
+      kind: 'downloads',
+      title: 'biz.download.invoiceTitle',
+      items: orders.map(order => ({
+        label: `${order.invoice.number} (${order.requestId})`,
+        url: documentUrl(ctx, 'invoice.pdf', order.requestId)
+      }))
+    }
+  };
+}
+
+function deliveryReport(ctx, order) {
+  const history = order.history
+    .map(
+      h =>
+        `  – ${statusLabel(ctx, h.status)}: ${formatDateIst(h.at, ctx.locale)}`
+    )
+    .join('\n');
+  const lines = [
+    ctx.t('biz.report.delivery.title', { requestId: order.requestId }),
+    ctx.t('biz.report.delivery.status', {
+      status: statusLabel(ctx, order.status)
+    })
+  ];
+  if (order.quote) {
+    lines.push(
+      ctx.t('biz.report.delivery.cards', { count: order.quote.quantity }),
+      ctx.t('biz.report.delivery.net', {
+        net: formatCurrencyInr(order.quote.net, ctx.locale)
+      })
+    );
+  }
+  lines.push(
+    ctx.t('biz.report.delivery.email', {
+      email: order.deliveryEmail || order.buyer.email
+    }),
+    ctx.t('biz.report.delivery.history', { history })
+  );
+  const emails = emailLines(ctx, order.requestId);
+  if (emails.length > 0) {
+    lines.push(
+      ctx.t('biz.report.delivery.emails', { emails: emails.join('\n') })
+    );
+  }
+  const direct = order.delivery === 'direct' && directLine(ctx, order);
+  if (direct) lines.push(direct);
+  if (order.status !== 'issued') {
+    lines.push('', ctx.t('biz.report.delivery.notIssued'));
+    return { goto: 'bizReportComplete', reply: lines.join('\n') };
+  }
+  // Every visit signs a fresh link to the same encrypted file
+  if (!ctx.services.deliveries.has(order.requestId)) {
+    lines.push('', ctx.t('biz.report.delivery.unavailable'));
+    return { goto: 'bizReportComplete', reply: lines.join('\n') };
+  }
+  lines.push(ctx.t('biz.report.delivery.download', { hours: linkHours(ctx) }));
+  return {
+    goto: 'bizReportComplete',
+    reply: lines.join('\n'),
+    ui: {
+      kind: 'download',
+      title: 'biz.download.reportTitle',
+      url: deliveryUrl(ctx, order.requestId),
+      label: 'biz.download.report'
+    }
+  };
+}
+
+function openReport(ctx, report) {
+  return report === 'delivery'
+    ? { goto: 'bizReportDelivery' }
+    : invoiceReport(ctx);
+}
+
+module.exports = {
+  // Business options selection
+  bizOptions: {
+    prompt: 'biz.options',
+    ui: { kind: 'options', title: 'biz.options.title' },
+    numbered: true,
+    options: [
+      {
+        id: 'purchase',
+        label: 'biz.options.purchase',
+        next: 'bizVerification'
+      },
+      { id: 'reports', label: 'biz.options.reports', next: 'bizReports' },
+      // Handled by the global "back" command
+      { id: 'back', label: 'biz.options.back' }
+    ]
+  },
+
+  // Business verification form handling
+  bizVerification: {
+    prompt: 'biz.verification',
+    ui: { kind: 'bizVerificationForm' },
+    help: 'biz.verification.help',
+    transitions: ['bizNeedsOccasion'],
+    handle(ctx) {
+      if (ctx.text === 'proceed') {
+        // Show the verification form directly
+        return { reply: '', ui: { kind: 'bizVerificationForm' } };
+      }
+      return null;
+    },
+    actions: {
+      verifyBusiness(ctx) {
+        const details = ctx.payload;
+        const biz = ctx.biz;
+        biz.name = details.fullName;
+        biz.company = details.company;
+        biz.phone = details.phone;
+        biz.email = details.email;
+        biz.gstin = details.gstin;
+        biz.bankAccount = details.bankAccount;
+        biz.ifsc = details.ifsc;
+
+        // Check if GSTIN has 4 or more zeros (like 00000000)
+        const gstinZeros = details.gstin.match(/0/g) || [];
+        if (gstinZeros.length >= 4) {
+          return {
+            reply: 'biz.verification.failed',
+            ui: { kind: 'bizVerificationForm' },
+            errors: { gstin: 'validation.gstin.unverified' }
+          };
+        }
+
+        biz.verified = true;
+        biz.discountEligible = true;
+        biz.discountPercent = 1;
+        const { ledger } = ctx.services;
+        const buyer = {
+          name: biz.name,
+          company: biz.company,
+          email: biz.email,
+          phone: biz.phone,
+          gstin: biz.gstin,
+          bankAccount: biz.bankAccount,
+          ifsc: biz.ifsc
+        };
+        // Re-verifying after going back corrects the same draft
+        const existing = biz.requestId && ledger.get(biz.requestId);
+        if (existing && existing.status === 'draft') {
+          ledger.update(biz.requestId, { buyer });
+        } else {
+          biz.requestId = ledger.create({ buyer }).requestId;
+        }
+        return {
+          goto: 'bizNeedsOccasion',
+          reply: 'biz.verification.done'
+        };
+      }
+    }
+  },
+
+  bizNeedsOccasion: {
+    prompt: 'biz.occasion',
+    ui: { kind: 'options', title: 'biz.occasion.title' },
+    options: [
+      { id: 'thankyou', label: 'biz.occasion.thankyou' },
+      { id: 'performer', label: 'biz.occasion.performer' },
+      { id: 'festivities', label: 'biz.occasion.festivities' },
+      {
+        id: 'custom',
+        label: 'biz.occasion.custom',
+        next: 'bizNeedsOccasionCustom'
+      }
+    ],
+    transitions: ['bizNeedsOrderDetails'],
+    handle(ctx) {
+      if (!ctx.input) return null;
+      ctx.biz.occasion = ctx.option ? ctx.option.id : ctx.input;
+      return { goto: 'bizNeedsOrderDetails' };
+    }
+  },
+
+  bizNeedsOccasionCustom: {
+    prompt: 'biz.occasionCustom',
+    transitions: ['bizNeedsOrderDetails'],
+    handle(ctx) {
+      if (!ctx.input || ctx.input.length > 60) {
+        return { reply: 'biz.occasionCustom.invalid' };
+      }
+      ctx.biz.occasion = ctx.input;
+      return { goto: 'bizNeedsOrderDetails' };
+    }
+  },
+
+  bizNeedsOrderDetails: {
+    prompt: 'biz.orderDetails',
+    ui: orderFormUi,
+    help: 'biz.orderDetails.help',
+    transitions: ['bizNeedsDeliveryMethod'],
+    handle(ctx) {
+      const line = parseOrderText(ctx.text);
+      if (!line) {
+        return { reply: 'biz.orderDetails.format', ui: orderFormUi() };
+      }
+      const result = applyOrderLines(ctx, [line]);
+      if (result.errors) {
+        result.reply = ctx.t(Object.values(result.errors)[0]);
+      }
+      return result;
+    },
+    actions: {
+      submitOrderLines(ctx) {
+        return applyOrderLines(ctx, ctx.payload.lines);
+      }
+    }
+  },
+
+  // A bulk file for the buyer to hand out, or each card sent straight to
+  // its recipient by SMS and/or email
+  bizNeedsDeliveryMethod: {
+    prompt: 'biz.deliveryMethod',
+    ui: { kind: 'options', title: 'biz.deliveryMethod.title' },
+    numbered: true,
+    options: [
+      {
+        id: 'bulk',
+        label: 'biz.deliveryMethod.bulk',
+        aliases: ['bulk file', 'file', 'csv'],
+        next: 'bizNeedsDeliveryEmail',
+        onSelect(ctx) {
+          ctx.biz.delivery = 'bulk';
+          delete ctx.biz.recipients;
+          updateOrder(ctx, { delivery: 'bulk', recipients: null });
+        }
+      },
+      {
+        id: 'direct',
+        label: 'biz.deliveryMethod.direct',
+        aliases: ['direct sms & email', 'sms', 'direct sms']
+      }
+    ],
+    help: 'biz.deliveryMethod.help',
+    fallback: 'biz.deliveryMethod',
+    transitions: ['bizNeedsRecipients'],
+    handle(ctx) {
+      if (!ctx.option) return null;
+      const count = ctx.biz.quote.quantity;
+      if (count > DIRECT_DELIVERY_MAX) {
+        return {
+          reply: ctx.t('biz.deliveryMethod.tooMany', {
+            count,
+            max: DIRECT_DELIVERY_MAX
+          })
+        };
+      }
+      ctx.biz.delivery = 'direct';
+      return { goto: 'bizNeedsRecipients' };
+    }
+  },
+
+  bizNeedsRecipients: {
+    prompt: recipientsPrompt,
+    fallback: recipientsPrompt,
+    help: 'biz.recipients.help',
+    transitions: ['bizNeedsDeliveryEmail'],
+    handle(ctx) {
+      if (!ctx.input) return null;
+      const { recipients, invalid } = parseRecipients(ctx.input);
+      if (invalid.length > 0) {
+        return {
+          reply: ctx.t('biz.recipients.invalid', {
+            entries: invalid.join(', ')
+          })
+        };
+      }
+      return applyRecipients(ctx, recipients);
+    },
+    actions: {
+      submitRecipients(ctx) {
+        const recipients = ctx.payload.recipients.map(r => {
+          const recipient = {};
+          if (r.email) recipient.email = r.email;
+          if (r.phone) recipient.phone = normalizeMobile(r.phone);
+          return recipient;
+        });
+        const missing = recipients.findIndex(r => !r.email && !r.phone);
+        if (missing !== -1) {
+          return {
+            reply: 'form.fixErrors',
+            errors: {
+              [`recipients.${missing}`]: 'validation.recipient.required'
+            }
+          };
+        }
+        return applyRecipients(ctx, recipients);
+      }
+    }
+  },
+
+  bizNeedsDeliveryEmail: {
+    prompt: deliveryEmailPrompt,
+    ui: ctx => ({ kind: 'bizDeliveryForm', email: ctx.biz.email }),
+    fallback: deliveryEmailPrompt,
+    help: 'biz.deliveryEmail.help',
+    transitions: ['bizOrderSummary'],
+    handle(ctx) {
+      const biz = ctx.biz;
+      if (ctx.text === 'confirm') {
+        biz.deliveryEmail = biz.email;
+        updateOrder(ctx, { deliveryEmail: biz.deliveryEmail });
+        return { goto: 'bizOrderSummary' };
+      }
+      if (ctx.text === 'edit') {
+        return {
+          reply: 'biz.deliveryEmail.edit',
+          ui: { kind: 'bizDeliveryForm', email: biz.email }
+        };
+      }
+      if (isValidEmail(ctx.input)) {
+        biz.deliveryEmail = ctx.input;
+        updateOrder(ctx, { deliveryEmail: biz.deliveryEmail });
+        return { goto: 'bizOrderSummary' };
+      }
+      return null;
+    },
+    actions: {
+      setDeliveryEmail(ctx) {
+        ctx.biz.deliveryEmail = ctx.payload.email;
+        updateOrder(ctx, { deliveryEmail: ctx.biz.deliveryEmail });
+        return { goto: 'bizOrderSummary' };
+      }
+    }
+  },
+
+  bizOrderSummary: {
+    prompt: orderSummaryPrompt,
+    ui: { kind: 'options', title: 'biz.summary.title' },
+    numbered: true,
+    options: [
+      {
+        id: 'yes',
+        label: 'biz.summary.sharePi',
+        next: 'bizPaymentInfo',
+        onSelect: issuePi
+      },
+      {
+        id: 'edit',
+        label: 'biz.summary.edit',
+        next: 'bizNeedsOccasion',
+        onSelect: () => ({ reply: 'biz.summary.editing' })
+      }
+    ],
+    fallback: 'biz.summary.fallback'
+  },
+
+  // The PI is out, so the order can no longer be edited from here
+  bizPaymentInfo: {
+    checkpoint: true,
+    prompt: piPrompt,
+    ui: { kind: 'options', title: 'biz.pi.title' },
+    options: [
+      { id: 'proceed', label: 'common.proceed', next: 'bizPaymentMethod' }
+    ],
+    fallback: piPrompt,
+    help: 'biz.pi.help',
+    handle(ctx) {
+      // Buyers that need a purchase order raised first confirm it here
+      if (!/^po\s*(uploaded|received|sent)$/.test(ctx.text)) return null;
+      moveOrder(ctx, 'po_received');
+      return {
+        reply: 'biz.pi.poNoted',
+        ui: {
+          kind: 'options',
+          title: 'biz.pi.title',
+          options: [{ id: 'proceed', label: 'common.proceed' }]
+        }
+      };
+    }
+  },
+
+  bizPaymentMethod: {
+    prompt: 'biz.paymentMethod',
+    ui: { kind: 'options', title: 'biz.paymentMethod.title' },
+    options: [
+      {
+        id: 'netbanking',
+        label: 'biz.paymentMethod.netbanking',
+        next: 'bizPaymentProcessing',
+        onSelect: ctx => pickPaymentMethod(ctx, 'netbanking')
+      },
+      {
+        id: 'credit',
+        label: 'biz.paymentMethod.credit',
+        next: 'bizPaymentProcessing',
+        onSelect: ctx => pickPaymentMethod(ctx, 'credit')
+      },
+      {
+        id: 'upi',
+        label: 'biz.paymentMethod.upi',
+        next: 'bizPaymentProcessing',
+        onSelect: ctx => pickPaymentMethod(ctx, 'upi')
+      },
+      {
+        id: 'neft',
+        label: 'biz.paymentMethod.neft',
+        next: 'bizBankTransfer',
+        onSelect: pickBankTransfer
+      }
+    ]
+  },
+
+  // The buyer transfers from the verified company account and gives the
+  // UTR; "paid" checks whether a bank statement has shown the money yet
+  bizBankTransfer: {
+    prompt: transferPrompt,
+    ui: transferUi,
+    fallback: 'biz.transfer.fallback',
+    help: 'biz.transfer.help',
+    transitions: ['bizIssued', 'bizFinal'],
+    handle(ctx) {
+      if (ctx.text === 'paid') return transferStatus(ctx, false);
+      const utr = normalizeUtr(ctx.input);
+      return utr ? submitUtr(ctx, utr) : null;
+    },
+    actions: {
+      submitUtr(ctx) {
+        return submitUtr(ctx, ctx.payload.utr);
+      }
+    }
+  },
+
+  // Typing "paid" only checks: the order moves on once the gateway's
+  // webhook has confirmed the payment
+  bizPaymentProcessing: {
+    prompt: ctx =>
+      ctx.t('biz.payment', {
+        method: ctx.biz.paymentMethod,
+        amount: formatCurrencyInr(ctx.biz.quote.net, ctx.locale),
+        url: checkoutUrl(ctx, currentPayment(ctx))
+      }),
+    ui: ctx => paymentUi(ctx, currentPayment(ctx)),
+    help: 'biz.payment.help',
+    transitions: ['bizIssued', 'bizFinal'],
+    handle(ctx) {
+      let payment = currentPayment(ctx);
+      if (isPaid(ctx)) return issuedReport(ctx) || awaitingCards(ctx);
+      if (RETRYABLE.includes(payment.status) && ctx.text === 'retry') {
+        payment = startPayment(ctx);
+        return {
+          reply: ctx.t('biz.payment.retry', {
+            url: checkoutUrl(ctx, payment)
+          }),
+          ui: paymentUi(ctx, payment)
+        };
+      }
+      const ui = paymentUi(ctx, payment);
+      switch (payment.status) {
+        case 'failed':
+          return {
+            reply: ctx.t('biz.payment.failed', { reason: payment.error }),
+            ui
+          };
+        case 'expired':
+          return { reply: 'biz.payment.expired', ui };
+        case 'pending':
+          return { reply: 'biz.payment.pending', ui };
+        default:
+          return {
+            reply: ctx.t('biz.payment.waiting', {
+              url: checkoutUrl(ctx, payment)
+            }),
+            ui
+          };
+      }
+    }
+  },
+
+  // Paid, with the cards still to come (orders/fulfilment.js retries an
+  // order the issuer was out of stock for); each turn checks again
+  bizIssued: {
+    checkpoint: true,
+    prompt: 'biz.issued',
+    ui: ctx => ({
+      kind: 'download',
+      title: 'biz.download.gstInvoiceTitle',
+      url: documentUrl(ctx, 'invoice.pdf'),
+      label: 'biz.download.invoice'
+    }),
+    transitions: ['bizFinal'],
+    handle(ctx) {
+      return issuedReport(ctx) || { reply: 'biz.issued.outOfStock' };
+    }
+  },
+
+  bizFinal: {
+    checkpoint: true,
+    prompt: 'biz.final',
+    help: 'biz.final.help',
+    ui: { kind: 'options', title: 'biz.final.title' },
+    options: [
+      { id: 'feedback', label: 'biz.final.feedback', next: 'bizFeedback' }
+    ],
+    fallback: 'biz.final',
+    handle(ctx) {
+      // "check gc <card number>" is answered by the global balance command
+      if (ctx.text === 'offers') {
+        return { reply: 'biz.final.offers' };
+      }
+      return null;
+    }
+  },
+
+  bizFeedback: {
+    prompt: 'biz.feedback',
+    ui: { kind: 'feedbackForm' },
+    transitions: ['bizFinal'],
+    handle(ctx) {
+      const biz = ctx.biz;
+      const rating = parseInt(ctx.input, 10);
+      biz.feedback = biz.feedback || {};
+      if (!biz.feedback.rating && rating >= 1 && rating <= 5) {
+        biz.feedback.rating = rating;
+        return {
+          reply: 'biz.feedback.comments',
+          ui: { kind: 'feedbackForm' }
+        };
+      }
+      if (ctx.input.length > 0) {
+        biz.feedback.comments = ctx.input;
+      }
+      return {
+        goto: 'bizFinal',
+        reply: 'biz.feedback.thanks',
+        ui: {
+          kind: 'options',
+          title: 'common.whatNext',
+          options: [{ id: 'offers', label: 'biz.feedback.offers' }]
+        }
+      };
+    }
+  },
+
+  // Reports and Queries functionality
+  bizReports: {
+    prompt: 'biz.reports',
+    ui: { kind: 'options', title: 'biz.reports.title' },
+    numbered: true,
+    options: [
+      { id: 'invoices', label: 'biz.reports.invoices' },
+      { id: 'delivery', label: 'biz.reports.delivery' },
+      { id: 'back', label: 'biz.options.back' }
+    ],
+    transitions: [
+      'bizReportIdentify',
+      'bizReportCode',
+      'bizReportDelivery',
+      'bizReportComplete'
+    ],
+    handle(ctx) {
+      if (!ctx.option) return null;
+      const biz = ctx.biz;
+      if (!callerOf(ctx)) {
+        biz.pendingReport = ctx.option.id;
+        // A buyer verified in this chat is not asked to type them again
+        if (biz.verified && biz.email && biz.gstin) {
+          return sendReportCode(ctx, { email: biz.email, gstin: biz.gstin });
+        }
+        return { goto: 'bizReportIdentify' };
+      }
+      return openReport(ctx, ctx.option.id);
+    }
+  },
+
+  bizReportIdentify: {
+    prompt: 'biz.reportIdentify',
+    help: 'biz.reportIdentify.help',
+    transitions: ['bizReportCode'],
+    handle(ctx) {
+      const email = (ctx.input.match(EMAIL_PATTERN) || [])[0];
+      const gstin = (ctx.input.match(GSTIN_PATTERN) || [])[0];
+      if (!email || !isValidEmail(email) || !gstin) {
+        return { reply: 'biz.reportIdentify.invalid' };
+      }
+      return sendReportCode(ctx, { email, gstin: gstin.toUpperCase() });
+    }
+  },
+
+  // The code sendReportCode emailed; "resend" mails a new one
+  bizReportCode: {
+    prompt: 'biz.reportCode',
+    help: 'biz.reportCode.help',
+    transitions: [
+      'bizReportIdentify',
+      'bizReportCode',
+      'bizReportDelivery',
+      'bizReportComplete'
+    ],
+    handle(ctx) {
+      const biz = ctx.biz;
+      const pending = biz.reportCode;
+      if (!pending) return { goto: 'bizReportIdentify' };
+      if (ctx.text === 'resend') return sendReportCode(ctx, pending);
+      const code = (ctx.input.match(/\b\d{6}\b/) || [])[0];
+      if (!code) return { reply: 'biz.reportCode' };
+      if (Date.parse(pending.expiresAt) <= Date.now()) {
+        return { reply: 'biz.reportCode.expired' };
+      }
+      if (hashCode(code) !== pending.hash) {
+        pending.attempts++;
+        if (pending.attempts >= REPORT_CODE_ATTEMPTS) {
+          delete biz.reportCode;
+          return { goto: 'bizReportIdentify', reply: 'biz.reportCode.locked' };
+        }
+        return {
+          reply: ctx.t('biz.reportCode.wrong', {
+            left: REPORT_CODE_ATTEMPTS - pending.attempts
+          })
+        };
+      }
+      biz.reportOwner = { email: pending.email, gstin: pending.gstin };
+      delete biz.reportCode;
+      const report = biz.pendingReport;
+      delete biz.pendingReport;
+      return openReport(ctx, report);
+    }
+  },
+
+  bizReportDelivery: {
+    prompt: 'biz.reportDelivery',
+    help: 'biz.reportDelivery.help',
+    transitions: ['bizReportComplete'],
+    handle(ctx) {
+      const requestId = ctx.input.toUpperCase();
+      if (!requestId) {
+        return { reply: 'biz.reportDelivery' };
+      }
+      const order = ctx.services.ledger.get(requestId);
+      const caller = callerOf(ctx);
+      // Someone else's order looks the same as a missing one
+      if (!order || !caller || !ownedBy(order, caller)) {
+        return {
+          reply: ctx.t('biz.reportDelivery.notFound', { requestId })
+        };
+      }
+      return deliveryReport(ctx, order);
+    }
+  },
+
+  bizReportComplete: {
+    prompt: 'biz.reportComplete',
+    ui: { kind: 'options', title: 'common.whatNext' },
+    numbered: true,
+    options: [
+      {
+        id: 'purchase',
+        label: 'biz.reportComplete.purchase',
+        next: 'bizOptions'
+      },
+      {
+        id: 'exit',
+        label: 'biz.reportComplete.exit',
+        next: 'idle',
+        onSelect(ctx) {
+          ctx.state.data = {};
+          return { reply: 'biz.reportComplete.bye' };
+        }
+      }
+    ],
+    fallback: 'biz.reportComplete'
+  }
+};
@@ -0,0 +1,536 @@
+'use strict';
+
+const { formatCurrencyInr, formatDateIst } = require('../../lib/format');
+const {
+  normalizeAmount,
+  normalizeMobile,
+  isValidEmail
+} = require('../../lib/validators');
+const { generateGiftRef } = require('../../lib/ids');
+const { OPEN, RETRYABLE } = require('../../payments/service');
+const { getTemplates, findTemplateById } = require('../templates');
+const {
+  SLOT_STAGES,
+  displayOccasion,
+  describeRecipient,
+  deliverySendAt,
+  describeDelivery,
+  readDelivery,
+  advance,
+  fillAndAdvance,
+  pendingChoice,
+  choiceOptions,
+  matchChoice
+} = require('../slots');
+
+// "- Occasion: Diwali" lines for the confirmation and the success message
+function detailLines(ctx) {
+  const data = ctx.data;
+  const template = findTemplateById(data.templateId);
+  return [
+    ctx.t('personal.detail.occasion', {
+      value: displayOccasion(ctx, data.occasion)
+    }),
+    ctx.t('personal.detail.template', {
+      value: template ? template.label : data.templateId
+    }),
+    ctx.t('personal.detail.amount', {
+      value: formatCurrencyInr(data.amount, ctx.locale)
+    }),
+    ctx.t('personal.detail.recipient', { value: describeRecipient(data) }),
+    ctx.t('personal.detail.message', {
+      value: data.personalMessage || ctx.t('common.none')
+    }),
+    ctx.t('personal.detail.delivery', { value: describeDelivery(ctx) })
+  ];
+}
+
+// Gift details the scheduler sends from
+function giftOf(data) {
+  return {
+    amount: data.amount,
+    occasion: data.occasion,
+    templateId: data.templateId,
+    recipientEmail: data.recipientEmail,
+    recipientPhone: data.recipientPhone,
+    personalMessage: data.personalMessage || ''
+  };
+}
+
+// Gifts booked in this chat, for "my deliveries"
+function rememberGift(ctx, ref) {
+  const refs = (ctx.state.giftRefs || []).filter(r => r !== ref);
+  ctx.state.giftRefs = [...refs, ref].slice(-MAX_REMEMBERED_GIFTS);
+}
+
+const MAX_REMEMBERED_GIFTS = 20;
+
+function templatePickerUi() {
+  return { kind: 'templatePicker', templates: getTemplates() };
+}
+
+// Checked before taking money; an issuer without a count never runs out
+function inStock(ctx, amount) {
+  const { stock } = ctx.services.giftcards.inventory();
+  return !stock || (stock[amount] || 0) > 0;
+}
+
+// The attempt for this gift, under its reference. The gift is held with
+// the scheduler meanwhile: the gateway's webhook releases it on capture,
+// whether or not the chat is still open.
+function startPayment(ctx) {
+  const data = ctx.data;
+  const { payments, scheduler } = ctx.services;
+  const payment = payments.create({
+    reference: data.giftRef,
+    amount: data.amount,
+    method: data.paymentMethod
+  });
+  data.paymentId = payment.id;
+  scheduler.hold(data.giftRef, giftOf(data), deliverySendAt(ctx));
+  rememberGift(ctx, data.giftRef);
+  return payment;
+}
+
+function currentPayment(ctx) {
+  const { paymentId } = ctx.data;
+  return (
+    (paymentId && ctx.services.payments.get(paymentId)) || startPayment(ctx)
+  );
+}
+
+function checkoutUrl(ctx, payment) {
+  return `${ctx.services.publicUrl}/payments/${encodeURIComponent(
+    payment.id
+  )}/checkout`;
+}
+
+// UPI is paid by scanning the attempt's QR code, as in business.js
+function paymentUi(ctx, payment) {
+  const ui = {
+    kind: 'payment',
+    title: 'personal.payment.title',
+    paymentId: payment.id,
+    method: payment.method,
+    amount: payment.amount,
+    status: payment.status,
+    expiresAt: payment.expiresAt || null,
+    url: checkoutUrl(ctx, payment),
+    label: 'personal.payment.payNow'
+  };
+  if (payment.method !== 'upi') return ui;
+  const base = `${ctx.services.publicUrl}/payments/${encodeURIComponent(
+    payment.id
+  )}`;
+  return {
+    ...ui,
+    kind: 'upiQr',
+    uri: OPEN.includes(payment.status) ? payment.upiUri || null : null,
+    qr: { svg: `${base}/qr.svg`, png: `${base}/qr.png` },
+    statusUrl: base
+  };
+}
+
+// Minutes left on an attempt, for the chat
+function minutesLeft(payment) {
+  const ms = Date.parse(payment.expiresAt) - Date.now();
+  return Math.max(1, Math.ceil(ms / 60000));
+}
+
+// What became of the paid gift. The capture released it, so it is sent,
+// booked for its date, or waiting for stock; releasing here too covers a
+// capture whose hook failed.
+function deliveredGift(ctx, paid) {
+  const data = ctx.data;
+  const entry = ctx.services.scheduler.release(data.giftRef, {
+    paymentId: paid.id,
+    amount: paid.amount
+  });
+  data.amount = entry.gift.amount;
+  const amount = formatCurrencyInr(data.amount, ctx.locale);
+  if (entry.status === 'pending' && new Date(entry.sendAt) > new Date()) {
+    const lines = [
+      ctx.t('personal.scheduled', {
+        when: describeDelivery(ctx),
+        ref: data.giftRef
+      }),
+      ctx.t('personal.scheduled.manage'),
+      '',
+      ctx.t('personal.success.details'),
+      ...detailLines(ctx)
+    ];
+    return { goto: 'completed', reply: lines.join('\n'), ui: undefined };
+  }
+  if (entry.status !== 'sent') {
+    // Paid for, so this is for the team to sort out, not a dead end; the
+    // scheduler keeps trying
+    console.error(
+      `Gift ${data.giftRef} paid but not sent (${entry.lastError})`
+    );
+    return {
+      reply: ctx.t('personal.payment.outOfStock', {
+        amount,
+        ref: data.giftRef
+      }),
+      ui: paymentUi(ctx, paid)
+    };
+  }
+  const { card } = entry.result;
+  const lines = [
+    ctx.t('personal.success'),
+    ctx.t('personal.success.card', {
+      card: card.masked,
+      amount,
+      expiry: formatDateIst(card.expiresAt, ctx.locale)
+    }),
+    '',
+    ctx.t('personal.success.details'),
+    ...detailLines(ctx)
+  ];
+  return { goto: 'completed', reply: lines.join('\n'), ui: undefined };
+}
+
+function pickPaymentMethod(ctx, method) {
+  ctx.data.paymentMethod = method;
+  startPayment(ctx);
+}
+
+module.exports = {
+  // Ask Occasion (with Other -> custom text)
+  askOccasion: {
+    prompt: 'personal.occasion',
+    ui: { kind: 'occasionOptions' },
+    // `value` is what gets stored, matching the extractor's occasion names
+    options: [
+      { id: 'birthday', label: 'occasion.birthday', value: 'birthday' },
+      {
+        id: 'thankyou',
+        label: 'occasion.thankyou',
+        value: 'thank you',
+        aliases: ['thank you', 'shukriya', 'dhanyavaad', 'धन्यवाद']
+      },
+      {
+        id: 'diwali',
+        label: 'occasion.diwali',
+        value: 'diwali',
+        aliases: ['दिवाली']
+      },
+      {
+        id: 'other',
+        label: 'personal.occasion.other',
+        next: 'askOccasionCustom'
+      }
+    ],
+    transitions: SLOT_STAGES,
+    fallback: 'personal.occasion',
+    handle(ctx) {
+      if (!ctx.text) return null;
+      if (ctx.option) {
+        ctx.data.occasion = ctx.option.value;
+        return advance(ctx);
+      }
+      // A sentence may answer several questions at once; anything else is
+      // taken as a typed occasion
+      const result = fillAndAdvance(ctx);
+      if (result) return result;
+      ctx.data.occasion = ctx.input;
+      return advance(ctx);
+    }
+  },
+
+  askOccasionCustom: {
+    prompt: 'personal.occasionCustom',
+    fallback: 'personal.occasionCustom',
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      if (!ctx.input) return null;
+      ctx.data.occasion = ctx.input;
+      return advance(ctx);
+    }
+  },
+
+  // Template selection
+  askTemplate: {
+    prompt: 'personal.template',
+    ui: templatePickerUi,
+    help: 'personal.template.help',
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      if (findTemplateById(ctx.text)) {
+        ctx.data.templateId = ctx.text;
+        return advance(ctx);
+      }
+      return fillAndAdvance(ctx);
+    },
+    actions: {
+      pickTemplate(ctx) {
+        const { templateId } = ctx.payload;
+        if (!findTemplateById(templateId)) {
+          return {
+            reply: 'validation.templateId',
+            ui: templatePickerUi(),
+            errors: { templateId: 'personal.template.unknown' }
+          };
+        }
+        ctx.data.templateId = templateId;
+        return advance(ctx);
+      }
+    }
+  },
+
+  askAmount: {
+    prompt: 'personal.amount',
+    ui: { kind: 'amountOptions' },
+    help: 'personal.amount.help',
+    options: [
+      { id: '500', label: '₹500' },
+      { id: '1000', label: '₹1000' },
+      { id: '2000', label: '₹2000' },
+      { id: '5000', label: '₹5000' },
+      { id: 'custom', label: 'personal.amount.custom' }
+    ],
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      const result = fillAndAdvance(ctx);
+      if (result) return result;
+      const amount = normalizeAmount(ctx.input);
+      if (amount === null || amount <= 0) return null;
+      ctx.data.amount = amount;
+      return advance(ctx);
+    }
+  },
+
+  // An email, a mobile number for SMS, or both
+  askRecipientEmail: {
+    prompt: 'personal.recipientEmail',
+    help: 'personal.recipientEmail.help',
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      const data = ctx.data;
+      const phone = normalizeMobile(ctx.input);
+      if (isValidEmail(ctx.input) || phone) {
+        if (phone) data.recipientPhone = phone;
+        else data.recipientEmail = ctx.input;
+        delete data[phone ? 'recipientEmail' : 'recipientPhone'];
+        return advance(ctx);
+      }
+      return (
+        fillAndAdvance(ctx) || {
+          reply: 'personal.recipientEmail.invalid'
+        }
+      );
+    }
+  },
+
+  askMessage: {
+    prompt: 'personal.message',
+    help: 'personal.message.help',
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      // Taken verbatim: a gift message is not parsed for details
+      ctx.data.personalMessage = ctx.input || '';
+      return advance(ctx);
+    }
+  },
+
+  askDeliveryDate: {
+    prompt(ctx) {
+      return ctx.t('personal.deliveryDate', {
+        time: ctx.services.scheduler.defaultTime
+      });
+    },
+    ui: { kind: 'options', title: 'slot.deliveryDate' },
+    options: [
+      { id: 'now', label: 'personal.deliveryDate.now' },
+      { id: 'tomorrow', label: 'personal.deliveryDate.tomorrow' }
+    ],
+    help: 'personal.deliveryDate.help',
+    fallback: 'personal.deliveryDate.invalid',
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      const answer = readDelivery(ctx);
+      // No date at all is not accepted; a refused one says why
+      if (answer.error === null) return null;
+      if (answer.error) return { reply: answer.error };
+      const data = ctx.data;
+      data.deliveryDate = answer.now ? 'now' : answer.date;
+      if (answer.time) data.deliveryTime = answer.time;
+      else delete data.deliveryTime;
+      return advance(ctx);
+    }
+  },
+
+  // One slot got several values ("₹500 or ₹1000"); ask which one is meant
+  askClarify: {
+    prompt(ctx) {
+      const choice = pendingChoice(ctx.data);
+      if (!choice) return 'personal.clarify.none';
+      return ctx.t('personal.clarify', {
+        slot: ctx.t(choice.slot.label).toLowerCase()
+      });
+    },
+    ui(ctx) {
+      const choice = pendingChoice(ctx.data);
+      if (!choice) return undefined;
+      return {
+        kind: 'options',
+        title: ctx.t('personal.clarify.title', {
+          slot: ctx.t(choice.slot.label).toLowerCase()
+        }),
+        options: choiceOptions(choice, ctx)
+      };
+    },
+    fallback: 'personal.clarify.fallback',
+    help: 'personal.clarify.help',
+    transitions: SLOT_STAGES,
+    handle(ctx) {
+      const data = ctx.data;
+      const choice = pendingChoice(data);
+      if (!choice) return advance(ctx);
+      const value = matchChoice(choice, ctx);
+      if (value === undefined) return null;
+      data[choice.slot.slot] = value;
+      data.pendingChoices.shift();
+      if (data.pendingChoices.length === 0) delete data.pendingChoices;
+      return advance(ctx);
+    }
+  },
+
+  confirm: {
+    prompt(ctx) {
+      return `${ctx.t('personal.confirm.intro')}\n${detailLines(ctx).join(
+        '\n'
+      )}\n\n${ctx.t('personal.confirm.review')}`;
+    },
+    ui(ctx) {
+      const data = ctx.data;
+      const chosenTemplate = findTemplateById(data.templateId);
+      const sendAt = deliverySendAt(ctx);
+      return {
+        kind: 'confirm',
+        details: {
+          occasion: displayOccasion(ctx, data.occasion),
+          templateId: data.templateId,
+          templateLabel: chosenTemplate ? chosenTemplate.label : data.templateId,
+          templateImageUrl: chosenTemplate ? chosenTemplate.imageUrl : null,
+          amount: data.amount,
+          currency: 'INR',
+          recipientEmail: data.recipientEmail || null,
+          recipientPhone: data.recipientPhone || null,
+          personalMessage: data.personalMessage || '',
+          // null when the gift goes out on confirm
+          sendAt: sendAt ? sendAt.toISOString() : null
+        }
+      };
+    },
+    help: 'personal.confirm.help',
+    transitions: ['askPaymentMethod'],
+    handle(ctx) {
+      if (ctx.text !== 'confirm') return { reply: 'personal.confirm.fallback' };
+      const data = ctx.data;
+      if (!inStock(ctx, data.amount)) {
+        return {
+          reply: ctx.t('personal.outOfStock', {
+            amount: formatCurrencyInr(data.amount, ctx.locale)
+          })
+        };
+      }
+      // One reference per gift: its payment attempts and its card hang off it
+      data.giftRef = data.giftRef || generateGiftRef();
+      return { goto: 'askPaymentMethod' };
+    }
+  },
+
+  askPaymentMethod: {
+    prompt(ctx) {
+      return ctx.t('personal.payMethod', {
+        amount: formatCurrencyInr(ctx.data.amount, ctx.locale)
+      });
+    },
+    ui: { kind: 'options', title: 'personal.payMethod.title' },
+    options: [
+      {
+        id: 'upi',
+        label: 'personal.payMethod.upi',
+        next: 'awaitPayment',
+        onSelect: ctx => pickPaymentMethod(ctx, 'upi')
+      },
+      {
+        id: 'card',
+        label: 'personal.payMethod.card',
+        next: 'awaitPayment',
+        onSelect: ctx => pickPaymentMethod(ctx, 'card')
+      },
+      {
+        id: 'netbanking',
+        label: 'personal.payMethod.netbanking',
+        next: 'awaitPayment',
+        onSelect: ctx => pickPaymentMethod(ctx, 'netbanking')
+      }
+    ],
+    help: 'personal.payMethod.help'
+  },
+
+  // The gift goes out only once the gateway's webhook has confirmed the
+  // payment; "paid" checks, "retry" starts over after a failure or expiry
+  // and "back" picks another method
+  awaitPayment: {
+    prompt(ctx) {
+      const payment = currentPayment(ctx);
+      return ctx.t('personal.payment', {
+        method: ctx.t(`personal.payMethod.${payment.method}`),
+        amount: formatCurrencyInr(payment.amount, ctx.locale),
+        url: checkoutUrl(ctx, payment),
+        minutes: minutesLeft(payment)
+      });
+    },
+    ui: ctx => paymentUi(ctx, currentPayment(ctx)),
+    help: 'personal.payment.help',
+    transitions: ['completed'],
+    handle(ctx) {
+      // Any attempt for the gift may have been paid, not only the last one
+      const paid = ctx.services.payments.paid(ctx.data.giftRef);
+      if (paid) return deliveredGift(ctx, paid);
+      let payment = currentPayment(ctx);
+      if (RETRYABLE.includes(payment.status) && ctx.text === 'retry') {
+        payment = startPayment(ctx);
+        return {
+          reply: ctx.t('personal.payment.retry', {
+            url: checkoutUrl(ctx, payment),
+            minutes: minutesLeft(payment)
+          }),
+          ui: paymentUi(ctx, payment)
+        };
+      }
+      const ui = paymentUi(ctx, payment);
+      switch (payment.status) {
+        case 'failed':
+          return {
+            reply: ctx.t('personal.payment.failed', { reason: payment.error }),
+            ui
+          };
+        case 'expired':
+          return { reply: 'personal.payment.expired', ui };
+        case 'pending':
+          return { reply: 'personal.payment.pending', ui };
+        default:
+          return {
+            reply: ctx.t('personal.payment.waiting', {
+              url: checkoutUrl(ctx, payment)
+            }),
+            ui
+          };
+      }
+    }
+  },
+
+  completed: {
+    checkpoint: true,
+    transitions: ['idle'],
+    handle(ctx) {
+      // Allow restarting after completion
+      ctx.state.data = {};
+      return { goto: 'idle', reply: 'personal.completed' };
+    }
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const { SLOT_STAGES, fillAndAdvance } = require('../slots');
+
+// "Send ₹1500 to priya@x.com for her birthday" before choosing a buyer type
+// starts the personal flow with those details filled in
+function quickPersonalOrder(ctx) {
+  const result = fillAndAdvance(ctx);
+  if (result) ctx.data.buyerType = 'personal';
+  return result;
+}
+
+module.exports = {
+  idle: {
+    checkpoint: true,
+    prompt: 'start.idle',
+    fallback: 'start.idle'
+  },
+
+  // Awaiting explicit Start button click
+  awaitStart: {
+    checkpoint: true,
+    prompt: 'start.welcome',
+    ui: { kind: 'start' },
+    options: [
+      { id: 'start', label: 'start.option.buy', next: 'askBuyerType' },
+      { id: 'knowmore', label: 'start.option.knowMore' }
+    ],
+    transitions: ['askBuyerType', ...SLOT_STAGES],
+    fallback: 'start.fallback',
+    handle(ctx) {
+      const quick = quickPersonalOrder(ctx);
+      if (quick) return quick;
+      if (ctx.text.includes('buy') || ctx.text.includes('kharid')) {
+        return { goto: 'askBuyerType' };
+      }
+      if (
+        (ctx.option && ctx.option.id === 'knowmore') ||
+        ctx.text.includes('know')
+      ) {
+        // Provide more information and keep the user on the start step
+        return {
+          reply: 'start.knowMore',
+          ui: {
+            kind: 'start',
+            options: [{ id: 'start', label: 'start.option.buyCards' }]
+          }
+        };
+      }
+      return null;
+    }
+  },
+
+  // Buyer type selection
+  askBuyerType: {
+    prompt: 'start.buyerType',
+    ui: { kind: 'buyerTypeOptions' },
+    numbered: true,
+    transitions: SLOT_STAGES,
+    handle: quickPersonalOrder,
+    options: [
+      {
+        id: 'personal',
+        label: 'start.buyerType.personal',
+        aliases: ['self'],
+        next: 'askOccasion',
+        onSelect(ctx) {
+          ctx.data.buyerType = 'personal';
+        }
+      },
+      {
+        id: 'business',
+        label: 'start.buyerType.business',
+        next: 'bizOptions',
+        onSelect(ctx) {
+          ctx.data.buyerType = 'business';
+          // Kept when the user comes back here and picks business again
+          ctx.data.biz = ctx.data.biz || {};
+        }
+      }
+    ]
+  }
+};
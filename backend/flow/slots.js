@@ -0,0 +1,269 @@
+'use strict';
+
+const {
+  formatCurrencyInr,
+  formatDateTimeIst,
+  formatMobile,
+  toIstDate,
+  fromIst
+} = require('../lib/format');
+const {
+  normalizeMobile,
+  parseDeliveryDate,
+  parseTimeOfDay
+} = require('../lib/validators');
+const { extractEntities } = require('./extract');
+const { getTemplates, findTemplateById } = require('./templates');
+
+// Known occasions have a translated name ("occasion.thankyou" for
+// "thank you"); typed ones are shown as entered
+function displayOccasion(ctx, value) {
+  const key = `occasion.${String(value).replace(/\s+/g, '')}`;
+  const label = ctx.t(key);
+  return label === key ? value : label;
+}
+
+// Slots of the personal flow, in the order they are asked for. `entity` is
+// the extractEntities() key that can fill the slot from free text; `label`
+// is a message key. A slot without a stage is only filled from free text;
+// `or` names slots that answer the same question, and a new answer to one
+// of them replaces the others.
+const SLOTS = [
+  {
+    slot: 'occasion',
+    stage: 'askOccasion',
+    entity: 'occasions',
+    label: 'slot.occasion',
+    display: (value, ctx) => displayOccasion(ctx, value)
+  },
+  {
+    slot: 'templateId',
+    stage: 'askTemplate',
+    entity: 'templates',
+    label: 'slot.template',
+    display: id => (findTemplateById(id) || { label: id }).label
+  },
+  {
+    slot: 'amount',
+    stage: 'askAmount',
+    entity: 'amounts',
+    label: 'slot.amount',
+    display: (value, ctx) => formatCurrencyInr(value, ctx.locale)
+  },
+  {
+    slot: 'recipientEmail',
+    stage: 'askRecipientEmail',
+    entity: 'emails',
+    label: 'slot.recipientEmail',
+    or: ['recipientPhone']
+  },
+  {
+    slot: 'recipientPhone',
+    entity: 'phones',
+    label: 'slot.recipientPhone',
+    normalize: normalizeMobile,
+    display: formatMobile,
+    or: ['recipientEmail']
+  },
+  { slot: 'personalMessage', stage: 'askMessage' },
+  {
+    slot: 'deliveryDate',
+    stage: 'askDeliveryDate',
+    entity: 'dates',
+    label: 'slot.deliveryDate',
+    display: (value, ctx) => describeDelivery(ctx, value)
+  }
+];
+
+// Every stage slot filling can jump to
+const SLOT_STAGES = [
+  ...SLOTS.filter(s => s.stage).map(s => s.stage),
+  'askClarify',
+  'confirm'
+];
+
+// When a personal gift goes out: null for straight away. A date without a
+// time is sent at the scheduler's default time.
+function deliverySendAt(ctx, date = ctx.data.deliveryDate) {
+  if (!date || date === 'now') return null;
+  return fromIst(
+    date,
+    ctx.data.deliveryTime || ctx.services.scheduler.defaultTime
+  );
+}
+
+function describeDelivery(ctx, date) {
+  const sendAt = deliverySendAt(ctx, date);
+  return sendAt
+    ? formatDateTimeIst(sendAt, ctx.locale)
+    : ctx.t('personal.deliveryDate.now');
+}
+
+// How a business order's cards reach people, as the summary and the status
+// command show it. `order` is the ledger order or the chat's draft.
+function describeOrderDelivery(ctx, order) {
+  return order.delivery === 'direct'
+    ? ctx.t('biz.summary.delivery.direct', {
+        count: (order.recipients || []).length,
+        email: order.deliveryEmail
+      })
+    : ctx.t('biz.summary.delivery.bulk', { email: order.deliveryEmail });
+}
+
+/**
+ * A delivery date answer: "now", or one date (any form the extractor
+ * knows) with an optional time. A time alone means today. Dates in the past
+ * or beyond the scheduling window are refused with a message.
+ * @returns {{ now: true } | { date: string, time: string|null }
+ *   | { error: string|null }} error is null when no date was found
+ */
+function readDelivery(ctx, text = ctx.input) {
+  const parsed = parseDeliveryDate(text);
+  if (parsed.ok && parsed.kind === 'now') return { now: true };
+  const time = parseTimeOfDay(text);
+  const today = toIstDate(new Date());
+  let dates = parsed.ok ? [parsed.date] : extractEntities(text).dates;
+  if (dates.length === 0 && time) dates = [today];
+  if (dates.length === 0) return { error: null };
+  if (dates.length > 1) return { error: 'personal.deliveryDate.oneDate' };
+  const [date] = dates;
+  const { maxDaysAhead } = ctx.services.scheduler;
+  const last = toIstDate(Date.now() + maxDaysAhead * 24 * 60 * 60 * 1000);
+  if (date < today || (time && fromIst(date, time) <= new Date())) {
+    return { error: 'personal.deliveryDate.past' };
+  }
+  if (date > last) {
+    return {
+      error: ctx.t('personal.deliveryDate.tooFar', { days: maxDaysAhead })
+    };
+  }
+  return { date, time };
+}
+
+// "a@b.com, +91 98765 43210": everyone a personal gift goes to
+function describeRecipient(data) {
+  const phone = data.recipientPhone && formatMobile(data.recipientPhone);
+  return [data.recipientEmail, phone].filter(Boolean).join(', ');
+}
+
+function slotOf(name) {
+  return SLOTS.find(s => s.slot === name);
+}
+
+function display(slot, value, ctx) {
+  return slot.display ? slot.display(value, ctx) : String(value);
+}
+
+function answered(slot, data) {
+  return [slot.slot, ...(slot.or || [])].some(
+    name => data[name] !== undefined
+  );
+}
+
+function nextPersonalStage(data) {
+  const missing = SLOTS.find(s => s.stage && !answered(s, data));
+  return missing ? missing.stage : 'confirm';
+}
+
+/**
+ * Fill every slot the message mentions. A slot with one value is set
+ * (replacing an earlier answer); several values are queued on
+ * `data.pendingChoices` for askClarify.
+ * @returns {{ notice: string|null }|null} null when nothing was found
+ */
+function fillSlots(ctx) {
+  const data = ctx.data;
+  const found = extractEntities(ctx.input, { templates: getTemplates() });
+  const filled = [];
+  const choices = [];
+  // "tomorrow 6pm" also sets the time the gift goes out
+  const time = parseTimeOfDay(ctx.input);
+  if (time && found.dates.length === 1) data.deliveryTime = time;
+  const set = [];
+  for (const slot of SLOTS) {
+    let values = slot.entity ? found[slot.entity] : [];
+    if (slot.normalize) values = values.map(slot.normalize).filter(Boolean);
+    if (values.length === 1) {
+      data[slot.slot] = values[0];
+      set.push(slot);
+      filled.push(`${ctx.t(slot.label)}: ${display(slot, values[0], ctx)}`);
+    } else if (values.length > 1) {
+      choices.push({ slot: slot.slot, values });
+    }
+  }
+  // An email on its own replaces a mobile number given earlier, and the
+  // other way round; both in one message are both kept
+  for (const slot of set) {
+    for (const other of slot.or || []) {
+      if (!set.some(s => s.slot === other)) delete data[other];
+    }
+  }
+  if (filled.length === 0 && choices.length === 0) return null;
+  if (choices.length > 0) data.pendingChoices = choices;
+  // A single answer needs no recap; several are confirmed back to the user
+  return {
+    notice:
+      filled.length > 1
+        ? ctx.t('slot.noted', { details: filled.join(' · ') })
+        : null
+  };
+}
+
+// Move on to the first unanswered question (or an ambiguity to resolve)
+function advance(ctx, { notice } = {}) {
+  const data = ctx.data;
+  const goto =
+    data.pendingChoices && data.pendingChoices.length > 0
+      ? 'askClarify'
+      : nextPersonalStage(data);
+  return notice ? { goto, notice } : { goto };
+}
+
+// Free-text answer at any personal stage: fill what it mentions and advance
+function fillAndAdvance(ctx) {
+  const filled = fillSlots(ctx);
+  return filled ? advance(ctx, filled) : null;
+}
+
+function pendingChoice(data) {
+  const choice = (data.pendingChoices || [])[0];
+  return choice ? { ...choice, slot: slotOf(choice.slot) } : null;
+}
+
+function choiceOptions(choice, ctx) {
+  return choice.values.map(v => ({
+    id: String(v),
+    label: display(choice.slot, v, ctx)
+  }));
+}
+
+// The user's pick for a pending choice: the value itself or its position
+function matchChoice(choice, ctx) {
+  const byValue = choice.values.find(v => {
+    const text = ctx.text.replace(/[₹,\s]/g, '');
+    return String(v).toLowerCase() === text;
+  });
+  if (byValue !== undefined) return byValue;
+  if (/^\d+$/.test(ctx.text)) {
+    const byIndex = choice.values[parseInt(ctx.text, 10) - 1];
+    if (byIndex !== undefined) return byIndex;
+  }
+  return undefined;
+}
+
+module.exports = {
+  SLOT_STAGES,
+  displayOccasion,
+  describeRecipient,
+  deliverySendAt,
+  describeDelivery,
+  describeOrderDelivery,
+  readDelivery,
+  nextPersonalStage,
+  fillSlots,
+  advance,
+  fillAndAdvance,
+  pendingChoice,
+  choiceOptions,
+  matchChoice
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+// Gift card designs offered in the personal flow
+function getTemplates() {
+  return [
+    { id: 't1', label: 'Happy Birthday', imageUrl: '/happy-bday.png' },
+    { id: 't2', label: 'Diwali', imageUrl: '/diwali.png' },
+    { id: 't3', label: 'Raksha Bandhan', imageUrl: '/rakshabandhan.png' },
+    { id: 't4', label: 'Sorry/Thank You', imageUrl: '/Sorry.png' }
+  ];
+}
+
+function findTemplateById(templateId) {
+  const t = getTemplates().find(x => x.id === templateId);
+  return t || null;
+}
+
+module.exports = { getTemplates, findTemplateById };
@@ -0,0 +1,53 @@
+'use strict';
+
+const { isValidCode, normalizeCode } = require('./codes');
+
+// A verified business account is its GSTIN; an email stands in until one is
+// known. Anyone else is counted as whoever asks: an IP address or a
+// WhatsApp number (`requester`).
+function accountKey({ gstin, email, requester }) {
+  if (gstin) return `gstin:${String(gstin).trim().toUpperCase()}`;
+  if (email) return `email:${String(email).trim().toLowerCase()}`;
+  if (requester) return String(requester);
+  return null;
+}
+
+/**
+ * Balance checks shared by chat and `GET /giftcards/:code/balance`. Every
+ * well-formed lookup counts against the account's daily limit, found or
+ * not, so the limit also caps guessing. Callers only name a GSTIN or email
+ * that was verified; one the user merely typed would let them pick a fresh
+ * limit each time.
+ * @param {{ giftcards: ReturnType<import('./store').createCardStore>, limiter: ReturnType<import('../lib/dailyLimit').createDailyLimiter> }} deps
+ */
+function createBalanceChecker({ giftcards, limiter }) {
+  return {
+    limit: limiter.limit,
+
+    /**
+     * @param {string} code
+     * @param {{ gstin?: string, email?: string, requester?: string }} account
+     * @returns {{ status: 'ok', card: object, remaining: number }
+     *   | { status: 'noAccount'|'invalid'|'limited' }
+     *   | { status: 'notFound', last4: string, remaining: number }}
+     */
+    check(code, account) {
+      const key = accountKey(account || {});
+      if (!key) return { status: 'noAccount' };
+      if (!isValidCode(code)) return { status: 'invalid' };
+      const { allowed, remaining } = limiter.take(key);
+      if (!allowed) return { status: 'limited' };
+      const card = giftcards.find(code);
+      if (!card) {
+        return {
+          status: 'notFound',
+          last4: normalizeCode(code).slice(-4),
+          remaining
+        };
+      }
+      return { status: 'ok', card, remaining };
+    }
+  };
+}
+
+module.exports = { createBalanceChecker };
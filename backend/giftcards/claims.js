@@ -0,0 +1,140 @@
+'use strict';
+
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { formatCurrencyInr, formatDateIst } = require('../lib/format');
+
+/**
+ * @typedef {Object} Claim
+ * @property {string} ref          request ID or personal gift reference
+ * @property {string} code
+ * @property {string} pin
+ * @property {number} denomination
+ * @property {string} expiresAt
+ * @property {string} occasion
+ * @property {string} message
+ * @property {string} createdAt
+ * @property {string|null} openedAt  first time the link was opened
+ */
+
+/**
+ * Short claim links for cards sent by SMS, where the code and PIN cannot
+ * go in the message itself. Only the link's token unlocks a card: the
+ * store keeps a keyed hash of it and the code and PIN encrypted under a key
+ * derived from it.
+ * @param {{ file: string, secret: string }} options
+ */
+function createClaimStore({ file, secret }) {
+  const state = readJson(file, { claims: {} });
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  const derive = (purpose, token) =>
+    crypto.createHmac('sha256', secret).update(`${purpose}:${token}`).digest();
+  const idOf = token => derive('id', token).toString('hex');
+
+  return {
+    /**
+     * @param {string} ref
+     * @param {import('./issuers').IssuedCode} issued
+     * @param {{ occasion?: string, message?: string }} [details]
+     * @returns {string} the token for `/c/<token>`
+     */
+    create(ref, issued, { occasion = '', message = '' } = {}) {
+      const token = crypto.randomBytes(8).toString('base64url');
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(
+        'aes-256-gcm',
+        derive('key', token),
+        iv
+      );
+      const sealed = Buffer.concat([
+        cipher.update(JSON.stringify({ code: issued.code, pin: issued.pin })),
+        cipher.final()
+      ]);
+      state.claims[idOf(token)] = {
+        ref,
+        denomination: issued.denomination,
+        expiresAt: issued.expiresAt,
+        occasion,
+        message,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        sealed: sealed.toString('base64'),
+        createdAt: new Date().toISOString(),
+        openedAt: null
+      };
+      save();
+      return token;
+    },
+
+    /**
+     * The card behind a claim link, or null for an unknown token.
+     * @returns {Claim|null}
+     */
+    open(token) {
+      if (typeof token !== 'string' || !/^[\w-]{8,32}$/.test(token)) {
+        return null;
+      }
+      const entry = state.claims[idOf(token)];
+      if (!entry) return null;
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        derive('key', token),
+        Buffer.from(entry.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      const { code, pin } = JSON.parse(
+        Buffer.concat([
+          decipher.update(Buffer.from(entry.sealed, 'base64')),
+          decipher.final()
+        ]).toString('utf8')
+      );
+      if (!entry.openedAt) {
+        entry.openedAt = new Date().toISOString();
+        save();
+      }
+      const { iv, tag, sealed, ...details } = entry;
+      return { ...details, code, pin };
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The page a claim link opens. English, like the SMS that carries it.
+ * @param {Claim} claim
+ * @returns {string}
+ */
+function renderClaimPage(claim) {
+  const rows = [
+    ['Card number', claim.code],
+    ['PIN', claim.pin],
+    ['Value', formatCurrencyInr(claim.denomination, 'en')],
+    ['Valid till', formatDateIst(claim.expiresAt, 'en')]
+  ]
+    .map(
+      ([label, value]) =>
+        `<tr><td style="padding:4px 12px 4px 0;color:#555">${label}</td><td><strong>${escapeHtml(
+          value
+        )}</strong></td></tr>`
+    )
+    .join('');
+  const note = claim.message
+    ? `<p>Their message: "${escapeHtml(claim.message)}"</p>`
+    : '';
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Your Amazon Pay gift card</title></head><body style="font-family:Arial,sans-serif;font-size:15px;color:#111;max-width:480px;margin:24px auto;padding:0 16px"><h2>Your Amazon Pay gift card</h2><p>Someone has sent you an Amazon Pay gift card${
+    claim.occasion ? ` for ${escapeHtml(claim.occasion)}` : ''
+  }.</p>${note}<table>${rows}</table><p style="color:#555">Keep the card number and PIN private; anyone who has them can spend the balance.</p></body></html>`;
+}
+
+module.exports = { createClaimStore, renderClaimPage };
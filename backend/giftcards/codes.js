@@ -0,0 +1,78 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Card numbers are 16 digits, printed in groups of four; the last digit is a
+// Luhn check digit so mistyped codes are caught before any lookup
+const CODE_LENGTH = 16;
+const PIN_LENGTH = 6;
+
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '');
+}
+
+function luhnDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidCode(code) {
+  const digits = normalizeCode(code);
+  if (!new RegExp(`^\\d{${CODE_LENGTH}}$`).test(digits)) return false;
+  return luhnDigit(digits.slice(0, -1)) === digits.slice(-1);
+}
+
+function randomDigits(count) {
+  let out = '';
+  while (out.length < count) out += crypto.randomInt(0, 10);
+  return out;
+}
+
+function generateCode() {
+  const body = randomDigits(CODE_LENGTH - 1);
+  return formatCode(body + luhnDigit(body));
+}
+
+function generatePin() {
+  return randomDigits(PIN_LENGTH);
+}
+
+function formatCode(code) {
+  return normalizeCode(code).match(/.{1,4}/g).join('-');
+}
+
+// Only the last 4 digits are ever shown once a card is issued
+function maskCode(last4) {
+  return `XXXX-XXXX-XXXX-${last4}`;
+}
+
+/**
+ * Keyed hashes: the card store keeps these instead of codes and PINs, so
+ * its file is useless without the secret.
+ */
+function createHasher(secret) {
+  const hmac = value =>
+    crypto.createHmac('sha256', secret).update(value).digest('hex');
+  return {
+    code: code => hmac(normalizeCode(code)),
+    pin: (code, pin) => hmac(`${normalizeCode(code)}:${pin}`)
+  };
+}
+
+module.exports = {
+  normalizeCode,
+  isValidCode,
+  generateCode,
+  generatePin,
+  formatCode,
+  maskCode,
+  createHasher
+};
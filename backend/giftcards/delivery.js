@@ -0,0 +1,115 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { formatDateIst } = require('../lib/format');
+const { createZip } = require('../lib/zip');
+const { renderXlsx } = require('../lib/xlsx');
+
+// Printed next to each card; a custom occasion is the buyer's own message
+const OCCASION_MESSAGES = {
+  thankyou: 'Thank you for all your hard work!',
+  performer: 'Congratulations, Best Performer!',
+  festivities: 'Happy Festivities!'
+};
+
+const COLUMNS = [
+  'S.No',
+  'Card Number',
+  'PIN',
+  'Denomination (INR)',
+  'Expiry Date',
+  'Occasion Message'
+];
+
+// No look-alike characters, so the password survives being read out or
+// retyped from an SMS
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+const PASSWORD_LENGTH = 12;
+
+function generatePassword() {
+  let out = '';
+  for (let i = 0; i < PASSWORD_LENGTH; i += 1) {
+    out += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+  }
+  return out;
+}
+
+function occasionMessage(occasion) {
+  return OCCASION_MESSAGES[occasion] || occasion || '';
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+function csvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function deliveryRows(order, codes) {
+  const message = occasionMessage(order.occasion);
+  return codes.map((card, index) => [
+    index + 1,
+    card.code,
+    card.pin,
+    card.denomination,
+    formatDateIst(card.expiresAt, 'en'),
+    message
+  ]);
+}
+
+/**
+ * Per-order delivery files: a CSV and an XLSX of every card, zipped with
+ * AES-256 under a one-time password. The password is returned to the
+ * caller and never stored, so a kept file is useless on its own.
+ * @param {{ dir: string }} options
+ */
+function createDeliveryFiles({ dir }) {
+  const fileOf = requestId => path.join(dir, `${requestId}.zip`);
+
+  return {
+    /**
+     * @param {import('../orders/ledger').Order} order
+     * @param {import('./issuers').IssuedCode[]} codes   in clear, from issuance
+     * @returns {{ password: string }}
+     */
+    build(order, codes) {
+      const rows = deliveryRows(order, codes);
+      const csv = [COLUMNS, ...rows]
+        .map(row => row.map(csvCell).join(','))
+        .join('\r\n');
+      const base = `GiftCards_${order.requestId}`;
+      const password = generatePassword();
+      const zip = createZip(
+        [
+          // BOM so Excel reads the CSV as UTF-8
+          { name: `${base}.csv`, data: `\uFEFF${csv}\r\n` },
+          {
+            name: `${base}.xlsx`,
+            data: renderXlsx([COLUMNS, ...rows], { sheetName: 'Gift Cards' })
+          }
+        ],
+        { password }
+      );
+      fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${fileOf(order.requestId)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, zip);
+      fs.renameSync(tmp, fileOf(order.requestId));
+      return { password };
+    },
+
+    has: requestId => fs.existsSync(fileOf(requestId)),
+
+    read(requestId) {
+      try {
+        return fs.readFileSync(fileOf(requestId));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    }
+  };
+}
+
+module.exports = { createDeliveryFiles };
@@ -0,0 +1,137 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { toIstDate } = require('../lib/format');
+const {
+  isValidCode,
+  generateCode,
+  generatePin,
+  formatCode
+} = require('./codes');
+
+/**
+ * @typedef {{ code: string, pin: string, denomination: number, expiresAt: string }} IssuedCode
+ *   `expiresAt` is the last valid day (IST), "YYYY-MM-DD"
+ *
+ * @typedef {Object} CardIssuer
+ * @property {string} name
+ * @property {(units: number[], now: Date) => IssuedCode[]} draw
+ *   one code per denomination in `units`, all or nothing
+ * @property {() => Object<string, number>|null} stock
+ *   cards left per denomination; null when supply is unlimited
+ */
+
+function issuerError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function addMonths(now, months) {
+  const date = new Date(now);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return toIstDate(date);
+}
+
+function countBy(units) {
+  const counts = {};
+  for (const unit of units) counts[unit] = (counts[unit] || 0) + 1;
+  return counts;
+}
+
+// Generates fresh codes for any denomination; for development and demos
+function createMockIssuer({ validityMonths }) {
+  return {
+    name: 'mock',
+    draw(units, now) {
+      const expiresAt = addMonths(now, validityMonths);
+      return units.map(denomination => ({
+        code: generateCode(),
+        pin: generatePin(),
+        denomination,
+        expiresAt
+      }));
+    },
+    stock: () => null
+  };
+}
+
+/**
+ * Hands out pre-loaded codes from a JSON file:
+ * `{ "cards": [{ "code", "pin", "denomination", "expiresAt" }] }`.
+ * Drawn codes leave the pool for good. Entries with a bad check digit are
+ * never handed out.
+ */
+function createInventoryIssuer({ inventoryFile }) {
+  const pool = readJson(inventoryFile, { cards: [] });
+  const invalid = pool.cards.filter(card => !isValidCode(card.code));
+  if (invalid.length > 0) {
+    console.warn(
+      `Gift card inventory: skipping ${invalid.length} code(s) that fail the check digit`
+    );
+  }
+
+  function available(denomination, today) {
+    return pool.cards.filter(
+      card =>
+        card.denomination === denomination &&
+        card.expiresAt >= today &&
+        isValidCode(card.code)
+    );
+  }
+
+  return {
+    name: 'inventory',
+    draw(units, now) {
+      const today = toIstDate(now);
+      const picked = [];
+      for (const [denomination, count] of Object.entries(countBy(units))) {
+        const cards = available(Number(denomination), today);
+        if (cards.length < count) {
+          throw issuerError(
+            `Only ${cards.length} card(s) of ${denomination} in stock, ${count} needed`,
+            'OUT_OF_STOCK'
+          );
+        }
+        // Soonest expiry first, so older stock goes out before it lapses
+        cards.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+        picked.push(...cards.slice(0, count));
+      }
+      pool.cards = pool.cards.filter(card => !picked.includes(card));
+      writeJsonAtomic(inventoryFile, pool);
+      return picked.map(card => ({
+        code: formatCode(card.code),
+        pin: String(card.pin),
+        denomination: card.denomination,
+        expiresAt: card.expiresAt
+      }));
+    },
+    stock() {
+      const today = toIstDate(new Date());
+      const counts = {};
+      for (const card of pool.cards) {
+        if (card.expiresAt >= today && isValidCode(card.code)) {
+          counts[card.denomination] = (counts[card.denomination] || 0) + 1;
+        }
+      }
+      return counts;
+    }
+  };
+}
+
+/**
+ * @param {{ issuer: string, inventoryFile: string, validityMonths: number }} options
+ * @returns {CardIssuer}
+ */
+function createIssuer(options) {
+  switch (options.issuer) {
+    case 'mock':
+      return createMockIssuer(options);
+    case 'inventory':
+      return createInventoryIssuer(options);
+    default:
+      throw new Error(`Unknown gift card issuer "${options.issuer}"`);
+  }
+}
+
+module.exports = { createIssuer };
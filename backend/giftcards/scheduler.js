@@ -0,0 +1,239 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+
+/**
+ * @typedef {Object} Gift
+ * @property {number} amount
+ * @property {string} occasion
+ * @property {string} templateId
+ * @property {string} [recipientEmail]
+ * @property {string} [recipientPhone]  +91XXXXXXXXXX, sent a claim link by SMS
+ * @property {string} personalMessage
+ *
+ * @typedef {Object} ScheduledGift
+ * @property {string} ref            personal gift reference (PG-…)
+ * @property {'unpaid'|'pending'|'sent'|'cancelled'} status
+ * @property {string|null} sendAt    ISO instant; null for an unpaid gift
+ *   that goes out as soon as it is paid
+ * @property {string} [paidBy]       the payment attempt that paid for it
+ * @property {Gift} gift
+ * @property {string} createdAt
+ * @property {string|null} sentAt
+ * @property {number} attempts       failed sends so far
+ * @property {string|null} lastError
+ * @property {object|null} result    what dispatch returned, e.g. the card
+ */
+
+function scheduleError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Personal gifts and when they go out, kept in a JSON file so pending
+ * deliveries survive a restart. A gift is held unpaid while the sender
+ * pays, and released by the payment's capture. `runDue()` is called by a
+ * timer in the server; it also catches up on anything that fell due while
+ * it was down. A failed send stays pending and is tried again on the next
+ * run.
+ * @param {{ file: string, dispatch: (ref: string, gift: Gift) => object, defaultTime: string, maxDaysAhead: number }} options
+ */
+function createGiftScheduler({ file, dispatch, defaultTime, maxDaysAhead }) {
+  const state = readJson(file, { gifts: {} });
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  function mustGetPending(ref) {
+    const entry = state.gifts[ref];
+    if (!entry) {
+      throw scheduleError('Scheduled gift not found', 'DELIVERY_NOT_FOUND');
+    }
+    if (entry.status !== 'pending') {
+      throw scheduleError(
+        `Gift is already ${entry.status}`,
+        'DELIVERY_NOT_PENDING'
+      );
+    }
+    return entry;
+  }
+
+  function newEntry(ref, gift, sendAt) {
+    return {
+      ref,
+      status: 'pending',
+      sendAt: sendAt ? sendAt.toISOString() : null,
+      gift,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      attempts: 0,
+      lastError: null,
+      result: null
+    };
+  }
+
+  function markSent(entry, result) {
+    entry.status = 'sent';
+    entry.sentAt = new Date().toISOString();
+    entry.lastError = null;
+    entry.result = result || null;
+    state.gifts[entry.ref] = entry;
+    save();
+    return entry;
+  }
+
+  function send(entry) {
+    let result;
+    try {
+      result = dispatch(entry.ref, entry.gift);
+    } catch (err) {
+      entry.attempts += 1;
+      entry.lastError = err.code || err.message;
+      save();
+      throw err;
+    }
+    return markSent(entry, result);
+  }
+
+  return {
+    defaultTime,
+    maxDaysAhead,
+
+    /** @returns {ScheduledGift|null} */
+    get(ref) {
+      return state.gifts[ref] || null;
+    },
+
+    /**
+     * Pending gifts among `refs`, soonest first.
+     * @param {string[]} refs
+     * @returns {ScheduledGift[]}
+     */
+    pending(refs) {
+      return refs
+        .map(ref => state.gifts[ref])
+        .filter(entry => entry && entry.status === 'pending')
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+    },
+
+    /**
+     * Book a gift for `sendAt`. Booking a reference twice returns the
+     * first booking.
+     * @param {string} ref
+     * @param {Gift} gift
+     * @param {Date} sendAt
+     * @returns {ScheduledGift}
+     */
+    schedule(ref, gift, sendAt) {
+      if (state.gifts[ref]) return state.gifts[ref];
+      state.gifts[ref] = newEntry(ref, gift, sendAt);
+      save();
+      return state.gifts[ref];
+    },
+
+    /**
+     * Hold a gift until it is paid for, to go out at `sendAt` (null: as
+     * soon as it is paid). Holding it again while unpaid replaces the
+     * details; once paid, the first hold stands.
+     * @param {string} ref
+     * @param {Gift} gift
+     * @param {Date|null} sendAt
+     * @returns {ScheduledGift}
+     */
+    hold(ref, gift, sendAt) {
+      const existing = state.gifts[ref];
+      if (existing && existing.status !== 'unpaid') return existing;
+      state.gifts[ref] = { ...newEntry(ref, gift, sendAt), status: 'unpaid' };
+      save();
+      return state.gifts[ref];
+    },
+
+    /**
+     * A held gift is paid for: book it for its date, or send it now when
+     * that has come. A failed send stays pending for `runDue()`. Releasing
+     * twice changes nothing.
+     * @param {string} ref
+     * @param {{ paymentId: string, amount: number }} payment
+     * @returns {ScheduledGift}
+     */
+    release(ref, { paymentId, amount }) {
+      const entry = state.gifts[ref];
+      if (!entry) {
+        throw scheduleError('Scheduled gift not found', 'DELIVERY_NOT_FOUND');
+      }
+      if (entry.status !== 'unpaid') return entry;
+      entry.status = 'pending';
+      entry.paidBy = paymentId;
+      // What was paid for is what is sent
+      entry.gift.amount = amount;
+      entry.sendAt = entry.sendAt || new Date().toISOString();
+      save();
+      if (new Date(entry.sendAt) <= new Date()) {
+        try {
+          send(entry);
+        } catch (err) {
+          console.error(`Paid gift ${ref} not sent yet:`, err.message);
+        }
+      }
+      return entry;
+    },
+
+    /**
+     * Send a gift straight away: a new one, or a pending booking brought
+     * forward. Dispatch errors are thrown; a new gift is then not kept.
+     * @param {string} ref
+     * @param {Gift} [gift] needed when `ref` is not booked yet
+     * @returns {ScheduledGift}
+     */
+    sendNow(ref, gift) {
+      const existing = state.gifts[ref];
+      if (existing && existing.status === 'sent') return existing;
+      if (existing) return send(mustGetPending(ref));
+      const entry = newEntry(ref, gift, new Date());
+      return markSent(entry, dispatch(ref, gift));
+    },
+
+    /** @returns {ScheduledGift} */
+    reschedule(ref, sendAt) {
+      const entry = mustGetPending(ref);
+      entry.sendAt = sendAt.toISOString();
+      save();
+      return entry;
+    },
+
+    /** @returns {ScheduledGift} */
+    cancel(ref) {
+      const entry = mustGetPending(ref);
+      entry.status = 'cancelled';
+      entry.cancelledAt = new Date().toISOString();
+      save();
+      return entry;
+    },
+
+    /**
+     * Send every pending gift whose time has come.
+     * @returns {{ sent: number, failed: number }}
+     */
+    runDue(now = new Date()) {
+      const due = Object.values(state.gifts).filter(
+        entry =>
+          entry.status === 'pending' && new Date(entry.sendAt) <= now
+      );
+      let sent = 0;
+      for (const entry of due) {
+        try {
+          send(entry);
+          sent += 1;
+        } catch (err) {
+          console.error(`Scheduled gift ${entry.ref} not sent:`, err.message);
+        }
+      }
+      return { sent, failed: due.length - sent };
+    }
+  };
+}
+
+module.exports = { createGiftScheduler };
@@ -0,0 +1,63 @@
+'use strict';
+
+const { formatDateIst } = require('../lib/format');
+
+/**
+ * @typedef {Object} Recipient
+ * @property {string} [email]
+ * @property {string} [phone]  +91XXXXXXXXXX
+ */
+
+/**
+ * Sends a newly issued card to the person it is for: the code and PIN by
+ * email, and a claim link by SMS. Both go through their queues, so a
+ * recipient with an email and a mobile number gets both.
+ * @param {{ mailer: ReturnType<import('../mail/mailer').createMailer>, sms: ReturnType<import('../sms/sender').createSmsSender>, claims: ReturnType<import('./claims').createClaimStore>, linkBase: string }} options
+ */
+function createGiftSender({ mailer, sms, claims, linkBase }) {
+  return {
+    /**
+     * @param {string} ref  request ID or personal gift reference
+     * @param {Recipient} recipient
+     * @param {import('./issuers').IssuedCode} issued
+     * @param {{ occasion?: string, message?: string }} [details]
+     * @returns {{ mailId: string|null, smsId: string|null }}
+     */
+    send(ref, recipient, issued, { occasion = '', message = '' } = {}) {
+      let mailId = null;
+      let smsId = null;
+      if (recipient.email) {
+        mailId = mailer.send({
+          template: 'giftCard',
+          to: recipient.email,
+          ref,
+          data: {
+            amount: issued.denomination,
+            occasion,
+            message,
+            code: issued.code,
+            pin: issued.pin,
+            expiresAt: issued.expiresAt
+          }
+        }).id;
+      }
+      if (recipient.phone) {
+        const token = claims.create(ref, issued, { occasion, message });
+        smsId = sms.send({
+          template: 'giftCard',
+          to: recipient.phone,
+          ref,
+          data: {
+            amount: issued.denomination,
+            occasion: occasion ? ` for ${occasion}` : '',
+            url: `${linkBase}/c/${token}`,
+            expiry: formatDateIst(issued.expiresAt, 'en')
+          }
+        }).id;
+      }
+      return { mailId, smsId };
+    }
+  };
+}
+
+module.exports = { createGiftSender };
@@ -0,0 +1,402 @@
+'use strict';
+
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { toIstDate } = require('../lib/format');
+const { maskCode, normalizeCode, createHasher } = require('./codes');
+
+/**
+ * @typedef {Object} GiftCard
+ * @property {string} last4
+ * @property {string} masked        XXXX-XXXX-XXXX-1234
+ * @property {number} denomination
+ * @property {number} balance
+ * @property {'active'|'redeemed'|'expired'|'blocked'} status
+ * @property {string} expiresAt     last valid day (IST), YYYY-MM-DD
+ * @property {string} issuedAt
+ * @property {string} orderRef      request ID, or the personal gift reference
+ *
+ * @typedef {Object} CardMovement
+ * @property {string} id
+ * @property {'redeem'|'reverse'|'block'} type
+ * @property {number} amount        0 for a block
+ * @property {number} balance       card balance after the movement
+ * @property {string} at
+ * @property {string} [merchantRef]
+ * @property {string} [redemptionId]  the redemption a reversal refunds
+ * @property {string} [reason]        why a card was blocked
+ */
+
+function cardError(message, code, extra) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+// Wrong PINs in a row before a card stops taking PINs for a while, so a
+// 6-digit PIN cannot be guessed through the redemption API
+const PIN_ATTEMPTS = 5;
+const PIN_LOCK_MS = 30 * 60 * 1000;
+
+// Amounts are rupees with at most 2 decimals; arithmetic runs in paise
+const toPaise = amount => Math.round(amount * 100);
+const toRupees = paise => paise / 100;
+
+function checkAmount(amount) {
+  if (
+    typeof amount !== 'number' ||
+    !Number.isFinite(amount) ||
+    amount <= 0 ||
+    Math.abs(amount * 100 - toPaise(amount)) > 1e-6
+  ) {
+    throw cardError(
+      'amount must be a positive number of rupees with at most 2 decimals',
+      'INVALID_AMOUNT'
+    );
+  }
+}
+
+// Expiry is not written back: a card is expired from the day after its
+// last valid day, whatever its stored status says
+function statusOf(card, now = new Date()) {
+  if (card.status === 'active' && toIstDate(now) > card.expiresAt) {
+    return 'expired';
+  }
+  return card.status;
+}
+
+function toPublicCard(card) {
+  return {
+    last4: card.last4,
+    masked: maskCode(card.last4),
+    denomination: card.denomination,
+    balance: card.balance,
+    status: statusOf(card),
+    expiresAt: card.expiresAt,
+    issuedAt: card.issuedAt,
+    orderRef: card.orderRef
+  };
+}
+
+/**
+ * Issued gift cards, kept in a JSON file keyed by a hash of the code. Codes
+ * and PINs are only ever returned in clear by the call that issues them.
+ * @param {{ file: string, secret: string, lowStockThreshold: number, issuer: import('./issuers').CardIssuer, onLowStock?: (alert: { denomination: number, remaining: number }) => void }} options
+ */
+function createCardStore({
+  file,
+  secret,
+  issuer,
+  lowStockThreshold,
+  onLowStock = ({ denomination, remaining }) =>
+    console.warn(
+      `Gift card stock low: ${remaining} card(s) of ${denomination} left`
+    )
+}) {
+  const state = readJson(file, { cards: {}, orders: {} });
+  state.idempotency = state.idempotency || {};
+  const hash = createHasher(secret);
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  function mustGet(code) {
+    const key = hash.code(code);
+    const card = state.cards[key];
+    if (!card) throw cardError('Gift card not found', 'CARD_NOT_FOUND');
+    card.history = card.history || [];
+    return { key, card };
+  }
+
+  // Movements recorded before keys were kept out of them lose theirs here
+  function cardView(card) {
+    const history = (card.history || []).map(
+      ({ idempotencyKey, ...movement }) => movement
+    );
+    return { ...toPublicCard(card), history };
+  }
+
+  /**
+   * Run a balance movement once per idempotency key. Retrying with the same
+   * key and request returns the first result; a different request under a
+   * used key is refused.
+   */
+  function once(code, type, request, apply) {
+    const { idempotencyKey } = request;
+    if (typeof idempotencyKey !== 'string' || !idempotencyKey.trim()) {
+      throw cardError(
+        'An idempotency key is required',
+        'IDEMPOTENCY_KEY_REQUIRED'
+      );
+    }
+    const { key, card } = mustGet(code);
+    const slot = `${key}:${idempotencyKey}`;
+    const fingerprint = JSON.stringify([
+      type,
+      request.amount,
+      request.merchantRef || null,
+      request.redemptionId || null
+    ]);
+    const seen = state.idempotency[slot];
+    if (seen) {
+      if (seen.fingerprint !== fingerprint) {
+        throw cardError(
+          'This idempotency key was used for a different request',
+          'IDEMPOTENCY_CONFLICT'
+        );
+      }
+      const movement = card.history.find(m => m.id === seen.movementId);
+      return { replayed: true, movement, card: cardView(card) };
+    }
+    // The key stays in the slot map: movements are shown to anyone who
+    // checks the card's balance
+    const movement = apply(card);
+    card.history.push(movement);
+    state.idempotency[slot] = { fingerprint, movementId: movement.id };
+    save();
+    return { replayed: false, movement, card: cardView(card) };
+  }
+
+  function newMovement(type, card, fields) {
+    return {
+      id: `mv_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      ...fields,
+      balance: card.balance,
+      at: new Date().toISOString()
+    };
+  }
+
+  function lowStock() {
+    const stock = issuer.stock();
+    if (!stock) return [];
+    return Object.entries(stock)
+      .filter(([, remaining]) => remaining < lowStockThreshold)
+      .map(([denomination, remaining]) => ({
+        denomination: Number(denomination),
+        remaining
+      }));
+  }
+
+  function samePin(card, code, pin) {
+    const given = Buffer.from(hash.pin(code, String(pin)), 'hex');
+    const stored = Buffer.from(card.pinHash || '', 'hex');
+    return (
+      given.length === stored.length && crypto.timingSafeEqual(given, stored)
+    );
+  }
+
+  return {
+    /**
+     * Issue one card per unit of `lines`. Issuance is idempotent per
+     * `orderRef`: later calls return the same cards, without codes.
+     * @param {string} orderRef
+     * @param {{ denomination: number, count: number }[]} lines
+     * @returns {{ created: boolean, cards: GiftCard[], codes: import('./issuers').IssuedCode[]|null }}
+     */
+    issue(orderRef, lines) {
+      const existing = state.orders[orderRef];
+      if (existing) {
+        return {
+          created: false,
+          cards: existing.map(key => toPublicCard(state.cards[key])),
+          codes: null
+        };
+      }
+      const units = lines.flatMap(line =>
+        Array(line.count).fill(line.denomination)
+      );
+      const now = new Date();
+      const codes = issuer.draw(units, now);
+      const keys = codes.map(issued => {
+        const key = hash.code(issued.code);
+        state.cards[key] = {
+          last4: normalizeCode(issued.code).slice(-4),
+          pinHash: hash.pin(issued.code, issued.pin),
+          denomination: issued.denomination,
+          balance: issued.denomination,
+          currency: 'INR',
+          status: 'active',
+          expiresAt: issued.expiresAt,
+          issuedAt: now.toISOString(),
+          orderRef,
+          source: issuer.name
+        };
+        return key;
+      });
+      state.orders[orderRef] = keys;
+      save();
+
+      const drawn = new Set(units);
+      for (const alert of lowStock()) {
+        if (drawn.has(alert.denomination)) onLowStock(alert);
+      }
+      return {
+        created: true,
+        cards: keys.map(key => toPublicCard(state.cards[key])),
+        codes
+      };
+    },
+
+    /**
+     * Cards issued for `orderRef`, in issuance order; none before it is.
+     * @param {string} orderRef
+     * @returns {GiftCard[]}
+     */
+    cardsOf(orderRef) {
+      return (state.orders[orderRef] || []).map(key =>
+        toPublicCard(state.cards[key])
+      );
+    },
+
+    /**
+     * A card and its movements, looked up by its code.
+     * @returns {(GiftCard & { history: CardMovement[] })|null}
+     */
+    find(code) {
+      const card = state.cards[hash.code(code)];
+      return card ? cardView(card) : null;
+    },
+
+    /**
+     * Check the PIN given with a card before anything is done to it. An
+     * unknown card reads as a wrong PIN. After `PIN_ATTEMPTS` wrong ones in
+     * a row the card refuses PINs for `PIN_LOCK_MS`.
+     * @param {string} code
+     * @param {string} pin
+     */
+    checkPin(code, pin, now = new Date()) {
+      const card = state.cards[hash.code(code)];
+      const wrong = () =>
+        cardError('Wrong gift card number or PIN', 'INVALID_PIN');
+      if (!card) throw wrong();
+      if (card.pinLockedUntil && now < new Date(card.pinLockedUntil)) {
+        throw cardError('Too many wrong PINs for this card', 'PIN_LOCKED', {
+          retryAt: card.pinLockedUntil
+        });
+      }
+      if (!samePin(card, code, pin)) {
+        card.pinFailures = (card.pinFailures || 0) + 1;
+        if (card.pinFailures >= PIN_ATTEMPTS) {
+          card.pinFailures = 0;
+          card.pinLockedUntil = new Date(
+            now.getTime() + PIN_LOCK_MS
+          ).toISOString();
+        }
+        save();
+        throw wrong();
+      }
+      if (card.pinFailures || card.pinLockedUntil) {
+        delete card.pinFailures;
+        delete card.pinLockedUntil;
+        save();
+      }
+    },
+
+    /**
+     * Take `amount` off the balance; partial redemptions leave the rest on
+     * the card.
+     * @param {string} code
+     * @param {{ amount: number, merchantRef?: string, idempotencyKey: string }} request
+     */
+    redeem(code, request) {
+      return once(code, 'redeem', request, card => {
+        checkAmount(request.amount);
+        const status = statusOf(card);
+        if (status === 'blocked' || status === 'expired') {
+          throw cardError(
+            `Gift card is ${status}`,
+            `CARD_${status.toUpperCase()}`
+          );
+        }
+        const balance = toPaise(card.balance);
+        if (toPaise(request.amount) > balance) {
+          throw cardError(
+            'Amount exceeds the card balance',
+            'INSUFFICIENT_BALANCE',
+            { balance: card.balance }
+          );
+        }
+        card.balance = toRupees(balance - toPaise(request.amount));
+        if (card.balance === 0) card.status = 'redeemed';
+        return newMovement('redeem', card, {
+          amount: request.amount,
+          merchantRef: request.merchantRef || null
+        });
+      });
+    },
+
+    /**
+     * Put a redemption back on the card, in full or in part, for a refund.
+     * Reversals of one redemption never add up to more than it took.
+     * @param {string} code
+     * @param {{ redemptionId: string, amount?: number, merchantRef?: string, idempotencyKey: string }} request
+     */
+    reverse(code, request) {
+      return once(code, 'reverse', request, card => {
+        const redemption = card.history.find(
+          m => m.id === request.redemptionId && m.type === 'redeem'
+        );
+        if (!redemption) {
+          throw cardError(
+            'Redemption not found on this card',
+            'REDEMPTION_NOT_FOUND'
+          );
+        }
+        const reversed = card.history
+          .filter(m => m.type === 'reverse' && m.redemptionId === redemption.id)
+          .reduce((sum, m) => sum + toPaise(m.amount), 0);
+        const left = toPaise(redemption.amount) - reversed;
+        const amount =
+          request.amount === undefined ? toRupees(left) : request.amount;
+        checkAmount(amount);
+        if (toPaise(amount) > left) {
+          throw cardError(
+            'Amount exceeds what is left to reverse on this redemption',
+            'REVERSAL_EXCEEDS_REDEMPTION',
+            { reversible: toRupees(left) }
+          );
+        }
+        card.balance = toRupees(toPaise(card.balance) + toPaise(amount));
+        // A blocked card keeps its block; the refund waits on it
+        if (card.status === 'redeemed') card.status = 'active';
+        return newMovement('reverse', card, {
+          amount,
+          redemptionId: redemption.id,
+          merchantRef: request.merchantRef || redemption.merchantRef
+        });
+      });
+    },
+
+    /**
+     * Stop a lost or stolen card. The balance is kept; blocking twice is
+     * a no-op.
+     * @param {string} code
+     * @param {{ reason?: string }} [request]
+     */
+    block(code, { reason } = {}) {
+      const { card } = mustGet(code);
+      if (card.status !== 'blocked') {
+        card.status = 'blocked';
+        card.history.push(
+          newMovement('block', card, { amount: 0, reason: reason || null })
+        );
+        save();
+      }
+      return { card: cardView(card) };
+    },
+
+    // Stock left with the issuer, for operations
+    inventory() {
+      return {
+        issuer: issuer.name,
+        lowStockThreshold,
+        stock: issuer.stock(),
+        low: lowStock()
+      };
+    }
+  };
+}
+
+module.exports = { createCardStore, statusOf, toPublicCard };
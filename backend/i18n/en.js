@@ -0,0 +1,504 @@
+'use strict';
+
+// English catalog. Every other locale must have the same keys and the same
+// {placeholders}; run `npm run check:i18n` after editing.
+
+module.exports = {
+  'common.yes': 'Yes',
+  'common.none': '(none)',
+  'common.proceed': 'Proceed',
+  'common.whatNext': 'What next?',
+
+  'engine.fallback':
+    'Hi! Looks like you have replied with a message that we don’t recognize. Please select the correct option to continue.',
+  'engine.continue': "Okay, let's continue.",
+  'engine.confirm.title': 'Please confirm',
+  'engine.confirm.no': 'No, continue',
+  'engine.actionUnavailable': '"{action}" is not available at this step',
+  'form.fixErrors': 'Please correct the highlighted fields and try again.',
+  'server.error': 'Something went wrong. Please try again.',
+  'whatsapp.unsupported':
+    'Sorry, we can only read text messages and button taps. Please type your reply or tap an option.',
+  'whatsapp.choose': 'Please choose an option.',
+  'whatsapp.menu': 'Options',
+  'whatsapp.more': 'More options',
+  'channel.confirm': 'Confirm',
+  'channel.cancel': 'Cancel',
+  'channel.deliveryEmail.keep': 'Use this email',
+  'channel.payment.check': 'Check payment status',
+  'channel.payment.retry': 'Try again',
+  'channel.payment.qr': 'Scan to pay with any UPI app',
+  'channel.menu.hint': 'Reply with a number, or type your answer.',
+  'channel.form.fullName': 'What is your full name?',
+  'channel.form.company': "What is your company's registered name?",
+  'channel.form.phone': 'Your mobile number?',
+  'channel.form.email': 'Your official email address?',
+  'channel.form.gstin': "Your company's GSTIN (15 characters)?",
+  'channel.form.bankAccount':
+    'The company bank account number you will pay from?',
+  'channel.form.ifsc': 'The IFSC code of that account?',
+  'channel.form.lines':
+    'Line {n}: send the card value and the number of cards, e.g. 500 x 10.',
+  'channel.form.lines.more':
+    'Line {n}: send another, e.g. 1000 x 5, or "done" to finish.',
+  'channel.form.lines.added': 'Added {count} card(s) of {denomination}.',
+  'channel.form.lines.invalid':
+    'Please send the card value and the number of cards, e.g. 500 x 10.',
+  'channel.form.lines.empty': 'Add at least one line first, e.g. 500 x 10.',
+  'channel.field.fullName': 'Full name',
+  'channel.field.company': 'Company',
+  'channel.field.phone': 'Phone',
+  'channel.field.email': 'Email',
+  'channel.field.gstin': 'GSTIN',
+  'channel.field.bankAccount': 'Bank account',
+  'channel.field.ifsc': 'IFSC',
+  'channel.field.lines': 'Order line',
+
+  'command.hint':
+    'You can type "back", "restart", "status", "help", "language" or "cancel" at any time.',
+  'command.confirmDiscard':
+    'This will discard your current order. Are you sure you want to start over?',
+  'command.back.none': "There's no previous step to go back to from here.",
+  'command.status.none':
+    "You don't have an order in progress. Say 'hi' to start one.",
+  'command.status.personal': '📝 Your gift card so far:',
+  'command.status.order': '📋 Request {requestId}: {status}',
+  'command.status.verified': '📋 Business verified, order not started yet',
+  'command.status.net': '• Net Payable: {net}',
+  'command.status.delivery': '• Delivery: {delivery}',
+  'command.status.payment': '• Payment: {method}',
+  'command.help.options': 'Choose one of: {labels}.',
+  'command.help.default': 'Reply to the question above to continue.',
+  'command.cancel.done': "Cancelled. Say 'hi' to start again.",
+  'command.cancel.order':
+    "Request {requestId} has been cancelled. Say 'hi' to start again.",
+  'command.cancel.paid':
+    "Request {requestId} is already paid, so it stays active. For a refund please contact 1800 123456. Say 'hi' to start again.",
+  'command.cancel.giftPaid':
+    "Gift card {ref} is already paid for, so it will still be sent. For a refund please contact 1800 123456. Say 'hi' to start again.",
+
+  'language.prompt': 'Which language would you like to chat in?',
+  'language.title': 'Choose language',
+  'language.changed': '✅ Language changed to English.',
+  'language.en': 'English',
+  'language.hi': 'हिन्दी (Hindi)',
+  'language.hinglish': 'Hinglish',
+
+  'validation.required': 'Required',
+  'validation.invalid': 'Invalid value',
+  'validation.maxLength': 'Must be at most {max} characters',
+  'validation.wholeNumber': 'Must be a whole number',
+  'validation.min': 'Must be at least {min}',
+  'validation.max': 'Must be at most {max}',
+  'validation.minItems': 'Add at least one item',
+  'validation.maxItems': 'At most {max} items are allowed',
+  'validation.fullName.required': 'Full name is required',
+  'validation.company.required': 'Company name is required',
+  'validation.phone': 'Enter valid phone (10-15 digits)',
+  'validation.officialEmail': 'Enter a valid official email',
+  'validation.gstin': 'Enter a valid 15-char GSTIN',
+  'validation.gstin.unverified':
+    'Cannot verify. GSTIN looks invalid. Please enter correct details.',
+  'validation.bankAccount': 'Account number must be 8-20 digits',
+  'validation.ifsc': 'Enter a valid IFSC (e.g., HDFC0001234)',
+  'validation.utr':
+    'Enter the UTR of your transfer (12-22 letters and digits, e.g. HDFCN52024101912345678)',
+  'validation.lines.required': 'Add at least one denomination',
+  'validation.email': 'Enter a valid email address',
+  'validation.mobile': 'Enter a valid Indian mobile number',
+  'validation.recipient.required': 'Add a mobile number or an email',
+  'validation.recipients.required': 'Add at least one recipient',
+  'validation.templateId': 'Pick one of the templates',
+
+  'pricing.maxLines': 'At most {max} denominations per order',
+  'pricing.minDenomination': 'Minimum denomination is {amount}',
+  'pricing.maxDenomination': 'Maximum denomination is {amount}',
+  'pricing.minCount': 'Count must be at least 1',
+  'pricing.maxOrderValue':
+    'Orders above {amount} require special handling. Please contact customer care: 180001 234567',
+  'pricing.quoteLine':
+    '• {count} gift cards @ {denomination} each = {subtotal}',
+
+  'order.status.draft': 'Draft',
+  'order.status.pi_issued': 'PI issued',
+  'order.status.po_received': 'PO received',
+  'order.status.payment_pending': 'Payment pending',
+  'order.status.paid': 'Paid',
+  'order.status.issued': 'Gift cards issued',
+  'order.status.cancelled': 'Cancelled',
+  'order.status.refunded': 'Refunded',
+
+  'giftcards.status.active': 'Active',
+  'giftcards.status.redeemed': 'Fully redeemed',
+  'giftcards.status.expired': 'Expired',
+  'giftcards.status.blocked': 'Blocked',
+  'giftcards.balance.usage':
+    'To check a card, type "check gc" followed by the 16-digit card number.',
+  'giftcards.balance.identify':
+    "Balance checks count against your business account, and yours isn't verified yet. Please verify your business and try again.",
+  'giftcards.balance.invalid':
+    "That isn't a valid gift card number. Please check the 16 digits and try again.",
+  'giftcards.balance.limit':
+    "⚠️ You've reached today's limit of {limit} balance checks for your account. Please try again tomorrow, or contact 0124-6236000.",
+  'giftcards.balance.notFound': 'No gift card found ending in {last4}.',
+  'giftcards.balance.card': '💳 Gift Card {card}',
+  'giftcards.balance.status': '• Status: {status}',
+  'giftcards.balance.amount': '• Balance: {balance} of {denomination}',
+  'giftcards.balance.expiry': '• Valid till: {date}',
+  'giftcards.balance.history': '• Card history:\n{history}',
+  'giftcards.balance.noHistory': '• Not redeemed yet',
+  'giftcards.balance.remaining': 'Balance checks left today: {remaining}',
+  'giftcards.movement.redeem': '  – {date}: {amount} redeemed (ref {ref})',
+  'giftcards.movement.reverse': '  – {date}: {amount} reversed (ref {ref})',
+  'giftcards.movement.block': '  – {date}: card blocked',
+
+  'deliveries.none': 'You have no scheduled gift cards waiting to go out.',
+  'deliveries.title': '🗓️ Scheduled gift cards:',
+  'deliveries.item': '- {ref}: {amount} to {to} on {when}',
+  'deliveries.hint':
+    "Say 'reschedule {ref} to friday 6pm', 'reschedule {ref} now' or 'cancel delivery {ref}'.",
+  'deliveries.pick':
+    "Which gift card do you mean? Include its reference, e.g. 'cancel delivery PG-…'. Say 'my deliveries' to see them.",
+  'deliveries.notFound': 'No scheduled gift card found with reference {ref}.',
+  'deliveries.already.sent': 'Gift card {ref} has already been sent.',
+  'deliveries.already.cancelled': 'Gift card {ref} was cancelled.',
+  'deliveries.already.unpaid': 'Gift card {ref} has not been paid for yet.',
+  'deliveries.reschedule.usage':
+    "Tell me the new date, e.g. 'reschedule to 2026-12-05 6pm', or 'now'.",
+  'deliveries.rescheduled': '✅ Gift card {ref} now goes out on {when}.',
+  'deliveries.sentNow': '🎉 Gift card {ref} ({card}) has been sent to {to}.',
+  'deliveries.cancelled':
+    '❌ Gift card {ref} to {to} is cancelled and will not be sent.',
+  'deliveries.cancel.paid':
+    "Gift card {ref} is already paid for, so it can't be cancelled here. You can still reschedule it; for a refund please contact 1800 123456.",
+
+  'start.idle': "Please say 'hi' to begin.",
+  'start.welcome':
+    '👋 Welcome to Amazon Pay Gift Cards – powered by Pine Labs!\nFreedom of choice, easy to use, and loved by everyone.\n\n✅ Buy instantly for business or personal use\n🎁 Simple gifting for employees, clients, family & friends\n\n👉 Ready to get started?',
+  'start.knowMore':
+    '🎁 Amazon Pay Gift Cards - Everything You Need to Know\n\n✨ Key Features:\n• Accepted across millions of products on Amazon.in\n• Flexible denominations starting from ₹10\n• Business-friendly: GST invoice, discounts, and CSV delivery\n• Instant delivery and secure processing\n \n🔗Learn more: https://www.amazon.in/gift-card-store/\n\n✅ Ready to begin?',
+  'start.option.buy': '🛒 Buy Gift Card',
+  'start.option.buyCards': '🛒 Buy Gift Cards',
+  'start.option.knowMore': 'ℹ️ Know More',
+  'start.fallback': 'Tap a button to begin: Buy a Gift Card or Know More',
+  'start.buyerType':
+    "✨ Great! Tell us who you're buying for:\n\n1️⃣ Myself / Friends & Family\n2️⃣ My Business (Employees / Clients)\n\n ",
+  'start.buyerType.personal': '1️⃣ Myself / Friends & Family',
+  'start.buyerType.business': '2️⃣ My Business (Employees / Clients)',
+
+  'occasion.birthday': 'Birthday',
+  'occasion.thankyou': 'Thank You',
+  'occasion.diwali': 'Diwali',
+  'occasion.rakshabandhan': 'Raksha Bandhan',
+  'occasion.anniversary': 'Anniversary',
+  'occasion.wedding': 'Wedding',
+  'occasion.holi': 'Holi',
+  'occasion.christmas': 'Christmas',
+  'occasion.newyear': 'New Year',
+  'occasion.congratulations': 'Congratulations',
+  'occasion.sorry': 'Sorry',
+
+  'slot.occasion': 'Occasion',
+  'slot.template': 'Template',
+  'slot.amount': 'Amount',
+  'slot.recipientEmail': 'Recipient email',
+  'slot.recipientPhone': 'Recipient mobile',
+  'slot.deliveryDate': 'Delivery date',
+  'slot.noted': '✅ Noted – {details}',
+
+  'personal.occasion': 'For what occasion you want to buy a gift card?',
+  'personal.occasion.other': 'Other (custom)',
+  'personal.occasionCustom': 'Please enter the occasion.',
+  'personal.template': 'Choose a gift card template.',
+  'personal.template.help':
+    'Tap one of the template images, or type its code (t1–t4).',
+  'personal.template.unknown': 'Unknown template',
+  'personal.amount': 'Select the amount or enter a custom amount.',
+  'personal.amount.help':
+    'Pick one of the amounts or type any amount in rupees, e.g. 750.',
+  'personal.amount.custom': 'Enter amount',
+  'personal.recipientEmail':
+    "Who would you like to send it to? Enter the recipient's email id or mobile number (we send a claim link by SMS), or both.",
+  'personal.recipientEmail.help':
+    'Type the email address or 10-digit Indian mobile number the gift card should be sent to.',
+  'personal.recipientEmail.invalid':
+    'Please provide a valid email address or Indian mobile number.',
+  'personal.message': 'Please enter your gift card message.',
+  'personal.message.help': 'Type a short message to print on the gift card.',
+  'personal.deliveryDate':
+    "When should the gift card reach the recipient? Say 'now', or a date like 'tomorrow', '15/08' or 2026-12-01. Add a time such as 6:30 pm if you like; otherwise it goes out at {time} IST.",
+  'personal.deliveryDate.now': 'Now',
+  'personal.deliveryDate.tomorrow': 'Tomorrow',
+  'personal.deliveryDate.help':
+    "Say 'now' to send it straight away, or give a date and an optional time (IST), e.g. 'friday 6pm'.",
+  'personal.deliveryDate.invalid':
+    "Please say 'now' or give a date, e.g. 'tomorrow' or 2026-12-01.",
+  'personal.deliveryDate.oneDate': 'Please give just one delivery date.',
+  'personal.deliveryDate.past': 'That time has already passed. Please pick a later one.',
+  'personal.deliveryDate.tooFar':
+    'Gift cards can be scheduled up to {days} days ahead. Please pick an earlier date.',
+  'personal.clarify': 'I found more than one {slot}. Which one did you mean?',
+  'personal.clarify.none':
+    'Nothing left to clarify. Type anything to continue.',
+  'personal.clarify.title': 'Choose {slot}',
+  'personal.clarify.fallback': 'Please pick one of the options above.',
+  'personal.clarify.help': 'Tap the value you meant, or type it.',
+  'personal.confirm.intro': 'Here are the gift card details you have selected:',
+  'personal.confirm.review':
+    'Review and confirm to place the order, or cancel to restart.',
+  'personal.confirm.help':
+    'Type "confirm" to go on to payment or "back" to change something.',
+  'personal.confirm.fallback': 'Please review and confirm to proceed.',
+  'personal.detail.occasion': '- Occasion: {value}',
+  'personal.detail.template': '- Template: {value}',
+  'personal.detail.amount': '- Amount: {value}',
+  'personal.detail.recipient': '- Recipient: {value}',
+  'personal.detail.message': '- Message: {value}',
+  'personal.detail.delivery': '- Delivery: {value}',
+  'personal.success': '🎉 Success! Your gift card is on its way to the recipient.',
+  'personal.success.card': 'Gift card: {card} ({amount}, valid till {expiry})',
+  'personal.outOfStock':
+    'Sorry, {amount} gift cards are out of stock right now. Type "back" to pick another amount.',
+  'personal.payMethod': '💳 How would you like to pay {amount}?',
+  'personal.payMethod.title': 'Choose a payment method',
+  'personal.payMethod.upi': 'UPI',
+  'personal.payMethod.card': 'Debit / Credit Card',
+  'personal.payMethod.netbanking': 'Netbanking',
+  'personal.payMethod.help':
+    'Pick UPI, card or netbanking. The gift card is sent once your payment is confirmed.',
+  'personal.payment':
+    'Pay {amount} by {method} here: {url}\nThe link is valid for {minutes} min. Your gift card goes out as soon as the payment is confirmed; type "paid" once you have paid.',
+  'personal.payment.title': 'Complete Payment',
+  'personal.payment.payNow': 'Pay now',
+  'personal.payment.help':
+    'Pay on the payment page, then type "paid". Type "retry" for a new link after a failed or expired payment, or "back" to choose another method.',
+  'personal.payment.waiting':
+    '⏳ We have not received a confirmation for this payment yet. Complete it here: {url}\nThen type "paid" again.',
+  'personal.payment.pending':
+    '⏳ Your payment is still being processed. We will send the gift card as soon as it is confirmed; type "paid" to check again.',
+  'personal.payment.failed':
+    '❌ The payment did not go through: {reason}\nNo money was taken. Type "retry" to pay again, or "back" to choose another method.',
+  'personal.payment.expired':
+    '⌛ This payment link has expired and nothing was charged. Type "retry" for a new link, or "back" to choose another method.',
+  'personal.payment.retry':
+    '🔁 Here is a new payment link, valid for {minutes} min: {url}\nType "paid" once you have paid.',
+  'personal.payment.outOfStock':
+    'Your payment is received, but {amount} gift cards ran out just now. Our team will send the card or refund you shortly. Reference: {ref}',
+  'personal.scheduled':
+    '🗓️ Scheduled! The gift card goes out on {when}. Reference: {ref}',
+  'personal.scheduled.manage':
+    "Say 'my deliveries' any time before then to view, reschedule or cancel it.",
+  'personal.success.details': 'Details:',
+  'personal.completed': "Say 'hi' to start a new gift card.",
+
+  'biz.options':
+    '✨ How can we help you today?\n\n1️⃣ Purchase Gift Cards for my business\n2️⃣ View past orders\n3️⃣ Back',
+  'biz.options.title': 'Business Options',
+  'biz.options.purchase': '1️⃣ Purchase Gift Cards for my business',
+  'biz.options.reports': '2️⃣ View past orders',
+  'biz.options.back': '3️⃣ Back',
+  'biz.verification':
+    '👍 Great! To get you started, please share a few quick details.',
+  'biz.verification.help':
+    'Fill in the verification form: your name, company, phone, official email, GSTIN and the company bank account with its IFSC. The GSTIN and bank account must belong to the same company.',
+  'biz.verification.failed':
+    '❌ Verification Failed: Account & GST must belong to the same company. Please retry.',
+  'biz.verification.done':
+    "✅ Verification Complete! You qualify for 1% discount. Now let's customize your gift card order.",
+  'biz.occasion': 'Choose an occasion:',
+  'biz.occasion.title': 'Pick an Occasion',
+  'biz.occasion.thankyou': '1️⃣ Thank You',
+  'biz.occasion.performer': '2️⃣ Best Performer',
+  'biz.occasion.festivities': '3️⃣ Happy Festivities',
+  'biz.occasion.custom': '4️⃣ Custom message',
+  'biz.occasionCustom':
+    'Please enter your custom message (up to 60 characters):',
+  'biz.occasionCustom.invalid':
+    'Please enter a custom message (up to 60 characters):',
+  'biz.orderDetails': '💰 Please enter denomination and quantity.',
+  'biz.orderDetails.help':
+    'Add up to 5 denominations between ₹10 and ₹10,000 with a card count for each; the order total can be up to ₹3,00,000. You can also type e.g. "150 cards x ₹100".',
+  'biz.orderDetails.format':
+    'Please provide order details in the format: "150 cards x ₹100 each" or "₹15,000"',
+  'biz.deliveryMethod':
+    'How should the gift cards be delivered?\n1️⃣ Bulk file: one encrypted CSV/Excel file for you to hand out\n2️⃣ Direct SMS & Email: we send each card to its recipient',
+  'biz.deliveryMethod.title': 'Delivery method',
+  'biz.deliveryMethod.bulk': 'Bulk File',
+  'biz.deliveryMethod.direct': 'Direct SMS & Email',
+  'biz.deliveryMethod.help':
+    'Pick "Bulk File" to get all the cards in one file, or "Direct SMS & Email" to give us a mobile number or email for each card.',
+  'biz.deliveryMethod.tooMany':
+    'Direct delivery is available for up to {max} cards; this order has {count}. Please choose Bulk File.',
+  'biz.recipients':
+    'Send us the {count} recipient(s), one per line (or separated by ";"), each with a mobile number, an email or both. Cards go to them in order. For example:\n9876543210, asha@example.com\nravi@example.com',
+  'biz.recipients.help':
+    'Each recipient needs a 10-digit Indian mobile number (they get a claim link by SMS), an email (they get the card number and PIN), or both.',
+  'biz.recipients.invalid':
+    'Entries {entries} have no valid mobile number or email. Please send the list again.',
+  'biz.recipients.count':
+    'This order has {expected} card(s), but {count} recipient(s) were given. Please send exactly one recipient per card.',
+  'biz.deliveryEmail':
+    '📧 Confirm your delivery email: {email}\n👉 You can edit if needed.',
+  'biz.deliveryEmail.help':
+    'Type "confirm" to use your verified email, or type another email address for the gift card file.',
+  'biz.deliveryEmail.edit': 'Please enter your delivery email:',
+  'biz.summary':
+    "Here's a quick summary of your request:\n\n{lines}\n• Business Discount ({discountPercent}%): –{discount}\n• Net Payable: {net}\n• Delivery: {delivery}\n• Platform Fee: Waived\n\n👉 Would you like us to generate a Proforma Invoice (PI)?",
+  'biz.summary.delivery.bulk': 'CSV to {email}',
+  'biz.summary.delivery.direct':
+    'SMS & email to {count} recipient(s); CSV copy to {email}',
+  'biz.summary.title': 'Order Summary',
+  'biz.summary.sharePi': '1️⃣ Yes, share PI',
+  'biz.summary.edit': '2️⃣ Edit order',
+  'biz.summary.editing': "Let's update your requirements. Choose an occasion:",
+  'biz.summary.fallback': 'Please choose:\n1️⃣ Yes, share PI\n2️⃣ Edit order',
+  'biz.pi':
+    '📑 PI generated → Request ID: {requestId}\n• Value: {net} (after discount)\n• Validity: 7 working days\n📧 Sent to: {email}\n📄 Download PI: {url}',
+  'biz.pi.title': 'Proforma Invoice Generated',
+  'biz.pi.help':
+    'Choose Proceed to pick a payment method. If your company raises a purchase order first, type "PO uploaded" once it is shared.',
+  'biz.pi.poNoted':
+    '📄 Purchase order noted. Choose Proceed to pick a payment method.',
+  'biz.paymentMethod':
+    '💳 Payment Instructions\n\nPlease review the following before proceeding:\n\n• Verify all details in your Proforma Invoice (PI) for accuracy\n• Bank transfers must be initiated from the same GST-registered company account used during verification\n• Credit Card payments are processed securely\n• UPI payments are made by scanning a QR code in any UPI app\n\n💳 Payment Options (quick replies):',
+  'biz.paymentMethod.title': 'Select Payment Method',
+  'biz.paymentMethod.netbanking': 'Netbanking',
+  'biz.paymentMethod.credit': 'Credit Card',
+  'biz.paymentMethod.upi': 'UPI',
+  'biz.paymentMethod.neft': 'NEFT / RTGS bank transfer',
+  'biz.payment':
+    'You selected: {method}\n\nPay {amount} securely here: {url}\n\nOnce the payment gateway confirms your payment, your gift cards will be processed and delivered. Type "paid" when you are done.',
+  'biz.payment.title': 'Complete Payment',
+  'biz.payment.help':
+    'Pay on the payment page, then type "paid". Your order moves ahead once the payment gateway confirms the payment. Bank transfers must come from the verified company account.',
+  'biz.payment.payNow': 'Pay now',
+  'biz.payment.waiting':
+    '⏳ We have not received a confirmation for this payment yet. Complete it here: {url}\nThen type "paid" again.',
+  'biz.payment.expired':
+    '⌛ This payment link has expired and nothing was charged. Type "retry" for a new link, or "back" to choose another method.',
+  'biz.payment.pending':
+    '⏳ Your bank is still processing the payment. We will continue as soon as it confirms; type "paid" to check again.',
+  'biz.payment.failed':
+    '❌ The payment did not go through: {reason}\nNo money was taken. Type "retry" to pay again, or "back" to choose another method.',
+  'biz.payment.retry':
+    '🔁 Here is a new payment link: {url}\nType "paid" once you have paid.',
+  'biz.transfer':
+    '🏦 Transfer {amount} by NEFT or RTGS to:\n• Account name: {accountName}\n• Account number: {accountNumber}\n• IFSC: {ifsc}\n• Bank: {bankName}\n\nQuote {reference} as the payment reference, and send it from your verified company account ({account}). Then type the UTR number of the transfer here.',
+  'biz.transfer.title': 'Pay by Bank Transfer',
+  'biz.transfer.submit': 'Submit UTR',
+  'biz.transfer.help':
+    'Send the transfer from the company account you verified, then type its UTR (the reference your bank gives for the transfer). We match it against our bank statement; type "paid" to check whether it has arrived.',
+  'biz.transfer.fallback':
+    'Please type the UTR number of your transfer (e.g. HDFCN52024101912345678), or "paid" to check its status.',
+  'biz.transfer.askUtr':
+    'We have not found your transfer yet. Please type its UTR number so we can match it.',
+  'biz.transfer.utrNoted':
+    '✅ UTR {utr} noted. Your order moves ahead as soon as the transfer shows on our bank statement, usually within a working day. Type "paid" to check.',
+  'biz.transfer.waiting':
+    '⏳ The transfer with UTR {utr} has not reached our bank statement yet. Type "paid" to check again later.',
+  'biz.transfer.short':
+    '⚠️ We have received {received} so far. Please transfer the balance of {balance} with the same reference and send its UTR.',
+  'biz.transfer.wrongAccount':
+    '⚠️ Your transfer came from an account other than the one verified for your company. Our team will contact you to sort it out.',
+  'biz.transfer.review':
+    "⏳ We've received a transfer for this order, but the bank statement doesn't show which account it came from. Our team will confirm it and update you.",
+  'biz.transfer.utrInUse':
+    'This UTR is already recorded against another order. Please check the number.',
+  'biz.issued':
+    '✅ Payment received. GST Invoice sent to your email & available here: [Download Invoice]',
+  'biz.issued.ready':
+    '🎉 Your Amazon Pay Gift Cards are ready!\n\n• Bulk CSV file sent to: {email}\n• Cards issued: {count} worth {value}\n• First card: {card} ({amount}, valid till {expiry})\n\n✅ GST Invoice also sent to your email → [Download Invoice]',
+  'biz.issued.password':
+    '🔐 The card files (CSV and Excel) are in an encrypted ZIP. Its password was sent by SMS to {phone}, never with the file, so keep it safe. The download link expires in {hours} hours; get a new one any time from Reports → "Download past delivery reports".',
+  'biz.issued.direct':
+    '📲 Each of the {count} card(s) is on its way to its recipient by SMS and/or email.',
+  'biz.issued.outOfStock':
+    '⏳ Some denominations are out of stock right now. Your payment is safe: we will issue the cards and email them as soon as stock arrives. Type "continue" to check again.',
+  'biz.download.title': 'Downloads',
+  'biz.download.invoiceTitle': 'Invoice',
+  'biz.download.gstInvoiceTitle': 'GST Invoice',
+  'biz.download.invoice': 'Download Invoice (PDF)',
+  'biz.download.reportTitle': 'Delivery Report',
+  'biz.download.report': 'Download Cards (ZIP)',
+  'biz.download.gstInvoice': 'GST Invoice (PDF)',
+  'biz.download.gcDelivery': 'GC Delivery (encrypted ZIP)',
+  'biz.final':
+    "✅ Order complete!\n\nWe'd love to hear your feedback to make this even smoother.",
+  'biz.final.title': 'After-Sales & Feedback',
+  'biz.final.help':
+    'Type "check gc <card number>" to check a card, "offers" for festive offers, or share feedback.',
+  'biz.final.feedback': '🌟 Share Feedback',
+  'biz.final.offers':
+    'Great! Early-bird offers for Diwali 2025 are available. Our team will reach out with details.',
+  'biz.feedback':
+    "We'd love your feedback. Please rate 1-5 and share any comments.",
+  'biz.feedback.comments': 'Thanks! Please share any comments (optional).',
+  'biz.feedback.thanks': '🙏 Thanks for your feedback!',
+  'biz.feedback.offers': '🎁 Explore Festive Offers',
+  'biz.reports':
+    'How can we help you?\n\n1️⃣ Download past order invoices\n2️⃣ Download past delivery reports (CSV)\n3️⃣ Back\n\nFor further support contact: 1800 123456',
+  'biz.reports.title': 'Reports & Queries',
+  'biz.reports.invoices': '1️⃣ Download past order invoices',
+  'biz.reports.delivery': '2️⃣ Download past delivery reports (CSV)',
+  'biz.report.noInvoices':
+    'No invoiced orders found for your account in the last 12 months.',
+  'biz.report.invoices':
+    '✅ Invoices for orders placed in last 12 months ({count})\n{orders}\n📥 Download here → [Download Invoice]',
+  'biz.report.delivery.title': '✅ Delivery Report for Request ID {requestId}',
+  'biz.report.delivery.status': '• Status: {status}',
+  'biz.report.delivery.cards': '• Cards: {count}',
+  'biz.report.delivery.net': '• Net Value: {net}',
+  'biz.report.delivery.email': '• Delivery Email: {email}',
+  'biz.report.delivery.history': '• History:\n{history}',
+  'biz.report.delivery.emails': '• Emails:\n{emails}',
+  'biz.report.delivery.emailLine': '  – {document} to {to}: {status} ({date})',
+  'biz.report.delivery.direct':
+    '• Sent to {count} recipient(s): SMS {sms}; email {email}',
+  'mail.template.giftCard': 'Gift card',
+  'mail.template.proformaInvoice': 'Proforma invoice',
+  'mail.template.taxInvoice': 'Tax invoice',
+  'mail.template.deliveryReport': 'Gift card file',
+  'mail.template.otp': 'Verification code',
+  'mail.status.queued': 'queued',
+  'mail.status.sent': 'sent',
+  'mail.status.bounced': 'bounced',
+  'sms.status.queued': 'queued',
+  'sms.status.sent': 'sent',
+  'sms.status.failed': 'failed',
+  'biz.report.delivery.notIssued':
+    'Cards for this request have not been issued yet.',
+  'biz.report.delivery.download':
+    '📥 Download securely → [Download Report]\nThe link works for {hours} hours. Open the ZIP with the password shared when the cards were issued.',
+  'biz.report.delivery.unavailable':
+    'No delivery file is on record for this request. Please contact support at 1800 123456.',
+  'biz.reportIdentify':
+    'Please share the registered email and GSTIN used for your orders (e.g. "finance@acme.com 29ABCDE1234F1Z5").',
+  'biz.reportIdentify.help':
+    'Type the email and GSTIN your orders were placed with, in one message.',
+  'biz.reportIdentify.invalid':
+    'We need both your registered email and your 15-character GSTIN to find your orders.',
+  'biz.reportCode':
+    'Please type the 6-digit code we emailed you, or "resend" for a new one.',
+  'biz.reportCode.help':
+    'Check the inbox of the email your orders were placed with. The code works for 10 minutes.',
+  'biz.reportCode.sent':
+    '📧 If orders were placed with {email} and that GSTIN, we have emailed a 6-digit code there. Please type it here to see them.',
+  'biz.reportCode.wrong':
+    'That code is not right. You have {left} attempt(s) left.',
+  'biz.reportCode.expired':
+    'That code has expired. Type "resend" for a new one.',
+  'biz.reportCode.locked':
+    'Too many wrong codes. Please share your registered email and GSTIN again for a new code.',
+  'biz.reportDelivery':
+    'Please enter your Request ID to fetch the delivery report.',
+  'biz.reportDelivery.help':
+    'Your Request ID looks like GC2627-000001 and is shown on the Proforma Invoice.',
+  'biz.reportDelivery.notFound':
+    'No order found with Request ID {requestId} for your account. Please check the ID and try again.',
+  'biz.reportComplete':
+    "That's it for now! Would you like to go back to:\n1️⃣ Purchase Gift Cards\n2️⃣ Exit\n\n ",
+  'biz.reportComplete.purchase': '1️⃣ Purchase Gift Cards',
+  'biz.reportComplete.exit': '2️⃣ Exit',
+  'biz.reportComplete.bye':
+    'Thank you for using Amazon Pay Gift Cards! Say "hi" to start again.'
+};
@@ -0,0 +1,498 @@
+'use strict';
+
+// Hindi (Devanagari) catalog; keys mirror en.js
+
+module.exports = {
+  'common.yes': 'हाँ',
+  'common.none': '(कोई नहीं)',
+  'common.proceed': 'आगे बढ़ें',
+  'common.whatNext': 'आगे क्या?',
+
+  'engine.fallback':
+    'नमस्ते! आपका जवाब हमें समझ नहीं आया। आगे बढ़ने के लिए कृपया सही विकल्प चुनें।',
+  'engine.continue': 'ठीक है, आगे बढ़ते हैं।',
+  'engine.confirm.title': 'कृपया पुष्टि करें',
+  'engine.confirm.no': 'नहीं, जारी रखें',
+  'engine.actionUnavailable': 'इस चरण पर "{action}" उपलब्ध नहीं है',
+  'form.fixErrors': 'कृपया चिह्नित फ़ील्ड ठीक करें और फिर से कोशिश करें।',
+  'server.error': 'कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+  'whatsapp.unsupported':
+    'माफ़ कीजिए, हम केवल टेक्स्ट संदेश और बटन टैप पढ़ सकते हैं। कृपया अपना जवाब टाइप करें या कोई विकल्प टैप करें।',
+  'whatsapp.choose': 'कृपया एक विकल्प चुनें।',
+  'whatsapp.menu': 'विकल्प',
+  'whatsapp.more': 'और विकल्प',
+  'channel.confirm': 'पुष्टि करें',
+  'channel.cancel': 'रद्द करें',
+  'channel.deliveryEmail.keep': 'यही ईमेल इस्तेमाल करें',
+  'channel.payment.check': 'भुगतान की स्थिति देखें',
+  'channel.payment.retry': 'फिर से कोशिश करें',
+  'channel.payment.qr': 'किसी भी UPI ऐप से स्कैन करके भुगतान करें',
+  'channel.menu.hint': 'कोई नंबर भेजें, या अपना जवाब लिखें।',
+  'channel.form.fullName': 'आपका पूरा नाम क्या है?',
+  'channel.form.company': 'आपकी कंपनी का पंजीकृत नाम क्या है?',
+  'channel.form.phone': 'आपका मोबाइल नंबर?',
+  'channel.form.email': 'आपका आधिकारिक ईमेल पता?',
+  'channel.form.gstin': 'आपकी कंपनी का GSTIN (15 अक्षर)?',
+  'channel.form.bankAccount':
+    'कंपनी का वह बैंक खाता नंबर जिससे आप भुगतान करेंगे?',
+  'channel.form.ifsc': 'उस खाते का IFSC कोड?',
+  'channel.form.lines':
+    'लाइन {n}: कार्ड का मूल्य और कार्डों की संख्या भेजें, जैसे 500 x 10।',
+  'channel.form.lines.more':
+    'लाइन {n}: एक और भेजें, जैसे 1000 x 5, या पूरा करने के लिए "done" लिखें।',
+  'channel.form.lines.added': '{denomination} के {count} कार्ड जोड़े गए।',
+  'channel.form.lines.invalid':
+    'कृपया कार्ड का मूल्य और कार्डों की संख्या भेजें, जैसे 500 x 10।',
+  'channel.form.lines.empty': 'पहले कम से कम एक लाइन जोड़ें, जैसे 500 x 10।',
+  'channel.field.fullName': 'पूरा नाम',
+  'channel.field.company': 'कंपनी',
+  'channel.field.phone': 'फ़ोन',
+  'channel.field.email': 'ईमेल',
+  'channel.field.gstin': 'GSTIN',
+  'channel.field.bankAccount': 'बैंक खाता',
+  'channel.field.ifsc': 'IFSC',
+  'channel.field.lines': 'ऑर्डर लाइन',
+
+  'command.hint':
+    'आप कभी भी "वापस", "फिर से शुरू", "स्थिति", "मदद", "भाषा" या "रद्द" लिख सकते हैं।',
+  'command.confirmDiscard':
+    'इससे आपका मौजूदा ऑर्डर हट जाएगा। क्या आप सच में फिर से शुरू करना चाहते हैं?',
+  'command.back.none': 'यहाँ से वापस जाने के लिए कोई पिछला चरण नहीं है।',
+  'command.status.none':
+    'आपका कोई ऑर्डर अभी जारी नहीं है। शुरू करने के लिए "नमस्ते" लिखें।',
+  'command.status.personal': '📝 अब तक आपका गिफ्ट कार्ड:',
+  'command.status.order': '📋 अनुरोध {requestId}: {status}',
+  'command.status.verified': '📋 व्यवसाय सत्यापित, ऑर्डर अभी शुरू नहीं हुआ',
+  'command.status.net': '• कुल देय राशि: {net}',
+  'command.status.delivery': '• डिलीवरी: {delivery}',
+  'command.status.payment': '• भुगतान: {method}',
+  'command.help.options': 'इनमें से कोई एक चुनें: {labels}।',
+  'command.help.default': 'आगे बढ़ने के लिए ऊपर दिए गए सवाल का जवाब दें।',
+  'command.cancel.done': 'रद्द कर दिया गया। फिर से शुरू करने के लिए "नमस्ते" लिखें।',
+  'command.cancel.order':
+    'अनुरोध {requestId} रद्द कर दिया गया है। फिर से शुरू करने के लिए "नमस्ते" लिखें।',
+  'command.cancel.paid':
+    'अनुरोध {requestId} का भुगतान हो चुका है, इसलिए यह सक्रिय रहेगा। रिफ़ंड के लिए 1800 123456 पर संपर्क करें। फिर से शुरू करने के लिए "नमस्ते" लिखें।',
+  'command.cancel.giftPaid':
+    'गिफ्ट कार्ड {ref} का भुगतान हो चुका है, इसलिए यह फिर भी भेजा जाएगा। रिफ़ंड के लिए 1800 123456 पर संपर्क करें। फिर से शुरू करने के लिए "नमस्ते" लिखें।',
+
+  'language.prompt': 'आप किस भाषा में बात करना चाहेंगे?',
+  'language.title': 'भाषा चुनें',
+  'language.changed': '✅ भाषा हिन्दी में बदल दी गई है।',
+  'language.en': 'English',
+  'language.hi': 'हिन्दी (Hindi)',
+  'language.hinglish': 'Hinglish',
+
+  'validation.required': 'ज़रूरी है',
+  'validation.invalid': 'अमान्य मान',
+  'validation.maxLength': 'अधिकतम {max} अक्षर हो सकते हैं',
+  'validation.wholeNumber': 'पूर्ण संख्या होनी चाहिए',
+  'validation.min': 'कम से कम {min} होना चाहिए',
+  'validation.max': 'अधिकतम {max} हो सकता है',
+  'validation.minItems': 'कम से कम एक आइटम जोड़ें',
+  'validation.maxItems': 'अधिकतम {max} आइटम की अनुमति है',
+  'validation.fullName.required': 'पूरा नाम ज़रूरी है',
+  'validation.company.required': 'कंपनी का नाम ज़रूरी है',
+  'validation.phone': 'मान्य फ़ोन नंबर दर्ज करें (10-15 अंक)',
+  'validation.officialEmail': 'मान्य आधिकारिक ईमेल दर्ज करें',
+  'validation.gstin': 'मान्य 15 अक्षरों का GSTIN दर्ज करें',
+  'validation.gstin.unverified':
+    'सत्यापन नहीं हो सका। GSTIN अमान्य लगता है। कृपया सही विवरण दर्ज करें।',
+  'validation.bankAccount': 'खाता संख्या 8-20 अंकों की होनी चाहिए',
+  'validation.ifsc': 'मान्य IFSC दर्ज करें (जैसे HDFC0001234)',
+  'validation.utr':
+    'अपने ट्रांसफ़र का UTR दर्ज करें (12-22 अक्षर और अंक, जैसे HDFCN52024101912345678)',
+  'validation.lines.required': 'कम से कम एक मूल्यवर्ग जोड़ें',
+  'validation.email': 'मान्य ईमेल पता दर्ज करें',
+  'validation.mobile': 'मान्य भारतीय मोबाइल नंबर दर्ज करें',
+  'validation.recipient.required': 'मोबाइल नंबर या ईमेल जोड़ें',
+  'validation.recipients.required': 'कम से कम एक प्राप्तकर्ता जोड़ें',
+  'validation.templateId': 'कोई एक टेम्पलेट चुनें',
+
+  'pricing.maxLines': 'एक ऑर्डर में अधिकतम {max} मूल्यवर्ग',
+  'pricing.minDenomination': 'न्यूनतम मूल्यवर्ग {amount} है',
+  'pricing.maxDenomination': 'अधिकतम मूल्यवर्ग {amount} है',
+  'pricing.minCount': 'संख्या कम से कम 1 होनी चाहिए',
+  'pricing.maxOrderValue':
+    '{amount} से ज़्यादा के ऑर्डर के लिए विशेष प्रक्रिया लगती है। कृपया कस्टमर केयर से संपर्क करें: 180001 234567',
+  'pricing.quoteLine':
+    '• {count} गिफ्ट कार्ड × {denomination} प्रति कार्ड = {subtotal}',
+
+  'order.status.draft': 'ड्राफ़्ट',
+  'order.status.pi_issued': 'PI जारी',
+  'order.status.po_received': 'PO प्राप्त',
+  'order.status.payment_pending': 'भुगतान बाकी',
+  'order.status.paid': 'भुगतान हो गया',
+  'order.status.issued': 'गिफ्ट कार्ड जारी',
+  'order.status.cancelled': 'रद्द',
+  'order.status.refunded': 'रिफ़ंड हो गया',
+
+  'giftcards.status.active': 'सक्रिय',
+  'giftcards.status.redeemed': 'पूरी तरह इस्तेमाल हो चुका',
+  'giftcards.status.expired': 'समाप्त',
+  'giftcards.status.blocked': 'ब्लॉक किया गया',
+  'giftcards.balance.usage':
+    'कार्ड जाँचने के लिए "check gc" के बाद 16 अंकों का कार्ड नंबर लिखें।',
+  'giftcards.balance.identify':
+    'बैलेंस जाँच आपके बिज़नेस खाते में गिनी जाती है, और आपका खाता अभी सत्यापित नहीं है। कृपया अपना बिज़नेस सत्यापित करके फिर से कोशिश करें।',
+  'giftcards.balance.invalid':
+    'यह सही गिफ्ट कार्ड नंबर नहीं है। कृपया 16 अंक जाँचकर फिर से कोशिश करें।',
+  'giftcards.balance.limit':
+    '⚠️ आपके खाते के लिए आज की {limit} बैलेंस जाँच की सीमा पूरी हो गई है। कृपया कल फिर कोशिश करें, या 0124-6236000 पर संपर्क करें।',
+  'giftcards.balance.notFound': '{last4} पर खत्म होने वाला कोई गिफ्ट कार्ड नहीं मिला।',
+  'giftcards.balance.card': '💳 गिफ्ट कार्ड {card}',
+  'giftcards.balance.status': '• स्थिति: {status}',
+  'giftcards.balance.amount': '• बैलेंस: {denomination} में से {balance}',
+  'giftcards.balance.expiry': '• {date} तक मान्य',
+  'giftcards.balance.history': '• कार्ड का इतिहास:\n{history}',
+  'giftcards.balance.noHistory': '• अभी तक इस्तेमाल नहीं हुआ',
+  'giftcards.balance.remaining': 'आज बची बैलेंस जाँच: {remaining}',
+  'giftcards.movement.redeem': '  – {date}: {amount} इस्तेमाल हुए (रेफ़ {ref})',
+  'giftcards.movement.reverse': '  – {date}: {amount} वापस जमा हुए (रेफ़ {ref})',
+  'giftcards.movement.block': '  – {date}: कार्ड ब्लॉक किया गया',
+
+  'deliveries.none': 'आपका कोई शेड्यूल किया गया गिफ्ट कार्ड भेजे जाने के लिए बाकी नहीं है।',
+  'deliveries.title': '🗓️ शेड्यूल किए गए गिफ्ट कार्ड:',
+  'deliveries.item': '- {ref}: {amount}, {to} को, {when} पर',
+  'deliveries.hint':
+    '"reschedule {ref} to friday 6pm", "reschedule {ref} now" या "cancel delivery {ref}" लिखें।',
+  'deliveries.pick':
+    'आप किस गिफ्ट कार्ड की बात कर रहे हैं? उसका रेफ़रेंस लिखें, जैसे "cancel delivery PG-…"। सूची देखने के लिए "my deliveries" लिखें।',
+  'deliveries.notFound': 'रेफ़रेंस {ref} का कोई शेड्यूल किया गया गिफ्ट कार्ड नहीं मिला।',
+  'deliveries.already.sent': 'गिफ्ट कार्ड {ref} पहले ही भेजा जा चुका है।',
+  'deliveries.already.cancelled': 'गिफ्ट कार्ड {ref} रद्द किया जा चुका है।',
+  'deliveries.already.unpaid': 'गिफ्ट कार्ड {ref} का भुगतान अभी नहीं हुआ है।',
+  'deliveries.reschedule.usage':
+    'नई तारीख बताएं, जैसे "reschedule to 2026-12-05 6pm", या "now"।',
+  'deliveries.rescheduled': '✅ गिफ्ट कार्ड {ref} अब {when} पर भेजा जाएगा।',
+  'deliveries.sentNow': '🎉 गिफ्ट कार्ड {ref} ({card}) {to} को भेज दिया गया है।',
+  'deliveries.cancelled':
+    '❌ {to} के लिए गिफ्ट कार्ड {ref} रद्द कर दिया गया है और नहीं भेजा जाएगा।',
+  'deliveries.cancel.paid':
+    'गिफ्ट कार्ड {ref} का भुगतान हो चुका है, इसलिए इसे यहाँ रद्द नहीं किया जा सकता। आप इसकी तारीख बदल सकते हैं; रिफ़ंड के लिए 1800 123456 पर संपर्क करें।',
+
+  'start.idle': 'शुरू करने के लिए कृपया "नमस्ते" लिखें।',
+  'start.welcome':
+    '👋 Amazon Pay गिफ्ट कार्ड में आपका स्वागत है – Pine Labs द्वारा!\nपसंद की आज़ादी, इस्तेमाल में आसान और सबका पसंदीदा।\n\n✅ व्यवसाय या निजी इस्तेमाल के लिए तुरंत खरीदें\n🎁 कर्मचारियों, ग्राहकों, परिवार और दोस्तों के लिए आसान तोहफ़ा\n\n👉 शुरू करें?',
+  'start.knowMore':
+    '🎁 Amazon Pay गिफ्ट कार्ड – ज़रूरी जानकारी\n\n✨ मुख्य खूबियाँ:\n• Amazon.in पर लाखों उत्पादों पर मान्य\n• ₹10 से शुरू होने वाले मूल्यवर्ग\n• व्यवसायों के लिए: GST इनवॉइस, छूट और CSV डिलीवरी\n• तुरंत डिलीवरी और सुरक्षित प्रोसेसिंग\n \n🔗और जानें: https://www.amazon.in/gift-card-store/\n\n✅ शुरू करें?',
+  'start.option.buy': '🛒 गिफ्ट कार्ड खरीदें',
+  'start.option.buyCards': '🛒 गिफ्ट कार्ड खरीदें',
+  'start.option.knowMore': 'ℹ️ और जानें',
+  'start.fallback': 'शुरू करने के लिए बटन दबाएँ: गिफ्ट कार्ड खरीदें या और जानें',
+  'start.buyerType':
+    '✨ बढ़िया! बताइए आप किसके लिए खरीद रहे हैं:\n\n1️⃣ अपने लिए / दोस्त और परिवार\n2️⃣ मेरा व्यवसाय (कर्मचारी / ग्राहक)\n\n ',
+  'start.buyerType.personal': '1️⃣ अपने लिए / दोस्त और परिवार',
+  'start.buyerType.business': '2️⃣ मेरा व्यवसाय (कर्मचारी / ग्राहक)',
+
+  'occasion.birthday': 'जन्मदिन',
+  'occasion.thankyou': 'धन्यवाद',
+  'occasion.diwali': 'दिवाली',
+  'occasion.rakshabandhan': 'रक्षा बंधन',
+  'occasion.anniversary': 'सालगिरह',
+  'occasion.wedding': 'शादी',
+  'occasion.holi': 'होली',
+  'occasion.christmas': 'क्रिसमस',
+  'occasion.newyear': 'नया साल',
+  'occasion.congratulations': 'बधाई',
+  'occasion.sorry': 'माफ़ी',
+
+  'slot.occasion': 'अवसर',
+  'slot.template': 'टेम्पलेट',
+  'slot.amount': 'राशि',
+  'slot.recipientEmail': 'प्राप्तकर्ता ईमेल',
+  'slot.recipientPhone': 'प्राप्तकर्ता मोबाइल',
+  'slot.deliveryDate': 'डिलीवरी की तारीख',
+  'slot.noted': '✅ नोट किया – {details}',
+
+  'personal.occasion': 'आप किस अवसर के लिए गिफ्ट कार्ड खरीदना चाहते हैं?',
+  'personal.occasion.other': 'अन्य (अपना लिखें)',
+  'personal.occasionCustom': 'कृपया अवसर लिखें।',
+  'personal.template': 'गिफ्ट कार्ड का टेम्पलेट चुनें।',
+  'personal.template.help':
+    'किसी टेम्पलेट की तस्वीर पर टैप करें या उसका कोड (t1–t4) लिखें।',
+  'personal.template.unknown': 'अज्ञात टेम्पलेट',
+  'personal.amount': 'राशि चुनें या अपनी राशि दर्ज करें।',
+  'personal.amount.help':
+    'कोई राशि चुनें या रुपये में कोई भी राशि लिखें, जैसे 750।',
+  'personal.amount.custom': 'राशि दर्ज करें',
+  'personal.recipientEmail':
+    'आप इसे किसे भेजना चाहेंगे? प्राप्तकर्ता का ईमेल पता या मोबाइल नंबर (हम SMS से क्लेम लिंक भेजते हैं), या दोनों दर्ज करें।',
+  'personal.recipientEmail.help':
+    'वह ईमेल पता या 10 अंकों का भारतीय मोबाइल नंबर लिखें जिस पर गिफ्ट कार्ड भेजा जाना है।',
+  'personal.recipientEmail.invalid':
+    'कृपया मान्य ईमेल पता या भारतीय मोबाइल नंबर दें।',
+  'personal.message': 'कृपया अपने गिफ्ट कार्ड का संदेश लिखें।',
+  'personal.message.help': 'गिफ्ट कार्ड पर छपने के लिए छोटा सा संदेश लिखें।',
+  'personal.deliveryDate':
+    'गिफ्ट कार्ड प्राप्तकर्ता को कब पहुँचे? "अभी" लिखें, या कोई तारीख जैसे "tomorrow", "15/08" या 2026-12-01। चाहें तो 6:30 pm जैसा समय भी जोड़ें; वरना यह {time} IST पर भेजा जाएगा।',
+  'personal.deliveryDate.now': 'अभी',
+  'personal.deliveryDate.tomorrow': 'कल',
+  'personal.deliveryDate.help':
+    'तुरंत भेजने के लिए "अभी" लिखें, या तारीख और चाहें तो समय (IST) दें, जैसे "friday 6pm"।',
+  'personal.deliveryDate.invalid':
+    'कृपया "अभी" लिखें या कोई तारीख दें, जैसे "tomorrow" या 2026-12-01।',
+  'personal.deliveryDate.oneDate': 'कृपया डिलीवरी की केवल एक तारीख दें।',
+  'personal.deliveryDate.past': 'यह समय बीत चुका है। कृपया बाद का समय चुनें।',
+  'personal.deliveryDate.tooFar':
+    'गिफ्ट कार्ड अधिकतम {days} दिन आगे तक शेड्यूल किए जा सकते हैं। कृपया पहले की तारीख चुनें।',
+  'personal.clarify': 'मुझे एक से ज़्यादा {slot} मिले। आपका मतलब कौन सा था?',
+  'personal.clarify.none':
+    'अब कुछ स्पष्ट करना बाकी नहीं है। आगे बढ़ने के लिए कुछ भी लिखें।',
+  'personal.clarify.title': '{slot} चुनें',
+  'personal.clarify.fallback': 'कृपया ऊपर दिए विकल्पों में से एक चुनें।',
+  'personal.clarify.help': 'जो मान आप चाहते थे उस पर टैप करें या उसे लिखें।',
+  'personal.confirm.intro': 'आपके चुने हुए गिफ्ट कार्ड का विवरण:',
+  'personal.confirm.review':
+    'ऑर्डर देने के लिए जाँचें और पुष्टि करें, या फिर से शुरू करने के लिए रद्द करें।',
+  'personal.confirm.help':
+    'भुगतान पर आगे बढ़ने के लिए "confirm" लिखें या कुछ बदलने के लिए "वापस" लिखें।',
+  'personal.confirm.fallback': 'आगे बढ़ने के लिए कृपया जाँचें और पुष्टि करें।',
+  'personal.detail.occasion': '- अवसर: {value}',
+  'personal.detail.template': '- टेम्पलेट: {value}',
+  'personal.detail.amount': '- राशि: {value}',
+  'personal.detail.recipient': '- प्राप्तकर्ता: {value}',
+  'personal.detail.message': '- संदेश: {value}',
+  'personal.detail.delivery': '- डिलीवरी: {value}',
+  'personal.success': '🎉 बधाई! आपका गिफ्ट कार्ड प्राप्तकर्ता को भेज दिया गया है।',
+  'personal.success.card': 'गिफ्ट कार्ड: {card} ({amount}, {expiry} तक मान्य)',
+  'personal.outOfStock':
+    'क्षमा करें, {amount} के गिफ्ट कार्ड अभी स्टॉक में नहीं हैं। दूसरी राशि चुनने के लिए "back" लिखें।',
+  'personal.payMethod': '💳 आप {amount} का भुगतान कैसे करना चाहेंगे?',
+  'personal.payMethod.title': 'भुगतान का तरीका चुनें',
+  'personal.payMethod.upi': 'UPI',
+  'personal.payMethod.card': 'डेबिट / क्रेडिट कार्ड',
+  'personal.payMethod.netbanking': 'नेटबैंकिंग',
+  'personal.payMethod.help':
+    'UPI, कार्ड या नेटबैंकिंग चुनें। भुगतान की पुष्टि होते ही गिफ्ट कार्ड भेज दिया जाएगा।',
+  'personal.payment':
+    '{amount} का भुगतान {method} से यहाँ करें: {url}\nयह लिंक {minutes} मिनट तक मान्य है। भुगतान की पुष्टि होते ही गिफ्ट कार्ड भेज दिया जाएगा; भुगतान के बाद "paid" लिखें।',
+  'personal.payment.title': 'भुगतान पूरा करें',
+  'personal.payment.payNow': 'अभी भुगतान करें',
+  'personal.payment.help':
+    'भुगतान पेज पर भुगतान करें, फिर "paid" लिखें। भुगतान असफल या समाप्त होने पर नए लिंक के लिए "retry" लिखें, या दूसरा तरीका चुनने के लिए "back"।',
+  'personal.payment.waiting':
+    '⏳ इस भुगतान की पुष्टि अभी नहीं मिली है। इसे यहाँ पूरा करें: {url}\nफिर दोबारा "paid" लिखें।',
+  'personal.payment.pending':
+    '⏳ आपका भुगतान अभी प्रोसेस हो रहा है। पुष्टि होते ही हम गिफ्ट कार्ड भेज देंगे; दोबारा जाँचने के लिए "paid" लिखें।',
+  'personal.payment.failed':
+    '❌ भुगतान नहीं हो सका: {reason}\nकोई पैसा नहीं कटा। दोबारा भुगतान के लिए "retry" लिखें, या दूसरा तरीका चुनने के लिए "back"।',
+  'personal.payment.expired':
+    '⌛ यह भुगतान लिंक समाप्त हो गया है और कोई पैसा नहीं कटा। नए लिंक के लिए "retry" लिखें, या दूसरा तरीका चुनने के लिए "back"।',
+  'personal.payment.retry':
+    '🔁 यह रहा नया भुगतान लिंक, {minutes} मिनट तक मान्य: {url}\nभुगतान के बाद "paid" लिखें।',
+  'personal.payment.outOfStock':
+    'आपका भुगतान मिल गया है, लेकिन {amount} के गिफ्ट कार्ड अभी-अभी खत्म हो गए। हमारी टीम जल्द ही कार्ड भेजेगी या पैसा लौटाएगी। रेफ़रेंस: {ref}',
+  'personal.scheduled':
+    '🗓️ शेड्यूल हो गया! गिफ्ट कार्ड {when} पर भेजा जाएगा। रेफ़रेंस: {ref}',
+  'personal.scheduled.manage':
+    'उससे पहले कभी भी इसे देखने, बदलने या रद्द करने के लिए "my deliveries" लिखें।',
+  'personal.success.details': 'विवरण:',
+  'personal.completed': 'नया गिफ्ट कार्ड शुरू करने के लिए "नमस्ते" लिखें।',
+
+  'biz.options':
+    '✨ आज हम आपकी क्या मदद कर सकते हैं?\n\n1️⃣ अपने व्यवसाय के लिए गिफ्ट कार्ड खरीदें\n2️⃣ पिछले ऑर्डर देखें\n3️⃣ वापस',
+  'biz.options.title': 'व्यवसाय विकल्प',
+  'biz.options.purchase': '1️⃣ अपने व्यवसाय के लिए गिफ्ट कार्ड खरीदें',
+  'biz.options.reports': '2️⃣ पिछले ऑर्डर देखें',
+  'biz.options.back': '3️⃣ वापस',
+  'biz.verification': '👍 बढ़िया! शुरू करने के लिए कृपया कुछ ज़रूरी विवरण दें।',
+  'biz.verification.help':
+    'सत्यापन फ़ॉर्म भरें: आपका नाम, कंपनी, फ़ोन, आधिकारिक ईमेल, GSTIN और कंपनी का बैंक खाता व उसका IFSC। GSTIN और बैंक खाता एक ही कंपनी के होने चाहिए।',
+  'biz.verification.failed':
+    '❌ सत्यापन विफल: खाता और GST एक ही कंपनी के होने चाहिए। कृपया फिर से कोशिश करें।',
+  'biz.verification.done':
+    '✅ सत्यापन पूरा! आपको 1% छूट मिलेगी। अब अपना गिफ्ट कार्ड ऑर्डर तैयार करते हैं।',
+  'biz.occasion': 'अवसर चुनें:',
+  'biz.occasion.title': 'अवसर चुनें',
+  'biz.occasion.thankyou': '1️⃣ धन्यवाद',
+  'biz.occasion.performer': '2️⃣ सर्वश्रेष्ठ प्रदर्शन',
+  'biz.occasion.festivities': '3️⃣ त्योहार की शुभकामनाएँ',
+  'biz.occasion.custom': '4️⃣ अपना संदेश',
+  'biz.occasionCustom': 'कृपया अपना संदेश लिखें (अधिकतम 60 अक्षर):',
+  'biz.occasionCustom.invalid': 'कृपया अपना संदेश लिखें (अधिकतम 60 अक्षर):',
+  'biz.orderDetails': '💰 कृपया मूल्यवर्ग और संख्या दर्ज करें।',
+  'biz.orderDetails.help':
+    '₹10 से ₹10,000 के बीच अधिकतम 5 मूल्यवर्ग और हर एक के लिए कार्ड की संख्या जोड़ें; ऑर्डर का कुल मूल्य ₹3,00,000 तक हो सकता है। आप "150 cards x ₹100" जैसा भी लिख सकते हैं।',
+  'biz.orderDetails.format':
+    'कृपया ऑर्डर विवरण इस तरह दें: "150 cards x ₹100 each" या "₹15,000"',
+  'biz.deliveryMethod':
+    'गिफ्ट कार्ड कैसे भेजे जाएँ?\n1️⃣ बल्क फ़ाइल: सभी कार्ड एक एन्क्रिप्टेड CSV/Excel फ़ाइल में, आप खुद बाँटें\n2️⃣ सीधे SMS और ईमेल: हम हर कार्ड उसके प्राप्तकर्ता को भेजें',
+  'biz.deliveryMethod.title': 'डिलीवरी का तरीका',
+  'biz.deliveryMethod.bulk': 'बल्क फ़ाइल',
+  'biz.deliveryMethod.direct': 'सीधे SMS और ईमेल',
+  'biz.deliveryMethod.help':
+    'सभी कार्ड एक फ़ाइल में पाने के लिए "बल्क फ़ाइल" चुनें, या हर कार्ड के लिए मोबाइल नंबर या ईमेल देने के लिए "सीधे SMS और ईमेल" चुनें।',
+  'biz.deliveryMethod.tooMany':
+    'सीधी डिलीवरी अधिकतम {max} कार्ड के लिए है; इस ऑर्डर में {count} हैं। कृपया बल्क फ़ाइल चुनें।',
+  'biz.recipients':
+    'कृपया {count} प्राप्तकर्ता भेजें, हर पंक्ति में एक (या ";" से अलग), हर एक के साथ मोबाइल नंबर, ईमेल या दोनों। कार्ड इसी क्रम में जाएँगे। उदाहरण:\n9876543210, asha@example.com\nravi@example.com',
+  'biz.recipients.help':
+    'हर प्राप्तकर्ता के लिए 10 अंकों का भारतीय मोबाइल नंबर (SMS से क्लेम लिंक मिलेगा), ईमेल (कार्ड नंबर और PIN मिलेगा) या दोनों चाहिए।',
+  'biz.recipients.invalid':
+    'प्रविष्टि {entries} में कोई मान्य मोबाइल नंबर या ईमेल नहीं है। कृपया सूची फिर से भेजें।',
+  'biz.recipients.count':
+    'इस ऑर्डर में {expected} कार्ड हैं, लेकिन {count} प्राप्तकर्ता दिए गए। कृपया हर कार्ड के लिए ठीक एक प्राप्तकर्ता भेजें।',
+  'biz.deliveryEmail':
+    '📧 अपने डिलीवरी ईमेल की पुष्टि करें: {email}\n👉 ज़रूरत हो तो बदल सकते हैं।',
+  'biz.deliveryEmail.help':
+    'सत्यापित ईमेल इस्तेमाल करने के लिए "confirm" लिखें, या गिफ्ट कार्ड फ़ाइल के लिए कोई दूसरा ईमेल पता लिखें।',
+  'biz.deliveryEmail.edit': 'कृपया अपना डिलीवरी ईमेल दर्ज करें:',
+  'biz.summary':
+    'आपके अनुरोध का सारांश:\n\n{lines}\n• व्यवसाय छूट ({discountPercent}%): –{discount}\n• कुल देय राशि: {net}\n• डिलीवरी: {delivery}\n• प्लेटफ़ॉर्म शुल्क: माफ़\n\n👉 क्या हम प्रोफ़ॉर्मा इनवॉइस (PI) बनाएँ?',
+  'biz.summary.delivery.bulk': '{email} पर CSV',
+  'biz.summary.delivery.direct':
+    '{count} प्राप्तकर्ताओं को SMS और ईमेल; CSV की कॉपी {email} पर',
+  'biz.summary.title': 'ऑर्डर सारांश',
+  'biz.summary.sharePi': '1️⃣ हाँ, PI भेजें',
+  'biz.summary.edit': '2️⃣ ऑर्डर बदलें',
+  'biz.summary.editing': 'चलिए आपकी ज़रूरतें बदलते हैं। अवसर चुनें:',
+  'biz.summary.fallback': 'कृपया चुनें:\n1️⃣ हाँ, PI भेजें\n2️⃣ ऑर्डर बदलें',
+  'biz.pi':
+    '📑 PI बन गया → अनुरोध ID: {requestId}\n• मूल्य: {net} (छूट के बाद)\n• वैधता: 7 कार्य दिवस\n📧 भेजा गया: {email}\n📄 PI डाउनलोड करें: {url}',
+  'biz.pi.title': 'प्रोफ़ॉर्मा इनवॉइस बन गया',
+  'biz.pi.help':
+    'भुगतान का तरीका चुनने के लिए "आगे बढ़ें" चुनें। अगर आपकी कंपनी पहले परचेज़ ऑर्डर बनाती है, तो उसे भेजने के बाद "PO uploaded" लिखें।',
+  'biz.pi.poNoted':
+    '📄 परचेज़ ऑर्डर नोट कर लिया। भुगतान का तरीका चुनने के लिए "आगे बढ़ें" चुनें।',
+  'biz.paymentMethod':
+    '💳 भुगतान निर्देश\n\nआगे बढ़ने से पहले कृपया देख लें:\n\n• अपने प्रोफ़ॉर्मा इनवॉइस (PI) का सारा विवरण जाँच लें\n• बैंक ट्रांसफ़र उसी GST-पंजीकृत कंपनी खाते से होना चाहिए जो सत्यापन में दिया गया था\n• क्रेडिट कार्ड भुगतान सुरक्षित रूप से प्रोसेस होते हैं\n• UPI भुगतान किसी भी UPI ऐप से QR कोड स्कैन करके होता है\n\n💳 भुगतान विकल्प:',
+  'biz.paymentMethod.title': 'भुगतान का तरीका चुनें',
+  'biz.paymentMethod.netbanking': 'नेटबैंकिंग',
+  'biz.paymentMethod.credit': 'क्रेडिट कार्ड',
+  'biz.paymentMethod.upi': 'UPI',
+  'biz.paymentMethod.neft': 'NEFT / RTGS बैंक ट्रांसफ़र',
+  'biz.payment':
+    'आपने चुना: {method}\n\n{amount} का सुरक्षित भुगतान यहाँ करें: {url}\n\nपेमेंट गेटवे से भुगतान की पुष्टि होते ही आपके गिफ्ट कार्ड प्रोसेस करके भेज दिए जाएँगे। भुगतान के बाद "paid" लिखें।',
+  'biz.payment.title': 'भुगतान पूरा करें',
+  'biz.payment.help':
+    'भुगतान पेज पर भुगतान करें, फिर "paid" लिखें। पेमेंट गेटवे से पुष्टि होते ही ऑर्डर आगे बढ़ेगा। बैंक ट्रांसफ़र सत्यापित कंपनी खाते से ही होना चाहिए।',
+  'biz.payment.payNow': 'अभी भुगतान करें',
+  'biz.payment.waiting':
+    '⏳ इस भुगतान की पुष्टि अभी नहीं मिली है। इसे यहाँ पूरा करें: {url}\nफिर दोबारा "paid" लिखें।',
+  'biz.payment.expired':
+    '⌛ यह भुगतान लिंक समाप्त हो गया है और कोई पैसा नहीं कटा। नए लिंक के लिए "retry" लिखें, या दूसरा तरीका चुनने के लिए "back"।',
+  'biz.payment.pending':
+    '⏳ आपका बैंक अभी भुगतान प्रोसेस कर रहा है। पुष्टि मिलते ही हम आगे बढ़ेंगे; दोबारा जाँचने के लिए "paid" लिखें।',
+  'biz.payment.failed':
+    '❌ भुगतान नहीं हो सका: {reason}\nकोई पैसा नहीं कटा। दोबारा भुगतान के लिए "retry" लिखें, या दूसरा तरीका चुनने के लिए "back"।',
+  'biz.payment.retry':
+    '🔁 यह रहा नया भुगतान लिंक: {url}\nभुगतान के बाद "paid" लिखें।',
+  'biz.transfer':
+    '🏦 {amount} NEFT या RTGS से इस खाते में ट्रांसफ़र करें:\n• खाते का नाम: {accountName}\n• खाता संख्या: {accountNumber}\n• IFSC: {ifsc}\n• बैंक: {bankName}\n\nभुगतान संदर्भ में {reference} लिखें, और ट्रांसफ़र अपने सत्यापित कंपनी खाते ({account}) से करें। फिर यहाँ ट्रांसफ़र का UTR नंबर लिखें।',
+  'biz.transfer.title': 'बैंक ट्रांसफ़र से भुगतान',
+  'biz.transfer.submit': 'UTR भेजें',
+  'biz.transfer.help':
+    'ट्रांसफ़र उसी कंपनी खाते से करें जो आपने सत्यापित किया है, फिर उसका UTR (आपके बैंक द्वारा दिया गया ट्रांसफ़र संदर्भ) लिखें। हम इसे अपने बैंक स्टेटमेंट से मिलाते हैं; पैसा पहुँचा या नहीं, जाँचने के लिए "paid" लिखें।',
+  'biz.transfer.fallback':
+    'कृपया अपने ट्रांसफ़र का UTR नंबर लिखें (जैसे HDFCN52024101912345678), या स्थिति जानने के लिए "paid" लिखें।',
+  'biz.transfer.askUtr':
+    'आपका ट्रांसफ़र अभी हमें नहीं मिला है। कृपया उसका UTR नंबर लिखें ताकि हम उसे मिला सकें।',
+  'biz.transfer.utrNoted':
+    '✅ UTR {utr} दर्ज कर लिया गया। ट्रांसफ़र हमारे बैंक स्टेटमेंट में दिखते ही, आम तौर पर एक कार्य दिवस में, आपका ऑर्डर आगे बढ़ेगा। जाँचने के लिए "paid" लिखें।',
+  'biz.transfer.waiting':
+    '⏳ UTR {utr} वाला ट्रांसफ़र अभी हमारे बैंक स्टेटमेंट में नहीं आया है। बाद में दोबारा जाँचने के लिए "paid" लिखें।',
+  'biz.transfer.short':
+    '⚠️ अब तक {received} मिले हैं। कृपया बाकी {balance} उसी संदर्भ के साथ ट्रांसफ़र करें और उसका UTR भेजें।',
+  'biz.transfer.wrongAccount':
+    '⚠️ आपका ट्रांसफ़र आपकी कंपनी के सत्यापित खाते के बजाय किसी दूसरे खाते से आया है। हमारी टीम इसे सुलझाने के लिए आपसे संपर्क करेगी।',
+  'biz.transfer.review':
+    '⏳ इस ऑर्डर के लिए ट्रांसफ़र मिल गया है, पर बैंक स्टेटमेंट में यह नहीं दिखता कि यह किस खाते से आया। हमारी टीम इसकी पुष्टि करके आपको बताएगी।',
+  'biz.transfer.utrInUse':
+    'यह UTR पहले से किसी दूसरे ऑर्डर के लिए दर्ज है। कृपया नंबर जाँच लें।',
+  'biz.issued':
+    '✅ भुगतान मिल गया। GST इनवॉइस आपके ईमेल पर भेजा गया है और यहाँ उपलब्ध है: [इनवॉइस डाउनलोड करें]',
+  'biz.issued.ready':
+    '🎉 आपके Amazon Pay गिफ्ट कार्ड तैयार हैं!\n\n• बल्क CSV फ़ाइल भेजी गई: {email}\n• जारी कार्ड: {count}, कुल {value}\n• पहला कार्ड: {card} ({amount}, {expiry} तक मान्य)\n\n✅ GST इनवॉइस भी आपके ईमेल पर भेजा गया है → [इनवॉइस डाउनलोड करें]',
+  'biz.issued.password':
+    '🔐 कार्ड फ़ाइलें (CSV और Excel) एक एन्क्रिप्टेड ZIP में हैं। इसका पासवर्ड SMS से {phone} पर भेजा गया है, फ़ाइल के साथ कभी नहीं, इसलिए इसे सुरक्षित रखें। डाउनलोड लिंक {hours} घंटे में समाप्त हो जाएगा; नया लिंक कभी भी Reports → "पिछली डिलीवरी रिपोर्ट डाउनलोड करें" से लें।',
+  'biz.issued.direct':
+    '📲 सभी {count} कार्ड SMS और/या ईमेल से अपने प्राप्तकर्ताओं को भेजे जा रहे हैं।',
+  'biz.issued.outOfStock':
+    '⏳ कुछ मूल्यवर्ग के कार्ड अभी स्टॉक में नहीं हैं। आपका भुगतान सुरक्षित है: स्टॉक आते ही कार्ड जारी करके ईमेल कर दिए जाएँगे। दोबारा देखने के लिए "continue" लिखें।',
+  'biz.download.title': 'डाउनलोड',
+  'biz.download.invoiceTitle': 'इनवॉइस',
+  'biz.download.gstInvoiceTitle': 'GST इनवॉइस',
+  'biz.download.invoice': 'इनवॉइस डाउनलोड करें (PDF)',
+  'biz.download.reportTitle': 'डिलीवरी रिपोर्ट',
+  'biz.download.report': 'कार्ड डाउनलोड करें (ZIP)',
+  'biz.download.gstInvoice': 'GST इनवॉइस (PDF)',
+  'biz.download.gcDelivery': 'GC डिलीवरी (एन्क्रिप्टेड ZIP)',
+  'biz.final':
+    '✅ ऑर्डर पूरा!\n\nइसे और आसान बनाने के लिए हमें आपकी राय जानकर खुशी होगी।',
+  'biz.final.title': 'बिक्री के बाद सहायता और राय',
+  'biz.final.help':
+    'कार्ड जाँचने के लिए "check gc <कार्ड नंबर>", त्योहार ऑफ़र के लिए "offers" लिखें, या अपनी राय दें।',
+  'biz.final.feedback': '🌟 राय दें',
+  'biz.final.offers':
+    'बढ़िया! दिवाली 2025 के अर्ली-बर्ड ऑफ़र उपलब्ध हैं। हमारी टीम विवरण के साथ आपसे संपर्क करेगी।',
+  'biz.feedback': 'हमें आपकी राय चाहिए। कृपया 1-5 रेटिंग दें और अपनी टिप्पणी लिखें।',
+  'biz.feedback.comments': 'धन्यवाद! कृपया अपनी टिप्पणी लिखें (वैकल्पिक)।',
+  'biz.feedback.thanks': '🙏 आपकी राय के लिए धन्यवाद!',
+  'biz.feedback.offers': '🎁 त्योहार ऑफ़र देखें',
+  'biz.reports':
+    'हम आपकी क्या मदद कर सकते हैं?\n\n1️⃣ पिछले ऑर्डर के इनवॉइस डाउनलोड करें\n2️⃣ पिछली डिलीवरी रिपोर्ट (CSV) डाउनलोड करें\n3️⃣ वापस\n\nऔर सहायता के लिए संपर्क करें: 1800 123456',
+  'biz.reports.title': 'रिपोर्ट और सवाल',
+  'biz.reports.invoices': '1️⃣ पिछले ऑर्डर के इनवॉइस डाउनलोड करें',
+  'biz.reports.delivery': '2️⃣ पिछली डिलीवरी रिपोर्ट (CSV) डाउनलोड करें',
+  'biz.report.noInvoices':
+    'पिछले 12 महीनों में आपके खाते का कोई इनवॉइस वाला ऑर्डर नहीं मिला।',
+  'biz.report.invoices':
+    '✅ पिछले 12 महीनों के ऑर्डर के इनवॉइस ({count})\n{orders}\n📥 यहाँ डाउनलोड करें → [इनवॉइस डाउनलोड करें]',
+  'biz.report.delivery.title': '✅ अनुरोध ID {requestId} की डिलीवरी रिपोर्ट',
+  'biz.report.delivery.status': '• स्थिति: {status}',
+  'biz.report.delivery.cards': '• कार्ड: {count}',
+  'biz.report.delivery.net': '• कुल मूल्य: {net}',
+  'biz.report.delivery.email': '• डिलीवरी ईमेल: {email}',
+  'biz.report.delivery.history': '• इतिहास:\n{history}',
+  'biz.report.delivery.emails': '• ईमेल:\n{emails}',
+  'biz.report.delivery.emailLine': '  – {document}, {to} को: {status} ({date})',
+  'biz.report.delivery.direct':
+    '• {count} प्राप्तकर्ताओं को भेजे गए: SMS {sms}; ईमेल {email}',
+  'mail.template.giftCard': 'गिफ्ट कार्ड',
+  'mail.template.proformaInvoice': 'प्रोफॉर्मा इनवॉइस',
+  'mail.template.taxInvoice': 'टैक्स इनवॉइस',
+  'mail.template.deliveryReport': 'गिफ्ट कार्ड फ़ाइल',
+  'mail.template.otp': 'सत्यापन कोड',
+  'mail.status.queued': 'कतार में',
+  'mail.status.sent': 'भेजा गया',
+  'mail.status.bounced': 'वापस लौटा',
+  'sms.status.queued': 'कतार में',
+  'sms.status.sent': 'भेजा गया',
+  'sms.status.failed': 'विफल',
+  'biz.report.delivery.notIssued': 'इस अनुरोध के कार्ड अभी जारी नहीं हुए हैं।',
+  'biz.report.delivery.download':
+    '📥 सुरक्षित डाउनलोड करें → [रिपोर्ट डाउनलोड करें]\nयह लिंक {hours} घंटे तक काम करेगा। ZIP को कार्ड जारी होते समय दिए गए पासवर्ड से खोलें।',
+  'biz.report.delivery.unavailable':
+    'इस अनुरोध की कोई डिलीवरी फ़ाइल उपलब्ध नहीं है। कृपया 1800 123456 पर सहायता से संपर्क करें।',
+  'biz.reportIdentify':
+    'कृपया अपने ऑर्डर में इस्तेमाल हुआ पंजीकृत ईमेल और GSTIN बताएँ (जैसे "finance@acme.com 29ABCDE1234F1Z5")।',
+  'biz.reportIdentify.help':
+    'जिस ईमेल और GSTIN से ऑर्डर दिए गए थे, उन्हें एक ही संदेश में लिखें।',
+  'biz.reportIdentify.invalid':
+    'आपके ऑर्डर खोजने के लिए हमें पंजीकृत ईमेल और 15 अक्षरों का GSTIN दोनों चाहिए।',
+  'biz.reportCode':
+    'कृपया हमारे ईमेल किया गया 6 अंकों का कोड लिखें, या नए कोड के लिए "resend" लिखें।',
+  'biz.reportCode.help':
+    'जिस ईमेल से ऑर्डर किए गए थे, उसका इनबॉक्स देखें। कोड 10 मिनट तक चलता है।',
+  'biz.reportCode.sent':
+    '📧 अगर {email} और उस GSTIN से ऑर्डर किए गए हैं, तो हमने वहाँ 6 अंकों का कोड ईमेल किया है। उन्हें देखने के लिए कोड यहाँ लिखें।',
+  'biz.reportCode.wrong':
+    'यह कोड सही नहीं है। आपके पास {left} कोशिश बाकी हैं।',
+  'biz.reportCode.expired':
+    'इस कोड की समय-सीमा खत्म हो गई है। नए कोड के लिए "resend" लिखें।',
+  'biz.reportCode.locked':
+    'बहुत सारे गलत कोड। नए कोड के लिए अपना पंजीकृत ईमेल और GSTIN फिर से बताएँ।',
+  'biz.reportDelivery':
+    'डिलीवरी रिपोर्ट देखने के लिए कृपया अपनी अनुरोध ID दर्ज करें।',
+  'biz.reportDelivery.help':
+    'आपकी अनुरोध ID GC2627-000001 जैसी दिखती है और प्रोफ़ॉर्मा इनवॉइस पर लिखी होती है।',
+  'biz.reportDelivery.notFound':
+    'आपके खाते में अनुरोध ID {requestId} वाला कोई ऑर्डर नहीं मिला। कृपया ID जाँच कर फिर से कोशिश करें।',
+  'biz.reportComplete':
+    'अभी के लिए इतना ही! क्या आप वापस जाना चाहेंगे:\n1️⃣ गिफ्ट कार्ड खरीदें\n2️⃣ बाहर निकलें\n\n ',
+  'biz.reportComplete.purchase': '1️⃣ गिफ्ट कार्ड खरीदें',
+  'biz.reportComplete.exit': '2️⃣ बाहर निकलें',
+  'biz.reportComplete.bye':
+    'Amazon Pay गिफ्ट कार्ड इस्तेमाल करने के लिए धन्यवाद! फिर से शुरू करने के लिए "नमस्ते" लिखें।'
+};
@@ -0,0 +1,501 @@
+'use strict';
+
+// Hinglish (romanised Hindi) catalog; keys mirror en.js
+
+module.exports = {
+  'common.yes': 'Haan',
+  'common.none': '(kuch nahi)',
+  'common.proceed': 'Aage badhein',
+  'common.whatNext': 'Ab kya?',
+
+  'engine.fallback':
+    'Hi! Aapka reply humein samajh nahi aaya. Aage badhne ke liye sahi option chunein.',
+  'engine.continue': 'Theek hai, aage badhte hain.',
+  'engine.confirm.title': 'Please confirm karein',
+  'engine.confirm.no': 'Nahi, continue karein',
+  'engine.actionUnavailable': 'Is step par "{action}" available nahi hai',
+  'form.fixErrors': 'Highlight kiye gaye fields theek karke dobara try karein.',
+  'server.error': 'Kuch gadbad ho gayi. Please dobara try karein.',
+  'whatsapp.unsupported':
+    'Sorry, hum sirf text messages aur button taps padh sakte hain. Please apna reply type karein ya koi option tap karein.',
+  'whatsapp.choose': 'Please ek option chunein.',
+  'whatsapp.menu': 'Options',
+  'whatsapp.more': 'Aur options',
+  'channel.confirm': 'Confirm',
+  'channel.cancel': 'Cancel',
+  'channel.deliveryEmail.keep': 'Yahi email use karein',
+  'channel.payment.check': 'Payment status check karein',
+  'channel.payment.retry': 'Dobara try karein',
+  'channel.payment.qr': 'Kisi bhi UPI app se scan karke pay karein',
+  'channel.menu.hint': 'Number bhejein, ya apna jawab type karein.',
+  'channel.form.fullName': 'Aapka poora naam kya hai?',
+  'channel.form.company': 'Aapki company ka registered naam kya hai?',
+  'channel.form.phone': 'Aapka mobile number?',
+  'channel.form.email': 'Aapka official email address?',
+  'channel.form.gstin': 'Aapki company ka GSTIN (15 characters)?',
+  'channel.form.bankAccount':
+    'Company ka woh bank account number jisse aap pay karenge?',
+  'channel.form.ifsc': 'Us account ka IFSC code?',
+  'channel.form.lines':
+    'Line {n}: card value aur cards ki sankhya bhejein, jaise 500 x 10.',
+  'channel.form.lines.more':
+    'Line {n}: ek aur bhejein, jaise 1000 x 5, ya khatam karne ke liye "done" likhein.',
+  'channel.form.lines.added': '{denomination} ke {count} card add ho gaye.',
+  'channel.form.lines.invalid':
+    'Please card value aur cards ki sankhya bhejein, jaise 500 x 10.',
+  'channel.form.lines.empty':
+    'Pehle kam se kam ek line add karein, jaise 500 x 10.',
+  'channel.field.fullName': 'Poora naam',
+  'channel.field.company': 'Company',
+  'channel.field.phone': 'Phone',
+  'channel.field.email': 'Email',
+  'channel.field.gstin': 'GSTIN',
+  'channel.field.bankAccount': 'Bank account',
+  'channel.field.ifsc': 'IFSC',
+  'channel.field.lines': 'Order line',
+
+  'command.hint':
+    'Aap kabhi bhi "wapas", "restart", "status", "madad", "bhasha" ya "cancel" likh sakte hain.',
+  'command.confirmDiscard':
+    'Isse aapka current order hat jayega. Kya aap sach mein phir se shuru karna chahte hain?',
+  'command.back.none': 'Yahan se wapas jaane ke liye koi pichhla step nahi hai.',
+  'command.status.none':
+    "Abhi aapka koi order chal nahi raha. Shuru karne ke liye 'hi' likhein.",
+  'command.status.personal': '📝 Ab tak aapka gift card:',
+  'command.status.order': '📋 Request {requestId}: {status}',
+  'command.status.verified': '📋 Business verify ho gaya, order abhi shuru nahi hua',
+  'command.status.net': '• Net Payable: {net}',
+  'command.status.delivery': '• Delivery: {delivery}',
+  'command.status.payment': '• Payment: {method}',
+  'command.help.options': 'Inmein se ek chunein: {labels}.',
+  'command.help.default': 'Aage badhne ke liye upar wale sawaal ka jawab dein.',
+  'command.cancel.done': "Cancel ho gaya. Dobara shuru karne ke liye 'hi' likhein.",
+  'command.cancel.order':
+    "Request {requestId} cancel ho gayi hai. Dobara shuru karne ke liye 'hi' likhein.",
+  'command.cancel.paid':
+    "Request {requestId} ka payment ho chuka hai, isliye yeh active rahegi. Refund ke liye 1800 123456 par contact karein. Dobara shuru karne ke liye 'hi' likhein.",
+  'command.cancel.giftPaid':
+    "Gift card {ref} ka payment ho chuka hai, isliye yeh phir bhi bheja jayega. Refund ke liye 1800 123456 par contact karein. Dobara shuru karne ke liye 'hi' likhein.",
+
+  'language.prompt': 'Aap kis language mein baat karna chahenge?',
+  'language.title': 'Language chunein',
+  'language.changed': '✅ Language Hinglish mein badal di gayi hai.',
+  'language.en': 'English',
+  'language.hi': 'हिन्दी (Hindi)',
+  'language.hinglish': 'Hinglish',
+
+  'validation.required': 'Zaroori hai',
+  'validation.invalid': 'Galat value',
+  'validation.maxLength': 'Zyada se zyada {max} characters ho sakte hain',
+  'validation.wholeNumber': 'Poora number hona chahiye',
+  'validation.min': 'Kam se kam {min} hona chahiye',
+  'validation.max': 'Zyada se zyada {max} ho sakta hai',
+  'validation.minItems': 'Kam se kam ek item add karein',
+  'validation.maxItems': 'Zyada se zyada {max} items allowed hain',
+  'validation.fullName.required': 'Poora naam zaroori hai',
+  'validation.company.required': 'Company ka naam zaroori hai',
+  'validation.phone': 'Sahi phone number daalein (10-15 digits)',
+  'validation.officialEmail': 'Sahi official email daalein',
+  'validation.gstin': 'Sahi 15-character GSTIN daalein',
+  'validation.gstin.unverified':
+    'Verify nahi ho saka. GSTIN galat lag raha hai. Please sahi details daalein.',
+  'validation.bankAccount': 'Account number 8-20 digits ka hona chahiye',
+  'validation.ifsc': 'Sahi IFSC daalein (jaise HDFC0001234)',
+  'validation.utr':
+    'Apne transfer ka UTR daalein (12-22 letters aur digits, jaise HDFCN52024101912345678)',
+  'validation.lines.required': 'Kam se kam ek denomination add karein',
+  'validation.email': 'Sahi email address daalein',
+  'validation.mobile': 'Sahi Indian mobile number daalein',
+  'validation.recipient.required': 'Mobile number ya email daalein',
+  'validation.recipients.required': 'Kam se kam ek recipient daalein',
+  'validation.templateId': 'Koi ek template chunein',
+
+  'pricing.maxLines': 'Ek order mein zyada se zyada {max} denominations',
+  'pricing.minDenomination': 'Minimum denomination {amount} hai',
+  'pricing.maxDenomination': 'Maximum denomination {amount} hai',
+  'pricing.minCount': 'Count kam se kam 1 hona chahiye',
+  'pricing.maxOrderValue':
+    '{amount} se upar ke orders ke liye special handling lagti hai. Please customer care se contact karein: 180001 234567',
+  'pricing.quoteLine':
+    '• {count} gift cards @ {denomination} har ek = {subtotal}',
+
+  'order.status.draft': 'Draft',
+  'order.status.pi_issued': 'PI issue ho gaya',
+  'order.status.po_received': 'PO mil gaya',
+  'order.status.payment_pending': 'Payment baaki hai',
+  'order.status.paid': 'Payment ho gaya',
+  'order.status.issued': 'Gift cards issue ho gaye',
+  'order.status.cancelled': 'Cancel ho gaya',
+  'order.status.refunded': 'Refund ho gaya',
+
+  'giftcards.status.active': 'Active',
+  'giftcards.status.redeemed': 'Poora redeem ho chuka',
+  'giftcards.status.expired': 'Expired',
+  'giftcards.status.blocked': 'Blocked',
+  'giftcards.balance.usage':
+    'Card check karne ke liye "check gc" ke baad 16-digit card number likhein.',
+  'giftcards.balance.identify':
+    'Balance checks aapke business account mein gine jaate hain, aur aapka account abhi verified nahi hai. Kripya apna business verify karke dobara try karein.',
+  'giftcards.balance.invalid':
+    'Yeh valid gift card number nahi hai. Kripya 16 digits check karke dobara try karein.',
+  'giftcards.balance.limit':
+    '⚠️ Aapke account ke liye aaj ki {limit} balance checks ki limit poori ho gayi hai. Kal dobara try karein, ya 0124-6236000 par contact karein.',
+  'giftcards.balance.notFound': '{last4} par khatam hone wala koi gift card nahi mila.',
+  'giftcards.balance.card': '💳 Gift Card {card}',
+  'giftcards.balance.status': '• Status: {status}',
+  'giftcards.balance.amount': '• Balance: {denomination} mein se {balance}',
+  'giftcards.balance.expiry': '• {date} tak valid',
+  'giftcards.balance.history': '• Card history:\n{history}',
+  'giftcards.balance.noHistory': '• Abhi tak redeem nahi hua',
+  'giftcards.balance.remaining': 'Aaj bache balance checks: {remaining}',
+  'giftcards.movement.redeem': '  – {date}: {amount} redeem hue (ref {ref})',
+  'giftcards.movement.reverse': '  – {date}: {amount} reverse hue (ref {ref})',
+  'giftcards.movement.block': '  – {date}: card block kiya gaya',
+
+  'deliveries.none': 'Aapka koi scheduled gift card bheja jaana baaki nahi hai.',
+  'deliveries.title': '🗓️ Scheduled gift cards:',
+  'deliveries.item': '- {ref}: {amount}, {to} ko, {when} par',
+  'deliveries.hint':
+    "'reschedule {ref} to friday 6pm', 'reschedule {ref} now' ya 'cancel delivery {ref}' likhein.",
+  'deliveries.pick':
+    "Aap kaunse gift card ki baat kar rahe hain? Uska reference likhein, jaise 'cancel delivery PG-…'. List dekhne ke liye 'my deliveries' likhein.",
+  'deliveries.notFound': 'Reference {ref} ka koi scheduled gift card nahi mila.',
+  'deliveries.already.sent': 'Gift card {ref} pehle hi bheja ja chuka hai.',
+  'deliveries.already.cancelled': 'Gift card {ref} cancel ho chuka hai.',
+  'deliveries.already.unpaid': 'Gift card {ref} ka payment abhi nahi hua hai.',
+  'deliveries.reschedule.usage':
+    "Nayi date batayein, jaise 'reschedule to 2026-12-05 6pm', ya 'now'.",
+  'deliveries.rescheduled': '✅ Gift card {ref} ab {when} par jayega.',
+  'deliveries.sentNow': '🎉 Gift card {ref} ({card}) {to} ko bhej diya gaya hai.',
+  'deliveries.cancelled':
+    '❌ {to} ke liye gift card {ref} cancel ho gaya hai aur nahi bheja jayega.',
+  'deliveries.cancel.paid':
+    'Gift card {ref} ka payment ho chuka hai, isliye yeh yahan cancel nahi ho sakta. Aap ise reschedule kar sakte hain; refund ke liye 1800 123456 par contact karein.',
+
+  'start.idle': "Shuru karne ke liye 'hi' likhein.",
+  'start.welcome':
+    '👋 Amazon Pay Gift Cards mein aapka swagat hai – Pine Labs ke saath!\nPasand ki azaadi, use karne mein aasan, aur sabka favourite.\n\n✅ Business ya personal use ke liye turant kharidein\n🎁 Employees, clients, family aur dosto ke liye aasan gifting\n\n👉 Shuru karein?',
+  'start.knowMore':
+    '🎁 Amazon Pay Gift Cards - Sab kuch jo aapko jaanna chahiye\n\n✨ Khaas features:\n• Amazon.in par laakhon products par valid\n• ₹10 se shuru hone wale denominations\n• Business ke liye: GST invoice, discount aur CSV delivery\n• Turant delivery aur secure processing\n \n🔗Aur jaanein: https://www.amazon.in/gift-card-store/\n\n✅ Shuru karein?',
+  'start.option.buy': '🛒 Gift Card kharidein',
+  'start.option.buyCards': '🛒 Gift Cards kharidein',
+  'start.option.knowMore': 'ℹ️ Aur jaanein',
+  'start.fallback':
+    'Shuru karne ke liye button dabayein: Gift Card kharidein ya Aur jaanein',
+  'start.buyerType':
+    '✨ Badhiya! Batayein aap kiske liye kharid rahe hain:\n\n1️⃣ Apne liye / Dost aur Family\n2️⃣ Mera Business (Employees / Clients)\n\n ',
+  'start.buyerType.personal': '1️⃣ Apne liye / Dost aur Family',
+  'start.buyerType.business': '2️⃣ Mera Business (Employees / Clients)',
+
+  'occasion.birthday': 'Birthday',
+  'occasion.thankyou': 'Shukriya',
+  'occasion.diwali': 'Diwali',
+  'occasion.rakshabandhan': 'Raksha Bandhan',
+  'occasion.anniversary': 'Anniversary',
+  'occasion.wedding': 'Shaadi',
+  'occasion.holi': 'Holi',
+  'occasion.christmas': 'Christmas',
+  'occasion.newyear': 'Naya Saal',
+  'occasion.congratulations': 'Badhai',
+  'occasion.sorry': 'Sorry',
+
+  'slot.occasion': 'Occasion',
+  'slot.template': 'Template',
+  'slot.amount': 'Amount',
+  'slot.recipientEmail': 'Recipient email',
+  'slot.recipientPhone': 'Recipient mobile',
+  'slot.deliveryDate': 'Delivery date',
+  'slot.noted': '✅ Note kar liya – {details}',
+
+  'personal.occasion': 'Aap kis occasion ke liye gift card lena chahte hain?',
+  'personal.occasion.other': 'Other (apna likhein)',
+  'personal.occasionCustom': 'Please occasion likhein.',
+  'personal.template': 'Gift card ka template chunein.',
+  'personal.template.help':
+    'Kisi template image par tap karein, ya uska code (t1–t4) likhein.',
+  'personal.template.unknown': 'Ye template nahi mila',
+  'personal.amount': 'Amount chunein ya apna amount daalein.',
+  'personal.amount.help':
+    'Koi amount chunein ya rupees mein koi bhi amount likhein, jaise 750.',
+  'personal.amount.custom': 'Amount daalein',
+  'personal.recipientEmail':
+    'Aap ise kise bhejna chahenge? Recipient ka email id ya mobile number (hum SMS par claim link bhejte hain), ya dono daalein.',
+  'personal.recipientEmail.help':
+    'Wo email address ya 10-digit Indian mobile number likhein jis par gift card bhejna hai.',
+  'personal.recipientEmail.invalid':
+    'Please sahi email address ya Indian mobile number dein.',
+  'personal.message': 'Please apna gift card message likhein.',
+  'personal.message.help': 'Gift card par print karne ke liye chhota sa message likhein.',
+  'personal.deliveryDate':
+    "Gift card recipient ko kab pahunche? 'now' likhein, ya koi date jaise 'tomorrow', '15/08' ya 2026-12-01. Chahein to 6:30 pm jaisa time bhi jodein; warna yeh {time} IST par jayega.",
+  'personal.deliveryDate.now': 'Abhi',
+  'personal.deliveryDate.tomorrow': 'Kal',
+  'personal.deliveryDate.help':
+    "Turant bhejne ke liye 'now' likhein, ya date aur chahein to time (IST) dein, jaise 'friday 6pm'.",
+  'personal.deliveryDate.invalid':
+    "Please 'now' likhein ya koi date dein, jaise 'tomorrow' ya 2026-12-01.",
+  'personal.deliveryDate.oneDate': 'Please delivery ki sirf ek date dein.',
+  'personal.deliveryDate.past': 'Yeh time nikal chuka hai. Please baad ka time chunein.',
+  'personal.deliveryDate.tooFar':
+    'Gift cards zyada se zyada {days} din aage tak schedule ho sakte hain. Please pehle ki date chunein.',
+  'personal.clarify': 'Mujhe ek se zyada {slot} mile. Aapka matlab kaunsa tha?',
+  'personal.clarify.none':
+    'Ab kuch clear karna baaki nahi hai. Aage badhne ke liye kuch bhi likhein.',
+  'personal.clarify.title': '{slot} chunein',
+  'personal.clarify.fallback': 'Please upar diye options mein se ek chunein.',
+  'personal.clarify.help': 'Jo value aap chahte the us par tap karein, ya use likhein.',
+  'personal.confirm.intro': 'Aapke chune hue gift card ki details:',
+  'personal.confirm.review':
+    'Order place karne ke liye check karke confirm karein, ya restart ke liye cancel karein.',
+  'personal.confirm.help':
+    'Payment par aage badhne ke liye "confirm" likhein ya kuch badalne ke liye "wapas" likhein.',
+  'personal.confirm.fallback': 'Aage badhne ke liye please check karke confirm karein.',
+  'personal.detail.occasion': '- Occasion: {value}',
+  'personal.detail.template': '- Template: {value}',
+  'personal.detail.amount': '- Amount: {value}',
+  'personal.detail.recipient': '- Recipient: {value}',
+  'personal.detail.message': '- Message: {value}',
+  'personal.detail.delivery': '- Delivery: {value}',
+  'personal.success': '🎉 Ho gaya! Aapka gift card recipient ko bhej diya gaya hai.',
+  'personal.success.card': 'Gift card: {card} ({amount}, {expiry} tak valid)',
+  'personal.outOfStock':
+    'Sorry, {amount} ke gift cards abhi stock mein nahi hain. Doosri amount chunne ke liye "back" likhein.',
+  'personal.payMethod': '💳 Aap {amount} ka payment kaise karna chahenge?',
+  'personal.payMethod.title': 'Payment method chunein',
+  'personal.payMethod.upi': 'UPI',
+  'personal.payMethod.card': 'Debit / Credit Card',
+  'personal.payMethod.netbanking': 'Netbanking',
+  'personal.payMethod.help':
+    'UPI, card ya netbanking chunein. Payment confirm hote hi gift card bhej diya jayega.',
+  'personal.payment':
+    '{amount} ka payment {method} se yahan karein: {url}\nLink {minutes} min tak valid hai. Payment confirm hote hi gift card chala jayega; pay karne ke baad "paid" likhein.',
+  'personal.payment.title': 'Payment poora karein',
+  'personal.payment.payNow': 'Abhi pay karein',
+  'personal.payment.help':
+    'Payment page par pay karein, phir "paid" likhein. Payment fail ya expire hone par naye link ke liye "retry" likhein, ya doosra method chunne ke liye "back".',
+  'personal.payment.waiting':
+    '⏳ Is payment ka confirmation abhi nahi mila. Ise yahan poora karein: {url}\nPhir dobara "paid" likhein.',
+  'personal.payment.pending':
+    '⏳ Aapka payment abhi process ho raha hai. Confirm hote hi hum gift card bhej denge; dobara check karne ke liye "paid" likhein.',
+  'personal.payment.failed':
+    '❌ Payment nahi ho paya: {reason}\nKoi paisa nahi kata. Dobara pay karne ke liye "retry" likhein, ya doosra method chunne ke liye "back".',
+  'personal.payment.expired':
+    '⌛ Yeh payment link expire ho gaya hai aur koi paisa nahi kata. Naye link ke liye "retry" likhein, ya doosra method chunne ke liye "back".',
+  'personal.payment.retry':
+    '🔁 Yeh raha naya payment link, {minutes} min tak valid: {url}\nPay karne ke baad "paid" likhein.',
+  'personal.payment.outOfStock':
+    'Aapka payment mil gaya hai, lekin {amount} ke gift cards abhi-abhi khatam ho gaye. Hamari team jaldi card bhejegi ya refund karegi. Reference: {ref}',
+  'personal.scheduled':
+    '🗓️ Schedule ho gaya! Gift card {when} par jayega. Reference: {ref}',
+  'personal.scheduled.manage':
+    "Usse pehle kabhi bhi dekhne, badalne ya cancel karne ke liye 'my deliveries' likhein.",
+  'personal.success.details': 'Details:',
+  'personal.completed': "Naya gift card shuru karne ke liye 'hi' likhein.",
+
+  'biz.options':
+    '✨ Aaj hum aapki kya madad kar sakte hain?\n\n1️⃣ Apne business ke liye Gift Cards kharidein\n2️⃣ Pichhle orders dekhein\n3️⃣ Wapas',
+  'biz.options.title': 'Business Options',
+  'biz.options.purchase': '1️⃣ Apne business ke liye Gift Cards kharidein',
+  'biz.options.reports': '2️⃣ Pichhle orders dekhein',
+  'biz.options.back': '3️⃣ Wapas',
+  'biz.verification': '👍 Badhiya! Shuru karne ke liye kuch zaroori details share karein.',
+  'biz.verification.help':
+    'Verification form bharein: aapka naam, company, phone, official email, GSTIN aur company ka bank account IFSC ke saath. GSTIN aur bank account ek hi company ke hone chahiye.',
+  'biz.verification.failed':
+    '❌ Verification fail: Account aur GST ek hi company ke hone chahiye. Please dobara try karein.',
+  'biz.verification.done':
+    '✅ Verification ho gaya! Aapko 1% discount milega. Ab apna gift card order customize karte hain.',
+  'biz.occasion': 'Occasion chunein:',
+  'biz.occasion.title': 'Occasion chunein',
+  'biz.occasion.thankyou': '1️⃣ Thank You',
+  'biz.occasion.performer': '2️⃣ Best Performer',
+  'biz.occasion.festivities': '3️⃣ Tyohaar ki Shubhkaamnayein',
+  'biz.occasion.custom': '4️⃣ Apna message',
+  'biz.occasionCustom': 'Please apna message likhein (60 characters tak):',
+  'biz.occasionCustom.invalid': 'Please apna message likhein (60 characters tak):',
+  'biz.orderDetails': '💰 Please denomination aur quantity daalein.',
+  'biz.orderDetails.help':
+    '₹10 se ₹10,000 ke beech 5 denominations tak add karein, har ek ke card count ke saath; order total ₹3,00,000 tak ho sakta hai. Aap "150 cards x ₹100" jaisa bhi likh sakte hain.',
+  'biz.orderDetails.format':
+    'Please order details is format mein dein: "150 cards x ₹100 each" ya "₹15,000"',
+  'biz.deliveryMethod':
+    'Gift cards kaise deliver karein?\n1️⃣ Bulk File: saare cards ek encrypted CSV/Excel file mein, aap khud baantein\n2️⃣ Direct SMS & Email: hum har card uske recipient ko bhejenge',
+  'biz.deliveryMethod.title': 'Delivery method',
+  'biz.deliveryMethod.bulk': 'Bulk File',
+  'biz.deliveryMethod.direct': 'Direct SMS & Email',
+  'biz.deliveryMethod.help':
+    'Saare cards ek file mein chahiye to "Bulk File" chunein, ya har card ke liye mobile number ya email dene ke liye "Direct SMS & Email" chunein.',
+  'biz.deliveryMethod.tooMany':
+    'Direct delivery {max} cards tak hi hai; is order mein {count} hain. Please Bulk File chunein.',
+  'biz.recipients':
+    'Please {count} recipient(s) bhejein, har line mein ek (ya ";" se alag), har ek ke saath mobile number, email ya dono. Cards isi order mein jayenge. Jaise:\n9876543210, asha@example.com\nravi@example.com',
+  'biz.recipients.help':
+    'Har recipient ke liye 10-digit Indian mobile number (SMS par claim link milega), email (card number aur PIN milega) ya dono chahiye.',
+  'biz.recipients.invalid':
+    'Entries {entries} mein koi sahi mobile number ya email nahi hai. Please list dobara bhejein.',
+  'biz.recipients.count':
+    'Is order mein {expected} card(s) hain, par {count} recipient(s) diye gaye. Please har card ke liye ek recipient bhejein.',
+  'biz.deliveryEmail':
+    '📧 Apna delivery email confirm karein: {email}\n👉 Zaroorat ho to edit kar sakte hain.',
+  'biz.deliveryEmail.help':
+    'Verified email use karne ke liye "confirm" likhein, ya gift card file ke liye koi doosra email address likhein.',
+  'biz.deliveryEmail.edit': 'Please apna delivery email daalein:',
+  'biz.summary':
+    'Aapki request ka chhota sa summary:\n\n{lines}\n• Business Discount ({discountPercent}%): –{discount}\n• Net Payable: {net}\n• Delivery: {delivery}\n• Platform Fee: Maaf\n\n👉 Kya hum Proforma Invoice (PI) bana dein?',
+  'biz.summary.delivery.bulk': '{email} par CSV',
+  'biz.summary.delivery.direct':
+    '{count} recipient(s) ko SMS & email; CSV copy {email} par',
+  'biz.summary.title': 'Order Summary',
+  'biz.summary.sharePi': '1️⃣ Haan, PI bhejein',
+  'biz.summary.edit': '2️⃣ Order edit karein',
+  'biz.summary.editing': 'Chaliye aapki requirements update karte hain. Occasion chunein:',
+  'biz.summary.fallback': 'Please chunein:\n1️⃣ Haan, PI bhejein\n2️⃣ Order edit karein',
+  'biz.pi':
+    '📑 PI ban gaya → Request ID: {requestId}\n• Value: {net} (discount ke baad)\n• Validity: 7 working days\n📧 Bheja gaya: {email}\n📄 PI download karein: {url}',
+  'biz.pi.title': 'Proforma Invoice ban gaya',
+  'biz.pi.help':
+    'Payment method chunne ke liye "Aage badhein" chunein. Agar aapki company pehle purchase order banati hai, to share karne ke baad "PO uploaded" likhein.',
+  'biz.pi.poNoted':
+    '📄 Purchase order note kar liya. Payment method chunne ke liye "Aage badhein" chunein.',
+  'biz.paymentMethod':
+    '💳 Payment Instructions\n\nAage badhne se pehle please dekh lein:\n\n• Apne Proforma Invoice (PI) ki saari details check kar lein\n• Bank transfer usi GST-registered company account se hona chahiye jo verification mein diya tha\n• Credit Card payments secure tarike se process hote hain\n• UPI payment kisi bhi UPI app se QR code scan karke hota hai\n\n💳 Payment Options:',
+  'biz.paymentMethod.title': 'Payment Method chunein',
+  'biz.paymentMethod.netbanking': 'Netbanking',
+  'biz.paymentMethod.credit': 'Credit Card',
+  'biz.paymentMethod.upi': 'UPI',
+  'biz.paymentMethod.neft': 'NEFT / RTGS bank transfer',
+  'biz.payment':
+    'Aapne chuna: {method}\n\n{amount} ka secure payment yahan karein: {url}\n\nPayment gateway se confirm hote hi aapke gift cards process karke bhej diye jayenge. Payment ke baad "paid" likhein.',
+  'biz.payment.title': 'Payment poora karein',
+  'biz.payment.help':
+    'Payment page par pay karein, phir "paid" likhein. Payment gateway ke confirm karte hi order aage badhega. Bank transfer verified company account se hi hona chahiye.',
+  'biz.payment.payNow': 'Abhi pay karein',
+  'biz.payment.waiting':
+    '⏳ Is payment ka confirmation abhi nahi mila hai. Yahan poora karein: {url}\nPhir dobara "paid" likhein.',
+  'biz.payment.expired':
+    '⌛ Yeh payment link expire ho gaya hai aur koi paisa nahi kata. Naye link ke liye "retry" likhein, ya doosra method chunne ke liye "back".',
+  'biz.payment.pending':
+    '⏳ Aapka bank abhi payment process kar raha hai. Confirm hote hi hum aage badhenge; dobara check karne ke liye "paid" likhein.',
+  'biz.payment.failed':
+    '❌ Payment nahi ho paya: {reason}\nKoi paisa nahi kata. Dobara pay karne ke liye "retry" likhein, ya doosra method chunne ke liye "back".',
+  'biz.payment.retry':
+    '🔁 Yeh raha naya payment link: {url}\nPay karne ke baad "paid" likhein.',
+  'biz.transfer':
+    '🏦 {amount} NEFT ya RTGS se is account mein transfer karein:\n• Account name: {accountName}\n• Account number: {accountNumber}\n• IFSC: {ifsc}\n• Bank: {bankName}\n\nPayment reference mein {reference} likhein, aur transfer apne verified company account ({account}) se karein. Phir yahan transfer ka UTR number likhein.',
+  'biz.transfer.title': 'Bank Transfer se Payment',
+  'biz.transfer.submit': 'UTR bhejein',
+  'biz.transfer.help':
+    'Transfer usi company account se karein jo aapne verify kiya hai, phir uska UTR (bank ka diya hua transfer reference) likhein. Hum ise apne bank statement se match karte hain; paisa pahuncha ya nahi, check karne ke liye "paid" likhein.',
+  'biz.transfer.fallback':
+    'Please apne transfer ka UTR number likhein (jaise HDFCN52024101912345678), ya status ke liye "paid" likhein.',
+  'biz.transfer.askUtr':
+    'Aapka transfer abhi humein nahi mila. Please uska UTR number likhein taaki hum use match kar sakein.',
+  'biz.transfer.utrNoted':
+    '✅ UTR {utr} note kar liya. Transfer hamare bank statement mein dikhte hi, aam taur par ek working day mein, aapka order aage badhega. Check karne ke liye "paid" likhein.',
+  'biz.transfer.waiting':
+    '⏳ UTR {utr} wala transfer abhi hamare bank statement mein nahi aaya. Baad mein dobara check karne ke liye "paid" likhein.',
+  'biz.transfer.short':
+    '⚠️ Ab tak {received} mile hain. Please baaki {balance} usi reference ke saath transfer karein aur uska UTR bhejein.',
+  'biz.transfer.wrongAccount':
+    '⚠️ Aapka transfer company ke verified account ki jagah kisi doosre account se aaya hai. Hamari team ise sort karne ke liye aapse contact karegi.',
+  'biz.transfer.review':
+    '⏳ Is order ke liye transfer mil gaya hai, par bank statement mein yeh nahi dikhta ki kis account se aaya. Hamari team ise confirm karke aapko update karegi.',
+  'biz.transfer.utrInUse':
+    'Yeh UTR pehle se kisi doosre order ke liye recorded hai. Please number check kar lein.',
+  'biz.issued':
+    '✅ Payment mil gaya. GST Invoice aapke email par bheja gaya hai aur yahan available hai: [Download Invoice]',
+  'biz.issued.ready':
+    '🎉 Aapke Amazon Pay Gift Cards taiyaar hain!\n\n• Bulk CSV file bheji gayi: {email}\n• Cards issue hue: {count}, total {value}\n• Pehla card: {card} ({amount}, {expiry} tak valid)\n\n✅ GST Invoice bhi aapke email par bheja gaya hai → [Download Invoice]',
+  'biz.issued.password':
+    '🔐 Card files (CSV aur Excel) ek encrypted ZIP mein hain. Iska password SMS se {phone} par bheja gaya hai, file ke saath kabhi nahi, isliye ise safe rakhein. Download link {hours} ghante mein expire ho jayega; naya link kabhi bhi Reports → "Pichhli delivery reports download karein" se lein.',
+  'biz.issued.direct':
+    '📲 Saare {count} card(s) SMS aur/ya email se apne recipients ko bheje ja rahe hain.',
+  'biz.issued.outOfStock':
+    '⏳ Kuch denominations abhi stock mein nahi hain. Aapka payment safe hai: stock aate hi cards issue karke email kar diye jayenge. Dobara check karne ke liye "continue" likhein.',
+  'biz.download.title': 'Downloads',
+  'biz.download.invoiceTitle': 'Invoice',
+  'biz.download.gstInvoiceTitle': 'GST Invoice',
+  'biz.download.invoice': 'Invoice download karein (PDF)',
+  'biz.download.reportTitle': 'Delivery Report',
+  'biz.download.report': 'Cards download karein (ZIP)',
+  'biz.download.gstInvoice': 'GST Invoice (PDF)',
+  'biz.download.gcDelivery': 'GC Delivery (encrypted ZIP)',
+  'biz.final':
+    '✅ Order poora ho gaya!\n\nIse aur aasan banane ke liye humein aapka feedback chahiye.',
+  'biz.final.title': 'After-Sales aur Feedback',
+  'biz.final.help':
+    'Card check karne ke liye "check gc <card number>", festive offers ke liye "offers" likhein, ya feedback dein.',
+  'biz.final.feedback': '🌟 Feedback dein',
+  'biz.final.offers':
+    'Badhiya! Diwali 2025 ke early-bird offers available hain. Hamari team details ke saath aapse contact karegi.',
+  'biz.feedback':
+    'Humein aapka feedback chahiye. Please 1-5 rating dein aur apne comments share karein.',
+  'biz.feedback.comments': 'Shukriya! Please apne comments share karein (optional).',
+  'biz.feedback.thanks': '🙏 Feedback ke liye shukriya!',
+  'biz.feedback.offers': '🎁 Festive Offers dekhein',
+  'biz.reports':
+    'Hum aapki kya madad kar sakte hain?\n\n1️⃣ Pichhle order invoices download karein\n2️⃣ Pichhli delivery reports (CSV) download karein\n3️⃣ Wapas\n\nAur support ke liye contact karein: 1800 123456',
+  'biz.reports.title': 'Reports aur Queries',
+  'biz.reports.invoices': '1️⃣ Pichhle order invoices download karein',
+  'biz.reports.delivery': '2️⃣ Pichhli delivery reports (CSV) download karein',
+  'biz.report.noInvoices':
+    'Pichhle 12 mahino mein aapke account ka koi invoiced order nahi mila.',
+  'biz.report.invoices':
+    '✅ Pichhle 12 mahino ke orders ke invoices ({count})\n{orders}\n📥 Yahan download karein → [Download Invoice]',
+  'biz.report.delivery.title': '✅ Request ID {requestId} ki Delivery Report',
+  'biz.report.delivery.status': '• Status: {status}',
+  'biz.report.delivery.cards': '• Cards: {count}',
+  'biz.report.delivery.net': '• Net Value: {net}',
+  'biz.report.delivery.email': '• Delivery Email: {email}',
+  'biz.report.delivery.history': '• History:\n{history}',
+  'biz.report.delivery.emails': '• Emails:\n{emails}',
+  'biz.report.delivery.emailLine': '  – {document}, {to} ko: {status} ({date})',
+  'biz.report.delivery.direct':
+    '• {count} recipient(s) ko bheje gaye: SMS {sms}; email {email}',
+  'mail.template.giftCard': 'Gift card',
+  'mail.template.proformaInvoice': 'Proforma invoice',
+  'mail.template.taxInvoice': 'Tax invoice',
+  'mail.template.deliveryReport': 'Gift card file',
+  'mail.template.otp': 'Verification code',
+  'mail.status.queued': 'queue mein',
+  'mail.status.sent': 'bhej diya',
+  'mail.status.bounced': 'bounce ho gaya',
+  'sms.status.queued': 'queue mein',
+  'sms.status.sent': 'bhej diya',
+  'sms.status.failed': 'fail ho gaya',
+  'biz.report.delivery.notIssued': 'Is request ke cards abhi issue nahi hue hain.',
+  'biz.report.delivery.download':
+    '📥 Secure download → [Download Report]\nYeh link {hours} ghante tak chalega. ZIP ko cards issue hote waqt diye gaye password se kholein.',
+  'biz.report.delivery.unavailable':
+    'Is request ki koi delivery file record mein nahi hai. Kripya 1800 123456 par support se contact karein.',
+  'biz.reportIdentify':
+    'Please apne orders mein use kiya gaya registered email aur GSTIN share karein (jaise "finance@acme.com 29ABCDE1234F1Z5").',
+  'biz.reportIdentify.help':
+    'Jis email aur GSTIN se orders diye the, unhe ek hi message mein likhein.',
+  'biz.reportIdentify.invalid':
+    'Aapke orders dhoondhne ke liye humein registered email aur 15-character GSTIN dono chahiye.',
+  'biz.reportCode':
+    'Kripya humara email kiya hua 6-digit code likhein, ya naye code ke liye "resend" likhein.',
+  'biz.reportCode.help':
+    'Jis email se orders kiye gaye the, uska inbox check karein. Code 10 minute tak chalta hai.',
+  'biz.reportCode.sent':
+    '📧 Agar {email} aur us GSTIN se orders kiye gaye hain, to humne wahan 6-digit code email kiya hai. Orders dekhne ke liye code yahan likhein.',
+  'biz.reportCode.wrong':
+    'Yeh code sahi nahi hai. Aapke paas {left} attempt(s) baaki hain.',
+  'biz.reportCode.expired':
+    'Yeh code expire ho gaya hai. Naye code ke liye "resend" likhein.',
+  'biz.reportCode.locked':
+    'Bahut saare galat codes. Naye code ke liye apna registered email aur GSTIN dobara batayein.',
+  'biz.reportDelivery':
+    'Delivery report ke liye please apni Request ID daalein.',
+  'biz.reportDelivery.help':
+    'Aapki Request ID GC2627-000001 jaisi dikhti hai aur Proforma Invoice par likhi hoti hai.',
+  'biz.reportDelivery.notFound':
+    'Aapke account mein Request ID {requestId} wala koi order nahi mila. Please ID check karke dobara try karein.',
+  'biz.reportComplete':
+    'Abhi ke liye itna hi! Kya aap wapas jaana chahenge:\n1️⃣ Gift Cards kharidein\n2️⃣ Exit\n\n ',
+  'biz.reportComplete.purchase': '1️⃣ Gift Cards kharidein',
+  'biz.reportComplete.exit': '2️⃣ Exit',
+  'biz.reportComplete.bye':
+    'Amazon Pay Gift Cards use karne ke liye shukriya! Dobara shuru karne ke liye "hi" likhein.'
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+// Message catalogs for bot replies, option labels and validation errors.
+// Keys are dotted ("biz.summary.title"); values may contain {placeholders}.
+// A key missing from a locale falls back to English, and text that is not a
+// key at all is returned unchanged so literal strings still work.
+
+const CATALOGS = {
+  en: require('./en'),
+  hi: require('./hi'),
+  hinglish: require('./hinglish')
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = Object.keys(CATALOGS);
+
+// Common romanised Hindi words that rarely appear in English messages
+const HINGLISH_WORDS = new Set([
+  'mujhe', 'muje', 'chahiye', 'chaiye', 'kya', 'hai', 'hain', 'karna',
+  'karo', 'kijiye', 'kaise', 'nahi', 'nahin', 'haan', 'aap', 'aapka',
+  'kripya', 'dijiye', 'dena', 'bhejo', 'bhejna', 'mera', 'meri', 'mere',
+  'liye', 'kitna', 'kitne', 'rupaye', 'shukriya', 'dhanyavaad', 'namaste',
+  'namaskar', 'theek', 'thik', 'accha', 'achha', 'batao', 'bataiye',
+  'chalo', 'abhi', 'wapas', 'madad', 'bhai', 'ji', 'kal', 'wala', 'wali'
+]);
+
+function has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function isLocale(value) {
+  return typeof value === 'string' && has(CATALOGS, value);
+}
+
+function interpolate(text, params) {
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    has(params, name) ? String(params[name]) : match
+  );
+}
+
+/**
+ * Translate a key (or `{ key, params }` descriptor) into `locale`.
+ * @param {string} locale
+ * @param {string | { key: string, params?: object }} message
+ * @param {object} [params]
+ */
+function t(locale, message, params) {
+  if (message && typeof message === 'object') {
+    return t(locale, message.key, message.params);
+  }
+  if (typeof message !== 'string') return '';
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  if (has(catalog, message)) return interpolate(catalog[message], params);
+  if (has(CATALOGS[DEFAULT_LOCALE], message)) {
+    return interpolate(CATALOGS[DEFAULT_LOCALE][message], params);
+  }
+  return message;
+}
+
+/**
+ * Guess the language of a message: Devanagari is Hindi, romanised Hindi
+ * words make it Hinglish, a few plain English words make it English.
+ * @returns {string|null} null when the message is too short to tell
+ */
+function detectLocale(message) {
+  const text = String(message || '').toLowerCase();
+  if (/[ऀ-ॿ]/.test(text)) return 'hi';
+  const words = text.match(/[a-z']+/g) || [];
+  if (words.some(w => HINGLISH_WORDS.has(w))) return 'hinglish';
+  return words.length >= 3 ? 'en' : null;
+}
+
+/**
+ * Settle the session locale for this turn. An explicit pick always wins;
+ * otherwise the language is detected once, from the first message that
+ * gives enough to go on.
+ * @returns {string} the locale to reply in
+ */
+function resolveLocale(state, { message, locale }) {
+  if (isLocale(locale)) {
+    state.locale = locale;
+    state.localePicked = true;
+  } else if (!state.locale) {
+    const detected = detectLocale(message);
+    if (detected) state.locale = detected;
+  }
+  return state.locale || DEFAULT_LOCALE;
+}
+
+function placeholders(text) {
+  return (text.match(/\{\w+\}/g) || []).sort().join(',');
+}
+
+/**
+ * Compare every locale with English.
+ * @returns {Object<string, { missing: string[], extra: string[], placeholders: string[] }>}
+ *   only locales with problems are listed
+ */
+function checkCatalogs(catalogs = CATALOGS) {
+  const base = catalogs[DEFAULT_LOCALE];
+  const problems = {};
+  for (const [locale, catalog] of Object.entries(catalogs)) {
+    if (locale === DEFAULT_LOCALE) continue;
+    const report = {
+      missing: Object.keys(base).filter(key => !has(catalog, key)),
+      extra: Object.keys(catalog).filter(key => !has(base, key)),
+      placeholders: Object.keys(base).filter(
+        key =>
+          has(catalog, key) &&
+          placeholders(base[key]) !== placeholders(catalog[key])
+      )
+    };
+    if (
+      report.missing.length > 0 ||
+      report.extra.length > 0 ||
+      report.placeholders.length > 0
+    ) {
+      problems[locale] = report;
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  t,
+  isLocale,
+  detectLocale,
+  resolveLocale,
+  checkCatalogs
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('./jsonFile');
+const { toIstDate } = require('./format');
+
+/**
+ * Counts uses per key per calendar day in India, persisted so the count
+ * holds across sessions and restarts. Only today's counts are kept.
+ * @param {{ file: string, limit: number }} options
+ */
+function createDailyLimiter({ file, limit }) {
+  let state = readJson(file, { day: null, counts: {} });
+
+  return {
+    limit,
+
+    /**
+     * Use one unit for `key` if today's limit allows it.
+     * @returns {{ allowed: boolean, remaining: number }}
+     */
+    take(key, now = new Date()) {
+      const day = toIstDate(now);
+      if (state.day !== day) state = { day, counts: {} };
+      const used = state.counts[key] || 0;
+      if (used >= limit) return { allowed: false, remaining: 0 };
+      state.counts[key] = used + 1;
+      writeJsonAtomic(file, state);
+      return { allowed: true, remaining: limit - used - 1 };
+    }
+  };
+}
+
+module.exports = { createDailyLimiter };
@@ -0,0 +1,132 @@
+'use strict';
+
+// Chat locale -> Intl locale; Hinglish is written in Latin script, so it
+// formats like Indian English
+const INTL_LOCALES = { en: 'en-IN', hi: 'hi-IN', hinglish: 'en-IN' };
+
+function intlLocale(locale) {
+  return INTL_LOCALES[locale] || INTL_LOCALES.en;
+}
+
+// Whole rupees print without decimals; card balances can carry paise
+function formatCurrencyInr(amount, locale) {
+  const number = Number(amount);
+  if (Number.isNaN(number)) return '₹0';
+  const digits = Number.isInteger(number) ? 0 : 2;
+  return new Intl.NumberFormat(intlLocale(locale), {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(number);
+}
+
+function formatDateIst(value, locale) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(intlLocale(locale), {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  }).format(date);
+}
+
+// "05 Dec 2026, 6:30 pm IST"
+function formatDateTimeIst(value, locale) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const formatted = new Intl.DateTimeFormat(intlLocale(locale), {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+  return `${formatted} IST`;
+}
+
+// "+919876543210" -> "+91 98765 43210"
+function formatMobile(number) {
+  const m = String(number).match(/^\+91(\d{5})(\d{5})$/);
+  return m ? `+91 ${m[1]} ${m[2]}` : String(number);
+}
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Calendar day in India, as "YYYY-MM-DD"
+function toIstDate(value) {
+  const date = new Date(new Date(value).getTime() + IST_OFFSET_MS);
+  return date.toISOString().slice(0, 10);
+}
+
+// The instant of an IST calendar day ("YYYY-MM-DD") and time ("HH:MM")
+function fromIst(day, time = '00:00') {
+  return new Date(`${day}T${time}:00+05:30`);
+}
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = [
+  '', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty',
+  'Ninety'
+];
+
+function belowHundred(n) {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+}
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [
+    hundreds ? `${ONES[hundreds]} Hundred` : '',
+    rest ? belowHundred(rest) : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Indian grouping: crore, lakh, thousand
+function integerInWords(n) {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  const thousand = Math.floor((n % 100000) / 1000);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  const rest = n % 1000;
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Amount in words as printed on invoices, e.g. 54450.5 ->
+ * "Indian Rupees Fifty Four Thousand Four Hundred Fifty and Fifty Paise Only"
+ */
+function amountInWordsInr(amount) {
+  const paise = Math.round(Number(amount) * 100);
+  const rupees = Math.floor(paise / 100);
+  const rest = paise % 100;
+  const words = `Indian Rupees ${integerInWords(rupees)}`;
+  return rest
+    ? `${words} and ${belowHundred(rest)} Paise Only`
+    : `${words} Only`;
+}
+
+module.exports = {
+  formatCurrencyInr,
+  formatDateIst,
+  formatDateTimeIst,
+  formatMobile,
+  toIstDate,
+  fromIst,
+  amountInWordsInr
+};
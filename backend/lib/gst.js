@@ -0,0 +1,85 @@
+'use strict';
+
+// GST state codes: the first two digits of every GSTIN
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+function stateCodeOf(gstin) {
+  const code = String(gstin || '').slice(0, 2);
+  return GST_STATES[code] ? code : null;
+}
+
+function hasKnownStateCode(gstin) {
+  return stateCodeOf(gstin) !== null;
+}
+
+/**
+ * Split the GST contained in a tax-inclusive amount. Supplies within the
+ * supplier's state are taxed as CGST + SGST, everything else as IGST.
+ * Works in paise so the parts always add up to the total.
+ * @param {number} totalPaise   amount including tax
+ * @param {number} ratePercent  combined GST rate
+ * @param {{ supplierState: string, placeOfSupply: string }} states
+ */
+function splitGst(totalPaise, ratePercent, { supplierState, placeOfSupply }) {
+  const taxable = Math.round((totalPaise * 100) / (100 + ratePercent));
+  const tax = totalPaise - taxable;
+  if (supplierState === placeOfSupply) {
+    const cgst = Math.round(tax / 2);
+    return {
+      supplyType: 'intra-state',
+      taxable,
+      cgst: { rate: ratePercent / 2, amount: cgst },
+      sgst: { rate: ratePercent / 2, amount: tax - cgst },
+      igst: { rate: 0, amount: 0 },
+      tax
+    };
+  }
+  return {
+    supplyType: 'inter-state',
+    taxable,
+    cgst: { rate: 0, amount: 0 },
+    sgst: { rate: 0, amount: 0 },
+    igst: { rate: ratePercent, amount: tax },
+    tax
+  };
+}
+
+module.exports = { GST_STATES, stateCodeOf, hasKnownStateCode, splitGst };
@@ -0,0 +1,37 @@
+'use strict';
+
+const crypto = require('crypto');
+
+function generateSessionId() {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Web chat sessions are only ever named by generateSessionId(). Channels
+// name theirs under a prefix (WhatsApp: "wa:<number>"), which a web client
+// must never be able to pass off as its own.
+const SESSION_ID =
+  /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{32})$/;
+
+function isSessionId(id) {
+  return typeof id === 'string' && SESSION_ID.test(id);
+}
+
+// Reference a personal gift's card is issued under
+function generateGiftRef() {
+  return `PG-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+// Our ID for one payment attempt; the gateway has its own for the order
+function generatePaymentId() {
+  return `PAY-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+module.exports = {
+  generateSessionId,
+  isSessionId,
+  generateGiftRef,
+  generatePaymentId
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+// Minimal PDF writer for generated documents. Text is set in the standard
+// Helvetica fonts with WinAnsi encoding, so nothing is embedded, and the
+// file has no creation date or random /ID: the same pages always produce
+// the same bytes.
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+// Glyph widths (1/1000 em) for ASCII 32..126, from the standard AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584
+  ]
+};
+
+// WinAnsi bytes 0x80-0x9F that differ from Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+  '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c,
+  'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// The standard fonts have no rupee sign
+const REPLACEMENTS = { '₹': 'Rs.', '‑': '-' };
+
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    if (REPLACEMENTS[char]) {
+      bytes.push(...encodeText(REPLACEMENTS[char]));
+      continue;
+    }
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) bytes.push(WIN_ANSI[char]);
+    else if (code >= 32 && code < 127) bytes.push(code);
+    else if (code >= 160 && code <= 255) bytes.push(code);
+    else bytes.push(0x3f); // '?'
+  }
+  return bytes;
+}
+
+function textWidth(text, size, font = 'regular') {
+  const widths = WIDTHS[font];
+  const units = encodeText(text).reduce(
+    (sum, byte) =>
+      sum + (byte >= 32 && byte < 127 ? widths[byte - 32] : 556),
+    0
+  );
+  return (units * size) / 1000;
+}
+
+// Numbers are written with at most two decimals so output never depends on
+// float formatting
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function hex(text) {
+  return `<${Buffer.from(encodeText(text)).toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * Content stream for one page. Coordinates are from the top-left corner.
+ * Ops:
+ *   { text, x, y, size?, font?: 'regular'|'bold', align?: 'left'|'right'|'center' }
+ *   { line: [x1, y1, x2, y2], width? }
+ *   { rect: [x, y, w, h], fill?: gray 0-1 }
+ */
+function pageContent(ops) {
+  const out = [];
+  for (const op of ops) {
+    if (op.line) {
+      const [x1, y1, x2, y2] = op.line;
+      out.push(
+        `${num(op.width || 0.5)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ` +
+          `${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+      );
+    } else if (op.rect) {
+      const [x, y, w, h] = op.rect;
+      const box = `${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re`;
+      out.push(
+        op.fill === undefined
+          ? `0.5 w ${box} S`
+          : `${num(op.fill)} g ${box} f 0 g`
+      );
+    } else if (op.text !== undefined && op.text !== '') {
+      const size = op.size || 10;
+      const font = op.font === 'bold' ? 'bold' : 'regular';
+      const width = textWidth(op.text, size, font);
+      const x =
+        op.align === 'right'
+          ? op.x - width
+          : op.align === 'center'
+          ? op.x - width / 2
+          : op.x;
+      out.push(
+        `BT /${font === 'bold' ? 'F2' : 'F1'} ${num(size)} Tf ` +
+          `${num(x)} ${num(PAGE_HEIGHT - op.y)} Td ${hex(op.text)} Tj ET`
+      );
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Render pages of drawing ops to a PDF file.
+ * @param {object[][]} pages
+ * @param {{ title?: string }} [info]
+ * @returns {Buffer}
+ */
+function renderPdf(pages, { title } = {}) {
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularId = add(
+    `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`
+  );
+  const boldId = add(
+    `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`
+  );
+  const pageIds = pages.map(ops => {
+    const content = Buffer.from(pageContent(ops), 'latin1');
+    const contentId = add(
+      Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} >>\nstream\n`),
+        content,
+        Buffer.from('\nendstream')
+      ])
+    );
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> ` +
+        `/Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+    .map(id => `${id} 0 R`)
+    .join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = title ? add(`<< /Title ${hex(title)} >>`) : null;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const start = offset;
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n')
+    ]);
+    chunks.push(chunk);
+    offset += chunk.length;
+    return start;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `)
+  ];
+  chunks.push(
+    Buffer.from(
+      `${xref.join('\n')}\ntrailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R` +
+        `${infoId ? ` /Info ${infoId} 0 R` : ''} >>\nstartxref\n${offset}\n%%EOF\n`
+    )
+  );
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Break text into lines that fit `maxWidth` at the given size.
+ */
+function wrapText(text, maxWidth, size, font = 'regular') {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, font) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  renderPdf,
+  textWidth,
+  wrapText
+};
@@ -0,0 +1,451 @@
+'use strict';
+
+const zlib = require('zlib');
+const { crc32 } = require('./zip');
+
+// Minimal QR code writer (ISO/IEC 18004): byte mode only, versions 1-40,
+// drawn as SVG or PNG. Enough for payment links.
+
+// Format-information bits of each error correction level
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+const ECC_INDEX = { L: 0, M: 1, Q: 2, H: 3 };
+
+// Error correction codewords per block, and blocks, by level then version
+// (index 0 unused)
+const ECC_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Which modules each of the 8 mask patterns flips
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  x => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function qrError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Modules left for data and error correction once the function patterns
+// are drawn
+function rawDataModules(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const aligns = Math.floor(version / 7) + 2;
+    modules -= (25 * aligns - 10) * aligns - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return modules;
+}
+
+function dataCodewords(version, level) {
+  const e = ECC_INDEX[level];
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    ECC_PER_BLOCK[e][version] * ECC_BLOCKS[e][version]
+  );
+}
+
+// GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(a, b) {
+  let product = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((b >>> i) & 1) * a;
+  }
+  return product;
+}
+
+function reedSolomonDivisor(degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < degree; j += 1) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const remainder = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return remainder;
+}
+
+// Split the data into blocks, add each block's error correction and
+// interleave them, as the symbol stores them
+function addErrorCorrection(data, version, level) {
+  const e = ECC_INDEX[level];
+  const blocks = ECC_BLOCKS[e][version];
+  const eccLength = ECC_PER_BLOCK[e][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - (rawCodewords % blocks);
+  const shortLength = Math.floor(rawCodewords / blocks);
+  const divisor = reedSolomonDivisor(eccLength);
+  const all = [];
+  for (let i = 0, k = 0; i < blocks; i += 1) {
+    const block = data.slice(
+      k,
+      k + shortLength - eccLength + (i < shortBlocks ? 0 : 1)
+    );
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    // Short blocks get a placeholder so every block lines up
+    if (i < shortBlocks) block.push(0);
+    all.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < all[0].length; i += 1) {
+    all.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// Mode indicator, length, the bytes, then terminator and padding
+function encodeData(bytes, version, level) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+  };
+  const capacity = dataCodewords(version, level) * 8;
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const byte of bytes) push(byte, 8);
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(
+      bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit)
+    );
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step =
+    version === 32
+      ? 26
+      : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const grid = () =>
+    Array.from({ length: size }, () => new Array(size).fill(false));
+  const modules = grid();
+  const reserved = grid();
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { version, size, modules, reserved, set };
+}
+
+function drawFormatBits(matrix, level, mask) {
+  const { size, set } = matrix;
+  const data = (ECC_FORMAT_BITS[level] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i += 1) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i += 1) set(14 - i, 8, bit(i));
+  // Copy split between the other two finders
+  for (let i = 0; i < 8; i += 1) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i += 1) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+function drawFunctionPatterns(matrix) {
+  const { version, size, set } = matrix;
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4]
+  ]) {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    }
+  }
+  const aligns = alignmentPositions(version);
+  const last = aligns.length - 1;
+  aligns.forEach((cx, i) => {
+    aligns.forEach((cy, j) => {
+      // None where a finder pattern sits
+      const corner = (i === 0 || i === last) && (j === 0 || j === last);
+      if (corner && !(i === last && j === last)) return;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  // Reserve the format areas; the real bits go in once the mask is chosen
+  drawFormatBits(matrix, 'L', 0);
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i += 1) {
+      rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+}
+
+// Codewords go in two-module columns, zigzagging up and down from the
+// bottom right, skipping the vertical timing pattern
+function drawCodewords(matrix, codewords) {
+  const { size, modules, reserved } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step += 1) {
+      const y = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i += 1;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(matrix, mask) {
+  const { size, modules, reserved } = matrix;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+const FINDER_LIKE = [
+  [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]
+];
+
+// The standard's penalty score; the mask with the lowest is used
+function penalty({ size, modules }) {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i += 1) {
+    lines.push(modules[i].map(Number));
+    lines.push(modules.map(row => Number(row[i])));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i += 1) {
+      if (i < size && line[i] === line[i - 1]) {
+        run += 1;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i += 1) {
+      for (const pattern of FINDER_LIKE) {
+        if (pattern.every((value, k) => line[i + k] === value)) score += 40;
+      }
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) dark += 1;
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Encode `text` (as UTF-8) in the smallest QR symbol that holds it at the
+ * given error correction level.
+ * @param {string} text
+ * @param {{ level?: 'L'|'M'|'Q'|'H' }} [options]
+ * @returns {{ version: number, size: number, modules: boolean[][] }}
+ *   `modules[y][x]` is true for dark modules
+ */
+function encodeQr(text, { level = 'M' } = {}) {
+  if (!(level in ECC_INDEX)) {
+    throw qrError(`Unknown error correction level "${level}"`, 'QR_LEVEL');
+  }
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  let version = 1;
+  while (
+    version <= 40 &&
+    4 + (version < 10 ? 8 : 16) + bytes.length * 8 >
+      dataCodewords(version, level) * 8
+  ) {
+    version += 1;
+  }
+  if (version > 40) {
+    throw qrError('Text is too long for a QR code', 'QR_TOO_LONG');
+  }
+  const matrix = createMatrix(version);
+  drawFunctionPatterns(matrix);
+  drawCodewords(
+    matrix,
+    addErrorCorrection(encodeData(bytes, version, level), version, level)
+  );
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask += 1) {
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, level, mask);
+    const score = penalty(matrix);
+    if (score < bestScore) {
+      best = mask;
+      bestScore = score;
+    }
+    applyMask(matrix, mask);
+  }
+  applyMask(matrix, best);
+  drawFormatBits(matrix, level, best);
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * The symbol as an SVG document, one unit per module, with the 4-module
+ * quiet zone scanners need.
+ * @param {{ size: number, modules: boolean[][] }} qr
+ */
+function qrToSvg({ size, modules }, { margin = 4 } = {}) {
+  // One rectangle per run of dark modules in a row
+  const path = [];
+  modules.forEach((row, y) => {
+    for (let x = 0; x < size; x += 1) {
+      if (!row[x]) continue;
+      const start = x;
+      while (x + 1 < size && row[x + 1]) x += 1;
+      const run = x - start + 1;
+      path.push(`M${start + margin} ${y + margin}h${run}v1h-${run}z`);
+    }
+  });
+  const side = size + margin * 2;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${side} ${side}" shape-rendering="crispEdges"><rect width="${side}" height="${side}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>\n`;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * The symbol as a black-and-white PNG, `scale` pixels per module, for
+ * clients that cannot show SVG.
+ * @param {{ size: number, modules: boolean[][] }} qr
+ * @returns {Buffer}
+ */
+function qrToPng({ size, modules }, { scale = 8, margin = 4 } = {}) {
+  const side = (size + margin * 2) * scale;
+  const rowBytes = Math.ceil(side / 8);
+  // 1-bit greyscale, where 1 is white; each row starts with filter type 0
+  const raw = Buffer.alloc((rowBytes + 1) * side, 0);
+  for (let py = 0; py < side; py += 1) {
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < side; px += 1) {
+      const x = Math.floor(px / scale) - margin;
+      const dark = y >= 0 && y < size && x >= 0 && x < size && modules[y][x];
+      if (!dark) {
+        raw[py * (rowBytes + 1) + 1 + (px >>> 3)] |= 0x80 >>> (px & 7);
+      }
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(side, 0);
+  header.writeUInt32BE(side, 4);
+  header[8] = 1;
+  header[9] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { encodeQr, qrToSvg, qrToPng };
@@ -0,0 +1,103 @@
+'use strict';
+
+// Minimal schema validation for action payloads.
+//
+// A schema maps field names to rules:
+//   { type: 'string', required, maxLength, pattern, test, normalize, message }
+//   { type: 'integer', required, min, max, message }
+//   { type: 'array', minItems, maxItems, items: <schema>, message }
+//
+// validate() returns { ok, value, errors } where errors maps field paths such
+// as "email" or "lines.0.count" to a message the client can show inline.
+// Messages are i18n keys, or `{ key, params }` when they carry a limit.
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function checkString(rule, raw) {
+  let value = String(raw).trim();
+  if (rule.normalize) value = rule.normalize(value);
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return {
+      error: rule.message || {
+        key: 'validation.maxLength',
+        params: { max: rule.maxLength }
+      }
+    };
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return { error: rule.message || 'validation.invalid' };
+  }
+  if (rule.test && !rule.test(value)) {
+    return { error: rule.message || 'validation.invalid' };
+  }
+  return { value };
+}
+
+function checkInteger(rule, raw) {
+  const value = Number(raw);
+  if (!Number.isInteger(value)) {
+    return { error: rule.message || 'validation.wholeNumber' };
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return {
+      error: rule.message || { key: 'validation.min', params: { min: rule.min } }
+    };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return {
+      error: rule.message || { key: 'validation.max', params: { max: rule.max } }
+    };
+  }
+  return { value };
+}
+
+function validate(schema, data, prefix = '') {
+  const input = data && typeof data === 'object' ? data : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const path = prefix + field;
+    const raw = input[field];
+    const type = rule.type || 'string';
+
+    if (type === 'array') {
+      const list = Array.isArray(raw) ? raw : [];
+      if (list.length < (rule.minItems || 0)) {
+        errors[path] = rule.message || 'validation.minItems';
+        continue;
+      }
+      if (rule.maxItems && list.length > rule.maxItems) {
+        errors[path] = {
+          key: 'validation.maxItems',
+          params: { max: rule.maxItems }
+        };
+        continue;
+      }
+      value[field] = list.map((item, index) => {
+        const res = validate(rule.items, item, `${path}.${index}.`);
+        Object.assign(errors, res.errors);
+        return res.value;
+      });
+      continue;
+    }
+
+    if (isBlank(raw)) {
+      if (rule.required) {
+        errors[path] = rule.requiredMessage || 'validation.required';
+      }
+      continue;
+    }
+
+    const res =
+      type === 'integer' ? checkInteger(rule, raw) : checkString(rule, raw);
+    if (res.error) errors[path] = res.error;
+    else value[field] = res.value;
+  }
+
+  return { ok: Object.keys(errors).length === 0, value, errors };
+}
+
+module.exports = { validate };
@@ -0,0 +1,43 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Expiring links: `path?expires=<unix seconds>&sig=<hmac>`. The signature
+ * covers the path and the expiry, so neither can be changed.
+ * @param {{ secret: string, ttlMs: number }} options
+ */
+function createUrlSigner({ secret, ttlMs }) {
+  const signature = (path, expires) =>
+    crypto
+      .createHmac('sha256', secret)
+      .update(`${path}\n${expires}`)
+      .digest('base64url');
+
+  return {
+    sign(path, now = Date.now()) {
+      const expires = Math.floor((now + ttlMs) / 1000);
+      return `${path}?expires=${expires}&sig=${signature(path, expires)}`;
+    },
+
+    /**
+     * @returns {'ok'|'expired'|'invalid'}
+     */
+    verify(path, { expires, sig } = {}, now = Date.now()) {
+      if (!/^\d+$/.test(String(expires)) || typeof sig !== 'string') {
+        return 'invalid';
+      }
+      const expected = Buffer.from(signature(path, expires));
+      const given = Buffer.from(sig);
+      if (
+        expected.length !== given.length ||
+        !crypto.timingSafeEqual(expected, given)
+      ) {
+        return 'invalid';
+      }
+      return Number(expires) * 1000 < now ? 'expired' : 'ok';
+    }
+  };
+}
+
+module.exports = { createUrlSigner };
@@ -0,0 +1,118 @@
+'use strict';
+
+// Find a GSTIN or an email inside free text
+const GSTIN_PATTERN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/i;
+const EMAIL_PATTERN = /[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+/;
+// An Indian mobile number inside free text ("+91 98765-43210")
+const MOBILE_PATTERN = /(?<![\d+])(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/;
+
+// NEFT/RTGS UTRs start with the sending bank's 4-letter code
+// ("HDFCN52024101912345678", "SBIN424293123456"); IMPS references are 12
+// digits. Inside free text only the bank-coded form is looked for.
+const UTR_PATTERN = /\b[A-Z]{4}[0-9A-Z]\d{7,17}\b/;
+
+// A UPI ID (VPA): handle@psp, e.g. "ravi.k@okhdfcbank"
+const VPA_PATTERN = /^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$/i;
+
+function normalizeAmount(message) {
+  if (!message) return null;
+  const digits = String(message).replace(/[^0-9]/g, '');
+  if (!digits) return null;
+  const value = parseInt(digits, 10);
+  if (Number.isNaN(value)) return null;
+  return value;
+}
+
+function isValidEmail(text) {
+  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return re.test(String(text).toLowerCase());
+}
+
+function isValidPhone(text) {
+  const normalized = String(text).replace(/\s|-/g, '');
+  return /^(\+?\d{10,15})$/.test(normalized);
+}
+
+// An Indian mobile number as "+91XXXXXXXXXX", with or without +91/0 in
+// front; null for anything else (landlines included, since they get no SMS)
+function normalizeMobile(text) {
+  const digits = String(text)
+    .trim()
+    .replace(/[\s().-]/g, '');
+  const m = digits.match(/^(?:\+?91|0)?([6-9]\d{9})$/);
+  return m ? `+91${m[1]}` : null;
+}
+
+// A UTR as typed ("hdfc n520 2410 1912 3456"): upper case without spaces or
+// dashes, or null when it cannot be one
+function normalizeUtr(text) {
+  const utr = String(text || '')
+    .replace(/[\s-]/g, '')
+    .toUpperCase();
+  return /^(?=.*\d)[A-Z0-9]{12,22}$/.test(utr) ? utr : null;
+}
+
+function isValidVpa(text) {
+  return VPA_PATTERN.test(String(text || '').trim());
+}
+
+// Answers that mean "send it straight away"
+const NOW_PATTERN =
+  /^(now|today|right now|immediately|asap|abhi|turant|अभी|तुरंत)[\s!.]*$/;
+
+// "18:30", "6:30 pm", "6pm"
+const TIME_PATTERN =
+  /\b([01]?\d|2[0-3]):([0-5]\d)(?:\s*([ap])\.?m\b\.?)?|\b(1[0-2]|0?[1-9])\s*([ap])\.?m\b\.?/i;
+
+/**
+ * Time of day in a message, as 24-hour "HH:MM"; null when there is none.
+ */
+function parseTimeOfDay(message) {
+  const m = String(message || '').match(TIME_PATTERN);
+  if (!m) return null;
+  let hours = Number(m[1] || m[4]);
+  const minutes = Number(m[2] || 0);
+  const half = (m[3] || m[5] || '').toLowerCase();
+  if (half && hours > 12) return null;
+  if (half === 'p' && hours < 12) hours += 12;
+  if (half === 'a' && hours === 12) hours = 0;
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+/**
+ * A delivery date answer: "now", or a YYYY-MM-DD date with an optional time
+ * of day. Dates and times are Indian Standard Time.
+ * @returns {{ ok: true, kind: 'now' }
+ *   | { ok: true, kind: 'date', date: string, time: string|null }
+ *   | { ok: false }}
+ */
+function parseDeliveryDate(message) {
+  if (!message) return { ok: false };
+  const text = String(message).trim().toLowerCase();
+  if (NOW_PATTERN.test(text)) return { ok: true, kind: 'now' };
+  const m = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (m) {
+    const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    if (date.getUTCDate() === +m[3] && date.getUTCMonth() === +m[2] - 1) {
+      return { ok: true, kind: 'date', date: m[0], time: parseTimeOfDay(text) };
+    }
+  }
+  return { ok: false };
+}
+
+module.exports = {
+  GSTIN_PATTERN,
+  EMAIL_PATTERN,
+  MOBILE_PATTERN,
+  UTR_PATTERN,
+  VPA_PATTERN,
+  normalizeAmount,
+  isValidEmail,
+  isValidPhone,
+  normalizeMobile,
+  normalizeUtr,
+  isValidVpa,
+  parseTimeOfDay,
+  parseDeliveryDate
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const { createZip } = require('./zip');
+
+// Minimal single-sheet XLSX: every cell is written as an inline string or a
+// number, which is all Excel, LibreOffice and Google Sheets need to open it.
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value === undefined || value === null ? '' : value
+  )}</t></is></c>`;
+}
+
+function sheetXml(rows) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`))
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+}
+
+/**
+ * @param {(string|number)[][]} rows   first row is usually the header
+ * @param {{ sheetName?: string }} [options]
+ * @returns {Buffer}
+ */
+function renderXlsx(rows, { sheetName = 'Sheet1' } = {}) {
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data:
+        xml +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data:
+        xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data:
+        xml +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data:
+        xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(rows) }
+  ]);
+}
+
+module.exports = { renderXlsx };
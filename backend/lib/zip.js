@@ -0,0 +1,164 @@
+'use strict';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Minimal ZIP writer: deflated entries, optionally encrypted with WinZip
+// AES-256 (AE-2), which 7-Zip, WinZip, WinRAR and macOS Archive Utility
+// open with the password.
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = -1;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate()
+  };
+}
+
+const AES_SALT_LENGTH = 16;
+const AES_KEY_LENGTH = 32;
+const AES_AUTH_LENGTH = 10;
+
+// WinZip AES: PBKDF2-SHA1 keys, AES in CTR mode with a little-endian
+// counter starting at 1, and a truncated HMAC-SHA1 over the ciphertext
+function aesEncrypt(data, password) {
+  const salt = crypto.randomBytes(AES_SALT_LENGTH);
+  const keys = crypto.pbkdf2Sync(
+    password,
+    salt,
+    1000,
+    AES_KEY_LENGTH * 2 + 2,
+    'sha1'
+  );
+  const encKey = keys.subarray(0, AES_KEY_LENGTH);
+  const authKey = keys.subarray(AES_KEY_LENGTH, AES_KEY_LENGTH * 2);
+  const verifier = keys.subarray(AES_KEY_LENGTH * 2);
+
+  const blocks = Math.ceil(data.length / 16);
+  const counters = Buffer.alloc(blocks * 16);
+  for (let i = 0; i < blocks; i += 1) {
+    counters.writeUInt32LE(i + 1, i * 16);
+  }
+  const ecb = crypto.createCipheriv('aes-256-ecb', encKey, null);
+  ecb.setAutoPadding(false);
+  const stream = Buffer.concat([ecb.update(counters), ecb.final()]);
+  const encrypted = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i += 1) {
+    encrypted[i] = data[i] ^ stream[i];
+  }
+  const auth = crypto
+    .createHmac('sha1', authKey)
+    .update(encrypted)
+    .digest()
+    .subarray(0, AES_AUTH_LENGTH);
+  return Buffer.concat([salt, verifier, encrypted, auth]);
+}
+
+// Extra field 0x9901: AE-2, AES-256, real method deflate
+function aesExtraField() {
+  const extra = Buffer.alloc(11);
+  extra.writeUInt16LE(0x9901, 0);
+  extra.writeUInt16LE(7, 2);
+  extra.writeUInt16LE(2, 4);
+  extra.write('AE', 6, 'latin1');
+  extra.writeUInt8(3, 8);
+  extra.writeUInt16LE(8, 9);
+  return extra;
+}
+
+/**
+ * @param {{ name: string, data: Buffer|string }[]} entries
+ * @param {{ password?: string, date?: Date }} [options]
+ * @returns {Buffer}
+ */
+function createZip(entries, { password, date = new Date() } = {}) {
+  const stamp = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data)
+      ? entry.data
+      : Buffer.from(entry.data, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const body = password ? aesEncrypt(deflated, password) : deflated;
+    const extra = password ? aesExtraField() : Buffer.alloc(0);
+    // AE-2 leaves the CRC out; the HMAC protects the data instead
+    const crc = password ? 0 : crc32(data);
+    const version = password ? 51 : 20;
+    // Bit 0: encrypted, bit 11: UTF-8 names
+    const flags = (password ? 0x1 : 0) | 0x800;
+    const method = password ? 99 : 8;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(version, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(stamp.time, 10);
+    local.writeUInt16LE(stamp.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(extra.length, 28);
+    locals.push(local, name, extra, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(version, 4);
+    central.writeUInt16LE(version, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(stamp.time, 12);
+    central.writeUInt16LE(stamp.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name, extra);
+
+    offset += local.length + name.length + extra.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { createZip, crc32 };
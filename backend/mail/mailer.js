@@ -0,0 +1,205 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { buildMessage, addressOf } = require('./mime');
+const { renderTemplate } = require('./templates');
+
+/**
+ * @typedef {Object} MailStatus
+ * @property {string} id
+ * @property {string|null} ref     request ID or personal gift reference
+ * @property {string} template
+ * @property {string[]} to
+ * @property {string} subject
+ * @property {string[]} attachments  file names
+ * @property {'queued'|'sent'|'bounced'} status
+ * @property {number} attempts
+ * @property {string} createdAt
+ * @property {string|null} nextAttemptAt  while queued
+ * @property {string|null} sentAt
+ * @property {string|null} bouncedAt
+ * @property {string|null} lastError
+ */
+
+/**
+ * Outgoing email. `send()` renders and queues a message and returns at
+ * once; a background run hands it to the transport. Failures are retried
+ * with exponential backoff until a permanent refusal, or running out of
+ * attempts, marks the message bounced.
+ *
+ * Queued messages wait in `spoolDir` so they survive a restart. A spooled
+ * message is deleted once it is sent or bounced, since gift card emails
+ * carry codes and PINs.
+ * @param {{ file: string, spoolDir: string, from: string, transport: import('./transports').MailTransport, maxAttempts: number, retryBaseMs: number, retryMaxMs: number }} options
+ */
+function createMailer({
+  file,
+  spoolDir,
+  from,
+  transport,
+  maxAttempts,
+  retryBaseMs,
+  retryMaxMs
+}) {
+  const state = readJson(file, { messages: {} });
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  let running = null;
+  let rerun = false;
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  const spoolPath = id => path.join(spoolDir, `${id}.eml`);
+
+  // 1×, 2×, 4×, … the base delay, capped
+  function backoff(attempts) {
+    return Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+  }
+
+  function settle(message, status, error) {
+    const at = new Date().toISOString();
+    message.status = status;
+    message.nextAttemptAt = null;
+    if (status === 'sent') message.sentAt = at;
+    else message.bouncedAt = at;
+    if (error) message.lastError = error;
+    fs.rmSync(spoolPath(message.id), { force: true });
+  }
+
+  async function deliver(message) {
+    let raw;
+    try {
+      raw = fs.readFileSync(spoolPath(message.id));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      settle(message, 'bounced', 'Message body is missing from the spool');
+      return;
+    }
+    message.attempts += 1;
+    try {
+      await transport.send({
+        id: message.id,
+        from: addressOf(from),
+        to: message.to.map(addressOf),
+        raw
+      });
+      settle(message, 'sent');
+    } catch (err) {
+      if (err.permanent || message.attempts >= maxAttempts) {
+        settle(message, 'bounced', err.message);
+      } else {
+        message.lastError = err.message;
+        message.nextAttemptAt = new Date(
+          Date.now() + backoff(message.attempts)
+        ).toISOString();
+      }
+    }
+  }
+
+  async function runQueue() {
+    const now = Date.now();
+    const due = Object.values(state.messages)
+      .filter(m => m.status === 'queued' && Date.parse(m.nextAttemptAt) <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const message of due) {
+      await deliver(message);
+      save();
+    }
+  }
+
+  /**
+   * Send every message that is due. Calls made during a run share it, and
+   * one more run follows for whatever they queued.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        rerun = false;
+        await runQueue();
+      } while (rerun);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  return {
+    transport: transport.name,
+
+    /**
+     * Queue a templated email. Never throws for delivery problems; they
+     * show up in the message status.
+     * @param {{ template: string, data: object, to: string|string[], ref?: string, attachments?: import('./mime').Attachment[] }} mail
+     * @returns {MailStatus}
+     */
+    send({ template, data, to, ref = null, attachments = [] }) {
+      const id = `${Date.now().toString(36)}.${crypto
+        .randomBytes(6)
+        .toString('hex')}`;
+      const recipients = [].concat(to);
+      const rendered = renderTemplate(template, data);
+      const raw = buildMessage({
+        from,
+        to: recipients,
+        ...rendered,
+        attachments,
+        messageId: `${id}@${domain}`
+      });
+      fs.mkdirSync(spoolDir, { recursive: true });
+      fs.writeFileSync(spoolPath(id), raw);
+      const createdAt = new Date().toISOString();
+      const message = {
+        id,
+        ref,
+        template,
+        to: recipients,
+        subject: rendered.subject,
+        attachments: attachments.map(a => a.filename),
+        status: 'queued',
+        attempts: 0,
+        createdAt,
+        nextAttemptAt: createdAt,
+        sentAt: null,
+        bouncedAt: null,
+        lastError: null
+      };
+      state.messages[id] = message;
+      save();
+      // Sent in the background, so chat replies never wait on the server
+      setImmediate(() =>
+        flush().catch(err => console.error('mail queue error', err))
+      );
+      return { ...message };
+    },
+
+    flush,
+
+    /** @returns {MailStatus|null} */
+    get(id) {
+      const message = state.messages[id];
+      return message ? { ...message } : null;
+    },
+
+    /**
+     * Messages sent for an order or gift, oldest first.
+     * @returns {MailStatus[]}
+     */
+    messagesFor(ref) {
+      return Object.values(state.messages)
+        .filter(m => m.ref === ref)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(m => ({ ...m }));
+    }
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,119 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {Buffer} content
+ */
+
+const CRLF = '\r\n';
+
+// Non-ASCII header text (names, Hindi subjects) as RFC 2047 encoded words
+function encodeHeader(value) {
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// "Name <address>" with the name encoded when needed
+function formatAddress(address) {
+  const m = String(address).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  if (!m || !m[1]) return m ? `<${m[2]}>` : String(address).trim();
+  const name = m[1].replace(/^"|"$/g, '');
+  const display = /^[\w .'-]*$/.test(name)
+    ? name
+    : /^[\x20-\x7e]*$/.test(name)
+      ? `"${name.replace(/["\\]/g, '\\$&')}"`
+      : encodeHeader(name);
+  return `${display} <${m[2]}>`;
+}
+
+// The bare address of "Name <address>"
+function addressOf(address) {
+  const m = String(address).match(/<([^>]+)>/);
+  return (m ? m[1] : String(address)).trim();
+}
+
+function base64Body(content) {
+  const encoded = Buffer.from(content).toString('base64');
+  return encoded.replace(/.{76}(?=.)/g, `$&${CRLF}`);
+}
+
+function boundary() {
+  return `=_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function part(headers, body) {
+  return `${headers.join(CRLF)}${CRLF}${CRLF}${body}`;
+}
+
+function multipart(type, parts) {
+  const mark = boundary();
+  const body = parts.map(p => `--${mark}${CRLF}${p}${CRLF}`).join('');
+  return part(
+    [`Content-Type: multipart/${type}; boundary="${mark}"`],
+    `${body}--${mark}--`
+  );
+}
+
+function textPart(subtype, text) {
+  return part(
+    [
+      `Content-Type: text/${subtype}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64'
+    ],
+    base64Body(Buffer.from(text, 'utf8'))
+  );
+}
+
+function attachmentPart({ filename, contentType, content }) {
+  const name = filename.replace(/["\\\r\n]/g, '_');
+  return part(
+    [
+      `Content-Type: ${contentType}; name="${name}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${name}"`
+    ],
+    base64Body(content)
+  );
+}
+
+/**
+ * A complete RFC 5322 message: text and HTML alternatives, plus any
+ * attachments.
+ * @param {{ from: string, to: string[], subject: string, text: string, html: string, attachments?: Attachment[], messageId: string, date?: Date }} message
+ * @returns {Buffer}
+ */
+function buildMessage({
+  from,
+  to,
+  subject,
+  text,
+  html,
+  attachments = [],
+  messageId,
+  date = new Date()
+}) {
+  const alternative = multipart('alternative', [
+    textPart('plain', text),
+    textPart('html', html)
+  ]);
+  const body =
+    attachments.length > 0
+      ? multipart('mixed', [alternative, ...attachments.map(attachmentPart)])
+      : alternative;
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(formatAddress).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0'
+  ];
+  return Buffer.from(`${headers.join(CRLF)}${CRLF}${body}${CRLF}`, 'utf8');
+}
+
+module.exports = { buildMessage, addressOf };
@@ -0,0 +1,159 @@
+'use strict';
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * Failed deliveries carry the server's reply code. `permanent` is set for
+ * 5xx replies: the message will never be accepted and is not retried.
+ */
+function smtpError(message, reply) {
+  const err = new Error(message);
+  err.code = 'SMTP_ERROR';
+  err.responseCode = reply ? reply.code : null;
+  err.permanent = Boolean(reply && reply.code >= 500);
+  return err;
+}
+
+// Reads multi-line replies ("250-…" lines up to "250 …") off a socket
+function createReplyReader() {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, end).replace(/\r$/, '');
+        buffer = buffer.slice(end + 1);
+        lines.push(line);
+        if (!/^\d{3}-/.test(line)) {
+          replies.push({
+            code: Number(line.slice(0, 3)),
+            text: lines.map(l => l.slice(4)).join('\n')
+          });
+          lines = [];
+        }
+      }
+      settle();
+    },
+    fail(err) {
+      failure = failure || err;
+      settle();
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    }
+  };
+}
+
+// Lines starting with "." are doubled so they cannot end the DATA section
+function dotStuff(raw) {
+  const text = raw.toString('utf8').replace(/\r?\n/g, '\r\n');
+  return text.replace(/^\./gm, '..');
+}
+
+/**
+ * Minimal SMTP client: one connection per message, STARTTLS when the
+ * server offers it (or implicit TLS with `secure`), AUTH PLAIN when a user
+ * is set.
+ * @param {{ host: string, port: number, secure?: boolean, user?: string, pass?: string, timeoutMs?: number, name?: string }} options
+ */
+function createSmtpTransport({
+  host,
+  port,
+  secure = false,
+  user,
+  pass,
+  timeoutMs = 30000,
+  name = os.hostname()
+}) {
+  function connect() {
+    return secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+  }
+
+  async function send({ from, to, raw }) {
+    let socket = connect();
+    let reader = createReplyReader();
+    const attach = s => {
+      s.setTimeout(timeoutMs, () =>
+        s.destroy(smtpError(`SMTP timeout after ${timeoutMs} ms`))
+      );
+      s.on('data', chunk => reader.push(chunk));
+      s.on('error', err => reader.fail(err));
+      s.on('close', () => reader.fail(smtpError('SMTP connection closed')));
+    };
+    attach(socket);
+
+    async function expect(codes) {
+      const reply = await reader.next();
+      if (!codes.includes(reply.code)) {
+        throw smtpError(`SMTP ${reply.code} ${reply.text}`, reply);
+      }
+      return reply;
+    }
+
+    function command(line, codes) {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    }
+
+    try {
+      await expect([220]);
+      let hello = await command(`EHLO ${name}`, [250]);
+      if (!secure && /^STARTTLS\b/im.test(hello.text)) {
+        await command('STARTTLS', [220]);
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('close');
+        reader = createReplyReader();
+        socket = tls.connect({ socket, servername: host });
+        attach(socket);
+        await new Promise((resolve, reject) => {
+          socket.once('secureConnect', resolve);
+          socket.once('error', reject);
+        });
+        hello = await command(`EHLO ${name}`, [250]);
+      }
+      if (user) {
+        const token = Buffer.from(`\0${user}\0${pass || ''}`).toString(
+          'base64'
+        );
+        await command(`AUTH PLAIN ${token}`, [235]);
+      }
+      await command(`MAIL FROM:<${from}>`, [250]);
+      for (const address of to) {
+        await command(`RCPT TO:<${address}>`, [250, 251]);
+      }
+      await command('DATA', [354]);
+      const accepted = await command(`${dotStuff(raw)}\r\n.`, [250]);
+      socket.write('QUIT\r\n');
+      socket.end();
+      return { response: `${accepted.code} ${accepted.text}` };
+    } catch (err) {
+      socket.destroy();
+      throw err;
+    }
+  }
+
+  return { name: 'smtp', send };
+}
+
+module.exports = { createSmtpTransport };
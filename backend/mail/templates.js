@@ -0,0 +1,131 @@
+'use strict';
+
+const { formatCurrencyInr, formatDateIst } = require('../lib/format');
+
+// Emails are in English, like the PDFs they carry
+const money = amount => formatCurrencyInr(amount, 'en');
+const date = value => formatDateIst(value, 'en');
+
+const BRAND = 'Amazon Pay Gift Cards';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One email in both forms. A paragraph is a line of text, a `[label,
+ * value]` detail row or a `{ url, label }` button; nulls are left out.
+ */
+function compose(subject, paragraphs) {
+  const lines = paragraphs.filter(line => line !== null);
+  const text = lines
+    .map(line => {
+      if (Array.isArray(line)) return `${line[0]}: ${line[1]}`;
+      if (line && line.url) return `${line.label}: ${line.url}`;
+      return line;
+    })
+    .join('\n');
+  const body = lines
+    .map(line => {
+      if (Array.isArray(line)) {
+        return `<tr><td style="padding:4px 12px 4px 0;color:#555">${escapeHtml(
+          line[0]
+        )}</td><td style="padding:4px 0"><strong>${escapeHtml(
+          line[1]
+        )}</strong></td></tr>`;
+      }
+      if (line && line.url) {
+        return `<tr><td colspan="2" style="padding:12px 0"><a href="${escapeHtml(
+          line.url
+        )}" style="background:#ff9900;color:#111;padding:10px 16px;border-radius:4px;text-decoration:none">${escapeHtml(
+          line.label
+        )}</a></td></tr>`;
+      }
+      return `<tr><td colspan="2" style="padding:6px 0">${
+        line ? escapeHtml(line) : '&nbsp;'
+      }</td></tr>`;
+    })
+    .join('');
+  const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(
+    subject
+  )}</title></head><body style="font-family:Arial,sans-serif;font-size:14px;color:#111"><table style="max-width:560px;margin:0 auto"><tr><td colspan="2" style="padding:12px 0;font-size:18px"><strong>${BRAND}</strong></td></tr>${body}</table></body></html>`;
+  return { subject, text: `${text}\n\n— ${BRAND}\n`, html };
+}
+
+/**
+ * Email templates by name. Each takes the template's data and returns
+ * `{ subject, text, html }`.
+ */
+const TEMPLATES = {
+  // A personal gift, to its recipient
+  giftCard: d =>
+    compose(`You've received a ${money(d.amount)} gift card`, [
+      'Hello,',
+      `Someone has sent you an Amazon Pay gift card${
+        d.occasion ? ` for ${d.occasion}` : ''
+      }.`,
+      d.message ? `Their message: "${d.message}"` : null,
+      '',
+      ['Card number', d.code],
+      ['PIN', d.pin],
+      ['Value', money(d.amount)],
+      ['Valid till', date(d.expiresAt)],
+      '',
+      'Keep the card number and PIN private; anyone who has them can spend the balance.'
+    ]),
+
+  proformaInvoice: d =>
+    compose(`Proforma invoice ${d.piNumber} for request ${d.requestId}`, [
+      `Dear ${d.buyerName},`,
+      'Thank you for your request. The proforma invoice is attached.',
+      '',
+      ['Request ID', d.requestId],
+      ['PI number', d.piNumber],
+      ['Amount payable', money(d.net)],
+      ['Valid till', date(d.validUntil)],
+      '',
+      'Quote the Request ID as the payment reference. Gift cards are issued once the payment is received.',
+      { url: d.url, label: 'Download proforma invoice' }
+    ]),
+
+  taxInvoice: d =>
+    compose(`Tax invoice ${d.invoiceNumber} for request ${d.requestId}`, [
+      `Dear ${d.buyerName},`,
+      'We have received your payment. Your GST tax invoice is attached.',
+      '',
+      ['Invoice number', d.invoiceNumber],
+      ['Request ID', d.requestId],
+      ['Amount paid', money(d.total)],
+      { url: d.url, label: 'Download tax invoice' }
+    ]),
+
+  // The encrypted card file of a business order; its password goes by SMS
+  deliveryReport: d =>
+    compose(`Your gift cards for request ${d.requestId}`, [
+      `Dear ${d.buyerName},`,
+      `${d.count} gift card(s) worth ${money(d.value)} are attached as an encrypted ZIP with a CSV and an Excel file.`,
+      'The password is sent by SMS to your registered mobile; it is never sent by email.',
+      '',
+      ['Request ID', d.requestId],
+      ['Cards', String(d.count)],
+      { url: d.url, label: `Download (link valid for ${d.hours} hours)` }
+    ]),
+
+  otp: d =>
+    compose(`${d.code} is your ${BRAND} verification code`, [
+      `Your verification code is ${d.code}.`,
+      `It expires in ${d.minutes} minutes. Do not share it with anyone.`
+    ])
+};
+
+function renderTemplate(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  return template(data);
+}
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,55 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createSmtpTransport } = require('./smtp');
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name
+ * @property {(envelope: { id: string, from: string, to: string[], raw: Buffer }) => Promise<{ response: string }>} send
+ *   rejects with `err.permanent` set when the message can never be
+ *   delivered
+ */
+
+/**
+ * Local development transport: every message is written to a Maildir
+ * (`<dir>/new/<id>.eml`) that mail clients and tests can read. Addresses
+ * under the reserved `.invalid` domain bounce, so failures can be tried
+ * out too.
+ * @param {{ dir: string }} options
+ * @returns {MailTransport}
+ */
+function createOutboxTransport({ dir }) {
+  return {
+    name: 'outbox',
+    async send({ id, to, raw }) {
+      const bad = to.find(address => /\.invalid$/i.test(address));
+      if (bad) {
+        const err = new Error(`550 No such domain: ${bad}`);
+        err.permanent = true;
+        throw err;
+      }
+      for (const sub of ['tmp', 'new', 'cur']) {
+        fs.mkdirSync(path.join(dir, sub), { recursive: true });
+      }
+      // Written to tmp/ first so readers never see a partial file
+      const tmp = path.join(dir, 'tmp', `${id}.eml`);
+      fs.writeFileSync(tmp, raw);
+      fs.renameSync(tmp, path.join(dir, 'new', `${id}.eml`));
+      return { response: `saved to ${path.join(dir, 'new')}` };
+    }
+  };
+}
+
+/**
+ * @param {{ transport: 'outbox'|'smtp', outboxDir: string, smtp: object }} config
+ * @returns {MailTransport}
+ */
+function createTransport({ transport, outboxDir, smtp }) {
+  if (transport === 'smtp') return createSmtpTransport(smtp);
+  if (transport === 'outbox') return createOutboxTransport({ dir: outboxDir });
+  throw new Error(`Unknown mail transport "${transport}"`);
+}
+
+module.exports = { createTransport, createOutboxTransport };
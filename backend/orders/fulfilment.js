@@ -0,0 +1,160 @@
+'use strict';
+
+const { normalizeMobile } = require('../lib/validators');
+const { buildTaxInvoice, renderTaxInvoicePdf } = require('./taxInvoice');
+
+/**
+ * Everything a business order is owed once it is paid, run by whichever
+ * confirms the money first: the gateway's capture or a reconciled bank
+ * transfer. The buyer need not be chatting. The tax invoice is raised and
+ * emailed, the cards are issued, their encrypted file is emailed with its
+ * password sent by SMS to the buyer's verified mobile, a direct order's
+ * cards go to their recipients, and the order becomes `issued`.
+ *
+ * Each step happens once, so running it again is safe. An order the issuer
+ * is out of stock for stays `paid`, for `retry()` to pick up.
+ * @param {{ ledger: ReturnType<import('./ledger').createOrderLedger>, giftcards: ReturnType<import('../giftcards/store').createCardStore>, deliveries: ReturnType<import('../giftcards/delivery').createDeliveryFiles>, mailer: ReturnType<import('../mail/mailer').createMailer>, sms: ReturnType<import('../sms/sender').createSmsSender>, giftSender: ReturnType<import('../giftcards/sender').createGiftSender>, links: ReturnType<import('../lib/signedUrl').createUrlSigner>, linkTtlMs: number, publicUrl: string, seller: object, gst: object }} options
+ */
+function createFulfilment({
+  ledger,
+  giftcards,
+  deliveries,
+  mailer,
+  sms,
+  giftSender,
+  links,
+  linkTtlMs,
+  publicUrl,
+  seller,
+  gst
+}) {
+  // Same signed links the chat hands out
+  function documentUrl(requestId, file) {
+    return `${publicUrl}${links.sign(
+      `/orders/${encodeURIComponent(requestId)}/${file}`
+    )}`;
+  }
+
+  const mailTo = order => order.deliveryEmail || order.buyer.email;
+
+  function raiseInvoice(order) {
+    if (order.invoice) return;
+    const invoice = ledger.issueInvoice(order.requestId, (paid, numbering) =>
+      buildTaxInvoice(paid, { ...numbering, seller, gst })
+    );
+    mailer.send({
+      template: 'taxInvoice',
+      to: mailTo(order),
+      ref: order.requestId,
+      data: {
+        buyerName: order.buyer.name,
+        invoiceNumber: invoice.number,
+        requestId: order.requestId,
+        total: invoice.total,
+        url: documentUrl(order.requestId, 'invoice.pdf')
+      },
+      attachments: [
+        {
+          filename: `Tax_Invoice_${invoice.number}.pdf`,
+          contentType: 'application/pdf',
+          content: renderTaxInvoicePdf(invoice)
+        }
+      ]
+    });
+  }
+
+  // The card file by email and its password by SMS, never together
+  function deliverFile(order, issued) {
+    const { requestId } = order;
+    const { password } = deliveries.build(order, issued.codes);
+    mailer.send({
+      template: 'deliveryReport',
+      to: mailTo(order),
+      ref: requestId,
+      data: {
+        buyerName: order.buyer.name,
+        requestId,
+        count: issued.cards.length,
+        value: order.quote.gross,
+        url: documentUrl(requestId, 'delivery.zip'),
+        hours: Math.round(linkTtlMs / (60 * 60 * 1000))
+      },
+      attachments: [
+        {
+          filename: `GiftCards_${requestId}.zip`,
+          contentType: 'application/zip',
+          content: deliveries.read(requestId)
+        }
+      ]
+    });
+    const phone = normalizeMobile(order.buyer.phone);
+    if (!phone) {
+      console.warn(
+        `No mobile on ${requestId} for its card file password; reissue it`
+      );
+      return;
+    }
+    sms.send({
+      template: 'deliveryPassword',
+      to: phone,
+      ref: requestId,
+      data: { requestId, password }
+    });
+  }
+
+  /**
+   * Fulfil a paid order. Returns where it stands: `issued`, `outOfStock`
+   * (still `paid`), or `notPaid` for an order that is neither.
+   * @param {string} requestId
+   * @returns {'issued'|'outOfStock'|'notPaid'}
+   */
+  function fulfil(requestId) {
+    const order = ledger.get(requestId);
+    if (!order || !['paid', 'issued'].includes(order.status)) {
+      return 'notPaid';
+    }
+    if (order.status === 'issued') return 'issued';
+    raiseInvoice(order);
+    let issued;
+    try {
+      issued = giftcards.issue(requestId, order.quote.lines);
+    } catch (err) {
+      if (err.code === 'OUT_OF_STOCK') return 'outOfStock';
+      throw err;
+    }
+    // Codes are only in clear on first issuance; everything is sent then.
+    // A direct order's card order matches its recipient list.
+    if (issued.codes) {
+      deliverFile(order, issued);
+      if (order.delivery === 'direct') {
+        issued.codes.forEach((code, i) => {
+          giftSender.send(requestId, order.recipients[i], code, {
+            occasion: order.occasion
+          });
+        });
+      }
+    }
+    ledger.transition(requestId, 'issued', `Cards sent to ${mailTo(order)}`);
+    return 'issued';
+  }
+
+  return {
+    fulfil,
+
+    /** Try again for every paid order still waiting for its cards */
+    retry() {
+      let issued = 0;
+      for (const order of ledger.find()) {
+        if (order.status !== 'paid') continue;
+        try {
+          if (fulfil(order.requestId) === 'issued') issued += 1;
+        } catch (err) {
+          console.error(`Order ${order.requestId} not fulfilled`, err);
+        }
+      }
+      return issued;
+    }
+  };
+}
+
+module.exports = { createFulfilment };
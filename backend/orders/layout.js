@@ -0,0 +1,84 @@
+'use strict';
+
+const { PAGE_WIDTH } = require('../lib/pdf');
+
+// Shared layout for order documents (proforma and tax invoices)
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+const bold = { font: 'bold' };
+const right = { align: 'right' };
+
+// Rupee amounts as printed in document tables: 2 decimals, Indian grouping
+function amount(value) {
+  return new Intl.NumberFormat('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+/**
+ * Collects the drawing ops of one page, with shorthands for the common ones.
+ */
+function createPage() {
+  const ops = [];
+  const text = (value, x, y, style) =>
+    ops.push({ text: value, x, y, size: 9, ...style });
+  return {
+    ops,
+    text,
+    line: (x1, y1, x2, y2) => ops.push({ line: [x1, y1, x2, y2] }),
+    rect: (x, y, width, height, fill) =>
+      ops.push(
+        fill === undefined
+          ? { rect: [x, y, width, height] }
+          : { rect: [x, y, width, height], fill }
+      ),
+    labelled: (x, y, label, value) => {
+      text(label, x, y, bold);
+      text(value, x + 80, y);
+    }
+  };
+}
+
+function drawHeader(page, title, seller) {
+  page.text(title, MARGIN, 62, { size: 18, font: 'bold' });
+  page.text(seller.name, RIGHT, 58, { size: 11, font: 'bold', align: 'right' });
+  page.text(seller.address, RIGHT, 72, { size: 8, align: 'right' });
+  page.text(`GSTIN: ${seller.gstin}`, RIGHT, 84, { size: 8, align: 'right' });
+  page.line(MARGIN, 100, RIGHT, 100);
+}
+
+// Buyer block on the right of the document details
+function drawBillTo(page, buyer, lines = []) {
+  const x = 320;
+  page.text('Bill To', x, 122, bold);
+  page.text(buyer.company, x, 137, { size: 10, font: 'bold' });
+  [
+    `GSTIN: ${buyer.gstin}`,
+    `Attn: ${buyer.name}`,
+    `${buyer.email} | ${buyer.phone}`,
+    ...lines
+  ].forEach((line, index) => page.text(line, x, 152 + index * 15));
+}
+
+function drawFooter(page) {
+  page.text(
+    'This is a computer-generated document and does not require a signature.',
+    PAGE_WIDTH / 2,
+    800,
+    { size: 7, align: 'center' }
+  );
+}
+
+module.exports = {
+  MARGIN,
+  RIGHT,
+  bold,
+  right,
+  amount,
+  createPage,
+  drawHeader,
+  drawBillTo,
+  drawFooter
+};
@@ -0,0 +1,257 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+
+// Business order lifecycle. Each status lists the statuses it may move to;
+// display names are the "order.status.<status>" message keys.
+const TRANSITIONS = {
+  draft: ['pi_issued', 'cancelled'],
+  pi_issued: ['po_received', 'payment_pending', 'cancelled'],
+  po_received: ['payment_pending', 'cancelled'],
+  payment_pending: ['paid', 'cancelled'],
+  paid: ['issued', 'refunded'],
+  issued: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Statuses in which a bank transfer can still be expected
+const AWAITING_PAYMENT = ['pi_issued', 'po_received', 'payment_pending'];
+
+/**
+ * @typedef {Object} Order
+ * @property {string} requestId
+ * @property {keyof TRANSITIONS} status
+ * @property {{ name: string, company: string, email: string, phone: string, gstin: string, bankAccount: string, ifsc: string }} buyer
+ * @property {string} [occasion]
+ * @property {import('./pricing').Quote} [quote]
+ * @property {string} [deliveryEmail]
+ * @property {'bulk'|'direct'} [delivery]  direct sends each card to its own
+ *   recipient, in card order
+ * @property {{ email?: string, phone?: string }[]} [recipients]  direct only
+ * @property {{ number: string, issuedAt: string }} [pi]
+ * @property {{ utr: string, submittedAt: string }} [transfer]  the buyer's
+ *   NEFT/RTGS reference, matched against bank statements
+ * @property {import('./taxInvoice').TaxInvoice} [invoice]   once paid
+ * @property {string} createdAt   ISO timestamp
+ * @property {string} updatedAt
+ * @property {{ status: string, at: string, note?: string }[]} history
+ */
+
+function ledgerError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function ownedBy(order, { email, gstin }) {
+  if (email && order.buyer.email.toLowerCase() !== email.toLowerCase()) {
+    return false;
+  }
+  if (gstin && order.buyer.gstin.toUpperCase() !== gstin.toUpperCase()) {
+    return false;
+  }
+  return true;
+}
+
+// Orders as returned by the API: bank account masked to its last 4 digits
+function toPublicOrder(order) {
+  const { bankAccount, ...buyer } = order.buyer;
+  return {
+    ...order,
+    buyer: {
+      ...buyer,
+      bankAccount: bankAccount ? `XXXX${String(bankAccount).slice(-4)}` : ''
+    }
+  };
+}
+
+/**
+ * Persistent order ledger backed by a JSON file. Every change is written
+ * through immediately so orders survive restarts. Request IDs, PI numbers
+ * and tax invoice numbers are drawn from `numbering` (./numbering.js).
+ */
+function createOrderLedger({ file, numbering }) {
+  /** @type {Map<string, Order>} */
+  const orders = new Map(Object.entries(readJson(file, {})));
+
+  function save() {
+    writeJsonAtomic(file, Object.fromEntries(orders));
+  }
+
+  function mustGet(requestId) {
+    const order = orders.get(requestId);
+    if (!order) {
+      throw ledgerError(`Order ${requestId} not found`, 'ORDER_NOT_FOUND');
+    }
+    return order;
+  }
+
+  function moveTo(order, status, note) {
+    if (!(TRANSITIONS[order.status] || []).includes(status)) {
+      throw ledgerError(
+        `Order ${order.requestId} cannot move from ${order.status} to ${status}`,
+        'INVALID_TRANSITION'
+      );
+    }
+    const at = new Date().toISOString();
+    order.status = status;
+    order.updatedAt = at;
+    order.history.push(note ? { status, at, note } : { status, at });
+    return at;
+  }
+
+  return {
+    // Log a new request under the next request number
+    create({ buyer, note }) {
+      return numbering.allocate('request', null, requestId => {
+        if (orders.has(requestId)) {
+          throw ledgerError(
+            `Order ${requestId} already exists`,
+            'ORDER_EXISTS'
+          );
+        }
+        const at = new Date().toISOString();
+        const order = {
+          requestId,
+          status: 'draft',
+          buyer: { ...buyer },
+          createdAt: at,
+          updatedAt: at,
+          history: [{ status: 'draft', at, note: note || 'Request logged' }]
+        };
+        orders.set(requestId, order);
+        save();
+        return clone(order);
+      });
+    },
+
+    get(requestId) {
+      return clone(orders.get(requestId)) || null;
+    },
+
+    // Update order details (quote, occasion, delivery email) while in draft
+    update(requestId, patch) {
+      const order = mustGet(requestId);
+      if (order.status !== 'draft') {
+        throw ledgerError(
+          `Order ${requestId} can no longer be edited (${order.status})`,
+          'ORDER_LOCKED'
+        );
+      }
+      Object.assign(order, clone(patch), {
+        updatedAt: new Date().toISOString()
+      });
+      save();
+      return clone(order);
+    },
+
+    /**
+     * Note the UTR of the buyer's NEFT/RTGS transfer. Taken until the order
+     * is paid; a UTR can only belong to one order.
+     */
+    recordUtr(requestId, utr) {
+      const order = mustGet(requestId);
+      if (!AWAITING_PAYMENT.includes(order.status)) {
+        throw ledgerError(
+          `Order ${requestId} is not awaiting payment (${order.status})`,
+          'ORDER_LOCKED'
+        );
+      }
+      for (const other of orders.values()) {
+        if (other !== order && other.transfer && other.transfer.utr === utr) {
+          throw ledgerError(
+            `UTR ${utr} is already recorded for ${other.requestId}`,
+            'UTR_IN_USE'
+          );
+        }
+      }
+      const at = new Date().toISOString();
+      order.transfer = { utr, submittedAt: at };
+      order.updatedAt = at;
+      save();
+      return clone(order);
+    },
+
+    transition(requestId, status, note) {
+      const order = mustGet(requestId);
+      moveTo(order, status, note);
+      save();
+      return clone(order);
+    },
+
+    // Number the proforma invoice and move the draft to pi_issued
+    issuePi(requestId, note) {
+      const order = mustGet(requestId);
+      if (!order.quote) {
+        throw ledgerError(
+          `Order ${requestId} has no quote`,
+          'ORDER_NOT_PRICED'
+        );
+      }
+      return numbering.allocate('pi', requestId, number => {
+        const issuedAt = moveTo(order, 'pi_issued', note);
+        order.pi = { number, issuedAt };
+        save();
+        return clone(order);
+      });
+    },
+
+    /**
+     * Attach the tax invoice of a paid order; `build(order, { number,
+     * issuedAt })` makes it. An order is invoiced once: later calls return
+     * the same invoice.
+     */
+    issueInvoice(requestId, build) {
+      const order = mustGet(requestId);
+      if (order.invoice) return clone(order.invoice);
+      if (!['paid', 'issued'].includes(order.status)) {
+        throw ledgerError(
+          `Order ${requestId} is not paid (${order.status})`,
+          'ORDER_NOT_PAID'
+        );
+      }
+      return numbering.allocate('invoice', requestId, number => {
+        order.invoice = build(clone(order), {
+          number,
+          issuedAt: new Date().toISOString()
+        });
+        order.updatedAt = order.invoice.issuedAt;
+        save();
+        return clone(order.invoice);
+      });
+    },
+
+    /**
+     * Orders for a buyer, newest first. `from`/`to` bound `createdAt`
+     * (inclusive, ISO dates or timestamps).
+     */
+    find({ email, gstin, from, to } = {}) {
+      const fromMs = from ? Date.parse(from) : -Infinity;
+      // A bare date for `to` covers that whole day
+      const toMs = to
+        ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86399999 : 0)
+        : Infinity;
+      return [...orders.values()]
+        .filter(order => ownedBy(order, { email, gstin }))
+        .filter(order => {
+          const created = Date.parse(order.createdAt);
+          return created >= fromMs && created <= toMs;
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(clone);
+    }
+  };
+}
+
+module.exports = {
+  createOrderLedger,
+  toPublicOrder,
+  ownedBy,
+  TRANSITIONS,
+  AWAITING_PAYMENT
+};
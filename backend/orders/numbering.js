@@ -0,0 +1,99 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+
+// Document series. Numbers read prefix + financial year + sequence, e.g.
+// INV2627-000042 is the 42nd tax invoice of FY 2026-27 (April to March).
+// Each series restarts at 1 every financial year.
+const SERIES = {
+  request: 'GC',
+  pi: 'PI',
+  invoice: 'INV',
+  creditNote: 'CN'
+};
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Indian financial year of a moment (in IST), as "2627" for 2026-27
+function financialYear(at) {
+  const ist = new Date(new Date(at).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const start = ist.getUTCMonth() >= 3 ? year : year - 1;
+  const twoDigits = y => String(y % 100).padStart(2, '0');
+  return `${twoDigits(start)}${twoDigits(start + 1)}`;
+}
+
+function numberingError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Collision-free, gapless document numbers. Counters and an index of every
+ * number handed out live in one JSON file. Allocation is synchronous, so two
+ * requests in this process can never draw the same number.
+ */
+function createNumbering({ file, now = () => new Date() }) {
+  const state = readJson(file, { counters: {}, documents: {} });
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  return {
+    /**
+     * Draw the next number of a series and create its document with it.
+     * The number is saved before `create(number)` runs, so a crash can at
+     * worst skip a number, never reuse one. If `create` throws, the number
+     * is handed back and the next caller gets it.
+     * @param {keyof SERIES} type
+     * @param {string|null} ref   what the number belongs to (a request ID);
+     *   null for request numbers, which refer to themselves
+     * @param {(number: string) => T} create
+     * @returns {T}
+     * @template T
+     */
+    allocate(type, ref, create) {
+      const prefix = SERIES[type];
+      if (!prefix) {
+        throw numberingError(`Unknown document type ${type}`, 'UNKNOWN_SERIES');
+      }
+      const at = now();
+      const fy = financialYear(at);
+      const key = `${type}:${fy}`;
+      const sequence = (state.counters[key] || 0) + 1;
+      const number = `${prefix}${fy}-${String(sequence).padStart(6, '0')}`;
+
+      state.counters[key] = sequence;
+      state.documents[number] = {
+        type,
+        ref: ref || number,
+        fy,
+        sequence,
+        issuedAt: at.toISOString()
+      };
+      save();
+      try {
+        return create(number);
+      } catch (err) {
+        state.counters[key] = sequence - 1;
+        delete state.documents[number];
+        save();
+        throw err;
+      }
+    },
+
+    /**
+     * What a number was issued for:
+     * `{ number, type, ref, fy, sequence, issuedAt }` or null.
+     */
+    lookup(number) {
+      const key = String(number || '').trim().toUpperCase();
+      const entry = state.documents[key];
+      return entry ? { number: key, ...entry } : null;
+    }
+  };
+}
+
+module.exports = { SERIES, financialYear, createNumbering };
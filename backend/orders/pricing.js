@@ -0,0 +1,111 @@
+'use strict';
+
+const { formatCurrencyInr } = require('../lib/format');
+const { t } = require('../i18n');
+
+// Business order limits. The order form receives these through its ui hint,
+// but they are enforced here regardless of what the client sends.
+const LIMITS = {
+  minDenomination: 10,
+  maxDenomination: 10000,
+  maxLines: 5,
+  maxOrderValue: 300000
+};
+
+/**
+ * @typedef {Object} Quote
+ * @property {{ denomination: number, count: number, subtotal: number }[]} lines
+ * @property {number} quantity         total number of cards
+ * @property {number} gross            sum of line subtotals
+ * @property {number} discountPercent
+ * @property {number} discount         rounded to the rupee
+ * @property {number} net              amount payable
+ */
+
+/**
+ * Price a business order from its lines and enforce every limit.
+ * Errors use the same field paths as action validation ("lines.0.count")
+ * and are `{ key, params }` messages for the caller's locale.
+ * @param {{ denomination: number, count: number }[]} lines
+ * @param {{ discountPercent?: number }} [options]
+ * @returns {{ ok: true, quote: Quote } | { ok: false, errors: Object<string, { key: string, params?: object }> }}
+ */
+function priceOrder(lines, { discountPercent = 0 } = {}) {
+  const errors = {};
+  const list = Array.isArray(lines) ? lines : [];
+
+  if (list.length === 0) {
+    errors.lines = { key: 'validation.lines.required' };
+  } else if (list.length > LIMITS.maxLines) {
+    errors.lines = {
+      key: 'pricing.maxLines',
+      params: { max: LIMITS.maxLines }
+    };
+  }
+
+  const priced = list.map((line, index) => {
+    const denomination = Number(line && line.denomination);
+    const count = Number(line && line.count);
+    if (!Number.isInteger(denomination)) {
+      errors[`lines.${index}.denomination`] = {
+        key: 'validation.wholeNumber'
+      };
+    } else if (denomination < LIMITS.minDenomination) {
+      errors[`lines.${index}.denomination`] = {
+        key: 'pricing.minDenomination',
+        params: { amount: formatCurrencyInr(LIMITS.minDenomination) }
+      };
+    } else if (denomination > LIMITS.maxDenomination) {
+      errors[`lines.${index}.denomination`] = {
+        key: 'pricing.maxDenomination',
+        params: { amount: formatCurrencyInr(LIMITS.maxDenomination) }
+      };
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      errors[`lines.${index}.count`] = { key: 'pricing.minCount' };
+    }
+    return { denomination, count, subtotal: denomination * count };
+  });
+
+  if (Object.keys(errors).length > 0) return { ok: false, errors };
+
+  const gross = priced.reduce((sum, line) => sum + line.subtotal, 0);
+  if (gross > LIMITS.maxOrderValue) {
+    return {
+      ok: false,
+      errors: {
+        lines: {
+          key: 'pricing.maxOrderValue',
+          params: { amount: formatCurrencyInr(LIMITS.maxOrderValue) }
+        }
+      }
+    };
+  }
+
+  const discount = Math.round((gross * discountPercent) / 100);
+  return {
+    ok: true,
+    quote: {
+      lines: priced,
+      quantity: priced.reduce((sum, line) => sum + line.count, 0),
+      gross,
+      discountPercent,
+      discount,
+      net: gross - discount
+    }
+  };
+}
+
+function formatQuoteLines(quote, locale) {
+  return quote.lines
+    .map(line =>
+      t(locale, 'pricing.quoteLine', {
+        count: line.count,
+        denomination: formatCurrencyInr(line.denomination, locale),
+        subtotal: formatCurrencyInr(line.subtotal, locale)
+      })
+    )
+    .join('\n');
+}
+
+module.exports = { LIMITS, priceOrder, formatQuoteLines };
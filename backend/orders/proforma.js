@@ -0,0 +1,150 @@
+'use strict';
+
+const { renderPdf, wrapText } = require('../lib/pdf');
+const { formatDateIst } = require('../lib/format');
+const {
+  MARGIN,
+  RIGHT,
+  bold,
+  right,
+  amount,
+  createPage,
+  drawHeader,
+  drawBillTo,
+  drawFooter
+} = require('./layout');
+
+const VALIDITY_WORKING_DAYS = 7;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const NOTES = [
+  'Pay from the GST-registered company account shared during verification and quote the Request ID as the payment reference.',
+  'Gift cards are issued once the payment is received. A GST tax invoice follows after payment; this proforma invoice is not a tax invoice.'
+];
+
+// The PI is dated from the ledger entry that issued it, never from the
+// clock, so the same order always renders the same document
+function piIssuedAt(order) {
+  if (order.pi) return order.pi.issuedAt;
+  const entry = (order.history || []).find(h => h.status === 'pi_issued');
+  return entry ? entry.at : null;
+}
+
+// Working days skip Saturdays and Sundays, counted on IST calendar days
+function addWorkingDays(iso, days) {
+  const date = new Date(Date.parse(iso) + IST_OFFSET_MS);
+  let left = days;
+  while (left > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    const weekday = date.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) left -= 1;
+  }
+  return new Date(date.getTime() - IST_OFFSET_MS).toISOString();
+}
+
+function piValidUntil(order) {
+  const issuedAt = piIssuedAt(order);
+  return issuedAt ? addWorkingDays(issuedAt, VALIDITY_WORKING_DAYS) : null;
+}
+
+/**
+ * Proforma invoice for an order whose PI has been issued.
+ * @param {import('./ledger').Order} order
+ * @param {typeof import('../config').seller} seller
+ * @returns {Buffer}
+ */
+function renderProformaPdf(order, seller) {
+  const { buyer, quote, requestId } = order;
+  const page = createPage();
+  const { text, labelled } = page;
+
+  drawHeader(page, 'PROFORMA INVOICE', seller);
+
+  const date = value => formatDateIst(value, 'en');
+  labelled(MARGIN, 122, 'PI No.', order.pi ? order.pi.number : '-');
+  labelled(MARGIN, 137, 'Request ID', requestId);
+  labelled(MARGIN, 152, 'PI Date', date(piIssuedAt(order)));
+  labelled(MARGIN, 167, 'Valid Until', date(piValidUntil(order)));
+  labelled(MARGIN, 182, 'Delivery', order.deliveryEmail || buyer.email);
+
+  drawBillTo(page, buyer);
+
+  // Line items
+  const col = { no: 58, item: 80, denomination: 330, count: 400 };
+  const total = RIGHT - 8;
+  let y = 210;
+  page.rect(MARGIN, y, RIGHT - MARGIN, 20, 0.92);
+  y += 14;
+  text('#', col.no, y, bold);
+  text('Description', col.item, y, bold);
+  text('Denomination', col.denomination, y, { ...bold, ...right });
+  text('Qty', col.count, y, { ...bold, ...right });
+  text('Amount (INR)', total, y, { ...bold, ...right });
+  y += 6;
+  quote.lines.forEach((line, index) => {
+    y += 18;
+    text(String(index + 1), col.no, y);
+    text('Amazon Pay Gift Card', col.item, y);
+    text(amount(line.denomination), col.denomination, y, right);
+    text(String(line.count), col.count, y, right);
+    text(amount(line.subtotal), total, y, right);
+  });
+  y += 10;
+  page.line(MARGIN, y, RIGHT, y);
+
+  // Totals
+  const totals = [[`Gross value (${quote.quantity} cards)`, quote.gross]];
+  if (quote.discount > 0) {
+    totals.push([
+      `Business discount (${quote.discountPercent}%)`,
+      -quote.discount
+    ]);
+  }
+  totals.push(['Platform fee', 0]);
+  for (const [label, value] of totals) {
+    y += 16;
+    text(label, 380, y, right);
+    text(value < 0 ? `- ${amount(-value)}` : amount(value), total, y, right);
+  }
+  y += 8;
+  page.line(300, y, RIGHT, y);
+  y += 16;
+  text('Net payable (INR)', 380, y, { size: 11, font: 'bold', align: 'right' });
+  text(amount(quote.net), total, y, { size: 11, font: 'bold', align: 'right' });
+
+  // Where to pay
+  y += 36;
+  page.rect(MARGIN, y - 14, RIGHT - MARGIN, 92);
+  text('Bank details for NEFT / RTGS', MARGIN + 10, y, { size: 10, ...bold });
+  const { bank } = seller;
+  [
+    ['Account name', bank.accountName],
+    ['Account no.', bank.accountNumber],
+    ['IFSC', bank.ifsc],
+    ['Bank', bank.bankName],
+    ['Reference', requestId]
+  ].forEach(([label, value]) => {
+    y += 14;
+    labelled(MARGIN + 10, y, label, value);
+  });
+
+  // Terms
+  y += 34;
+  text('Notes', MARGIN, y, bold);
+  NOTES.forEach((note, index) => {
+    wrapText(`${index + 1}. ${note}`, RIGHT - MARGIN, 8).forEach(line => {
+      y += 12;
+      text(line, MARGIN, y, { size: 8 });
+    });
+  });
+
+  drawFooter(page);
+  return renderPdf([page.ops], { title: `Proforma Invoice ${requestId}` });
+}
+
+module.exports = {
+  VALIDITY_WORKING_DAYS,
+  piIssuedAt,
+  piValidUntil,
+  renderProformaPdf
+};
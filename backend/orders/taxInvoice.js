@@ -0,0 +1,216 @@
+'use strict';
+
+const { renderPdf } = require('../lib/pdf');
+const { formatDateIst, amountInWordsInr } = require('../lib/format');
+const { GST_STATES, stateCodeOf, splitGst } = require('../lib/gst');
+const {
+  MARGIN,
+  RIGHT,
+  bold,
+  right,
+  amount,
+  createPage,
+  drawHeader,
+  drawBillTo,
+  drawFooter
+} = require('./layout');
+
+const rupees = paise => paise / 100;
+
+/**
+ * @typedef {Object} TaxInvoice
+ * @property {string} number     e.g. INV2627-000001
+ * @property {string} requestId
+ * @property {string} issuedAt   ISO timestamp
+ * @property {{ name: string, address: string, gstin: string, stateCode: string, state: string }} supplier
+ * @property {{ name: string, contact: string, gstin: string, email: string, phone: string, stateCode: string, state: string }} recipient
+ * @property {{ stateCode: string, state: string }} placeOfSupply
+ * @property {'intra-state'|'inter-state'} supplyType
+ * @property {{ description: string, hsnSac: string, denomination: number, quantity: number, amount: number }[]} items
+ * @property {number} grossValue
+ * @property {number} discount
+ * @property {number} taxableValue
+ * @property {number} taxRatePercent
+ * @property {{ rate: number, amount: number }} cgst
+ * @property {{ rate: number, amount: number }} sgst
+ * @property {{ rate: number, amount: number }} igst
+ * @property {number} totalTax
+ * @property {number} total       amount paid, GST included
+ * @property {string} amountInWords
+ */
+
+/**
+ * Tax invoice for a paid order. Amounts are rupees with up to 2 decimals;
+ * the PDF is rendered from this record, so both always agree.
+ * @param {import('./ledger').Order} order
+ * @param {{ number: string, issuedAt: string, seller: object, gst: { ratePercent: number, hsnSac: string } }} options
+ * @returns {TaxInvoice}
+ */
+function buildTaxInvoice(order, { number, issuedAt, seller, gst }) {
+  const { buyer, quote } = order;
+  const placeOfSupply = stateCodeOf(buyer.gstin);
+  if (!placeOfSupply) {
+    throw new Error(`Unknown GST state code in ${buyer.gstin}`);
+  }
+  const tax = splitGst(quote.net * 100, gst.ratePercent, {
+    supplierState: seller.stateCode,
+    placeOfSupply
+  });
+  const part = ({ rate, amount: paise }) => ({ rate, amount: rupees(paise) });
+
+  return {
+    number,
+    requestId: order.requestId,
+    issuedAt,
+    currency: 'INR',
+    supplier: {
+      name: seller.name,
+      address: seller.address,
+      gstin: seller.gstin,
+      stateCode: seller.stateCode,
+      state: GST_STATES[seller.stateCode] || ''
+    },
+    recipient: {
+      name: buyer.company,
+      contact: buyer.name,
+      gstin: buyer.gstin,
+      email: buyer.email,
+      phone: buyer.phone,
+      stateCode: placeOfSupply,
+      state: GST_STATES[placeOfSupply]
+    },
+    placeOfSupply: {
+      stateCode: placeOfSupply,
+      state: GST_STATES[placeOfSupply]
+    },
+    supplyType: tax.supplyType,
+    items: quote.lines.map(line => ({
+      description: 'Amazon Pay Gift Card',
+      hsnSac: gst.hsnSac,
+      denomination: line.denomination,
+      quantity: line.count,
+      amount: line.subtotal
+    })),
+    grossValue: quote.gross,
+    discount: quote.discount,
+    taxableValue: rupees(tax.taxable),
+    taxRatePercent: gst.ratePercent,
+    cgst: part(tax.cgst),
+    sgst: part(tax.sgst),
+    igst: part(tax.igst),
+    totalTax: rupees(tax.tax),
+    total: quote.net,
+    amountInWords: amountInWordsInr(quote.net)
+  };
+}
+
+/**
+ * @param {TaxInvoice} invoice
+ * @returns {Buffer}
+ */
+function renderTaxInvoicePdf(invoice) {
+  const page = createPage();
+  const { text, labelled } = page;
+  const { recipient, placeOfSupply } = invoice;
+
+  drawHeader(page, 'TAX INVOICE', invoice.supplier);
+
+  labelled(MARGIN, 122, 'Invoice No.', invoice.number);
+  labelled(MARGIN, 137, 'Invoice Date', formatDateIst(invoice.issuedAt, 'en'));
+  labelled(MARGIN, 152, 'Request ID', invoice.requestId);
+  labelled(
+    MARGIN,
+    167,
+    'Place of Supply',
+    `${placeOfSupply.state} (${placeOfSupply.stateCode})`
+  );
+  drawBillTo(
+    page,
+    {
+      company: recipient.name,
+      name: recipient.contact,
+      gstin: recipient.gstin,
+      email: recipient.email,
+      phone: recipient.phone
+    },
+    [`State: ${recipient.state} (${recipient.stateCode})`]
+  );
+
+  // Line items
+  const col = { no: 58, item: 80, hsn: 230, denomination: 340, count: 400 };
+  const total = RIGHT - 8;
+  let y = 210;
+  page.rect(MARGIN, y, RIGHT - MARGIN, 20, 0.92);
+  y += 14;
+  text('#', col.no, y, bold);
+  text('Description', col.item, y, bold);
+  text('HSN/SAC', col.hsn, y, bold);
+  text('Denomination', col.denomination, y, { ...bold, ...right });
+  text('Qty', col.count, y, { ...bold, ...right });
+  text('Amount (INR)', total, y, { ...bold, ...right });
+  y += 6;
+  invoice.items.forEach((item, index) => {
+    y += 18;
+    text(String(index + 1), col.no, y);
+    text(item.description, col.item, y);
+    text(item.hsnSac, col.hsn, y);
+    text(amount(item.denomination), col.denomination, y, right);
+    text(String(item.quantity), col.count, y, right);
+    text(amount(item.amount), total, y, right);
+  });
+  y += 10;
+  page.line(MARGIN, y, RIGHT, y);
+
+  // Totals and the tax contained in them
+  const rows = [['Gross value', amount(invoice.grossValue)]];
+  if (invoice.discount > 0) {
+    rows.push(['Less: business discount', `- ${amount(invoice.discount)}`]);
+  }
+  rows.push(['Taxable value', amount(invoice.taxableValue)]);
+  if (invoice.supplyType === 'intra-state') {
+    rows.push(
+      [`CGST @ ${invoice.cgst.rate}%`, amount(invoice.cgst.amount)],
+      [`SGST @ ${invoice.sgst.rate}%`, amount(invoice.sgst.amount)]
+    );
+  } else {
+    rows.push([`IGST @ ${invoice.igst.rate}%`, amount(invoice.igst.amount)]);
+  }
+  rows.push(['Total tax', amount(invoice.totalTax)]);
+  for (const [label, value] of rows) {
+    y += 16;
+    text(label, 380, y, right);
+    text(value, total, y, right);
+  }
+  y += 8;
+  page.line(300, y, RIGHT, y);
+  y += 16;
+  const grand = { size: 11, font: 'bold', align: 'right' };
+  text('Invoice total (INR)', 380, y, grand);
+  text(amount(invoice.total), total, y, grand);
+
+  y += 28;
+  text('Amount in words', MARGIN, y, bold);
+  text(invoice.amountInWords, MARGIN, y + 14);
+
+  y += 44;
+  text('Notes', MARGIN, y, bold);
+  [
+    '1. Prices are inclusive of GST; the tax shown above is contained in the invoice total.',
+    `2. ${
+      invoice.supplyType === 'intra-state'
+        ? 'Intra-state supply: CGST and SGST apply.'
+        : 'Inter-state supply: IGST applies.'
+    }`
+  ].forEach(note => {
+    y += 12;
+    text(note, MARGIN, y, { size: 8 });
+  });
+
+  drawFooter(page);
+  return renderPdf([page.ops], { title: `Tax Invoice ${invoice.number}` });
+}
+
+module.exports = {
+  buildTaxInvoice,
+  renderTaxInvoicePdf
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+const { formatCurrencyInr, formatDateTimeIst } = require('../lib/format');
+const { MOCK_BANKS } = require('./gateways');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title}</title></head><body style="font-family:Arial,sans-serif;font-size:15px;color:#111;max-width:480px;margin:24px auto;padding:0 16px"><h2>${title}</h2>${body}</body></html>`;
+}
+
+const FIELD = 'display:block;width:100%;margin:4px 0 12px;padding:8px';
+
+function cardForm() {
+  return `<label>Card number<input name="cardNumber" inputmode="numeric" autocomplete="off" placeholder="4111 1111 1111 1111" style="${FIELD}" required></label><label>Expiry (MM/YY)<input name="expiry" placeholder="12/30" style="${FIELD}" required></label><label>CVV<input name="cvv" inputmode="numeric" autocomplete="off" maxlength="4" style="${FIELD}" required></label><button name="outcome" value="success">Pay</button>`;
+}
+
+function bankForm() {
+  const options = MOCK_BANKS.map(
+    bank => `<option value="${bank.id}">${escapeHtml(bank.name)}</option>`
+  ).join('');
+  return `<label>Bank<select name="bank" style="${FIELD}">${options}</select></label><p style="color:#555">Test mode: choose what the bank answers.</p><button name="outcome" value="success">Success</button> <button name="outcome" value="failure">Failure</button> <button name="outcome" value="pending">Pending</button>`;
+}
+
+// The attempt's intent link as a QR code, for the payer to scan, with the
+// UPI app's answer to pick in test mode
+function upiIntentForm(payment) {
+  if (!payment.upiUri) return '';
+  const id = encodeURIComponent(payment.id);
+  const until = payment.expiresAt
+    ? `<p style="color:#555">The QR code can be paid until ${formatDateTimeIst(
+        payment.expiresAt,
+        'en'
+      )}.</p>`
+    : '';
+  return `<p>Scan with any UPI app, or <a href="${escapeHtml(
+    payment.upiUri
+  )}">open your UPI app</a> on this phone.</p><img src="/payments/${id}/qr.svg" alt="UPI QR code" width="240" height="240">${until}<form method="post" action="/payments/${id}/mock"><input type="hidden" name="flow" value="intent"><p style="color:#555">Test mode: choose what the UPI app answers after the scan.</p><button name="outcome" value="success">Approve</button> <button name="outcome" value="failure">Decline</button> <button name="outcome" value="pending">Pending</button></form><p>Or pay with your UPI ID:</p>`;
+}
+
+function upiForm() {
+  return `<label>UPI ID<input name="vpa" autocomplete="off" placeholder="name@bank" style="${FIELD}"></label><input type="hidden" name="flow" value="collect"><p style="color:#555">Test mode: choose what the UPI app answers.</p><button name="outcome" value="success">Approve</button> <button name="outcome" value="failure">Decline</button> <button name="outcome" value="pending">Pending</button>`;
+}
+
+const FORMS = { card: cardForm, netbanking: bankForm, upi: upiForm };
+const METHOD_NAMES = { card: 'card', netbanking: 'netbanking', upi: 'UPI' };
+
+/**
+ * The mock gateway's checkout page for an open attempt. English, like the
+ * hosted pages of real gateways.
+ * @param {import('./service').Payment} payment
+ * @param {string} [error]  why the last submit was refused
+ */
+function renderCheckoutPage(payment, error) {
+  const amount = formatCurrencyInr(payment.amount, 'en');
+  const notice = error
+    ? `<p style="color:#b00020">${escapeHtml(error)}</p>`
+    : '';
+  const pending =
+    payment.status === 'pending'
+      ? '<p>Your bank has not confirmed this payment yet.</p>'
+      : '';
+  const form = (FORMS[payment.method] || bankForm)();
+  const intent = payment.method === 'upi' ? upiIntentForm(payment) : '';
+  return page(
+    'Mock payment gateway',
+    `<p>Pay <strong>${amount}</strong> for ${escapeHtml(
+      payment.reference
+    )} by ${METHOD_NAMES[payment.method] || payment.method}.</p>${pending}${notice}${intent}<form method="post" action="/payments/${encodeURIComponent(
+      payment.id
+    )}/mock">${form}</form><p style="color:#555">No money moves: this page only stands in for a payment gateway.</p>`
+  );
+}
+
+// Where the buyer lands after paying, or on opening a settled attempt
+const OUTCOMES = {
+  captured: ['Payment successful', 'Return to the chat to continue.'],
+  pending: [
+    'Payment pending',
+    'Your bank is still processing it. Return to the chat to check its status.'
+  ],
+  failed: [
+    'Payment failed',
+    'No money was taken. Return to the chat to try again.'
+  ],
+  expired: [
+    'Payment link expired',
+    'No money was taken. Return to the chat for a new link.'
+  ]
+};
+
+/** @param {import('./service').Payment} payment */
+function renderResultPage(payment) {
+  const [title, text] = OUTCOMES[payment.status] || OUTCOMES.pending;
+  const reason =
+    payment.status === 'failed' && payment.error
+      ? `<p>${escapeHtml(payment.error)}</p>`
+      : '';
+  return page(title, `${reason}<p>${text}</p>`);
+}
+
+module.exports = { renderCheckoutPage, renderResultPage };
@@ -0,0 +1,243 @@
+'use strict';
+
+const crypto = require('crypto');
+const { isValidVpa } = require('../lib/validators');
+
+/**
+ * @typedef {Object} GatewayEvent  a verified webhook callback
+ * @property {string} id         event ID; gateways may deliver an event more
+ *   than once
+ * @property {string} paymentId  our payment ID (PAY-…), echoed back
+ * @property {string} orderId    the gateway's order
+ * @property {'pending'|'captured'|'failed'} status
+ * @property {number} amount     in rupees
+ * @property {string} currency
+ * @property {string} [method]   card, netbanking, upi
+ * @property {string} [gatewayPaymentId]
+ * @property {string|null} [error]  why it failed
+ *
+ * @typedef {Object} PaymentGateway
+ * @property {string} name
+ * @property {(payment: import('./service').Payment) => Promise<{ orderId: string, checkoutUrl?: string }>} createOrder
+ *   registers the amount to collect. Without a `checkoutUrl` the buyer pays
+ *   on our own checkout page.
+ * @property {(rawBody: Buffer, signature: string) => boolean} verifyWebhook
+ * @property {(body: object) => GatewayEvent|null} parseWebhook
+ */
+
+const EVENT_STATUSES = ['pending', 'captured', 'failed'];
+
+// Banks offered on the mock netbanking page
+const MOCK_BANKS = [
+  { id: 'HDFC', name: 'HDFC Bank' },
+  { id: 'ICIC', name: 'ICICI Bank' },
+  { id: 'SBIN', name: 'State Bank of India' },
+  { id: 'UTIB', name: 'Axis Bank' },
+  { id: 'KKBK', name: 'Kotak Mahindra Bank' }
+];
+
+function paymentError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function sign(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// Hex HMAC-SHA256 of the raw body; nothing verifies without a secret
+function verify(rawBody, signature, secret) {
+  if (!secret || !rawBody || typeof signature !== 'string') return false;
+  if (!/^[0-9a-f]{64}$/i.test(signature)) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(sign(rawBody, secret), 'hex'),
+    Buffer.from(signature, 'hex')
+  );
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Sandbox test cards: 4000 0000 0000 0002 is declined and
+// 4000 0000 0000 0051 waits on the bank; any other valid card is paid
+function cardOutcome({ cardNumber, expiry, cvv }, now) {
+  const digits = String(cardNumber || '').replace(/[\s-]/g, '');
+  if (!/^\d{12,19}$/.test(digits) || !passesLuhn(digits)) {
+    throw paymentError('Invalid card number', 'INVALID_CARD');
+  }
+  const m = String(expiry || '').match(/^(\d{2})\s*\/\s*(\d{2})$/);
+  const month = m ? Number(m[1]) : 0;
+  if (month < 1 || month > 12) {
+    throw paymentError('Invalid expiry date', 'INVALID_CARD');
+  }
+  const year = 2000 + Number(m[2]);
+  const thisMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+  if (year * 12 + month - 1 < thisMonth) {
+    throw paymentError('Card has expired', 'INVALID_CARD');
+  }
+  if (!/^\d{3,4}$/.test(String(cvv || ''))) {
+    throw paymentError('Invalid CVV', 'INVALID_CARD');
+  }
+  if (digits === '4000000000000002') {
+    return { status: 'failed', error: 'Card declined by the issuing bank' };
+  }
+  if (digits === '4000000000000051') return { status: 'pending' };
+  return { status: 'captured' };
+}
+
+// The mock bank page lets the buyer pick what the bank answers
+function bankOutcome({ bank, outcome }) {
+  if (!MOCK_BANKS.some(b => b.id === bank)) {
+    throw paymentError('Choose a bank', 'INVALID_BANK');
+  }
+  switch (outcome) {
+    case 'failure':
+      return { status: 'failed', error: 'Payment declined by the bank' };
+    case 'pending':
+      return { status: 'pending' };
+    default:
+      return { status: 'captured' };
+  }
+}
+
+// UPI collect sends a request to the payer's UPI ID; intent opens their UPI
+// app with the payment filled in, so no ID is needed. Either way the mock
+// page stands in for the app and lets the payer approve or decline.
+function upiOutcome({ flow, vpa, outcome }) {
+  if (flow !== 'intent' && !isValidVpa(vpa)) {
+    throw paymentError('Enter a valid UPI ID, e.g. name@bank', 'INVALID_VPA');
+  }
+  switch (outcome) {
+    case 'failure':
+      return { status: 'failed', error: 'Payment declined in the UPI app' };
+    case 'pending':
+      return { status: 'pending' };
+    default:
+      return { status: 'captured' };
+  }
+}
+
+function outcomeOf(payment, input) {
+  switch (payment.method) {
+    case 'card':
+      return cardOutcome(input, new Date());
+    case 'upi':
+      return upiOutcome(input);
+    default:
+      return bankOutcome(input);
+  }
+}
+
+/**
+ * A gateway that runs in this process, for development and demos. Buyers
+ * pay on our own checkout page (see checkout.js), and `simulate()` settles
+ * the payment and calls back `webhookUrl` with a signed event, the way a
+ * hosted gateway would. The `X-Payment-Signature` header is the hex
+ * HMAC-SHA256 of the body keyed with `webhookSecret`.
+ */
+function createMockGateway({ webhookSecret, webhookUrl }) {
+  return {
+    name: 'mock',
+    async createOrder() {
+      return { orderId: randomId('order_mock') };
+    },
+    verifyWebhook(rawBody, signature) {
+      return verify(rawBody, signature, webhookSecret);
+    },
+    parseWebhook(body) {
+      const payment = body && body.payment;
+      if (
+        !payment ||
+        typeof body.id !== 'string' ||
+        typeof payment.reference !== 'string' ||
+        !EVENT_STATUSES.includes(payment.status) ||
+        !Number.isFinite(payment.amount)
+      ) {
+        return null;
+      }
+      return {
+        id: body.id,
+        paymentId: payment.reference,
+        orderId: payment.orderId,
+        status: payment.status,
+        amount: payment.amount / 100,
+        currency: payment.currency,
+        method: payment.method,
+        gatewayPaymentId: payment.id,
+        error: payment.error || null
+      };
+    },
+
+    /**
+     * Settle a payment as the buyer chose on the checkout page and deliver
+     * the webhook. Resolves once the webhook has been accepted.
+     * @param {import('./service').Payment} payment
+     * @param {{ cardNumber?: string, expiry?: string, cvv?: string, bank?: string, flow?: string, vpa?: string, outcome?: string }} input
+     * @returns {Promise<{ status: string, error?: string }>}
+     */
+    async simulate(payment, input) {
+      const result = outcomeOf(payment, input);
+      const body = JSON.stringify({
+        id: randomId('evt_mock'),
+        event: `payment.${result.status}`,
+        createdAt: new Date().toISOString(),
+        payment: {
+          id: randomId('pay_mock'),
+          orderId: payment.orderId,
+          reference: payment.id,
+          // Gateways count in paise
+          amount: Math.round(payment.amount * 100),
+          currency: payment.currency,
+          method: payment.method,
+          status: result.status,
+          error: result.error || null
+        }
+      });
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Payment-Signature': sign(body, webhookSecret)
+        },
+        body
+      });
+      if (!res.ok) {
+        throw paymentError(
+          `Payment webhook answered ${res.status}`,
+          'WEBHOOK_FAILED'
+        );
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * @param {{ gateway: string, webhookSecret: string, webhookUrl: string }} options
+ * @returns {PaymentGateway}
+ */
+function createGateway(options) {
+  switch (options.gateway) {
+    case 'mock':
+      return createMockGateway(options);
+    default:
+      throw new Error(`Unknown payment gateway "${options.gateway}"`);
+  }
+}
+
+module.exports = { createGateway, MOCK_BANKS };
@@ -0,0 +1,443 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { AWAITING_PAYMENT } = require('../orders/ledger');
+const { parseStatement } = require('./statements');
+
+/**
+ * @typedef {import('./statements').StatementCredit & {
+ *   importedAt: string,
+ *   requestId: string|null,
+ *   counted: boolean
+ * }} Entry  a statement credit; `counted` once it goes towards its order
+ *
+ * @typedef {Object} ReconItem  something for ops to look at
+ * @property {string} id          REC-…
+ * @property {'unmatched'|'shortPaid'|'overPaid'|'wrongAccount'|'unverified'} type
+ * @property {'open'|'resolved'} status
+ * @property {string|null} requestId
+ * @property {string[]} refs      the statement entries involved
+ * @property {number} amount      unmatched or excess money, or the balance
+ *   still due
+ * @property {string} detail
+ * @property {{ action: string, note: string, at: string }} [resolution]
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+// What ops can do with each kind of item. match: count the money towards
+// an order after all; accept: treat a short-paid order as paid; dismiss:
+// settled outside the bot (refunded, not ours, ...)
+const RESOLUTIONS = {
+  unmatched: ['match', 'dismiss'],
+  wrongAccount: ['match', 'dismiss'],
+  unverified: ['match', 'dismiss'],
+  shortPaid: ['accept', 'dismiss'],
+  overPaid: ['dismiss']
+};
+
+const paise = amount => Math.round(amount * 100);
+
+// A request ID as a whole token of a narration. Banks drop or change the
+// separators ("GC2526-000042" may read "GC2526000042" or "GC2526/000042"),
+// but a longer reference that merely contains it does not match.
+function idPattern(requestId) {
+  const parts = String(requestId).match(/[0-9A-Z]+/gi) || [];
+  if (parts.length === 0) return null;
+  return new RegExp(
+    `(?<![0-9A-Z])${parts.join('[^0-9A-Z]*')}(?![0-9A-Z])`,
+    'i'
+  );
+}
+
+function reconError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Statement accounts are often masked ("XXXXXX5678"); masked digits match
+// anything, and at least 4 must be shown
+function sameAccount(printed, account) {
+  const shown = String(printed || '')
+    .toUpperCase()
+    .replace(/[^0-9X]/g, '');
+  const actual = String(account || '').replace(/\D/g, '');
+  if (!shown || !actual) return false;
+  if (!shown.includes('X')) {
+    return shown.replace(/^0+/, '') === actual.replace(/^0+/, '');
+  }
+  // Masks are often padded past the account's length
+  let mask = shown;
+  while (mask.length > actual.length && mask[0] === 'X') mask = mask.slice(1);
+  if (mask.replace(/X/g, '').length < 4 || mask.length > actual.length) {
+    return false;
+  }
+  const tail = actual.slice(-mask.length);
+  return [...mask].every((ch, i) => ch === 'X' || ch === tail[i]);
+}
+
+// Why a credit cannot be counted for the order, or null: the item type
+// ops get and what it says. A line without the remitter's account cannot
+// show who paid, so ops check it rather than take it on UTR and amount.
+function accountProblem(entry, order) {
+  const { bankAccount, ifsc } = order.buyer;
+  const { remitterAccount, remitterIfsc } = entry;
+  if (remitterAccount && !sameAccount(remitterAccount, bankAccount)) {
+    return {
+      type: 'wrongAccount',
+      detail: `Sent from account ${remitterAccount}, not the buyer's`
+    };
+  }
+  if (remitterIfsc && ifsc && remitterIfsc !== ifsc.toUpperCase()) {
+    return {
+      type: 'wrongAccount',
+      detail: `Sent from IFSC ${remitterIfsc}, not the buyer's ${ifsc}`
+    };
+  }
+  if (!remitterAccount) {
+    return {
+      type: 'unverified',
+      detail: 'No remitter account on the statement line'
+    };
+  }
+  return null;
+}
+
+/**
+ * Matches NEFT/RTGS credits from bank statements to business orders, kept
+ * in a JSON file. A credit is matched on the UTR the buyer gave, else on
+ * the request ID in its narration, else on the buyer's account and the
+ * exact amount due. Orders paid in full are handed to `onPaid`; anything
+ * else becomes an item on the report for ops to resolve.
+ * @param {{ file: string, ledger: ReturnType<import('../orders/ledger').createOrderLedger>, onPaid: (requestId: string, note: string) => void }} options
+ */
+function createReconciler({ file, ledger, onPaid }) {
+  const state = readJson(file, { entries: {}, items: {}, nextItem: 1 });
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  function openItems(requestId, type) {
+    return Object.values(state.items).filter(
+      item =>
+        item.status === 'open' &&
+        item.requestId === requestId &&
+        (!type || item.type === type)
+    );
+  }
+
+  function addItem(type, fields) {
+    const at = new Date().toISOString();
+    const item = {
+      id: `REC-${String(state.nextItem++).padStart(6, '0')}`,
+      type,
+      status: 'open',
+      requestId: null,
+      refs: [],
+      createdAt: at,
+      updatedAt: at,
+      ...fields
+    };
+    state.items[item.id] = item;
+    return item;
+  }
+
+  function close(item, action, note) {
+    const at = new Date().toISOString();
+    item.status = 'resolved';
+    item.resolution = { action, note, at };
+    item.updatedAt = at;
+  }
+
+  function received(requestId) {
+    return Object.values(state.entries)
+      .filter(entry => entry.counted && entry.requestId === requestId)
+      .reduce((sum, entry) => sum + paise(entry.amount), 0);
+  }
+
+  function markPaid(requestId, note) {
+    try {
+      onPaid(requestId, note);
+    } catch (err) {
+      console.error(
+        `Transfer for ${requestId} reconciled, order not updated`,
+        err
+      );
+    }
+  }
+
+  function findOrder(entry) {
+    const orders = ledger.find();
+    if (entry.utr) {
+      const byUtr = orders.find(
+        order => order.transfer && order.transfer.utr === entry.utr
+      );
+      if (byUtr) return byUtr;
+    }
+    const narrative = String(entry.narrative || '');
+    const byId = orders.filter(order => {
+      const pattern = idPattern(order.requestId);
+      return pattern && pattern.test(narrative);
+    });
+    if (byId.length === 1) return byId[0];
+    // Only when exactly one open order fits, never a guess between two
+    const byAccount = orders.filter(
+      order =>
+        AWAITING_PAYMENT.includes(order.status) &&
+        order.quote &&
+        paise(order.quote.net) === paise(entry.amount) &&
+        entry.remitterAccount &&
+        sameAccount(entry.remitterAccount, order.buyer.bankAccount)
+    );
+    return byAccount.length === 1 ? byAccount[0] : null;
+  }
+
+  // Count a credit towards its order and settle what that changes
+  function count(entry, order) {
+    entry.requestId = order.requestId;
+    entry.counted = true;
+    const created = [];
+    if (!AWAITING_PAYMENT.includes(order.status)) {
+      created.push(
+        addItem('overPaid', {
+          requestId: order.requestId,
+          refs: [entry.ref],
+          amount: entry.amount,
+          detail: `Received after the order was ${order.status}`
+        })
+      );
+      return created;
+    }
+    const due = paise(order.quote.net);
+    const got = received(order.requestId);
+    const refs = Object.values(state.entries)
+      .filter(e => e.counted && e.requestId === order.requestId)
+      .map(e => e.ref);
+    const [short] = openItems(order.requestId, 'shortPaid');
+    if (got < due) {
+      const balance = (due - got) / 100;
+      const detail = `Received ${got / 100} of ${due / 100}`;
+      if (short) {
+        Object.assign(short, {
+          refs,
+          amount: balance,
+          detail,
+          updatedAt: new Date().toISOString()
+        });
+      } else {
+        created.push(
+          addItem('shortPaid', {
+            requestId: order.requestId,
+            refs,
+            amount: balance,
+            detail
+          })
+        );
+      }
+      return created;
+    }
+    if (short) close(short, 'paid', 'Balance received');
+    if (got > due) {
+      created.push(
+        addItem('overPaid', {
+          requestId: order.requestId,
+          refs,
+          amount: (got - due) / 100,
+          detail: `Received ${got / 100} against ${due / 100}`
+        })
+      );
+    }
+    const utrs = refs.map(ref => state.entries[ref].utr).filter(Boolean);
+    markPaid(
+      order.requestId,
+      `Paid by bank transfer${utrs.length ? ` (UTR ${utrs.join(', ')})` : ''}`
+    );
+    return created;
+  }
+
+  function apply(entry) {
+    const order = findOrder(entry);
+    if (!order) {
+      return [
+        addItem('unmatched', {
+          refs: [entry.ref],
+          amount: entry.amount,
+          detail: entry.narrative || 'No UTR, request ID or known account'
+        })
+      ];
+    }
+    const problem = order.quote
+      ? accountProblem(entry, order)
+      : { type: 'wrongAccount', detail: 'Not priced' };
+    if (problem) {
+      entry.requestId = order.requestId;
+      return [
+        addItem(problem.type, {
+          requestId: order.requestId,
+          refs: [entry.ref],
+          amount: entry.amount,
+          detail: problem.detail
+        })
+      ];
+    }
+    return count(entry, order);
+  }
+
+  function withEntries(item) {
+    return {
+      ...clone(item),
+      entries: item.refs.map(ref => clone(state.entries[ref]))
+    };
+  }
+
+  return {
+    /**
+     * Read a statement file and match its credits. Lines seen in an
+     * earlier import are skipped, so overlapping statements are safe.
+     * @param {string} text
+     * @param {{ format?: string }} [options]  csv or mt940; detected when
+     *   left out
+     */
+    ingest(text, { format } = {}) {
+      const statement = parseStatement(text, format);
+      const summary = {
+        format: statement.format,
+        credits: statement.credits.length,
+        duplicates: 0,
+        matched: 0,
+        items: []
+      };
+      const at = new Date().toISOString();
+      for (const credit of statement.credits) {
+        if (state.entries[credit.ref]) {
+          summary.duplicates++;
+          continue;
+        }
+        const entry = {
+          ...credit,
+          importedAt: at,
+          requestId: null,
+          counted: false
+        };
+        state.entries[entry.ref] = entry;
+        const items = apply(entry);
+        if (entry.counted) summary.matched++;
+        summary.items.push(...items.map(withEntries));
+      }
+      save();
+      return summary;
+    },
+
+    /**
+     * Look again for credits of an order once its buyer gives a UTR: a
+     * statement may have been imported before the UTR was known.
+     */
+    reconcileOrder(requestId) {
+      const order = ledger.get(requestId);
+      if (!order || !order.transfer) return this.statusOf(requestId);
+      for (const item of Object.values(state.items)) {
+        if (item.status !== 'open' || item.type !== 'unmatched') continue;
+        const entry = state.entries[item.refs[0]];
+        if (entry.utr !== order.transfer.utr) continue;
+        close(item, 'match', `Matched to ${requestId} by UTR`);
+        apply(entry);
+      }
+      save();
+      return this.statusOf(requestId);
+    },
+
+    /**
+     * Where an order's bank transfer stands, for the chat:
+     * paid, wrongAccount (money came from another account), review (ops
+     * must confirm who sent it), short (part received) or waiting (nothing
+     * on a statement yet).
+     */
+    statusOf(requestId) {
+      const order = ledger.get(requestId);
+      const expected = order && order.quote ? order.quote.net : 0;
+      const got = received(requestId) / 100;
+      const base = { expected, received: got, balance: 0 };
+      if (order && ['paid', 'issued'].includes(order.status)) {
+        return { ...base, state: 'paid' };
+      }
+      if (openItems(requestId, 'wrongAccount').length > 0) {
+        return { ...base, state: 'wrongAccount' };
+      }
+      if (openItems(requestId, 'unverified').length > 0) {
+        return { ...base, state: 'review' };
+      }
+      if (got > 0 && paise(got) < paise(expected)) {
+        return {
+          ...base,
+          state: 'short',
+          balance: (paise(expected) - paise(got)) / 100
+        };
+      }
+      return { ...base, state: 'waiting' };
+    },
+
+    /** Open items by type, and all of them with their statement lines */
+    report({ status = 'open' } = {}) {
+      const items = Object.values(state.items)
+        .filter(item => status === 'all' || item.status === status)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      const open = {};
+      for (const type of Object.keys(RESOLUTIONS)) open[type] = 0;
+      for (const item of Object.values(state.items)) {
+        if (item.status === 'open') open[item.type]++;
+      }
+      return { open, items: items.map(withEntries) };
+    },
+
+    /**
+     * Settle an item by hand. `match` needs the order the money belongs to
+     * (a wrong-account item already has one); `accept` and `dismiss` need a
+     * note saying why.
+     * @param {string} id
+     * @param {{ action: string, requestId?: string, note?: string }} resolution
+     */
+    resolve(id, { action, requestId, note } = {}) {
+      const item = state.items[id];
+      if (!item) throw reconError(`Item ${id} not found`, 'ITEM_NOT_FOUND');
+      if (item.status !== 'open') {
+        throw reconError(`Item ${id} is already resolved`, 'ITEM_RESOLVED');
+      }
+      if (!RESOLUTIONS[item.type].includes(action)) {
+        throw reconError(
+          `${item.type} items are resolved by ${RESOLUTIONS[item.type].join(
+            ' or '
+          )}`,
+          'INVALID_RESOLUTION'
+        );
+      }
+      const why = String(note || '').trim();
+      if (action !== 'match' && !why) {
+        throw reconError('Say why in a note', 'NOTE_REQUIRED');
+      }
+      if (action === 'match') {
+        const target = requestId || item.requestId;
+        const order = target && ledger.get(target);
+        if (!order || !order.quote) {
+          throw reconError(`Order ${target} not found`, 'ORDER_NOT_FOUND');
+        }
+        close(item, action, why || `Matched to ${target}`);
+        count(state.entries[item.refs[0]], order);
+      } else if (action === 'accept') {
+        close(item, action, why);
+        markPaid(item.requestId, `Short payment accepted: ${why}`);
+      } else {
+        close(item, action, why);
+      }
+      save();
+      return withEntries(item);
+    }
+  };
+}
+
+module.exports = { createReconciler };
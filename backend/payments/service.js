@@ -0,0 +1,345 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { generatePaymentId } = require('../lib/ids');
+const { upiIntentUri } = require('./upi');
+
+/**
+ * @typedef {Object} Payment  one attempt to collect an order's amount
+ * @property {string} id          PAY-…
+ * @property {string} reference   request ID of the order, or the reference
+ *   (PG-…) of the personal gift, being paid
+ * @property {number} amount      in rupees
+ * @property {string} currency
+ * @property {'card'|'netbanking'|'upi'} method
+ * @property {'created'|'pending'|'captured'|'failed'|'expired'} status
+ * @property {string} gateway     name of the gateway it was created with
+ * @property {string|null} orderId  the gateway's order, once checkout opens
+ * @property {string|null} checkoutUrl  the gateway's page, when it has one
+ * @property {string|null} gatewayPaymentId
+ * @property {string|null} error  why the last attempt failed
+ * @property {string} [expiresAt]  an open attempt left unpaid until then
+ *   expires and can no longer be paid
+ * @property {string} [upiUri]  upi://pay intent link of a UPI attempt, shown
+ *   as a QR code
+ * @property {string[]} events    webhook event IDs already applied
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {{ status: string, at: string, note?: string }[]} history
+ */
+
+// Webhooks can arrive late or out of order; a status only ever moves up.
+// A failed or expired attempt can still be captured (the bank settled after
+// all), but nothing follows a capture.
+const RANK = { created: 0, pending: 1, failed: 2, expired: 2, captured: 3 };
+
+const OPEN = ['created', 'pending'];
+
+// Attempts that ended unpaid; the payer starts a new one to try again
+const RETRYABLE = ['failed', 'expired'];
+
+const paise = amount => Math.round(amount * 100);
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Payment attempts and the gateway webhooks that settle them, kept in a
+ * JSON file. The chat only creates attempts; an order is paid when a
+ * verified webhook reports the capture, at which point `onCaptured` runs,
+ * once per attempt. Attempts left open for `ttlMs` expire: when next read,
+ * and by `expireDue()`, which the server runs on a timer. UPI attempts get
+ * an intent link paying `upiPayee`. `payable` says whether an order or gift
+ * still takes payment; a cancelled one does not, whatever its attempts say.
+ * @param {{ file: string, gateway: import('./gateways').PaymentGateway, onCaptured: (payment: Payment) => void, payable?: (reference: string) => boolean, ttlMs: number, upiPayee: { vpa: string, name: string } }} options
+ */
+function createPaymentService({
+  file,
+  gateway,
+  onCaptured,
+  payable = () => true,
+  ttlMs,
+  upiPayee
+}) {
+  /** @type {Map<string, Payment>} */
+  const payments = new Map(Object.entries(readJson(file, {})));
+
+  function save() {
+    writeJsonAtomic(file, Object.fromEntries(payments));
+  }
+
+  function attemptsFor(reference) {
+    return [...payments.values()]
+      .filter(payment => payment.reference === reference)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function record(payment, status, note) {
+    const at = new Date().toISOString();
+    payment.status = status;
+    payment.updatedAt = at;
+    payment.history.push(note ? { status, at, note } : { status, at });
+  }
+
+  // Expire an open attempt past its time; true when it did
+  function expireIfDue(payment, now = Date.now()) {
+    if (
+      !payment ||
+      !OPEN.includes(payment.status) ||
+      !payment.expiresAt ||
+      Date.parse(payment.expiresAt) > now
+    ) {
+      return false;
+    }
+    record(payment, 'expired');
+    return true;
+  }
+
+  // The attempt by ID, expired first if its time is up
+  function current(id) {
+    const payment = payments.get(id);
+    if (expireIfDue(payment)) save();
+    return payment;
+  }
+
+  // Close the open attempts for `reference`. The gateway refuses to take
+  // payment against them; a capture already on its way still lands.
+  function closeOpen(reference, note) {
+    let closed = 0;
+    for (const payment of attemptsFor(reference)) {
+      if (OPEN.includes(payment.status)) {
+        record(payment, 'expired', note);
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  function capturedFor(reference) {
+    return attemptsFor(reference).find(
+      payment => payment.status === 'captured'
+    );
+  }
+
+  return {
+    /**
+     * The attempt to pay `amount` for `reference` by `method`. An open
+     * attempt for the same amount and method is reused, and a captured one
+     * is returned as it is, so asking twice never charges twice. A new
+     * attempt closes the ones before it: only one can be paid at a time.
+     * @returns {Payment}
+     */
+    create({ reference, amount, method, currency = 'INR' }) {
+      const captured = capturedFor(reference);
+      if (captured) return clone(captured);
+      const latest = attemptsFor(reference).pop();
+      if (expireIfDue(latest)) save();
+      if (
+        latest &&
+        OPEN.includes(latest.status) &&
+        latest.amount === amount &&
+        latest.method === method
+      ) {
+        return clone(latest);
+      }
+      const at = new Date().toISOString();
+      const payment = {
+        id: generatePaymentId(),
+        reference,
+        amount,
+        currency,
+        method,
+        status: 'created',
+        gateway: gateway.name,
+        orderId: null,
+        checkoutUrl: null,
+        gatewayPaymentId: null,
+        error: null,
+        events: [],
+        expiresAt: new Date(Date.parse(at) + ttlMs).toISOString(),
+        createdAt: at,
+        updatedAt: at,
+        history: [{ status: 'created', at }]
+      };
+      if (method === 'upi') payment.upiUri = upiIntentUri(upiPayee, payment);
+      closeOpen(reference, `Replaced by ${payment.id}`);
+      payments.set(payment.id, payment);
+      save();
+      return clone(payment);
+    },
+
+    get(id) {
+      return clone(current(id)) || null;
+    },
+
+    /** The newest attempt for an order or gift, or null */
+    latest(reference) {
+      const latest = attemptsFor(reference).pop();
+      return latest ? clone(current(latest.id)) : null;
+    },
+
+    /**
+     * The attempt that paid for an order or gift, or null. Any attempt
+     * counts, not just the newest: an older one may have been paid before
+     * the buyer switched methods.
+     * @returns {Payment|null}
+     */
+    paid(reference) {
+      return clone(capturedFor(reference)) || null;
+    },
+
+    /**
+     * Close the open attempts for `reference`, when the order or gift is
+     * abandoned. Returns how many were closed.
+     */
+    close(reference, note = 'Abandoned') {
+      const closed = closeOpen(reference, note);
+      if (closed > 0) save();
+      return closed;
+    },
+
+    /**
+     * Register the attempt with the gateway when the buyer opens checkout.
+     * Done once; later calls return the same gateway order. An attempt
+     * whose order or gift no longer takes payment is closed instead.
+     * @returns {Promise<Payment|null>}
+     */
+    async checkout(id) {
+      const payment = current(id);
+      if (!payment) return null;
+      if (OPEN.includes(payment.status) && !payable(payment.reference)) {
+        record(payment, 'expired', `${payment.reference} no longer payable`);
+        save();
+      }
+      if (!payment.orderId && OPEN.includes(payment.status)) {
+        const { orderId, checkoutUrl } = await gateway.createOrder(
+          clone(payment)
+        );
+        payment.orderId = orderId;
+        payment.checkoutUrl = checkoutUrl || null;
+        payment.updatedAt = new Date().toISOString();
+        save();
+      }
+      return clone(payment);
+    },
+
+    /**
+     * Apply a gateway webhook. Returns null when the signature does not
+     * verify; otherwise what became of it:
+     * - applied: the attempt moved to the event's status
+     * - duplicate: this event was applied before
+     * - stale: the attempt is already at or past that status
+     * - mismatch: a capture for a different amount; the order stays unpaid
+     * - unknown: no such attempt, or not an event we read
+     * @param {Buffer} rawBody
+     * @param {string} signature
+     * @returns {{ result: string, payment?: Payment }|null}
+     */
+    receive(rawBody, signature) {
+      if (!gateway.verifyWebhook(rawBody, signature)) return null;
+      let event;
+      try {
+        event = gateway.parseWebhook(JSON.parse(rawBody.toString('utf8')));
+      } catch (err) {
+        event = null;
+      }
+      const payment = event && current(event.paymentId);
+      if (!payment) return { result: 'unknown' };
+      if (payment.events.includes(event.id)) {
+        return { result: 'duplicate', payment: clone(payment) };
+      }
+      payment.events.push(event.id);
+      let result = 'applied';
+      if (RANK[event.status] <= RANK[payment.status]) {
+        result = 'stale';
+      } else if (
+        event.status === 'captured' &&
+        (paise(event.amount) !== paise(payment.amount) ||
+          event.currency !== payment.currency)
+      ) {
+        result = 'mismatch';
+        payment.history.push({
+          status: payment.status,
+          at: new Date().toISOString(),
+          note: `Capture of ${event.currency} ${event.amount} ignored (${event.id})`
+        });
+      } else {
+        payment.gatewayPaymentId = event.gatewayPaymentId || null;
+        payment.error = event.status === 'failed' ? event.error : null;
+        record(payment, event.status, event.id);
+      }
+      payment.updatedAt = new Date().toISOString();
+      save();
+      // The capture is recorded either way; a failing hook is for ops to
+      // follow up, not a reason for the gateway to redeliver
+      const earlier =
+        result === 'applied' &&
+        payment.status === 'captured' &&
+        attemptsFor(payment.reference).find(
+          other => other !== payment && other.status === 'captured'
+        );
+      const captured = result === 'applied' && payment.status === 'captured';
+      if (earlier) {
+        // Paid twice over, through two attempts: the second is for ops to
+        // refund, and must not pay for anything again
+        console.warn(
+          `Payment ${payment.id} captured, but ${payment.reference} was already paid by ${earlier.id}; refund it`
+        );
+      } else if (captured && !payable(payment.reference)) {
+        // Settled by the gateway after the order was cancelled
+        console.warn(
+          `Payment ${payment.id} captured, but ${payment.reference} no longer takes payment; refund it`
+        );
+      } else if (captured) {
+        try {
+          onCaptured(clone(payment));
+        } catch (err) {
+          console.error(
+            `Payment ${payment.id} captured, order not updated`,
+            err
+          );
+        }
+      }
+      return { result, payment: clone(payment) };
+    },
+
+    /**
+     * Expire every open attempt past its time, so abandoned checkouts are
+     * closed even if nobody looks at them again. Returns how many expired.
+     */
+    expireDue(now = new Date()) {
+      let expired = 0;
+      for (const payment of payments.values()) {
+        if (expireIfDue(payment, now.getTime())) expired++;
+      }
+      if (expired > 0) save();
+      return expired;
+    }
+  };
+}
+
+/** What the API shows of an attempt */
+function toPublicPayment(payment) {
+  const { id, reference, amount, currency, method, status, error } = payment;
+  return {
+    id,
+    reference,
+    amount,
+    currency,
+    method,
+    status,
+    error,
+    expiresAt: payment.expiresAt || null,
+    // Only while it can still be paid: the QR expires with the attempt
+    upiUri: OPEN.includes(status) ? payment.upiUri || null : null,
+    updatedAt: payment.updatedAt
+  };
+}
+
+module.exports = {
+  createPaymentService,
+  toPublicPayment,
+  OPEN,
+  RETRYABLE
+};
@@ -0,0 +1,272 @@
+'use strict';
+
+const crypto = require('crypto');
+const { UTR_PATTERN, normalizeUtr } = require('../lib/validators');
+
+/**
+ * @typedef {Object} StatementCredit  money received into the seller account
+ * @property {string} ref        stable key, so a re-imported line is known:
+ *   the UTR when there is one
+ * @property {string} date       "YYYY-MM-DD" where it could be read
+ * @property {number} amount     in rupees
+ * @property {string|null} utr
+ * @property {string|null} remitterAccount  as printed; banks often mask it
+ * @property {string|null} remitterIfsc
+ * @property {string|null} remitterName
+ * @property {string} narrative
+ */
+
+const IFSC_PATTERN = /\b[A-Z]{4}0[A-Z0-9]{6}\b/;
+// "A/C 12345678", "ACCT NO: XXXXXX5678"
+const ACCOUNT_PATTERN = /\b(?:A\/C|ACCT|ACCOUNT)\s*(?:NO\.?)?\s*[:-]?\s*([X\d]{6,20})\b/i;
+const MONTHS = 'jan feb mar apr may jun jul aug sep oct nov dec'.split(' ');
+
+function statementError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_STATEMENT';
+  return err;
+}
+
+// "1,00,000.00", "₹ 990", "INR 990.50"
+function parseAmount(value) {
+  const clean = String(value || '').replace(/[₹,\s]|INR/gi, '');
+  if (!/^-?\d+(\.\d+)?$/.test(clean)) return null;
+  return Number(clean);
+}
+
+// dd/mm/yyyy, dd-mm-yy, yyyy-mm-dd or 19-Oct-2026, as "YYYY-MM-DD"
+function parseDate(value) {
+  const text = String(value || '').trim();
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = text.match(/^(\d{1,2})[/.\s-]([a-z]{3}|\d{1,2})[/.\s-](\d{2}|\d{4})$/i);
+  if (!m) return text;
+  const month = /\d/.test(m[2])
+    ? Number(m[2])
+    : MONTHS.indexOf(m[2].toLowerCase()) + 1;
+  if (month < 1 || month > 12) return text;
+  const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+  const pad = n => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(m[1])}`;
+}
+
+// UTR, remitter IFSC and account where a narration carries them, e.g.
+// "NEFT-HDFCN52024101912345678-ABC PVT LTD-12345678-HDFC0001234"
+function detailsFromText(text) {
+  const upper = String(text || '').toUpperCase();
+  const utr = (upper.match(UTR_PATTERN) || [])[0] || null;
+  const ifsc = (upper.match(IFSC_PATTERN) || [])[0] || null;
+  let account = (upper.match(ACCOUNT_PATTERN) || [])[1] || null;
+  if (!account) {
+    const rest = upper.replace(utr, ' ').replace(ifsc, ' ');
+    account = (rest.match(/(?<![\dA-Z])(?:X+\d{3,}|\d{8,20})(?![\dA-Z])/) ||
+      [])[0] || null;
+  }
+  return { utr, ifsc, account };
+}
+
+function refOf(credit) {
+  if (credit.utr) return credit.utr;
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${credit.date}|${credit.amount}|${credit.narrative}`)
+    .digest('hex');
+  return `LINE-${hash.slice(0, 16)}`;
+}
+
+function credit(fields) {
+  const found = detailsFromText(fields.narrative);
+  const entry = {
+    date: fields.date,
+    amount: fields.amount,
+    utr: normalizeUtr(fields.utr) || found.utr,
+    remitterAccount: fields.account || found.account,
+    remitterIfsc: (fields.ifsc || found.ifsc || '').toUpperCase() || null,
+    remitterName: fields.name || null,
+    narrative: fields.narrative || ''
+  };
+  return { ref: refOf(entry), ...entry };
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Header names seen in Indian bank exports, by what they hold
+const CSV_COLUMNS = {
+  date: ['date', 'txn date', 'transaction date', 'value date', 'value dt'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposit amt', 'cr amount'],
+  amount: ['amount', 'txn amount', 'transaction amount'],
+  type: ['type', 'cr/dr', 'dr/cr', 'txn type'],
+  utr: [
+    'utr',
+    'utr no',
+    'utr number',
+    'reference',
+    'ref no',
+    'reference no',
+    'chq/ref no',
+    'cheque/ref no'
+  ],
+  account: [
+    'remitter account',
+    'remitter a/c',
+    'remitter account no',
+    'sender account',
+    'from account'
+  ],
+  ifsc: ['remitter ifsc', 'sender ifsc', 'ifsc'],
+  name: ['remitter name', 'sender name', 'remitter'],
+  narrative: ['narration', 'description', 'particulars', 'remarks', 'details']
+};
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^﻿/, ''));
+  if (!header) throw statementError('The statement is empty');
+  const names = header.map(name =>
+    name
+      .trim()
+      .toLowerCase()
+      .replace(/\./g, '')
+      .replace(/\s+/g, ' ')
+  );
+  const column = {};
+  for (const [key, aliases] of Object.entries(CSV_COLUMNS)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) column[key] = index;
+  }
+  if (column.credit === undefined && column.amount === undefined) {
+    throw statementError('No credit or amount column in the statement');
+  }
+  const cell = (cells, key) =>
+    column[key] === undefined ? '' : (cells[column[key]] || '').trim();
+  const credits = [];
+  for (const cells of rows) {
+    let amount;
+    if (column.credit !== undefined) {
+      amount = parseAmount(cell(cells, 'credit'));
+    } else {
+      amount = parseAmount(cell(cells, 'amount'));
+      const type = cell(cells, 'type').toLowerCase();
+      if (/^(dr?|debit)$/.test(type)) amount = null;
+    }
+    if (!amount || amount <= 0) continue;
+    credits.push(
+      credit({
+        date: parseDate(cell(cells, 'date')),
+        amount,
+        utr: cell(cells, 'utr'),
+        account: cell(cells, 'account').replace(/\s/g, '') || null,
+        ifsc: cell(cells, 'ifsc'),
+        name: cell(cells, 'name'),
+        narrative: cell(cells, 'narrative')
+      })
+    );
+  }
+  return credits;
+}
+
+// :61: value date, optional entry date, C/D mark, optional funds code,
+// amount ("990,00"), transaction type, customer ref [//bank ref]
+const MT940_LINE =
+  /^(\d{2})(\d{2})(\d{2})(?:\d{4})?(RC|RD|C|D)[A-Z]?(\d+,\d*)[A-Z][A-Z0-9]{3}([^/\n]*)(?:\/\/([^\n]*))?/;
+
+function parseMt940(text) {
+  const fields = [];
+  for (const line of text.replace(/\r/g, '').split('\n')) {
+    const m = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (m) fields.push({ tag: m[1], value: m[2] });
+    else if (fields.length > 0 && line.trim() && line.trim() !== '-}') {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  }
+  const lines = [];
+  for (const { tag, value } of fields) {
+    if (tag === '61') {
+      const m = value.match(MT940_LINE);
+      if (!m) throw statementError(`Unreadable :61: line "${value}"`);
+      lines.push({
+        date: `20${m[1]}-${m[2]}-${m[3]}`,
+        mark: m[4],
+        amount: Number(m[5].replace(',', '.')),
+        refs: [m[6], m[7]].map(ref => (ref || '').trim()),
+        narrative: ''
+      });
+    } else if (tag === '86' && lines.length > 0) {
+      lines[lines.length - 1].narrative = value.replace(/\n/g, ' ').trim();
+    }
+  }
+  if (fields.length === 0) throw statementError('The statement is empty');
+  return lines
+    .filter(line => line.mark === 'C' && line.amount > 0)
+    .map(line => {
+      const utr = line.refs.map(normalizeUtr).find(Boolean) || '';
+      const name = (line.narrative.match(/\/NAME\/([^/]+)/i) || [])[1];
+      return credit({
+        date: line.date,
+        amount: line.amount,
+        utr,
+        account: null,
+        ifsc: '',
+        name: name ? name.trim() : '',
+        narrative: line.narrative
+      });
+    });
+}
+
+/**
+ * Credits of a bank statement. `format` is "csv" or "mt940"; without it,
+ * files with MT940 tags (":20:", ":61:") are read as MT940 and anything
+ * else as CSV. Debits are left out.
+ * @param {string} text
+ * @param {string} [format]
+ * @returns {{ format: string, credits: StatementCredit[] }}
+ */
+function parseStatement(text, format) {
+  const kind = format || (/^:(20|61):/m.test(text) ? 'mt940' : 'csv');
+  switch (kind) {
+    case 'csv':
+      return { format: kind, credits: parseCsv(text) };
+    case 'mt940':
+      return { format: kind, credits: parseMt940(text) };
+    default:
+      throw statementError(`Unknown statement format "${kind}"`);
+  }
+}
+
+module.exports = { parseStatement };
@@ -0,0 +1,38 @@
+'use strict';
+
+const { encodeQr, qrToSvg, qrToPng } = require('../lib/qr');
+
+/**
+ * UPI intent link for one attempt: any UPI app opens it, or scans it as a
+ * QR code, with the payee, the exact amount and our references filled in.
+ * `tr` is the attempt, which the gateway's confirmation carries back;
+ * `tn` names the order or gift.
+ * @param {{ vpa: string, name: string }} payee
+ * @param {import('./service').Payment} payment
+ */
+function upiIntentUri(payee, payment) {
+  const params = [
+    ['pa', payee.vpa],
+    ['pn', payee.name],
+    ['tr', payment.id],
+    ['tn', `Payment for ${payment.reference}`],
+    ['am', payment.amount.toFixed(2)],
+    ['cu', payment.currency]
+  ];
+  return `upi://pay?${params
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&')}`;
+}
+
+/**
+ * The intent link as a QR image. SVG for the web chat and the checkout
+ * page; PNG for channels that only take bitmaps, such as WhatsApp.
+ * @param {string} uri
+ * @param {'svg'|'png'} format
+ */
+function renderUpiQr(uri, format) {
+  const qr = encodeQr(uri, { level: 'M' });
+  return format === 'png' ? qrToPng(qr) : qrToSvg(qr);
+}
+
+module.exports = { upiIntentUri, renderUpiQr };
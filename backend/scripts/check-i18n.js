@@ -0,0 +1,26 @@
+'use strict';
+
+// Fails when a locale is missing keys, has keys English does not, or uses
+// different {placeholders} than English. Run with `npm run check:i18n`.
+
+const { checkCatalogs } = require('../i18n');
+
+const problems = checkCatalogs();
+const labels = {
+  missing: 'missing keys',
+  extra: 'keys not in en',
+  placeholders: 'placeholders differ from en'
+};
+
+for (const [locale, report] of Object.entries(problems)) {
+  for (const [kind, keys] of Object.entries(report)) {
+    if (keys.length === 0) continue;
+    console.error(`${locale}: ${labels[kind]}`);
+    for (const key of keys) console.error(`  - ${key}`);
+  }
+}
+
+if (Object.keys(problems).length > 0) {
+  process.exit(1);
+}
+console.log('All message catalogs are complete.');
@@ -1,1553 +1,930 @@
 'use strict';
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const crypto = require('crypto');
+const config = require('./config');
+const { createChatEngine } = require('./flow');
+const { resolveChannel, handleOnChannel } = require('./channels');
+const { generateSessionId, isSessionId } = require('./lib/ids');
+const { createSessionStore } = require('./sessions');
+const { recordTurns, transcriptToText } = require('./sessions/transcript');
+const {
+  createOrderLedger,
+  toPublicOrder,
+  AWAITING_PAYMENT
+} = require('./orders/ledger');
+const { createNumbering } = require('./orders/numbering');
+const { createFulfilment } = require('./orders/fulfilment');
+const { createIssuer } = require('./giftcards/issuers');
+const { createCardStore } = require('./giftcards/store');
+const { createDeliveryFiles } = require('./giftcards/delivery');
+const { createBalanceChecker } = require('./giftcards/balance');
+const { createGiftScheduler } = require('./giftcards/scheduler');
+const { createClaimStore, renderClaimPage } = require('./giftcards/claims');
+const { createGiftSender } = require('./giftcards/sender');
+const { createMailer } = require('./mail/mailer');
+const { createTransport } = require('./mail/transports');
+const { createSmsSender } = require('./sms/sender');
+const {
+  createTransport: createSmsTransport
+} = require('./sms/transports');
+const { createWhatsAppAdapter } = require('./whatsapp/adapter');
+const {
+  createTransport: createWhatsAppTransport
+} = require('./whatsapp/transports');
+const { verifySignature } = require('./whatsapp/signature');
+const { createGateway } = require('./payments/gateways');
+const {
+  createPaymentService,
+  toPublicPayment,
+  OPEN
+} = require('./payments/service');
+const { renderUpiQr } = require('./payments/upi');
+const {
+  renderCheckoutPage,
+  renderResultPage
+} = require('./payments/checkout');
+const { createReconciler } = require('./payments/reconciliation');
+const { isValidCode } = require('./giftcards/codes');
+const { createDailyLimiter } = require('./lib/dailyLimit');
+const { createUrlSigner } = require('./lib/signedUrl');
+const { piIssuedAt, renderProformaPdf } = require('./orders/proforma');
+const { renderTaxInvoicePdf } = require('./orders/taxInvoice');
+const {
+  DEFAULT_LOCALE,
+  t,
+  resolveLocale,
+  checkCatalogs
+} = require('./i18n');
 
 const app = express();
+// Behind a reverse proxy, `req.ip` is the client's address only when the
+// proxy is trusted
+app.set('trust proxy', config.trustProxy);
 app.use(cors());
-app.use(express.json());
-
-// In-memory session store: sessionId -> { stage, data }
-/** @type {Map<string, { stage: string, data: any, createdAt: number }>} */
-const sessions = new Map();
-
-const PORT = process.env.PORT || 3001;
-
-const FALLBACK_MSG =
-  'Hi! Looks like you have replied with a message that we don’t recognize. Please select the correct option to continue.';
-
-function generateSessionId() {
-  if (crypto.randomUUID) {
-    return crypto.randomUUID();
+// Webhook signatures are checked against the raw body
+app.use(
+  express.json({
+    verify(req, _res, buf) {
+      req.rawBody = buf;
+    }
+  })
+);
+
+// Session store selected by SESSION_STORE: sessionId -> { stage, data }
+const sessionStore = createSessionStore(config.sessions);
+const numbering = createNumbering(config.numbering);
+const ledger = createOrderLedger({ ...config.orders, numbering });
+const paymentGateway = createGateway({
+  ...config.payments,
+  webhookUrl:
+    config.payments.webhookUrl || `${config.publicUrl}/payments/webhook`
+});
+// An order is paid by a verified gateway capture or by a bank transfer
+// found on a statement, and fulfilled there and then; the chat only
+// reports what was done
+function markPaid(requestId, note) {
+  const order = ledger.get(requestId);
+  if (!order) return;
+  if (['pi_issued', 'po_received'].includes(order.status)) {
+    ledger.transition(requestId, 'payment_pending');
+  } else if (order.status !== 'payment_pending') {
+    console.warn(`${note} for ${requestId}, which is ${order.status}`);
+    return;
+  }
+  ledger.transition(requestId, 'paid', note);
+  // Out of stock, or any other failure, leaves it paid for the retry timer
+  try {
+    fulfilment.fulfil(requestId);
+  } catch (err) {
+    console.error(`Order ${requestId} not fulfilled`, err);
   }
-  return crypto.randomBytes(16).toString('hex');
-}
-
-function generateGiftLink() {
-  const token = crypto.randomBytes(12).toString('hex');
-  return `https://mock.amazon/gift/${token}`;
 }
-
-function getTemplates() {
-  return [
-    { id: 't1', label: 'Happy Birthday', imageUrl: '/happy-bday.png' },
-    { id: 't2', label: 'Diwali', imageUrl: '/diwali.png' },
-    { id: 't3', label: 'Raksha Bandhan', imageUrl: '/rakshabandhan.png' },
-    { id: 't4', label: 'Sorry/Thank You', imageUrl: '/Sorry.png' }
-  ];
-}
-
-function findTemplateById(templateId) {
-  const t = getTemplates().find(x => x.id === templateId);
-  return t || null;
+// Orders still waiting for their money, and gifts not yet paid for, take
+// payment; nothing else does, even through an attempt left open
+function payable(reference) {
+  const order = ledger.get(reference);
+  if (order) return AWAITING_PAYMENT.includes(order.status);
+  const gift = scheduler.get(reference);
+  return !gift || gift.status === 'unpaid';
 }
+const payments = createPaymentService({
+  file: config.payments.file,
+  ttlMs: config.payments.ttlMs,
+  upiPayee: config.seller.upi,
+  gateway: paymentGateway,
+  payable,
+  // Gift payments (PG-…) have no order: the capture releases the gift the
+  // chat held, which goes out now or at its date even if the chat is closed
+  onCaptured(payment) {
+    if (scheduler.get(payment.reference)) {
+      scheduler.release(payment.reference, {
+        paymentId: payment.id,
+        amount: payment.amount
+      });
+      return;
+    }
+    markPaid(
+      payment.reference,
+      `Paid by ${payment.method} (${payment.id})`
+    );
+  }
+});
+const reconciliation = createReconciler({
+  ...config.reconciliation,
+  ledger,
+  onPaid: markPaid
+});
+const giftcards = createCardStore({
+  ...config.giftcards,
+  issuer: createIssuer(config.giftcards)
+});
+const balance = createBalanceChecker({
+  giftcards,
+  limiter: createDailyLimiter({
+    file: config.giftcards.balanceChecksFile,
+    limit: config.giftcards.balanceChecksPerDay
+  })
+});
+const mailer = createMailer({
+  ...config.mail,
+  transport: createTransport(config.mail)
+});
+const sms = createSmsSender({
+  ...config.sms,
+  transport: createSmsTransport(config.sms)
+});
+const claims = createClaimStore({
+  file: config.giftcards.claimsFile,
+  secret: config.giftcards.secret
+});
+const giftSender = createGiftSender({
+  mailer,
+  sms,
+  claims,
+  linkBase: config.sms.linkBase || config.publicUrl
+});
+// Personal gifts, sent once paid or at the date the sender picked. The
+// code is only in clear when the card is first issued, so that is when the
+// recipient's email or SMS is queued.
+const scheduler = createGiftScheduler({
+  ...config.schedule,
+  dispatch(ref, gift) {
+    const { cards, codes } = giftcards.issue(ref, [
+      { denomination: gift.amount, count: 1 }
+    ]);
+    const [card] = cards;
+    let sent = { mailId: null, smsId: null };
+    if (codes) {
+      sent = giftSender.send(
+        ref,
+        { email: gift.recipientEmail, phone: gift.recipientPhone },
+        codes[0],
+        { occasion: gift.occasion, message: gift.personalMessage }
+      );
+    }
+    return { card, ...sent };
+  }
+});
+const deliveries = createDeliveryFiles(config.delivery);
+const links = createUrlSigner({
+  secret: config.delivery.linkSecret,
+  ttlMs: config.delivery.linkTtlMs
+});
+const fulfilment = createFulfilment({
+  ledger,
+  giftcards,
+  deliveries,
+  mailer,
+  sms,
+  giftSender,
+  links,
+  linkTtlMs: config.delivery.linkTtlMs,
+  publicUrl: config.publicUrl,
+  seller: config.seller,
+  gst: config.gst
+});
+const engine = createChatEngine({
+  ledger,
+  payments,
+  reconciliation,
+  giftcards,
+  balance,
+  scheduler,
+  mailer,
+  sms,
+  giftSender,
+  deliveries,
+  links,
+  linkTtlMs: config.delivery.linkTtlMs,
+  publicUrl: config.publicUrl,
+  seller: config.seller,
+  gst: config.gst
+});
 
-function formatCurrencyInr(amount) {
-  const number = Number(amount);
-  if (Number.isNaN(number)) return '₹0';
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    maximumFractionDigits: 0
-  }).format(number);
+// Missing translations fall back to English, so they are only a warning here;
+// `npm run check:i18n` fails on them
+for (const [locale, report] of Object.entries(checkCatalogs())) {
+  const count =
+    report.missing.length + report.extra.length + report.placeholders.length;
+  console.warn(`i18n: ${count} problem(s) in the "${locale}" catalog`);
 }
 
-function getOrCreateSession(sessionId) {
-  if (sessionId && sessions.has(sessionId)) {
-    return { id: sessionId, state: sessions.get(sessionId) };
+// `keepId` starts a missing session under the given ID (channels that name
+// their own sessions) rather than a fresh one. A new web session gets a
+// token, handed to the browser once, that it reads its transcript back with.
+async function getOrCreateSession(sessionId, { keepId = false } = {}) {
+  const existing = sessionId ? await sessionStore.get(sessionId) : null;
+  if (existing) {
+    return { id: sessionId, state: existing };
   }
-  const id = generateSessionId();
+  const id = keepId ? sessionId : generateSessionId();
   const state = { stage: 'idle', data: {}, createdAt: Date.now() };
-  sessions.set(id, state);
-  return { id, state };
+  if (!keepId) state.token = crypto.randomBytes(24).toString('base64url');
+  return { id, state, created: true };
 }
 
-function normalizeAmount(message) {
-  if (!message) return null;
-  const digits = String(message).replace(/[^0-9]/g, '');
-  if (!digits) return null;
-  const value = parseInt(digits, 10);
-  if (Number.isNaN(value)) return null;
-  return value;
-}
-
-function parseBatchLead(message) {
-  // Expected format: lead|fullName|company|phone|email|gstin|bankAccount|ifsc
-  if (!message) return null;
-  const raw = String(message);
-  if (!raw.toLowerCase().startsWith('lead|')) return null;
-  const parts = raw.split('|');
-  // parts[0] = lead
-  const [_, fullName, company, phone, email, gstin, bankAccount, ifsc] = parts;
-  return {
-    fullName: (fullName || '').trim(),
-    company: (company || '').trim(),
-    phone: (phone || '').trim(),
-    email: (email || '').trim(),
-    gstin: (gstin || '').trim(),
-    bankAccount: (bankAccount || '').trim(),
-    ifsc: (ifsc || '').trim()
-  };
+// One turn through the flow, recorded and saved; shared by every channel.
+// `requester` is who is asking, as far as the server can tell (an IP
+// address, a WhatsApp number); unverified balance checks count against it.
+async function handleTurn(sessionId, state, turn) {
+  const { message, action, data, label, locale, channel, requester } = turn;
+  resolveLocale(state, { message, locale });
+  resolveChannel(state, channel);
+  state.requester = requester;
+  const { out, recorded } = handleOnChannel(
+    engine,
+    state,
+    { message, action, data, label },
+    (key, params) => t(state.locale, key, params)
+  );
+  const { reply, ui, errors, secrets } = out;
+  recordTurns(
+    state,
+    recorded,
+    { reply, ui, errors, secrets },
+    config.sessions.transcriptLimit
+  );
+  state.updatedAt = Date.now();
+  await sessionStore.set(sessionId, state);
+  return { reply, ui, errors, locale: state.locale || DEFAULT_LOCALE };
 }
 
-function generateBusinessRequestId() {
-  const year = new Date().getFullYear();
-  return `GC${year}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
-}
+const whatsapp = createWhatsAppAdapter({
+  transport: createWhatsAppTransport(config.whatsapp),
+  sessions: sessionStore,
+  async runTurn(sessionId, turn) {
+    const { state } = await getOrCreateSession(sessionId, { keepId: true });
+    return handleTurn(sessionId, state, {
+      ...turn,
+      channel: 'whatsapp',
+      requester: sessionId
+    });
+  },
+  translate: t
+});
 
-function generateOrderSummary(bizData) {
-  if (bizData.orders && bizData.orders.length > 0) {
-    // Multiple orders format
-    const orderLines = bizData.orders
-      .map(order => {
-        const denom = parseInt(order.denomination);
-        const count = parseInt(order.count);
-        const subtotal = denom * count;
-        return `• ${count} gift cards @ ₹${denom} each = ₹${subtotal.toLocaleString()}`;
-      })
-      .join('\n');
+app.post('/chat', async (req, res) => {
+  try {
+    // Either free text `{ message }` or a form submission `{ action, data }`.
+    // `label` is how the client displayed a form submission in the chat;
+    // `locale` ("en", "hi", "hinglish") is an explicit language pick;
+    // `channel` ("web", "text") how the client draws replies, kept for the
+    // session (see channels/).
+    const {
+      sessionId: incomingId,
+      message,
+      action,
+      data,
+      label,
+      locale,
+      channel
+    } = req.body || {};
+    // Channel sessions (WhatsApp's "wa:…") share the store but are only
+    // driven by their own webhooks
+    if (incomingId != null && !isSessionId(incomingId)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid sessionId', sessionId: null });
+    }
+    const {
+      id: sessionId,
+      state,
+      created
+    } = await getOrCreateSession(incomingId);
+    const out = await handleTurn(sessionId, state, {
+      message,
+      action,
+      data,
+      label,
+      locale,
+      channel,
+      requester: `ip:${req.ip}`
+    });
+    return res.json({
+      ...out,
+      sessionId,
+      ...(created ? { sessionToken: state.token } : {})
+    });
+  } catch (err) {
+    console.error('/chat error', err);
+    return res.status(err.code === 'SESSION_STORE_DOWN' ? 503 : 500).json({
+      reply: t((req.body || {}).locale, 'server.error'),
+      sessionId: null
+    });
+  }
+});
 
-    return orderLines;
-  } else {
-    // Legacy single order format
-    return `• ${bizData.quantity} gift cards @ ₹${
-      bizData.denomination
-    } each = ₹${bizData.totalAmount.toLocaleString()}`;
+// WhatsApp Cloud API webhook. GET is the subscription handshake; POST
+// carries signed message notifications, acknowledged at once while the
+// replies go out through the Cloud API.
+app.get('/webhook/whatsapp', (req, res) => {
+  const { verifyToken } = config.whatsapp;
+  if (
+    req.query['hub.mode'] === 'subscribe' &&
+    verifyToken &&
+    req.query['hub.verify_token'] === verifyToken
+  ) {
+    return res.type('text/plain').send(String(req.query['hub.challenge']));
   }
-}
+  return res.sendStatus(403);
+});
 
-function isValidEmail(text) {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(String(text).toLowerCase());
-}
+app.post('/webhook/whatsapp', (req, res) => {
+  const signature = req.get('X-Hub-Signature-256');
+  if (!verifySignature(req.rawBody, signature, config.whatsapp.appSecret)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  res.sendStatus(200);
+  return whatsapp
+    .receive(req.body)
+    .catch(err => console.error('WhatsApp webhook error', err));
+});
 
-function isValidPhone(text) {
-  const normalized = String(text).replace(/\s|-/g, '');
-  return /^(\+?\d{10,15})$/.test(normalized);
-}
+// Payment attempts, by the ID the chat created them under. Checkout opens
+// the gateway's page, or for the mock gateway our own.
+app.get('/payments/:id', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ error: 'Payment not found' });
+  return res.json(toPublicPayment(payment));
+});
 
-function parseDeliveryDate(message) {
-  if (!message) return { ok: false };
-  const text = String(message).trim().toLowerCase();
-  if (text === 'now' || text === 'today') {
-    return { ok: true, kind: 'now', value: new Date() };
+// QR code of a UPI attempt's intent link. It is gone once the attempt can
+// no longer be paid, and the gateway refuses payments against it too.
+app.get('/payments/:id/qr.:format(svg|png)', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment || !payment.upiUri) {
+    return res.status(404).type('text/plain').send('Payment not found');
   }
-  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
-    const date = new Date(text + 'T00:00:00');
-    if (!isNaN(date.getTime())) {
-      return { ok: true, kind: 'date', value: date };
-    }
+  res.setHeader('Cache-Control', 'no-store');
+  if (!OPEN.includes(payment.status)) {
+    return res
+      .status(410)
+      .type('text/plain')
+      .send(`This QR code can no longer be paid (${payment.status})`);
   }
-  return { ok: false };
-}
-
-function summarizeOrder(data) {
-  const recipientSummary =
-    data.recipientType === 'self'
-      ? 'self'
-      : `${data.recipientType}: ${data.recipientValue}`;
-  const personal =
-    data.personalMessage && data.personalMessage.trim().length > 0
-      ? `"${data.personalMessage}"`
-      : '(none)';
-  const dateLabel = data.deliveryKind === 'now' ? 'now' : data.deliveryDateISO;
-  return (
-    `Please review your order:\n` +
-    `- Amount: ${formatCurrencyInr(data.amount)}\n` +
-    `- Occasion: ${data.occasion}\n` +
-    `- Recipient: ${recipientSummary}\n` +
-    `- Personal message: ${personal}\n` +
-    `- Delivery date: ${dateLabel}\n\n` +
-    `Review the details and confirm to place the order.`
-  );
-}
+  return res
+    .type(req.params.format)
+    .send(renderUpiQr(payment.upiUri, req.params.format));
+});
 
-app.post('/chat', (req, res) => {
+app.get('/payments/:id/checkout', async (req, res) => {
   try {
-    const { sessionId: incomingId, message } = req.body || {};
-    const userMessage = typeof message === 'string' ? message.trim() : '';
-    const { id: sessionId, state } = getOrCreateSession(incomingId);
-
-    let reply = '';
-    let ui = undefined; // optional UI hints for frontend (options, templates, confirm)
-
-    // Remember last reply and UI so we can re-surface options on unknown inputs
-    const originalJson = res.json.bind(res);
-    res.json = payload => {
-      try {
-        if (payload && typeof payload === 'object') {
-          if (typeof payload.reply === 'string') {
-            state.lastReply = payload.reply;
-          }
-          if (Object.prototype.hasOwnProperty.call(payload, 'ui')) {
-            state.lastUi = payload.ui;
-          }
-        }
-      } catch (_) {
-        // no-op safeguard
-      }
-      return originalJson(payload);
-    };
-
-    // Global restart handler: if user says hi/hello/hey at any time, show welcome + Start button
-    if (/\b(hi|hello|hey)\b/i.test(userMessage)) {
-      state.stage = 'awaitStart';
-      state.data = {};
-      reply =
-        '👋 Welcome to Amazon Pay Gift Cards – powered by Pine Labs!\nFreedom of choice, easy to use, and loved by everyone.\n\n✅ Buy instantly for business or personal use\n🎁 Simple gifting for employees, clients, family & friends\n\n👉 Ready to get started?';
-      ui = {
-        kind: 'start',
-        options: [
-          { id: 'start', label: '🛒 Buy Gift Card' },
-          { id: 'knowmore', label: 'ℹ️ Know More' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // Greeting only when user says hi/hello/hey
-    if (state.stage === 'idle') {
-      if (/\b(hi|hello|hey)\b/i.test(userMessage)) {
-        reply = 'Are you buying for yourself or for business?';
-        state.stage = 'askBuyerType';
-        ui = {
-          kind: 'buyerTypeOptions',
-          options: [
-            { id: 'personal', label: 'Personal / Self' },
-            { id: 'business', label: 'Business' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      reply = "Please say 'hi' to begin.";
-      return res.json({ reply, sessionId });
-    }
-
-    // Buyer type selection
-    if (state.stage === 'askBuyerType') {
-      const text = userMessage.trim().toLowerCase();
-      if (text === '2' || text === 'business') {
-        // Begin business flow directly
-        state.stage = 'bizOptions';
-        state.data.biz = { checksToday: 0 };
-        reply =
-          '✨ How can we help you today?\n\n1️⃣ Purchase Gift Cards for my business\n2️⃣ View past orders\n3️⃣ Back';
-        ui = {
-          kind: 'options',
-          title: 'Business Options',
-          options: [
-            { id: 'purchase', label: '1️⃣ Purchase Gift Cards for my business' },
-            { id: 'reports', label: '2️⃣ View past orders' },
-            { id: 'back', label: '3️⃣ Back' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === '1' || text === 'personal' || text === 'self') {
-        state.data.buyerType = 'personal';
-        state.stage = 'askOccasion';
-        reply = 'For what occasion you want to buy a gift card?';
-        ui = {
-          kind: 'occasionOptions',
-          options: [
-            { id: 'birthday', label: 'Birthday' },
-            { id: 'thankyou', label: 'Thank You' },
-            { id: 'diwali', label: 'Diwali' },
-            { id: 'other', label: 'Other (custom)' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // invalid -> fallback with previous UI
-      reply = FALLBACK_MSG;
-      ui = {
-        kind: 'buyerTypeOptions',
-        options: [
-          { id: 'personal', label: 'Personal / Self' },
-          { id: 'business', label: 'Business' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // Awaiting explicit Start button click
-    if (state.stage === 'awaitStart') {
-      const text = userMessage.trim().toLowerCase();
-      if (text === 'start' || text.includes('buy')) {
-        state.stage = 'askBuyerType';
-        reply =
-          "✨ Great! Tell us who you're buying for:\n\n1️⃣ Myself / Friends & Family\n2️⃣ My Business (Employees / Clients)\n\n ";
-        ui = {
-          kind: 'buyerTypeOptions',
-          options: [
-            { id: 'personal', label: '1️⃣ Myself / Friends & Family' },
-            { id: 'business', label: '2️⃣ My Business (Employees / Clients)' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === 'knowmore' || text.includes('know')) {
-        // Provide more information and keep the user on the start step
-        reply =
-          '🎁 Amazon Pay Gift Cards - Everything You Need to Know\n\n✨ Key Features:\n• Accepted across millions of products on Amazon.in\n• Flexible denominations starting from ₹10\n• Business-friendly: GST invoice, discounts, and CSV delivery\n• Instant delivery and secure processing\n \n🔗Learn more: https://www.amazon.in/gift-card-store/\n\n✅ Ready to begin?';
-        ui = {
-          kind: 'start',
-          options: [{ id: 'start', label: '🛒 Buy Gift Cards' }]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // Re-prompt start
-      reply = 'Tap a button to begin: Buy a Gift Card or Know More';
-      ui = {
-        kind: 'start',
-        options: [
-          { id: 'start', label: 'Buy a Gift Card' },
-          { id: 'knowmore', label: 'Know More' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // ===== Business Flow =====
-    if (state.stage === 'bizWelcome') {
-      const text = userMessage.trim().toLowerCase();
-      if (text === 'how') {
-        reply =
-          'We capture your requirements, verify eligibility for discounts, share a quotation and PI, then process payment and issue gift cards within agreed timelines.';
-        ui = {
-          kind: 'options',
-          title: 'Continue?',
-          options: [{ id: 'yes', label: '✅ Yes, get started' }]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // proceed to business options
-      state.stage = 'bizOptions';
-      reply =
-        '✨ How can we help you today?\n\n1️⃣ Purchase Gift Cards for my business\n2️⃣ View past orders\n3️⃣ Back';
-      ui = {
-        kind: 'options',
-        title: 'Business Options',
-        options: [
-          { id: 'purchase', label: '1️⃣ Purchase Gift Cards for my business' },
-          { id: 'reports', label: '2️⃣ View past orders' },
-          { id: 'back', label: '3️⃣ Back' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // Business options selection
-    if (state.stage === 'bizOptions') {
-      const text = userMessage.trim().toLowerCase();
-      if (text === '1' || text === 'purchase') {
-        // proceed to business verification
-        state.stage = 'bizVerification';
-        reply =
-          '👍 Great! To get you started, please share a few quick details.';
-        ui = { kind: 'bizVerificationForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === '2' || text === 'reports') {
-        // proceed to reports and queries
-        state.stage = 'bizReports';
-        reply =
-          'How can we help you?\n\n1️⃣ Download past order invoices\n2️⃣ Download past delivery reports (CSV)\n3️⃣ Back\n\nFor further support contact: 1800 123456';
-        ui = {
-          kind: 'options',
-          title: 'Reports & Queries',
-          options: [
-            { id: 'invoices', label: '1️⃣ Download past order invoices' },
-            {
-              id: 'delivery',
-              label: '2️⃣ Download past delivery reports (CSV)'
-            },
-            { id: 'back', label: '3️⃣ Back' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === '3' || text === 'back') {
-        // go back to buyer type selection
-        state.stage = 'askBuyerType';
-        reply =
-          "✨ Great! Tell us who you're buying for:\n\n1️⃣ Myself / Friends & Family\n2️⃣ My Business (Employees / Clients)\n\n ";
-        ui = {
-          kind: 'buyerTypeOptions',
-          options: [
-            { id: 'personal', label: '1️⃣ Myself / Friends & Family' },
-            { id: 'business', label: '2️⃣ My Business (Employees / Clients)' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // invalid -> fallback with previous UI
-      reply = FALLBACK_MSG;
-      ui = {
-        kind: 'options',
-        title: 'Business Options',
-        options: [
-          { id: 'purchase', label: '1️⃣ Purchase Gift Cards for my business' },
-          { id: 'reports', label: '2️⃣ View past orders' },
-          { id: 'back', label: '3️⃣ Back' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    if (state.stage === 'bizLead') {
-      // Accept batch string from frontend (lead|name|company|email|phone|gstin)
-      const batch = parseBatchLead(userMessage);
-      if (!batch) {
-        // fallback: show form again
-        reply = 'Please share your business details';
-        ui = { kind: 'bizLeadForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      // validate
-      if (!batch.name || !batch.company || !isValidEmail(batch.email)) {
-        reply = 'Please provide valid Name, Company and Official Email.';
-        ui = { kind: 'bizLeadForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      const phoneOk = /^\+?\d{10,15}$/.test(
-        String(batch.phone).replace(/\s|-/g, '')
-      );
-      if (!phoneOk) {
-        reply = 'Please provide a valid phone number.';
-        ui = { kind: 'bizLeadForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      state.data.biz.name = batch.name;
-      state.data.biz.company = batch.company;
-      state.data.biz.email = batch.email;
-      state.data.biz.phone = String(batch.phone).replace(/\s|-/g, '');
-      state.data.biz.gstin =
-        batch.gstin && batch.gstin.toLowerCase() !== 'skip' ? batch.gstin : '';
-      state.data.biz.requestId = generateBusinessRequestId();
-      state.stage = 'bizNeedsOccasion';
-      reply = `✅ Thanks, ${
-        state.data.biz.name.split(' ')[0] || 'there'
-      }. Your request has been logged with Request ID ${
-        state.data.biz.requestId
-      }.\n\nPlease help us with your requirement. Choose an occasion:`;
-      ui = {
-        kind: 'options',
-        title: 'Select Occasion',
-        options: [
-          { id: 'rewards', label: 'Rewards' },
-          { id: 'festival', label: 'Festival' },
-          { id: 'incentive', label: 'Incentive' },
-          { id: 'sales', label: 'Sales Promo' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // Business verification form handling
-    if (state.stage === 'bizVerification') {
-      const text = userMessage.toLowerCase();
-      if (text === 'proceed') {
-        // Show the verification form directly
-        ui = { kind: 'bizVerificationForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-
-      // Accept batch string from frontend with enhanced business details
-      const batch = parseBatchLead(userMessage);
-      if (!batch) {
-        // fallback: show form again with generic fallback message
-        reply = FALLBACK_MSG;
-        ui = { kind: 'bizVerificationForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      // validate required fields
-      if (
-        !batch.fullName ||
-        !batch.company ||
-        !isValidEmail(batch.email) ||
-        !batch.phone ||
-        !batch.gstin ||
-        !batch.bankAccount ||
-        !batch.ifsc
-      ) {
-        reply = FALLBACK_MSG;
-        ui = { kind: 'bizVerificationForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-
-      // Validate phone number
-      const phoneOk = /^\+?\d{10,15}$/.test(
-        String(batch.phone).replace(/\s|-/g, '')
+    const payment = await payments.checkout(req.params.id);
+    if (!payment) {
+      return res.status(404).type('text/plain').send('Payment not found');
+    }
+    if (payment.checkoutUrl) return res.redirect(payment.checkoutUrl);
+    res.setHeader('Cache-Control', 'no-store');
+    return res
+      .type('html')
+      .send(
+        OPEN.includes(payment.status)
+          ? renderCheckoutPage(payment)
+          : renderResultPage(payment)
       );
-      if (!phoneOk) {
-        reply = FALLBACK_MSG;
-        ui = { kind: 'bizVerificationForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-
-      state.data.biz.name = batch.fullName;
-      state.data.biz.company = batch.company;
-      state.data.biz.phone = String(batch.phone).replace(/\s|-/g, '');
-      state.data.biz.email = batch.email;
-      state.data.biz.gstin = batch.gstin;
-      state.data.biz.bankAccount = batch.bankAccount;
-      state.data.biz.ifsc = batch.ifsc;
-      state.data.biz.requestId = generateBusinessRequestId();
-
-      // Check if GSTIN has 4 or more zeros (like 00000000)
-      const gstinZeros = (batch.gstin || '').match(/0/g) || [];
-      if (gstinZeros.length >= 4) {
-        // Verification failed - show error and retry form
-        reply =
-          '❌ Verification Failed: Account & GST must belong to the same company. Please retry.';
-        ui = { kind: 'bizVerificationForm' };
-        return res.json({ reply, sessionId, ui });
-      } else {
-        // Verification successful - proceed to occasion selection
-        state.data.biz.verified = true;
-        state.data.biz.discountEligible = true;
-        state.data.biz.discountPercent = 1;
-        state.stage = 'bizNeedsOccasion';
-        reply =
-          "✅ Verification Complete! You qualify for 1% discount. Now let's customize your gift card order.";
-        ui = {
-          kind: 'options',
-          title: 'Pick an Occasion',
-          options: [
-            { id: 'thankyou', label: '1️⃣ Thank You' },
-            { id: 'performer', label: '2️⃣ Best Performer' },
-            { id: 'festivities', label: '3️⃣ Happy Festivities' },
-            { id: 'custom', label: '4️⃣ Custom message' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-    }
-
-    if (state.stage === 'bizNeedsOccasion') {
-      const occasion = userMessage.toLowerCase();
-      if (occasion === 'custom') {
-        state.stage = 'bizNeedsOccasionCustom';
-        reply = 'Please enter your custom message (up to 60 characters):';
-        return res.json({ reply, sessionId });
-      }
-      state.data.biz.occasion = userMessage;
-      state.stage = 'bizNeedsOrderDetails';
-      reply = '💰 Please enter denomination and quantity.';
-      ui = { kind: 'bizOrderForm' };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    if (state.stage === 'bizNeedsOccasionCustom') {
-      if (!userMessage || userMessage.length > 60) {
-        reply = 'Please enter a custom message (up to 60 characters):';
-        return res.json({ reply, sessionId });
-      }
-      state.data.biz.occasion = userMessage;
-      state.stage = 'bizNeedsOrderDetails';
-      reply = '💰 Please enter denomination and quantity.';
-      return res.json({ reply, sessionId });
-    }
-
-    if (state.stage === 'bizNeedsOrderDetails') {
-      // Handle new format with multiple orders from frontend
-      if (userMessage.startsWith('orders|')) {
-        const parts = userMessage.split('|');
-        try {
-          const orders = JSON.parse(parts[1]);
-          const total = parseInt(parts[2]) || 0;
-
-          if (orders && orders.length > 0 && total > 0) {
-            state.data.biz.orders = orders;
-            state.data.biz.totalAmount = total;
-            // Calculate total quantity for summary
-            state.data.biz.quantity = orders.reduce(
-              (sum, order) => sum + parseInt(order.count),
-              0
-            );
-
-            state.stage = 'bizNeedsDeliveryEmail';
-            reply =
-              '📧 Confirm your delivery email: ' +
-              state.data.biz.email +
-              '\n👉 You can edit if needed.';
-            ui = { kind: 'bizDeliveryForm', email: state.data.biz.email };
-            return res.json({ reply, sessionId, ui });
-          } else {
-            reply = 'Please enter valid order details';
-            ui = { kind: 'bizOrderForm' };
-            return res.json({ reply, sessionId, ui });
-          }
-        } catch (error) {
-          reply = 'Please enter valid order details';
-          ui = { kind: 'bizOrderForm' };
-          return res.json({ reply, sessionId, ui });
-        }
-      }
-
-      // Handle legacy format for backward compatibility
-      if (userMessage.startsWith('order|')) {
-        const parts = userMessage.split('|');
-        const quantity = parseInt(parts[1]) || 0;
-        const denomination = parseInt(parts[2]) || 0;
-        const total = quantity * denomination;
-
-        if (quantity > 0 && denomination > 0) {
-          state.data.biz.orders = [
-            {
-              denomination: denomination.toString(),
-              count: quantity.toString()
-            }
-          ];
-          state.data.biz.quantity = quantity;
-          state.data.biz.denomination = denomination;
-          state.data.biz.totalAmount = total;
-          state.stage = 'bizNeedsDeliveryEmail';
-          reply =
-            '📧 Confirm your delivery email: ' +
-            state.data.biz.email +
-            '\n👉 You can edit if needed.';
-          ui = { kind: 'bizDeliveryForm', email: state.data.biz.email };
-          return res.json({ reply, sessionId, ui });
-        } else {
-          reply = 'Please enter valid quantity and denomination';
-          ui = { kind: 'bizOrderForm' };
-          return res.json({ reply, sessionId, ui });
-        }
-      }
-
-      // Parse order details - look for patterns like "150 cards x ₹100" or "₹15,000"
-      const text = userMessage.toLowerCase();
-      const amountMatch = text.match(/₹?(\d+(?:,\d+)*)/);
-      const quantityMatch = text.match(/(\d+)\s*cards?/);
-
-      if (amountMatch && quantityMatch) {
-        const quantity = parseInt(quantityMatch[1]);
-        const denomination = parseInt(amountMatch[1].replace(/,/g, ''));
-        const total = quantity * denomination;
-
-        state.data.biz.quantity = quantity;
-        state.data.biz.denomination = denomination;
-        state.data.biz.totalAmount = total;
-      } else if (amountMatch) {
-        // Just budget provided
-        const budget = parseInt(amountMatch[1].replace(/,/g, ''));
-        state.data.biz.budget = budget;
-        state.data.biz.denomination = 1000; // default denomination
-        state.data.biz.quantity = Math.floor(budget / 1000);
-        state.data.biz.totalAmount = budget;
-      } else {
-        reply =
-          'Please provide order details in the format: "150 cards x ₹100 each" or "₹15,000"';
-        ui = { kind: 'bizOrderForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-
-      state.stage = 'bizNeedsDeliveryEmail';
-      reply =
-        '📧 Confirm your delivery email: ' +
-        state.data.biz.email +
-        '\n👉 You can edit if needed.';
-      ui = {
-        kind: 'options',
-        title: 'Delivery Email',
-        options: [
-          { id: 'confirm', label: '✅ Confirm' },
-          { id: 'edit', label: '✏️ Edit Email' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    if (state.stage === 'bizNeedsDeliveryEmail') {
-      const text = userMessage.toLowerCase();
-
-      if (text === 'confirm') {
-        // Use the current email
-        state.data.biz.deliveryEmail = state.data.biz.email;
-        state.stage = 'bizOrderSummary';
-        const discount = state.data.biz.discountEligible
-          ? Math.round(state.data.biz.totalAmount * 0.01)
-          : 0;
-        const netAmount = state.data.biz.totalAmount - discount;
-
-        const orderSummary = generateOrderSummary(state.data.biz);
-        reply =
-          "Here's a quick summary of your request:\n\n" +
-          orderSummary +
-          '\n• Business Discount (1%): –₹' +
-          discount +
-          '\n• Net Payable: ₹' +
-          netAmount +
-          '\n• Delivery: CSV to ' +
-          state.data.biz.deliveryEmail +
-          '\n• Platform Fee: Waived\n\n👉 Would you like us to generate a Proforma Invoice (PI)?';
-        ui = {
-          kind: 'options',
-          title: 'Order Summary',
-          options: [
-            { id: 'yes', label: '1️⃣ Yes, share PI' },
-            { id: 'edit', label: '2️⃣ Edit order' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-
-      if (text === 'edit') {
-        // Open email edit form
-        reply = 'Please enter your delivery email:';
-        ui = { kind: 'bizDeliveryForm', email: state.data.biz.email };
-        return res.json({ reply, sessionId, ui });
-      }
-
-      // Handle email from form or text input
-      if (isValidEmail(userMessage)) {
-        state.data.biz.deliveryEmail = userMessage;
-        state.stage = 'bizOrderSummary';
-        const discount = state.data.biz.discountEligible
-          ? Math.round(state.data.biz.totalAmount * 0.01)
-          : 0;
-        const netAmount = state.data.biz.totalAmount - discount;
-
-        const orderSummary = generateOrderSummary(state.data.biz);
-        reply =
-          "Here's a quick summary of your request:\n\n" +
-          orderSummary +
-          '\n• Business Discount (1%): –₹' +
-          discount +
-          '\n• Net Payable: ₹' +
-          netAmount +
-          '\n• Delivery: CSV to ' +
-          state.data.biz.deliveryEmail +
-          '\n• Platform Fee: Waived\n\n👉 Would you like us to generate a Proforma Invoice (PI)?';
-        ui = {
-          kind: 'options',
-          title: 'Order Summary',
-          options: [
-            { id: 'yes', label: '1️⃣ Yes, share PI' },
-            { id: 'edit', label: '2️⃣ Edit order' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      } else {
-        // Re-prompt with buttons
-        reply =
-          '📧 Confirm your delivery email: ' +
-          state.data.biz.email +
-          '\n👉 You can edit if needed.';
-        ui = {
-          kind: 'options',
-          title: 'Delivery Email',
-          options: [
-            { id: 'confirm', label: '✅ Confirm' },
-            { id: 'edit', label: '✏️ Edit Email' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-    }
-
-    // Handle order summary response
-    if (state.stage === 'bizOrderSummary') {
-      const text = userMessage.toLowerCase();
-      if (text === '1' || text === 'yes') {
-        // Generate proforma invoice
-        state.stage = 'bizPaymentInfo';
-        const discount = state.data.biz.discountEligible
-          ? Math.round(state.data.biz.totalAmount * 0.01)
-          : 0;
-        const netAmount = state.data.biz.totalAmount - discount;
-        reply = `📑 PI generated → Request ID: ${
-          state.data.biz.requestId
-        }\n• Value: ₹${netAmount.toLocaleString()} (after discount)\n• Validity: 7 working days\n📧 Sent to: ${
-          state.data.biz.deliveryEmail
-        }`;
-        ui = {
-          kind: 'options',
-          title: 'Proforma Invoice Generated',
-          options: [{ id: 'proceed', label: 'Proceed' }]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === '2' || text === 'edit') {
-        // Go back to occasion selection
-        state.stage = 'bizNeedsOccasion';
-        reply =
-          "Let's update your requirements. Choose an occasion:\n1️⃣ Thank You 🙏\n2️⃣ Best Performer 🏆\n3️⃣ Happy Festivities 🎉\n4️⃣ ✍️ Custom message (up to 60 characters)";
-        ui = {
-          kind: 'options',
-          title: 'Select Occasion',
-          options: [
-            { id: 'thankyou', label: '1️⃣ Thank You 🙏' },
-            { id: 'bestperformer', label: '2️⃣ Best Performer 🏆' },
-            { id: 'festivities', label: '3️⃣ Happy Festivities 🎉' },
-            { id: 'custom', label: '4️⃣ ✍️ Custom message' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // re-ask if invalid
-      reply = 'Please choose:\n1️⃣ Yes, share PI\n2️⃣ Edit order';
-      ui = {
-        kind: 'options',
-        title: 'Order Summary',
-        options: [
-          { id: 'yes', label: '1️⃣ Yes, share PI' },
-          { id: 'edit', label: '2️⃣ Edit order' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // Handle manual requirements form submission
-    if (state.stage === 'bizManualRequirements') {
-      // Handle form submission from frontend
-      if (userMessage.startsWith('order|')) {
-        const parts = userMessage.split('|');
-        const quantity = parseInt(parts[1]) || 0;
-        const denomination = parseInt(parts[2]) || 0;
-        const total = quantity * denomination;
-
-        if (quantity > 0 && denomination > 0) {
-          state.data.biz.quantity = quantity;
-          state.data.biz.denomination = denomination;
-          state.data.biz.totalAmount = total;
-          state.stage = 'bizOrderSummary';
-
-          // Show updated summary
-          const discount = state.data.biz.discountEligible
-            ? Math.round(state.data.biz.totalAmount * 0.01)
-            : 0;
-          const netAmount = state.data.biz.totalAmount - discount;
-
-          const orderSummary = generateOrderSummary(state.data.biz);
-          reply =
-            "Here's your updated order summary:\n\n" +
-            orderSummary +
-            '\n• Business Discount (1%): –₹' +
-            discount +
-            '\n• Net Payable: ₹' +
-            netAmount +
-            '\n• Delivery: CSV to ' +
-            state.data.biz.deliveryEmail +
-            '\n• Platform Fee: Waived\n\n👉 Would you like us to generate a Proforma Invoice (PI)?';
-          ui = {
-            kind: 'options',
-            title: 'Order Summary',
-            options: [
-              { id: 'yes', label: '1️⃣ Yes, share PI' },
-              { id: 'edit', label: '2️⃣ Edit order' }
-            ]
-          };
-          return res.json({ reply, sessionId, ui });
-        } else {
-          reply = 'Please enter valid quantity and denomination';
-          ui = { kind: 'bizOrderForm' };
-          return res.json({ reply, sessionId, ui });
-        }
-      }
-
-      // Fallback to text input parsing
-      const text = userMessage.toLowerCase();
-      const amountMatch = text.match(/₹?(\d+(?:,\d+)*)/);
-      const quantityMatch = text.match(/(\d+)\s*cards?/);
-
-      if (amountMatch && quantityMatch) {
-        const quantity = parseInt(quantityMatch[1]);
-        const denomination = parseInt(amountMatch[1].replace(/,/g, ''));
-        const total = quantity * denomination;
-
-        state.data.biz.quantity = quantity;
-        state.data.biz.denomination = denomination;
-        state.data.biz.totalAmount = total;
-        state.stage = 'bizOrderSummary';
-
-        // Show updated summary
-        const discount = state.data.biz.discountEligible
-          ? Math.round(state.data.biz.totalAmount * 0.01)
-          : 0;
-        const netAmount = state.data.biz.totalAmount - discount;
-
-        const orderSummary = generateOrderSummary(state.data.biz);
-        reply =
-          "Here's your updated order summary:\n\n" +
-          orderSummary +
-          '\n• Business Discount (1%): –₹' +
-          discount +
-          '\n• Net Payable: ₹' +
-          netAmount +
-          '\n• Delivery: CSV to ' +
-          state.data.biz.deliveryEmail +
-          '\n• Platform Fee: Waived\n\n👉 Would you like us to generate a Proforma Invoice (PI)?';
-        ui = {
-          kind: 'options',
-          title: 'Order Summary',
-          options: [
-            { id: 'yes', label: '1️⃣ Yes, share PI' },
-            { id: 'edit', label: '2️⃣ Edit order' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      } else {
-        reply =
-          'Please provide order details in the format: "150 cards x ₹100 each" or use the form';
-        ui = { kind: 'bizOrderForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-    }
-
-    if (state.stage === 'bizNeedsDenomination') {
-      const t = userMessage.toLowerCase();
-      if (t === 'custom') {
-        state.stage = 'bizNeedsDenominationCustom';
-        reply = 'Enter custom denomination (₹):';
-        return res.json({ reply, sessionId });
-      }
-      const amt = normalizeAmount(userMessage);
-      if (!amt || amt <= 0) {
-        reply = 'Please enter a valid denomination (₹)';
-        return res.json({ reply, sessionId });
-      }
-      state.data.biz.denomination = amt;
-      state.stage = 'bizNeedsBudget';
-      reply = 'Estimated total budget (₹)?';
-      return res.json({ reply, sessionId });
-    }
-
-    if (state.stage === 'bizNeedsDenominationCustom') {
-      const amt = normalizeAmount(userMessage);
-      if (!amt || amt <= 0) {
-        reply = 'Please enter a valid denomination (₹)';
-        return res.json({ reply, sessionId });
-      }
-      state.data.biz.denomination = amt;
-      state.stage = 'bizNeedsBudget';
-      reply = 'Estimated total budget (₹)?';
-      return res.json({ reply, sessionId });
-    }
+  } catch (err) {
+    console.error('payment checkout error', err);
+    return res.status(502).type('text/plain').send('Payment gateway error');
+  }
+});
 
-    if (state.stage === 'bizNeedsBudget') {
-      const budget = normalizeAmount(userMessage);
-      if (!budget || budget <= 0) {
-        reply = 'Please enter a valid budget (₹)';
-        return res.json({ reply, sessionId });
+// The mock checkout form: the gateway settles the attempt and calls the
+// webhook before the result page is shown
+app.post(
+  '/payments/:id/mock',
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    if (!paymentGateway.simulate) return res.sendStatus(404);
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+      const payment = await payments.checkout(req.params.id);
+      if (!payment) {
+        return res.status(404).type('text/plain').send('Payment not found');
+      }
+      if (!OPEN.includes(payment.status)) {
+        return res.status(409).type('html').send(renderResultPage(payment));
       }
-      state.data.biz.budget = budget;
-      state.stage = 'bizNeedsDeliveryMethod';
-      reply = 'Preferred delivery method?';
-      ui = {
-        kind: 'options',
-        title: 'Delivery method',
-        options: [
-          { id: 'bulk', label: 'Bulk File' },
-          { id: 'direct', label: 'Direct SMS & Email' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    if (state.stage === 'bizNeedsDeliveryMethod') {
-      state.data.biz.delivery = userMessage.toLowerCase();
-      state.stage = 'bizDiscount';
-      reply =
-        'We offer up to 2% discount for verified businesses. Checking eligibility...\n\n✅ GSTIN check: Valid\n✅ Email check: Verified company domain\n\n🎉 You are eligible for a 2% business discount.';
-      ui = {
-        kind: 'options',
-        title: 'Continue',
-        options: [{ id: 'continue', label: 'Proceed to quotation' }]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    // After PI is shared, accept PO upload confirmation and move to payment instructions
-    if (state.stage === 'bizPI') {
-      state.stage = 'bizPaymentInfo';
-      const discount = state.data.biz.discountEligible
-        ? Math.round(state.data.biz.totalAmount * 0.01)
-        : 0;
-      const netAmount = state.data.biz.totalAmount - discount;
-      reply = `📑 PI generated → Request ID: ${
-        state.data.biz.requestId
-      }\n• Value: ₹${netAmount.toLocaleString()} (after discount)\n• Validity: 7 working days\n📧 Sent to: ${
-        state.data.biz.deliveryEmail || state.data.biz.email
-      }`;
-      ui = {
-        kind: 'options',
-        title: 'Proforma Invoice Generated',
-        options: [{ id: 'proceed', label: 'Proceed' }]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    if (state.stage === 'bizDiscount') {
-      const denom = state.data.biz.denomination;
-      const budget = state.data.biz.budget;
-      const count = Math.max(1, Math.floor(budget / denom));
-      const gross = denom * count;
-      const discount = Math.round(gross * 0.02);
-      const net = gross - discount;
-      state.data.biz.quote = { count, denom, gross, discount, net };
-      state.stage = 'bizQuote';
-      reply = `💰 Based on your inputs:\n\n• ${count} gift cards @ ${formatCurrencyInr(
-        denom
-      )} each = ${formatCurrencyInr(
-        gross
-      )}\n• Business discount (2%): -${formatCurrencyInr(
-        discount
-      )}\n• Net Payable: ${formatCurrencyInr(net)}\n• Delivery: ${
-        state.data.biz.delivery === 'bulk'
-          ? 'Bulk CSV within 24 hrs'
-          : 'Direct SMS & Email'
-      }\n• Platform fee: Waived\n\nWould you like us to generate a Proforma Invoice (PI)?`;
-      ui = {
-        kind: 'options',
-        title: 'Quotation',
-        options: [
-          { id: 'yes', label: '✅ Yes, share PI' },
-          { id: 'edit', label: '✏️ Edit requirements' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
+      try {
+        await paymentGateway.simulate(payment, req.body || {});
+      } catch (err) {
+        const invalid = ['INVALID_CARD', 'INVALID_BANK', 'INVALID_VPA'];
+        if (!invalid.includes(err.code)) throw err;
+        return res
+          .status(400)
+          .type('html')
+          .send(renderCheckoutPage(payment, err.message));
+      }
+      return res.type('html').send(renderResultPage(payments.get(payment.id)));
+    } catch (err) {
+      console.error('mock payment error', err);
+      return res.status(502).type('text/plain').send('Payment gateway error');
     }
+  }
+);
+
+// Gateway callbacks, signed with PAYMENT_WEBHOOK_SECRET. Anything that
+// verifies is acknowledged, including repeats and events for unknown
+// attempts, so the gateway stops redelivering them.
+app.post('/payments/webhook', (req, res) => {
+  const outcome = payments.receive(
+    req.rawBody,
+    req.get('X-Payment-Signature')
+  );
+  if (!outcome) return res.status(401).json({ error: 'Invalid signature' });
+  if (outcome.result !== 'applied') {
+    console.log(
+      `Payment webhook ${outcome.result}${
+        outcome.payment ? ` for ${outcome.payment.id}` : ''
+      }`
+    );
+  }
+  return res.json({ result: outcome.result });
+});
 
-    if (state.stage === 'bizQuote') {
-      const t = userMessage.toLowerCase();
-      if (t === 'edit') {
-        state.stage = 'bizNeedsOccasion';
-        reply = 'Let’s update your requirements. Choose an occasion:';
-        ui = {
-          kind: 'options',
-          title: 'Select Occasion',
-          options: [
-            { id: 'rewards', label: 'Rewards' },
-            { id: 'festival', label: 'Festival' },
-            { id: 'incentive', label: 'Incentive' },
-            { id: 'sales', label: 'Sales Promo' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // assume yes
-      state.stage = 'bizPI';
-      reply = `📑 Proforma Invoice (PI) generated for Request ID ${
-        state.data.biz.requestId
-      }.\n\n• Value: ${formatCurrencyInr(
-        state.data.biz.quote.net
-      )} (after discount)\n• Validity: 7 working days\n\nSent to your email: ${
-        state.data.biz.email
-      }\nPlease upload your Purchase Order (PO) here.`;
-      ui = {
-        kind: 'downloads',
-        title: 'Proforma Invoice',
-        items: [
-          {
-            label: 'Proforma Invoice (PDF)',
-            url: '/Proforma_Invoice_GC2025-002.pdf'
-          }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+function bearerOf(req) {
+  return (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+}
 
-    if (state.stage === 'bizPaymentInfo') {
-      const text = userMessage.toLowerCase();
-      if (text === 'proceed') {
-        state.stage = 'bizPaymentMethod';
-        reply =
-          '💳 Payment Instructions\n\nPlease review the following before proceeding:\n\n• Verify all details in your Proforma Invoice (PI) for accuracy\n• Bank transfers must be initiated from the same GST-registered company account used during verification\n• Credit Card payments are processed securely\n\n💳 Payment Options (quick replies):';
-        ui = {
-          kind: 'options',
-          title: 'Select Payment Method',
-          options: [
-            { id: 'neft', label: 'NEFT / Netbanking' },
-            { id: 'credit', label: 'Credit Card' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      // Re-show proceed button if invalid input
-      const discount = state.data.biz.discountEligible
-        ? Math.round(state.data.biz.totalAmount * 0.01)
-        : 0;
-      const netAmount = state.data.biz.totalAmount - discount;
-      reply = `📑 PI generated → Request ID: ${
-        state.data.biz.requestId
-      }\n• Value: ₹${netAmount.toLocaleString()} (after discount)\n• Validity: 7 working days\n📧 Sent to: ${
-        state.data.biz.deliveryEmail
-      }`;
-      ui = {
-        kind: 'options',
-        title: 'Proforma Invoice Generated',
-        options: [{ id: 'proceed', label: 'Proceed' }]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+function sameSecret(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return (
+    Boolean(expected) &&
+    crypto.timingSafeEqual(digest(given), digest(expected))
+  );
+}
 
-    if (state.stage === 'bizPaymentMethod') {
-      const text = userMessage.toLowerCase();
-      if (text === 'neft' || text === 'credit') {
-        state.stage = 'bizPaymentProcessing';
-        const paymentMethod =
-          text === 'neft' ? 'NEFT / Netbanking' : 'Credit Card';
-        reply = `You selected: ${paymentMethod}\n\nPlease complete payment using your preferred method. Once payment is confirmed, your gift cards will be processed and delivered.`;
-        ui = { kind: 'payment', title: 'Complete Payment' };
-        return res.json({ reply, sessionId, ui });
-      }
-      // invalid -> fallback with previous UI
-      reply = FALLBACK_MSG;
-      ui = {
-        kind: 'options',
-        title: 'Select Payment Method',
-        options: [
-          { id: 'neft', label: 'NEFT / Netbanking' },
-          { id: 'credit', label: 'Credit Card' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// Ops endpoints take `Authorization: Bearer <OPS_TOKEN>`
+function isOps(req) {
+  return sameSecret(bearerOf(req), config.ops.token);
+}
 
-    if (state.stage === 'bizPaymentProcessing') {
-      const t = userMessage.toLowerCase();
-      if (
-        t.includes('paid') ||
-        t.includes('payment') ||
-        t.includes('complete')
-      ) {
-        state.stage = 'bizIssued';
-        reply =
-          '✅ Payment received. GST Invoice sent to your email & available here: [Download Invoice]';
-        ui = {
-          kind: 'download',
-          title: 'GST Invoice',
-          url: '/gst-invoice.pdf',
-          label: 'Download Invoice (PDF)'
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      reply = 'Please confirm once payment is completed (type: paid).';
-      return res.json({ reply, sessionId });
-    }
+function requireOps(req, res, next) {
+  if (!isOps(req)) return res.status(401).json({ error: 'Unauthorized' });
+  return next();
+}
 
-    if (state.stage === 'bizIssued') {
-      state.stage = 'bizFinal';
-      reply =
-        '🎉 Your Amazon Pay Gift Cards are ready!\n\n• Bulk CSV file sent to: ' +
-        (state.data.biz.deliveryEmail || state.data.biz.email) +
-        '\n• Sample Card: XXXX-XXXX-5678 (₹1,000, valid till Dec 2026)\n\n✅ GST Invoice also sent to your email → [Download Invoice]';
-      ui = {
-        kind: 'downloads',
-        title: 'Downloads',
-        items: [
-          { label: 'GST Invoice (PDF)', url: '/gst-invoice.pdf' },
-          { label: 'GC Delivery (PDF)', url: '/gc-delivery.pdf' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// Order documents carry the buyer's details, so apart from ops they are only
+// served through the expiring links the chat signs
+function requireSignedLink(req, res, next) {
+  if (isOps(req)) return next();
+  const check = links.verify(req.path, req.query);
+  if (check === 'invalid') {
+    return res.status(403).json({ error: 'Invalid download link' });
+  }
+  if (check === 'expired') {
+    return res.status(410).json({
+      error: 'This link has expired. Ask the bot for a new download link.'
+    });
+  }
+  return next();
+}
 
-    // Reports and Queries functionality
-    if (state.stage === 'bizReports') {
-      const text = userMessage.toLowerCase();
-      if (text === '1' || text === 'invoices') {
-        state.stage = 'bizReportComplete';
-        reply =
-          '✅ Invoice for orders placed in last 12 months\n📧 Sent to your email\n📥 Download here → [Download Invoice]';
-        ui = {
-          kind: 'download',
-          title: 'Invoice',
-          url: '/gst-invoice.pdf',
-          label: 'Download Invoice (PDF)'
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === '2' || text === 'delivery') {
-        state.stage = 'bizReportDelivery';
-        reply = 'Please enter your Request ID to fetch the delivery report.';
-        return res.json({ reply, sessionId });
-      }
-      if (text === '3' || text === 'back') {
-        state.stage = 'bizOptions';
-        reply =
-          '✨ How can we help you today?\n\n1️⃣ Purchase Gift Cards for my business\n2️⃣ View past orders\n3️⃣ Back';
-        ui = {
-          kind: 'options',
-          title: 'Business Options',
-          options: [
-            { id: 'purchase', label: '1️⃣ Purchase Gift Cards for my business' },
-            { id: 'reports', label: '2️⃣ View past orders' },
-            { id: 'back', label: '3️⃣ Back' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
+// Bank statements (CSV or MT940, `?format=` when detection is not enough).
+// Credits are matched to orders by UTR, request ID or buyer account;
+// everything else lands on the report.
+app.post(
+  '/reconciliation/statements',
+  requireOps,
+  express.text({ type: () => true, limit: '5mb' }),
+  (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res
+        .status(400)
+        .json({ error: 'Send the statement file as the body' });
+    }
+    try {
+      return res.json(
+        reconciliation.ingest(req.body, { format: req.query.format })
+      );
+    } catch (err) {
+      if (err.code === 'INVALID_STATEMENT') {
+        return res.status(400).json({ error: err.message, code: err.code });
       }
-      // invalid -> fallback with previous UI
-      reply = FALLBACK_MSG;
-      ui = {
-        kind: 'options',
-        title: 'Reports & Queries',
-        options: [
-          { id: 'invoices', label: '1️⃣ Download past order invoices' },
-          { id: 'delivery', label: '2️⃣ Download past delivery reports (CSV)' },
-          { id: 'back', label: '3️⃣ Back' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
+      console.error('statement import error', err);
+      return res.status(500).json({ error: 'Statement import failed' });
     }
+  }
+);
+
+// Unmatched, short-paid, over-paid and wrong-account items; `?status=all`
+// includes resolved ones
+app.get('/reconciliation/report', requireOps, (req, res) => {
+  const status = ['open', 'resolved', 'all'].includes(req.query.status)
+    ? req.query.status
+    : 'open';
+  return res.json(reconciliation.report({ status }));
+});
 
-    if (state.stage === 'bizReportInvoices') {
-      state.stage = 'bizReportComplete';
-      reply =
-        '✅ Invoice for orders placed in last 12 months\n📧 Sent to your email\n📥 Download here → [Download Invoice]';
-      ui = {
-        kind: 'download',
-        title: 'Invoice',
-        url: '/gst-invoice.pdf',
-        label: 'Download Invoice (PDF)'
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+const RESOLVE_ERRORS = {
+  ITEM_NOT_FOUND: 404,
+  ORDER_NOT_FOUND: 404,
+  ITEM_RESOLVED: 409,
+  INVALID_RESOLUTION: 400,
+  NOTE_REQUIRED: 400
+};
 
-    if (state.stage === 'bizReportDelivery') {
-      const requestId = userMessage.trim();
-      if (requestId) {
-        state.stage = 'bizReportComplete';
-        reply = `✅ Delivery Report for Request ID ${requestId}\n📧 Sent to ${
-          state.data.biz.email || 'your email'
-        }\n📥 Download securely → [Download Report]`;
-        ui = {
-          kind: 'download',
-          title: 'Delivery Report',
-          url: '/gc-delivery.pdf',
-          label: 'Download Report (PDF)'
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      reply = 'Please enter your **Request ID** to fetch the delivery report.';
-      return res.json({ reply, sessionId });
-    }
-
-    if (state.stage === 'bizReportQuery') {
-      const query = userMessage.trim();
-      if (query) {
-        state.stage = 'bizReportComplete';
-        reply =
-          '✅ Thanks! Your query has been logged.\nOur team will respond within 24 working hours.';
-        return res.json({ reply, sessionId });
-      }
-      reply = 'Please type your query below 👇';
-      return res.json({ reply, sessionId });
+// Body: { action: match|accept|dismiss, requestId?, note? }
+app.post('/reconciliation/items/:id/resolve', requireOps, (req, res) => {
+  try {
+    return res.json(reconciliation.resolve(req.params.id, req.body || {}));
+  } catch (err) {
+    if (!RESOLVE_ERRORS[err.code]) {
+      console.error('reconciliation resolve error', err);
+      return res.status(500).json({ error: 'Could not resolve the item' });
     }
+    return res
+      .status(RESOLVE_ERRORS[err.code])
+      .json({ error: err.message, code: err.code });
+  }
+});
 
-    if (state.stage === 'bizReportComplete') {
-      const text = userMessage.toLowerCase();
-      if (text === '1' || text === 'purchase') {
-        state.stage = 'bizOptions';
-        reply =
-          '✨ How can we help you today?\n\n1️⃣ Purchase Gift Cards for my business\n2️⃣ View past orders\n3️⃣ Back';
-        ui = {
-          kind: 'options',
-          title: 'Business Options',
-          options: [
-            { id: 'purchase', label: '1️⃣ Purchase Gift Cards for my business' },
-            { id: 'reports', label: '2️⃣ View past orders' },
-            { id: 'back', label: '3️⃣ Back' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text === '2' || text === 'exit') {
-        state.stage = 'idle';
-        state.data = {};
-        reply =
-          'Thank you for using Amazon Pay Gift Cards! Say "hi" to start again.';
-        return res.json({ reply, sessionId });
-      }
-      reply =
-        "That's it for now! Would you like to go back to:\n1️⃣ Purchase Gift Cards\n2️⃣ Exit\n\n ";
-      ui = {
-        kind: 'options',
-        title: 'What next?',
-        options: [
-          { id: 'purchase', label: '1️⃣ Purchase Gift Cards' },
-          { id: 'exit', label: '2️⃣ Exit' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// Every turn of a session, for restoring the web chat after a reload (with
+// the session's token) and for support exports (with the ops token, which
+// also reads channel sessions). `?format=text` downloads a plain-text copy.
+app.get('/sessions/:id/transcript', async (req, res) => {
+  try {
+    const ops = isOps(req);
+    const state =
+      (ops || isSessionId(req.params.id)) &&
+      (await sessionStore.get(req.params.id));
+    if (!state) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!ops && !sameSecret(bearerOf(req), state.token)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const transcript = state.transcript || [];
+    if (req.query.format === 'text') {
+      res.type('text/plain');
+      res.attachment(`transcript-${req.params.id}.txt`);
+      return res.send(transcriptToText(req.params.id, transcript));
+    }
+    if (req.query.download) {
+      res.attachment(`transcript-${req.params.id}.json`);
+    }
+    return res.json({
+      sessionId: req.params.id,
+      stage: state.stage,
+      locale: state.locale || null,
+      createdAt: state.createdAt,
+      updatedAt: state.updatedAt,
+      turns: transcript
+    });
+  } catch (err) {
+    console.error('/transcript error', err);
+    return res
+      .status(err.code === 'SESSION_STORE_DOWN' ? 503 : 500)
+      .json({ error: 'Could not load transcript' });
+  }
+});
 
-    if (state.stage === 'bizFinal') {
-      // support simple redemption check command
-      const m = userMessage.match(/^check\s+gc\s*(\w+)/i);
-      state.data.biz.checksToday = state.data.biz.checksToday || 0;
-      if (m) {
-        if (state.data.biz.checksToday >= 5) {
-          reply =
-            "⚠️ You've reached today's limit of 5 redemption checks. For additional queries, please contact 0124-6236000.";
-          return res.json({ reply, sessionId });
-        }
-        state.data.biz.checksToday += 1;
-        reply = `✅ Gift Card ${m[1]} → Unredeemed, Balance ₹1,000`;
-        return res.json({ reply, sessionId });
-      }
-      const t = userMessage.trim().toLowerCase();
-      if (t === 'feedback') {
-        state.stage = 'bizFeedback';
-        reply =
-          "We'd love your feedback. Please rate 1-5 and share any comments.";
-        ui = { kind: 'feedbackForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (t === 'offers') {
-        reply =
-          'Great! Early-bird offers for Diwali 2025 are available. Our team will reach out with details.';
-        return res.json({ reply, sessionId });
-      }
-      reply =
-        "✅ Order complete!\n\nWe'd love to hear your feedback to make this even smoother.";
-      ui = {
-        kind: 'options',
-        title: 'After-Sales & Feedback',
-        options: [{ id: 'feedback', label: '🌟 Share Feedback' }]
-      };
-      return res.json({ reply, sessionId, ui });
+// Orders for a buyer, for ops. At least one of email/gstin is required so
+// the whole ledger can never be listed in one call.
+app.get('/orders', requireOps, (req, res) => {
+  const { email, gstin, from, to } = req.query;
+  if (!email && !gstin) {
+    return res.status(400).json({ error: 'email or gstin is required' });
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a date` });
     }
+  }
+  const orders = ledger.find({ email, gstin, from, to });
+  return res.json({ orders: orders.map(toPublicOrder) });
+});
 
-    if (state.stage === 'bizFeedback') {
-      const text = userMessage.trim();
-      const rating = parseInt(text, 10);
-      state.data.biz.feedback = state.data.biz.feedback || {};
-      if (!state.data.biz.feedback.rating && rating >= 1 && rating <= 5) {
-        state.data.biz.feedback.rating = rating;
-        reply = 'Thanks! Please share any comments (optional).';
-        ui = { kind: 'feedbackForm' };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (text.length > 0) {
-        state.data.biz.feedback.comments = text;
-      }
-      state.stage = 'bizFinal';
-      reply = '🙏 Thanks for your feedback!';
-      ui = {
-        kind: 'options',
-        title: 'What next?',
-        options: [{ id: 'offers', label: '🎁 Explore Festive Offers' }]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// An order with the emails and SMS sent for it, for ops
+app.get('/orders/:requestId', requireOps, (req, res) => {
+  const order = ledger.get(req.params.requestId);
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  return res.json({
+    order: toPublicOrder(order),
+    emails: mailer.messagesFor(order.requestId),
+    sms: sms.messagesFor(order.requestId)
+  });
+});
 
-    // Ask Occasion (with Other -> custom text)
-    if (state.stage === 'askOccasion') {
-      const text = userMessage.toLowerCase();
-      const known = ['birthday', 'thank you', 'thankyou', 'diwali', 'other'];
-      if (!text) {
-        reply = 'For what occasion you want to buy a gift card?';
-        ui = {
-          kind: 'occasionOptions',
-          options: [
-            { id: 'birthday', label: 'Birthday' },
-            { id: 'thankyou', label: 'Thank You' },
-            { id: 'diwali', label: 'Diwali' },
-            { id: 'other', label: 'Other (custom)' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      if (known.includes(text)) {
-        if (text === 'other') {
-          state.stage = 'askOccasionCustom';
-          reply = 'Please enter the occasion.';
-          return res.json({ reply, sessionId });
-        }
-        state.data.occasion = text.replace('thankyou', 'thank you');
-      } else {
-        // Assume custom typed occasion as well
-        state.data.occasion = userMessage;
-      }
-      state.stage = 'askTemplate';
-      reply = 'Choose a gift card template.';
-      ui = {
-        kind: 'templatePicker',
-        templates: getTemplates()
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// Proforma invoice, rebuilt from the ledger on every request. The output
+// depends only on the order, so repeated downloads are byte-identical.
+app.get('/orders/:requestId/pi.pdf', requireSignedLink, (req, res) => {
+  const order = ledger.get(req.params.requestId);
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  if (!order.quote || !piIssuedAt(order)) {
+    return res.status(409).json({ error: 'No proforma invoice issued yet' });
+  }
+  res.type('application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="Proforma_Invoice_${order.requestId}.pdf"`
+  );
+  return res.send(renderProformaPdf(order, config.seller));
+});
 
-    if (state.stage === 'askOccasionCustom') {
-      if (!userMessage) {
-        reply = 'Please enter the occasion.';
-        return res.json({ reply, sessionId });
-      }
-      state.data.occasion = userMessage;
-      state.stage = 'askTemplate';
-      reply = 'Choose a gift card template.';
-      ui = {
-        kind: 'templatePicker',
-        templates: getTemplates()
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// GST tax invoice of a paid order, as a PDF or as the JSON it is printed from
+app.get(
+  '/orders/:requestId/invoice.:format(pdf|json)',
+  requireSignedLink,
+  (req, res) => {
+    const order = ledger.get(req.params.requestId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const { invoice } = order;
+    if (!invoice) {
+      return res.status(409).json({ error: 'Order has not been invoiced yet' });
+    }
+    if (req.params.format === 'json') {
+      return res.json({ invoice });
+    }
+    res.type('application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="Tax_Invoice_${invoice.number}.pdf"`
+    );
+    return res.send(renderTaxInvoicePdf(invoice));
+  }
+);
+
+// Encrypted card file of an issued order. "Download past delivery reports"
+// in the chat hands out fresh links.
+app.get('/orders/:requestId/delivery.zip', requireSignedLink, (req, res) => {
+  const { requestId } = req.params;
+  const zip = ledger.get(requestId) && deliveries.read(requestId);
+  if (!zip) {
+    return res.status(404).json({ error: 'Delivery file not found' });
+  }
+  res.type('application/zip');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="GiftCards_${requestId}.zip"`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.send(zip);
+});
 
-    // Template selection
-    if (state.stage === 'askTemplate') {
-      let templateId = null;
-      const m = userMessage.toLowerCase();
-      if (m.startsWith('template:')) {
-        templateId = m.split(':')[1];
-      } else if (/^t[0-9]+$/.test(m)) {
-        templateId = m;
-      }
-      if (!templateId) {
-        reply = FALLBACK_MSG;
-        ui = {
-          kind: 'templatePicker',
-          templates: getTemplates()
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      state.data.templateId = templateId;
-      state.stage = 'askAmount';
-      reply = 'Select the amount or enter a custom amount.';
-      ui = {
-        kind: 'amountOptions',
-        options: [
-          { id: '500', label: '₹500' },
-          { id: '1000', label: '₹1000' },
-          { id: '2000', label: '₹2000' },
-          { id: '5000', label: '₹5000' },
-          { id: 'custom', label: 'Enter amount' }
-        ]
-      };
-      return res.json({ reply, sessionId, ui });
-    }
+// Claim link from a gift card SMS: the card number and PIN, for whoever
+// holds the link. Never cached, since the page carries them.
+app.get('/c/:token', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const claim = claims.open(req.params.token);
+  if (!claim) {
+    return res.status(404).type('text/plain').send('Gift card link not found');
+  }
+  return res.type('html').send(renderClaimPage(claim));
+});
 
-    // Ask Amount (>= 500)
-    if (state.stage === 'askAmount') {
-      let amount = normalizeAmount(userMessage);
-      if (amount === null || amount <= 0) {
-        reply = FALLBACK_MSG;
-        ui = {
-          kind: 'amountOptions',
-          options: [
-            { id: '500', label: '₹500' },
-            { id: '1000', label: '₹1000' },
-            { id: '2000', label: '₹2000' },
-            { id: '5000', label: '₹5000' },
-            { id: 'custom', label: 'Enter amount' }
-          ]
-        };
-        return res.json({ reply, sessionId, ui });
-      }
-      state.data.amount = amount;
-      state.stage = 'askRecipientEmail';
-      reply =
-        'Who would you like to send it to? Please enter recipient email id.';
-      return res.json({ reply, sessionId });
-    }
+// Cards left with the issuer, per denomination (null stock = unlimited)
+app.get('/giftcards/inventory', (_req, res) => {
+  res.json(giftcards.inventory());
+});
 
-    // Recipient Email
-    if (state.stage === 'askRecipientEmail') {
-      if (!isValidEmail(userMessage)) {
-        reply = 'Please provide a valid email address.';
-        return res.json({ reply, sessionId });
-      }
-      state.data.recipientEmail = userMessage;
-      state.stage = 'askMessage';
-      reply = 'Please enter your gift card message.';
-      return res.json({ reply, sessionId });
-    }
+// Balance, status, expiry and redemption history of a card. The daily check
+// limit applies to the caller's IP address: a GSTIN or email in the query
+// would be unverified.
+app.get('/giftcards/:code/balance', (req, res) => {
+  const result = balance.check(req.params.code, { requester: `ip:${req.ip}` });
+  switch (result.status) {
+    case 'invalid':
+      return res.status(400).json({ error: 'Invalid gift card number' });
+    case 'limited': {
+      // The limit resets at midnight IST
+      const now = Date.now();
+      const istMs = now + 330 * 60 * 1000;
+      const reset = Math.ceil(istMs / 86400000) * 86400000 - istMs;
+      res.setHeader('Retry-After', String(Math.ceil(reset / 1000)));
+      return res.status(429).json({
+        error: `Daily limit of ${balance.limit} balance checks reached`
+      });
+    }
+    case 'notFound':
+      return res.status(404).json({ error: 'Gift card not found' });
+    default:
+      return res.json({
+        card: result.card,
+        checksLeftToday: result.remaining
+      });
+  }
+});
 
-    // Personal Message
-    if (state.stage === 'askMessage') {
-      state.data.personalMessage = userMessage || '';
-      state.stage = 'confirm';
-      const chosenTemplate = findTemplateById(state.data.templateId);
-      const summary =
-        `Here are the gift card details you have selected:\n` +
-        `- Occasion: ${state.data.occasion}\n` +
-        `- Template: ${
-          chosenTemplate ? chosenTemplate.label : state.data.templateId
-        }\n` +
-        `- Amount: ${formatCurrencyInr(state.data.amount)}\n` +
-        `- Recipient Email: ${state.data.recipientEmail}\n` +
-        `- Message: ${state.data.personalMessage || '(none)'}\n\n` +
-        `Review and confirm to place the order, or cancel to restart.`;
-      reply = summary;
-      ui = {
-        kind: 'confirm',
-        details: {
-          occasion: state.data.occasion,
-          templateId: state.data.templateId,
-          templateLabel: chosenTemplate
-            ? chosenTemplate.label
-            : state.data.templateId,
-          templateImageUrl: chosenTemplate ? chosenTemplate.imageUrl : null,
-          amount: state.data.amount,
-          currency: 'INR',
-          recipientEmail: state.data.recipientEmail,
-          personalMessage: state.data.personalMessage || ''
+// Mock redemption API, for merchant-side tests. Errors carry the store's
+// error code next to the message.
+const CARD_ERROR_STATUS = {
+  INVALID_AMOUNT: 400,
+  IDEMPOTENCY_KEY_REQUIRED: 400,
+  PIN_REQUIRED: 401,
+  INVALID_PIN: 401,
+  CARD_NOT_FOUND: 404,
+  REDEMPTION_NOT_FOUND: 404,
+  CARD_BLOCKED: 409,
+  CARD_EXPIRED: 409,
+  INSUFFICIENT_BALANCE: 409,
+  REVERSAL_EXCEEDS_REDEMPTION: 409,
+  IDEMPOTENCY_CONFLICT: 422,
+  PIN_LOCKED: 429
+};
+
+// Whoever holds the card proves it with the PIN (`pin` in the body); ops
+// may act on any card with their token instead
+function cardRoute(run) {
+  return (req, res) => {
+    const { code } = req.params;
+    if (!isValidCode(code)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid gift card number', code: 'INVALID_CODE' });
+    }
+    const { pin, ...body } = req.body || {};
+    const request = {
+      ...body,
+      idempotencyKey: body.idempotencyKey || req.get('Idempotency-Key')
+    };
+    try {
+      if (!isOps(req)) {
+        if (pin === undefined || pin === null || pin === '') {
+          return res
+            .status(401)
+            .json({ error: 'The card PIN is required', code: 'PIN_REQUIRED' });
         }
-      };
-      return res.json({ reply, sessionId, ui });
-    }
-
-    if (state.stage === 'confirm') {
-      const text = userMessage.toLowerCase();
-      if (text === 'confirm') {
-        const link = generateGiftLink();
-        state.stage = 'completed';
-        const lines = [
-          '🎉 Success! Your gift card is sent on recipient email.',
-          `Gift link: ${link}`,
-          '',
-          'Details:',
-          `- Occasion: ${state.data.occasion}`,
-          `- Template: ${state.data.templateId}`,
-          `- Amount: ${formatCurrencyInr(state.data.amount)}`,
-          `- Recipient: ${state.data.recipientEmail}`,
-          `- Message: ${state.data.personalMessage || '(none)'}`
-        ];
-        reply = lines.join('\n');
-        return res.json({ reply, sessionId });
-      }
-      if (text === 'cancel') {
-        state.stage = 'idle';
-        state.data = {};
-        reply = "Cancelled. Say 'hi' to start again.";
-        return res.json({ reply, sessionId });
-      }
-      reply = 'Please review and confirm to proceed.';
-      return res.json({ reply, sessionId });
-    }
-
-    if (state.stage === 'completed') {
-      // Allow restarting after completion
-      state.stage = 'idle';
-      state.data = {};
-      reply = "Say 'hi' to start a new gift card.";
-      return res.json({ reply, sessionId });
+        giftcards.checkPin(code, pin);
+      }
+      return res.json(run(code, request));
+    } catch (err) {
+      const status = CARD_ERROR_STATUS[err.code];
+      if (!status) throw err;
+      const { balance: left, reversible, retryAt } = err;
+      if (retryAt) {
+        const wait = Math.ceil((Date.parse(retryAt) - Date.now()) / 1000);
+        res.setHeader('Retry-After', String(Math.max(wait, 1)));
+      }
+      return res.status(status).json({
+        error: err.message,
+        code: err.code,
+        balance: left,
+        reversible,
+        retryAt
+      });
     }
+  };
+}
 
-    reply =
-      'Hi! Looks like you have replied with a message that we don’t recognize. Please select the correct option to continue.';
-    if (state.lastUi) {
-      return res.json({ reply, sessionId, ui: state.lastUi });
-    }
-    return res.json({ reply, sessionId });
-  } catch (err) {
-    console.error('/chat error', err);
-    return res.status(500).json({
-      reply: 'Something went wrong. Please try again.',
-      sessionId: null
-    });
+// { pin, amount, merchantRef, idempotencyKey } -> { movement, card, replayed }
+app.post(
+  '/giftcards/:code/redeem',
+  cardRoute((code, request) => giftcards.redeem(code, request))
+);
+
+// { pin, redemptionId, amount?, merchantRef?, idempotencyKey }; without an
+// amount, whatever is left of the redemption is reversed
+app.post(
+  '/giftcards/:code/reverse',
+  cardRoute((code, request) => giftcards.reverse(code, request))
+);
+
+// { pin, reason? } -> { card }
+app.post(
+  '/giftcards/:code/block',
+  cardRoute((code, request) => giftcards.block(code, request))
+);
+
+// What a request, PI, invoice or credit note number was issued for, for ops
+app.get('/documents/:number', requireOps, (req, res) => {
+  const entry = numbering.lookup(req.params.number);
+  if (!entry) {
+    return res.status(404).json({ error: 'Unknown document number' });
   }
+  const order = ledger.get(entry.ref);
+  let document = null;
+  if (order && entry.type === 'request') {
+    document = toPublicOrder(order);
+  } else if (order && entry.type === 'pi' && order.pi) {
+    document = {
+      ...order.pi,
+      requestId: order.requestId,
+      url: `${config.publicUrl}${links.sign(
+        `/orders/${encodeURIComponent(order.requestId)}/pi.pdf`
+      )}`
+    };
+  } else if (order && entry.type === 'invoice') {
+    document = order.invoice || null;
+  }
+  return res.json({
+    number: entry.number,
+    type: entry.type,
+    fy: entry.fy,
+    issuedAt: entry.issuedAt,
+    requestId: entry.ref,
+    document
+  });
 });
 
 app.get('/health', (_req, res) => {
   res.json({ ok: true });
 });
 
-app.listen(PORT, () => {
-  console.log(`Backend listening on http://localhost:${PORT}`);
+const server = app.listen(config.port, () => {
+  console.log(`Backend listening on http://localhost:${config.port}`);
 });
+
+const sweeper = setInterval(() => {
+  sessionStore
+    .sweep()
+    .then(removed => {
+      if (removed > 0) console.log(`Evicted ${removed} idle session(s)`);
+    })
+    .catch(err => console.error('session sweep error', err));
+}, config.sessions.sweepIntervalMs);
+sweeper.unref();
+
+// Also run once now, for gifts that fell due while the server was down
+function sendDueGifts() {
+  const { sent, failed } = scheduler.runDue();
+  if (sent + failed > 0) {
+    console.log(`Scheduled gifts: ${sent} sent, ${failed} failed`);
+  }
+}
+sendDueGifts();
+const giftTimer = setInterval(sendDueGifts, config.schedule.intervalMs);
+giftTimer.unref();
+
+// Paid business orders the issuer had no stock for, on the gift timer's
+// beat; also at startup for any paid while the server was down
+function issuePaidOrders() {
+  const issued = fulfilment.retry();
+  if (issued > 0) console.log(`Issued ${issued} paid order(s)`);
+}
+issuePaidOrders();
+const orderTimer = setInterval(issuePaidOrders, config.schedule.intervalMs);
+orderTimer.unref();
+
+// Picks up retries, and anything queued before a restart
+function flushMail() {
+  mailer.flush().catch(err => console.error('mail queue error', err));
+}
+flushMail();
+const mailTimer = setInterval(flushMail, config.mail.intervalMs);
+mailTimer.unref();
+
+function flushSms() {
+  sms.flush().catch(err => console.error('SMS queue error', err));
+}
+flushSms();
+const smsTimer = setInterval(flushSms, config.sms.intervalMs);
+smsTimer.unref();
+
+// Closes checkouts abandoned before paying
+const paymentTimer = setInterval(() => {
+  const expired = payments.expireDue();
+  if (expired > 0) console.log(`Expired ${expired} unpaid payment attempt(s)`);
+}, config.payments.expiryIntervalMs);
+paymentTimer.unref();
+
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, saving sessions`);
+  clearInterval(sweeper);
+  clearInterval(giftTimer);
+  clearInterval(orderTimer);
+  clearInterval(mailTimer);
+  clearInterval(smsTimer);
+  clearInterval(paymentTimer);
+  server.close();
+  try {
+    await sessionStore.snapshot();
+    await sessionStore.close();
+  } catch (err) {
+    console.error('session snapshot error', err);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,39 @@
+'use strict';
+
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { createMemoryStore } = require('./memory');
+
+// Keeps sessions in memory and writes them to a JSON file shortly after each
+// change, plus on snapshot/close so a graceful shutdown loses nothing.
+function createFileStore({ ttlMs, file, flushDelayMs = 1000 }) {
+  const sessions = new Map(Object.entries(readJson(file, {})));
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    writeJsonAtomic(file, Object.fromEntries(sessions));
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, flushDelayMs);
+    timer.unref();
+  }
+
+  const store = createMemoryStore({ ttlMs, sessions, onChange: schedule });
+
+  return {
+    ...store,
+
+    async snapshot() {
+      flush();
+    },
+
+    async close() {
+      flush();
+    }
+  };
+}
+
+module.exports = { createFileStore };
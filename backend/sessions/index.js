@@ -0,0 +1,41 @@
+'use strict';
+
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRedisStore } = require('./redis');
+
+/**
+ * @typedef {{ stage: string, data: any, createdAt: number, updatedAt?: number, transcript?: import('./transcript').TranscriptTurn[] }} SessionState
+ *
+ * @typedef {Object} SessionStore
+ * @property {(id: string) => Promise<SessionState|null>} get   null when missing or expired
+ * @property {(id: string, state: SessionState) => Promise<void>} set
+ * @property {(id: string) => Promise<void>} delete
+ * @property {(now?: number) => Promise<number>} sweep   evicts idle sessions, returns count
+ * @property {() => Promise<void>} snapshot   persists everything held in memory
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * @param {{ store: string, ttlMs: number, file: string, redisUrl: string, redisPrefix: string, redisTimeoutMs: number }} options
+ * @returns {SessionStore}
+ */
+function createSessionStore(options) {
+  switch (options.store) {
+    case 'memory':
+      return createMemoryStore({ ttlMs: options.ttlMs });
+    case 'file':
+      return createFileStore({ ttlMs: options.ttlMs, file: options.file });
+    case 'redis':
+      return createRedisStore({
+        ttlMs: options.ttlMs,
+        url: options.redisUrl,
+        prefix: options.redisPrefix,
+        timeoutMs: options.redisTimeoutMs
+      });
+    default:
+      throw new Error(`Unknown session store "${options.store}"`);
+  }
+}
+
+module.exports = { createSessionStore };
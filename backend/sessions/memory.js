@@ -0,0 +1,56 @@
+'use strict';
+
+function isExpired(state, ttlMs, now) {
+  return now - (state.updatedAt || state.createdAt || 0) > ttlMs;
+}
+
+/**
+ * Sessions held in a Map. Also used by the file store, which passes in the
+ * Map it restored from disk and an `onChange` hook to schedule a write.
+ */
+function createMemoryStore({ ttlMs, sessions = new Map(), onChange }) {
+  const changed = () => onChange && onChange();
+
+  return {
+    sessions,
+
+    async get(id) {
+      const state = sessions.get(id);
+      if (!state) return null;
+      if (isExpired(state, ttlMs, Date.now())) {
+        sessions.delete(id);
+        changed();
+        return null;
+      }
+      return state;
+    },
+
+    async set(id, state) {
+      sessions.set(id, state);
+      changed();
+    },
+
+    async delete(id) {
+      sessions.delete(id);
+      changed();
+    },
+
+    async sweep(now = Date.now()) {
+      let removed = 0;
+      for (const [id, state] of sessions) {
+        if (isExpired(state, ttlMs, now)) {
+          sessions.delete(id);
+          removed += 1;
+        }
+      }
+      if (removed > 0) changed();
+      return removed;
+    },
+
+    async snapshot() {},
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore, isExpired };
@@ -0,0 +1,88 @@
+'use strict';
+
+function storeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Works against any server speaking the Redis protocol (Redis, Valkey, KeyDB).
+// Idle TTL is handled by the server: every write refreshes the key's expiry.
+// While the server is unreachable the client keeps reconnecting in the
+// background, and every call fails after `timeoutMs` rather than waiting
+// for it.
+function createRedisStore({ ttlMs, url, prefix, timeoutMs }) {
+  const { createClient } = require('redis');
+  const client = createClient({
+    url,
+    // Calls wait for the connection below, so nothing queues up meanwhile
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: timeoutMs,
+      reconnectStrategy: retries => Math.min(retries * 500, 5000)
+    }
+  });
+  // Logged once per outage, not on every reconnect attempt
+  let lastError = null;
+  client.on('error', err => {
+    if (err.message === lastError) return;
+    lastError = err.message;
+    console.error('redis session store', err.message);
+  });
+  client.on('ready', () => {
+    if (lastError) console.log('redis session store reconnected');
+    lastError = null;
+  });
+  // Only rejects when closed before it ever connected
+  client.connect().catch(() => {});
+
+  function connected() {
+    if (client.isReady) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onReady = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        client.off('ready', onReady);
+        reject(
+          storeError('Session store is unreachable', 'SESSION_STORE_DOWN')
+        );
+      }, timeoutMs);
+      client.once('ready', onReady);
+    });
+  }
+
+  return {
+    async get(id) {
+      await connected();
+      const raw = await client.get(prefix + id);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(id, state) {
+      await connected();
+      await client.set(prefix + id, JSON.stringify(state), { PX: ttlMs });
+    },
+
+    async delete(id) {
+      await connected();
+      await client.del(prefix + id);
+    },
+
+    // Redis evicts expired keys itself
+    async sweep() {
+      return 0;
+    },
+
+    async snapshot() {},
+
+    // A client still trying to connect is dropped rather than waited on
+    async close() {
+      if (client.isReady) await client.quit();
+      else if (client.isOpen) await client.disconnect();
+    }
+  };
+}
+
+module.exports = { createRedisStore };
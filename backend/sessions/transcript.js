@@ -0,0 +1,74 @@
+'use strict';
+
+const { formatDateIst } = require('../lib/format');
+
+/**
+ * @typedef {Object} TranscriptTurn
+ * @property {'user'|'bot'} role
+ * @property {string} at      ISO timestamp
+ * @property {string} text    what the chat showed for this turn
+ * @property {string} [action] form action name for structured user turns
+ * @property {object} [ui]     ui hint sent with a bot reply
+ * @property {object} [errors] field errors sent with a bot reply
+ */
+
+// Stands in for a secret the chat showed once
+const REDACTED = '[hidden]';
+
+function redact(text, secrets = []) {
+  return secrets.reduce(
+    (out, secret) => (secret ? out.split(secret).join(REDACTED) : out),
+    text
+  );
+}
+
+// Turns are kept on the session itself so they persist and expire with it.
+// Form payloads are not recorded; a user turn only keeps the action name and
+// the label the client displayed, which keeps bank details out of exports.
+// Secrets in a reply (`out.secrets`, such as a ZIP password) are masked in
+// the transcript and the session's copy of the last reply.
+function recordTurns(state, { message, action, label }, out, limit) {
+  const at = new Date().toISOString();
+  const transcript = state.transcript || [];
+  transcript.push(
+    action
+      ? { role: 'user', at, action, text: label || action }
+      : { role: 'user', at, text: typeof message === 'string' ? message : '' }
+  );
+  const bot = { role: 'bot', at, text: redact(out.reply, out.secrets) };
+  if (out.secrets && state.lastReply) {
+    state.lastReply = redact(state.lastReply, out.secrets);
+  }
+  if (out.ui) bot.ui = out.ui;
+  if (out.errors) bot.errors = out.errors;
+  transcript.push(bot);
+  state.transcript = transcript.slice(-limit);
+}
+
+function formatTime(at) {
+  const time = new Intl.DateTimeFormat('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).format(new Date(at));
+  return `${formatDateIst(at)} ${time}`;
+}
+
+// Plain-text export for support staff, times in IST
+function transcriptToText(sessionId, transcript) {
+  const lines = [`Transcript for session ${sessionId}`, ''];
+  for (const turn of transcript) {
+    const who = turn.role === 'user' ? 'User' : 'Bot';
+    const text = turn.action ? `[${turn.action}] ${turn.text}` : turn.text;
+    lines.push(`[${formatTime(turn.at)}] ${who}: ${text}`);
+    if (turn.errors) {
+      for (const [field, message] of Object.entries(turn.errors)) {
+        lines.push(`    ! ${field}: ${message}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { recordTurns, transcriptToText };
@@ -0,0 +1,40 @@
+'use strict';
+
+// GSM 03.38 default alphabet, and the extension table whose characters
+// take two septets (an escape plus the character)
+const GSM_BASIC =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const LIMITS = {
+  gsm7: { single: 160, multi: 153 },
+  ucs2: { single: 70, multi: 67 }
+};
+
+function isGsm7(text) {
+  return [...text].every(
+    ch => GSM_BASIC.includes(ch) || GSM_EXTENDED.includes(ch)
+  );
+}
+
+/**
+ * How an SMS is encoded and how many parts it is sent in. Any character
+ * outside the GSM alphabet (Hindi, emoji, "…") switches the whole message
+ * to UCS-2, which fits 70 characters per part instead of 160.
+ * @param {string} text
+ * @returns {{ encoding: 'gsm7'|'ucs2', units: number, segments: number }}
+ *   units are septets for GSM-7 and UTF-16 code units for UCS-2
+ */
+function segmentInfo(text) {
+  const encoding = isGsm7(text) ? 'gsm7' : 'ucs2';
+  const units =
+    encoding === 'gsm7'
+      ? [...text].reduce((n, ch) => n + (GSM_EXTENDED.includes(ch) ? 2 : 1), 0)
+      : text.length;
+  const { single, multi } = LIMITS[encoding];
+  const segments = units <= single ? 1 : Math.ceil(units / multi);
+  return { encoding, units, segments };
+}
+
+module.exports = { segmentInfo, isGsm7 };
@@ -0,0 +1,199 @@
+'use strict';
+
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('../lib/jsonFile');
+const { renderSms } = require('./templates');
+
+/**
+ * @typedef {Object} SmsStatus
+ * @property {string} id
+ * @property {string|null} ref     request ID or personal gift reference
+ * @property {string} template
+ * @property {string} templateId  DLT template ID
+ * @property {string} to          +91XXXXXXXXXX
+ * @property {'gsm7'|'ucs2'|null} encoding  null when it could not be built
+ * @property {number|null} segments
+ * @property {'queued'|'sent'|'failed'} status
+ * @property {number} attempts
+ * @property {string} createdAt
+ * @property {string|null} nextAttemptAt  while queued
+ * @property {string|null} sentAt
+ * @property {string|null} failedAt
+ * @property {string|null} providerId
+ * @property {string|null} lastError
+ */
+
+/**
+ * Outgoing SMS through DLT-registered templates. `send()` renders and queues
+ * a message and returns at once; a background run hands it to the
+ * transport, retrying with exponential backoff like the mailer.
+ *
+ * The text carries a claim link or a file password, so it is only kept
+ * until the message is sent or fails.
+ * @param {{ file: string, transport: import('./transports').SmsTransport, senderId: string, entityId: string, templateIds: Object<string, string>, maxSegments: number, maxAttempts: number, retryBaseMs: number, retryMaxMs: number }} options
+ */
+function createSmsSender({
+  file,
+  transport,
+  senderId,
+  entityId,
+  templateIds,
+  maxSegments,
+  maxAttempts,
+  retryBaseMs,
+  retryMaxMs
+}) {
+  const state = readJson(file, { messages: {} });
+  let running = null;
+  let rerun = false;
+
+  function save() {
+    writeJsonAtomic(file, state);
+  }
+
+  function backoff(attempts) {
+    return Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+  }
+
+  function settle(message, status, error) {
+    const at = new Date().toISOString();
+    message.status = status;
+    message.nextAttemptAt = null;
+    if (status === 'sent') message.sentAt = at;
+    else message.failedAt = at;
+    if (error) message.lastError = error;
+    delete message.text;
+  }
+
+  async function deliver(message) {
+    message.attempts += 1;
+    try {
+      const { providerId } = await transport.send({
+        id: message.id,
+        to: message.to,
+        senderId,
+        entityId,
+        templateId: message.templateId,
+        text: message.text
+      });
+      message.providerId = providerId;
+      settle(message, 'sent');
+    } catch (err) {
+      if (err.permanent || message.attempts >= maxAttempts) {
+        settle(message, 'failed', err.message);
+      } else {
+        message.lastError = err.message;
+        message.nextAttemptAt = new Date(
+          Date.now() + backoff(message.attempts)
+        ).toISOString();
+      }
+    }
+  }
+
+  async function runQueue() {
+    const now = Date.now();
+    const due = Object.values(state.messages)
+      .filter(m => m.status === 'queued' && Date.parse(m.nextAttemptAt) <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const message of due) {
+      await deliver(message);
+      save();
+    }
+  }
+
+  // Same single-run rule as the mailer's flush()
+  function flush() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        rerun = false;
+        await runQueue();
+      } while (rerun);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  // Status without the text
+  function publicStatus(message) {
+    const { text, ...status } = message;
+    return status;
+  }
+
+  return {
+    transport: transport.name,
+
+    /**
+     * Queue a templated SMS. Never throws for delivery problems; they show
+     * up in the message status. A message that cannot be made to fit in
+     * `maxSegments` parts is failed straight away.
+     * @param {{ template: string, data: Object<string, string>, to: string, ref?: string }} sms
+     * @returns {SmsStatus}
+     */
+    send({ template, data, to, ref = null }) {
+      const id = `${Date.now().toString(36)}.${crypto
+        .randomBytes(6)
+        .toString('hex')}`;
+      const createdAt = new Date().toISOString();
+      const message = {
+        id,
+        ref,
+        template,
+        templateId: templateIds[template],
+        to,
+        encoding: null,
+        segments: null,
+        status: 'queued',
+        attempts: 0,
+        createdAt,
+        nextAttemptAt: createdAt,
+        sentAt: null,
+        failedAt: null,
+        providerId: null,
+        lastError: null
+      };
+      try {
+        const rendered = renderSms(template, data, { maxSegments });
+        message.encoding = rendered.encoding;
+        message.segments = rendered.segments;
+        message.text = rendered.text;
+      } catch (err) {
+        if (err.code !== 'SMS_TOO_LONG') throw err;
+        settle(message, 'failed', err.message);
+      }
+      state.messages[id] = message;
+      save();
+      if (message.status === 'queued') {
+        setImmediate(() =>
+          flush().catch(err => console.error('SMS queue error', err))
+        );
+      }
+      return publicStatus(message);
+    },
+
+    flush,
+
+    /** @returns {SmsStatus|null} */
+    get(id) {
+      const message = state.messages[id];
+      return message ? publicStatus(message) : null;
+    },
+
+    /**
+     * Messages sent for an order or gift, oldest first.
+     * @returns {SmsStatus[]}
+     */
+    messagesFor(ref) {
+      return Object.values(state.messages)
+        .filter(m => m.ref === ref)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(publicStatus);
+    }
+  };
+}
+
+module.exports = { createSmsSender };
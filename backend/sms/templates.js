@@ -0,0 +1,74 @@
+'use strict';
+
+const { segmentInfo } = require('./segments');
+
+function smsError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// DLT variables are meant to stay within this; optional values longer than
+// it are left out
+const MAX_VAR_LENGTH = 30;
+
+/**
+ * SMS templates as registered on the DLT portal. The text must match the
+ * registration character for character, with `{#var#}` where values go;
+ * `vars` names those values in order. Values listed in `optional` may be
+ * left out to keep the message within its parts.
+ */
+const TEMPLATES = {
+  giftCard: {
+    text: 'You have received a Rs.{#var#} Amazon Pay gift card{#var#}. Claim it at {#var#} Valid till {#var#}. -AMZPAY',
+    vars: ['amount', 'occasion', 'url', 'expiry'],
+    optional: ['occasion']
+  },
+  // Sent apart from the emailed file it opens
+  deliveryPassword: {
+    text: 'Password for the gift card file of request {#var#}: {#var#} Do not share it. -AMZPAY',
+    vars: ['requestId', 'password'],
+    optional: []
+  }
+};
+
+function fill(text, values) {
+  let i = 0;
+  return text.replace(/\{#var#\}/g, () => values[i++]);
+}
+
+/**
+ * Render an SMS that fits in `maxSegments` parts. Optional values are
+ * dropped first (which also turns a message that only they pushed to UCS-2
+ * back into plain GSM); a message that still does not fit is refused.
+ * @param {string} name
+ * @param {Object<string, string>} data
+ * @param {{ maxSegments: number }} options
+ * @returns {{ text: string, encoding: string, units: number, segments: number }}
+ */
+function renderSms(name, data, { maxSegments }) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown SMS template "${name}"`);
+  const values = template.vars.map(v =>
+    String(data[v] === undefined || data[v] === null ? '' : data[v])
+  );
+  const optional = template.optional.map(v => template.vars.indexOf(v));
+  for (const i of optional) {
+    if (values[i].length > MAX_VAR_LENGTH) values[i] = '';
+  }
+  for (;;) {
+    const text = fill(template.text, values);
+    const info = segmentInfo(text);
+    if (info.segments <= maxSegments) return { text, ...info };
+    const i = optional.find(index => values[index] !== '');
+    if (i === undefined) {
+      throw smsError(
+        `SMS "${name}" needs ${info.segments} parts; at most ${maxSegments} allowed`,
+        'SMS_TOO_LONG'
+      );
+    }
+    values[i] = '';
+  }
+}
+
+module.exports = { TEMPLATES, renderSms };
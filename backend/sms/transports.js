@@ -0,0 +1,47 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { formatMobile } = require('../lib/format');
+
+/**
+ * @typedef {Object} SmsTransport
+ * @property {string} name
+ * @property {(sms: { id: string, to: string, senderId: string, entityId: string, templateId: string, text: string }) => Promise<{ providerId: string }>} send
+ *   rejects with `err.permanent` set when the message can never be
+ *   delivered
+ */
+
+/**
+ * Local development stand-in for an SMS gateway: every message is appended
+ * to a JSON-lines file and printed to the console.
+ * @param {{ file: string, log?: boolean }} options
+ * @returns {SmsTransport}
+ */
+function createOutboxTransport({ file, log = true }) {
+  return {
+    name: 'outbox',
+    async send(sms) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const line = { ...sms, at: new Date().toISOString() };
+      fs.appendFileSync(file, `${JSON.stringify(line)}\n`);
+      if (log) {
+        console.log(
+          `SMS ${sms.senderId} -> ${formatMobile(sms.to)}: ${sms.text}`
+        );
+      }
+      return { providerId: sms.id };
+    }
+  };
+}
+
+/**
+ * @param {{ transport: 'outbox', outboxFile: string }} config
+ * @returns {SmsTransport}
+ */
+function createTransport({ transport, outboxFile }) {
+  if (transport === 'outbox') return createOutboxTransport({ file: outboxFile });
+  throw new Error(`Unknown SMS transport "${transport}"`);
+}
+
+module.exports = { createTransport, createOutboxTransport };
@@ -0,0 +1,37 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { createChatEngine } = require('../flow');
+
+// The order line a typed order turns into, for a verified buyer with no
+// order in the ledger yet
+function typedOrder(message) {
+  const engine = createChatEngine({ ledger: { get: () => null } });
+  const state = {
+    stage: 'bizNeedsOrderDetails',
+    locale: 'en',
+    data: {
+      buyerType: 'business',
+      biz: { verified: true, discountPercent: 1, occasion: 'Thank You' }
+    }
+  };
+  engine.handle(state, { message });
+  const { quote } = state.data.biz;
+  return quote && quote.lines.map(l => [l.count, l.denomination]);
+}
+
+test('typed orders take the count and the denomination apart', () => {
+  assert.deepEqual(typedOrder('150 cards x ₹100'), [[150, 100]]);
+  assert.deepEqual(typedOrder('₹100 x 150'), [[150, 100]]);
+  assert.deepEqual(typedOrder('150 x 100'), [[150, 100]]);
+  assert.deepEqual(typedOrder('₹1,000 x 20 cards'), [[20, 1000]]);
+});
+
+test('a lone amount is a budget in ₹1,000 cards', () => {
+  assert.deepEqual(typedOrder('₹15,000'), [[15, 1000]]);
+});
+
+test('a count without a denomination is asked again', () => {
+  assert.equal(typedOrder('150 cards'), undefined);
+});
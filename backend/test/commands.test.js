@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { createChatEngine } = require('../flow');
+
+const ORDER = {
+  requestId: 'GC2627-000001',
+  status: 'pi_issued',
+  quote: {
+    lines: [{ denomination: 500, count: 2, subtotal: 1000 }],
+    discountPercent: 1,
+    discount: 10,
+    net: 990
+  },
+  deliveryEmail: 'r@abc.com'
+};
+
+// A chat parked on a business order, with the ledger holding `order`
+function statusReply(order, locale = 'en') {
+  const engine = createChatEngine({ ledger: { get: () => order } });
+  const state = {
+    stage: 'bizPaymentMethod',
+    locale,
+    data: {
+      buyerType: 'business',
+      biz: { requestId: order.requestId, verified: true }
+    }
+  };
+  return engine.handle(state, { message: 'status' }).reply;
+}
+
+test('status shows a bulk order\'s delivery', () => {
+  const reply = statusReply({ ...ORDER, delivery: 'bulk' });
+  assert.match(reply, /GC2627-000001/);
+  assert.match(reply, /• Delivery: CSV to r@abc\.com/);
+  assert.doesNotMatch(reply, /[{}]/);
+});
+
+test('status shows a direct order\'s delivery', () => {
+  const reply = statusReply({
+    ...ORDER,
+    delivery: 'direct',
+    recipients: [{ email: 'a@x.com' }, { phone: '9876543210' }]
+  });
+  assert.match(
+    reply,
+    /• Delivery: SMS & email to 2 recipient\(s\); CSV copy to r@abc\.com/
+  );
+});
+
+test('every language fills in the delivery', () => {
+  for (const locale of ['hi', 'hinglish']) {
+    const reply = statusReply({ ...ORDER, delivery: 'bulk' }, locale);
+    assert.match(reply, /r@abc\.com/);
+    assert.doesNotMatch(reply, /[{}]/);
+  }
+});
+
+// A chat writing the personal gift's message, where balance checks count
+// the cards asked about
+function giftMessageTurn(message) {
+  const asked = [];
+  const engine = createChatEngine({
+    balance: {
+      check(code) {
+        asked.push(code);
+        return { status: 'invalid' };
+      }
+    },
+    scheduler: { defaultTime: '09:00' }
+  });
+  const state = {
+    stage: 'askMessage',
+    locale: 'en',
+    data: { buyerType: 'personal' }
+  };
+  engine.handle(state, { message });
+  return { asked, state };
+}
+
+test('a message that starts with "balance" is not a balance check', () => {
+  const { asked, state } = giftMessageTurn('Balance is key, happy birthday');
+  assert.deepEqual(asked, []);
+  assert.equal(state.data.personalMessage, 'Balance is key, happy birthday');
+});
+
+test('"balance" with a card number checks that card', () => {
+  assert.deepEqual(giftMessageTurn('balance 1234 5678 9012 3456').asked, [
+    '1234 5678 9012 3456'
+  ]);
+  assert.deepEqual(giftMessageTurn('check gc: 1234-5678-9012-3456').asked, [
+    '1234-5678-9012-3456'
+  ]);
+});
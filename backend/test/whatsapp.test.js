@@ -0,0 +1,269 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { parseWebhook } = require('../whatsapp/inbound');
+const { verifySignature } = require('../whatsapp/signature');
+const { createWhatsAppAdapter, sessionIdOf } = require('../whatsapp/adapter');
+const { renderReply } = require('../whatsapp/render');
+const { generateSessionId, isSessionId } = require('../lib/ids');
+const { t } = require('../i18n');
+
+// Webhook bodies as the Cloud API delivers them, byte for byte, and
+// `send-*` message requests as the Cloud API takes them, one per message
+const FIXTURES = path.join(__dirname, 'fixtures', 'whatsapp');
+
+function rawFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.json`));
+}
+
+function fixture(name) {
+  return JSON.parse(rawFixture(name).toString('utf8'));
+}
+
+function sign(rawBody, secret) {
+  const hmac = crypto.createHmac('sha256', secret).update(rawBody);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+// Rendered messages as the transport posts them to /messages
+function requests(out) {
+  const translate = key => t('en', key);
+  return renderReply(out, translate).map(message => ({
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: '919876543210',
+    ...message
+  }));
+}
+
+// `count` options, o1, o2, …
+function choices(count, label = i => `Option ${i + 1}`) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `o${i + 1}`,
+    label: label(i)
+  }));
+}
+
+// An adapter whose replies are collected instead of sent
+function adapterFor(runTurn) {
+  const sent = [];
+  const turns = [];
+  const adapter = createWhatsAppAdapter({
+    transport: {
+      name: 'test',
+      async send(to, message) {
+        sent.push({ to, message });
+        return { id: `test.${sent.length}` };
+      }
+    },
+    sessions: { get: async () => null },
+    async runTurn(sessionId, turn) {
+      turns.push({ sessionId, ...turn });
+      return runTurn(sessionId, turn);
+    },
+    translate: t,
+    retryDelayMs: 0
+  });
+  return { adapter, sent, turns };
+}
+
+test('reads typed text, tapped buttons and list rows', () => {
+  assert.deepEqual(parseWebhook(fixture('text')), [
+    {
+      id: 'wamid.HBgMOTE5ODc2NTQzMjEwFQIAEhgUM0EzNjY0RjhCRkU3QjA1MDJFQUEA',
+      from: '919876543210',
+      name: 'Ravi Kumar',
+      type: 'text',
+      text: 'hi'
+    }
+  ]);
+  const [button] = parseWebhook(fixture('button-reply'));
+  assert.equal(button.type, 'interactive');
+  assert.equal(button.text, 'start');
+  const [row] = parseWebhook(fixture('list-reply'));
+  assert.equal(row.text, 'diwali');
+});
+
+test('media has no text and receipts are skipped', () => {
+  const [image] = parseWebhook(fixture('image'));
+  assert.equal(image.type, 'image');
+  assert.equal(image.text, null);
+  assert.deepEqual(parseWebhook(fixture('status')), []);
+  assert.deepEqual(parseWebhook({ object: 'page', entry: [] }), []);
+});
+
+test('signatures cover the raw body', () => {
+  const secret = 'test-app-secret';
+  const raw = rawFixture('text');
+  assert.equal(verifySignature(raw, sign(raw, secret), secret), true);
+  assert.equal(verifySignature(raw, sign(raw, 'other'), secret), false);
+  // The same JSON serialised differently no longer verifies
+  const reserialised = Buffer.from(JSON.stringify(fixture('text')));
+  assert.equal(
+    verifySignature(reserialised, sign(raw, secret), secret),
+    false
+  );
+  assert.equal(verifySignature(raw, undefined, secret), false);
+  assert.equal(verifySignature(raw, sign(raw, secret), ''), false);
+});
+
+test('runs each message in the sender\'s own session', async () => {
+  const { adapter, sent, turns } = adapterFor(async () => ({
+    reply: 'Welcome',
+    ui: {
+      kind: 'start',
+      options: [
+        { id: 'start', label: 'Buy' },
+        { id: 'knowmore', label: 'Know More' }
+      ]
+    },
+    locale: 'en'
+  }));
+  assert.equal(await adapter.receive(fixture('text')), 1);
+  assert.deepEqual(turns, [{ sessionId: 'wa:919876543210', message: 'hi' }]);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, '919876543210');
+  assert.equal(sent[0].message.type, 'interactive');
+  assert.deepEqual(
+    sent[0].message.interactive.action.buttons.map(b => b.reply.id),
+    ['start', 'knowmore']
+  );
+});
+
+test('a redelivered message is handled once', async () => {
+  const { adapter, turns } = adapterFor(async () => ({
+    reply: 'ok',
+    locale: 'en'
+  }));
+  await adapter.receive(fixture('button-reply'));
+  assert.equal(await adapter.receive(fixture('button-reply')), 0);
+  assert.equal(turns.length, 1);
+});
+
+test('media gets a text-only answer without running the flow', async () => {
+  const { adapter, sent, turns } = adapterFor(async () => {
+    throw new Error('not expected');
+  });
+  await adapter.receive(fixture('image'));
+  assert.equal(turns.length, 0);
+  assert.deepEqual(sent, [
+    {
+      to: '919876543210',
+      message: { type: 'text', text: { body: t('en', 'whatsapp.unsupported') } }
+    }
+  ]);
+});
+
+test('WhatsApp sessions are never web chat session IDs', () => {
+  const sessionId = sessionIdOf('919876543210');
+  assert.equal(sessionId, 'wa:919876543210');
+  assert.equal(isSessionId(sessionId), false);
+  assert.equal(isSessionId(generateSessionId()), true);
+  assert.equal(isSessionId('../transcript'), false);
+  assert.equal(isSessionId(undefined), false);
+});
+
+test('up to 3 short choices are reply buttons', () => {
+  const out = {
+    reply: 'How should the gift cards be delivered?',
+    ui: {
+      kind: 'options',
+      options: [
+        { id: 'bulk', label: 'Bulk File' },
+        { id: 'direct', label: 'Direct SMS & Email' }
+      ]
+    }
+  };
+  assert.deepEqual(requests(out), fixture('send-buttons'));
+});
+
+test('more than 3 choices, or a long one, make a list', () => {
+  const out = {
+    reply: 'How would you like to pay?',
+    ui: {
+      kind: 'options',
+      options: [
+        { id: 'netbanking', label: 'Netbanking' },
+        { id: 'credit', label: 'Credit Card' },
+        { id: 'upi', label: 'UPI' },
+        { id: 'neft', label: 'NEFT / RTGS bank transfer from company account' }
+      ]
+    }
+  };
+  assert.deepEqual(requests(out), fixture('send-list'));
+  const [long] = requests({
+    reply: 'Pick one',
+    ui: {
+      kind: 'options',
+      options: choices(2, () => 'A button title too long')
+    }
+  });
+  assert.equal(long.interactive.type, 'list');
+});
+
+test('lists hold 10 rows at most, the rest follow in more lists', () => {
+  const messages = requests({
+    reply: 'Pick a denomination',
+    ui: { kind: 'options', title: 'Denominations', options: choices(23) }
+  });
+  assert.deepEqual(
+    messages.map(m => m.interactive.action.sections[0].rows.length),
+    [10, 10, 3]
+  );
+  assert.deepEqual(
+    messages.map(m => m.interactive.body.text),
+    ['Pick a denomination', 'More options', 'More options']
+  );
+  assert.equal(messages[2].interactive.action.sections[0].rows[0].id, 'o21');
+});
+
+test('titles, rows and bodies are kept within the Cloud API limits', () => {
+  const label = 'x'.repeat(100);
+  const messages = requests({
+    reply: 'y'.repeat(5000),
+    ui: { kind: 'options', title: 'Choose', options: choices(4, () => label) }
+  });
+  // The reply is too long for an interactive body, so it goes first as text
+  assert.deepEqual(messages.map(m => m.type), ['text', 'text', 'interactive']);
+  assert.equal(messages[0].text.body.length, 4096);
+  assert.equal(messages[1].text.body.length, 5000 - 4096);
+  assert.equal(messages[2].interactive.body.text, 'Choose');
+  for (const row of messages[2].interactive.action.sections[0].rows) {
+    assert.equal(Array.from(row.title).length, 24);
+    assert.match(row.title, /…$/);
+    assert.equal(Array.from(row.description).length, 72);
+  }
+  // Emoji count as one character and are never cut in half
+  const [emoji] = requests({
+    reply: 'Pick one',
+    ui: { kind: 'options', options: choices(4, () => '🎁'.repeat(30)) }
+  });
+  const [row] = emoji.interactive.action.sections[0].rows;
+  assert.equal(row.title, `${'🎁'.repeat(23)}…`);
+});
+
+test('invoice and card file links are sent as documents', () => {
+  const [, invoice, zip] = fixture('send-documents');
+  const out = {
+    reply: '🎉 Your Amazon Pay Gift Cards are ready!',
+    ui: {
+      kind: 'downloads',
+      title: 'Downloads',
+      items: [
+        { label: 'GST Invoice', url: invoice.document.link },
+        { label: 'Gift card file (ZIP)', url: zip.document.link }
+      ]
+    }
+  };
+  assert.deepEqual(requests(out), fixture('send-documents'));
+  // WhatsApp fetches documents itself, so relative links are left out
+  const single = requests({
+    reply: 'Your invoice',
+    ui: { kind: 'download', label: 'Invoice', url: '/orders/x/invoice.pdf' }
+  });
+  assert.deepEqual(single.map(m => m.type), ['text']);
+});
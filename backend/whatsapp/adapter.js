@@ -0,0 +1,113 @@
+'use strict';
+
+const { parseWebhook } = require('./inbound');
+const { renderReply } = require('./render');
+
+// Message IDs remembered, so a webhook delivered twice is handled once
+const SEEN_LIMIT = 1000;
+
+// One chat session per WhatsApp number
+function sessionIdOf(from) {
+  return `wa:${from}`;
+}
+
+/**
+ * Runs WhatsApp messages through the chat engine and sends the replies
+ * back, rendered for WhatsApp. Messages from one number are handled one at
+ * a time and in order, so a quick second tap never races the first.
+ * @param {{
+ *   transport: import('./transports').WhatsAppTransport,
+ *   sessions: { get(id: string): Promise<object|null> },
+ *   runTurn: (sessionId: string, turn: { message: string }) => Promise<{ reply: string, ui?: object, locale: string }>,
+ *   translate: (locale: string|undefined, key: string) => string,
+ *   maxAttempts?: number,
+ *   retryDelayMs?: number
+ * }} options
+ */
+function createWhatsAppAdapter({
+  transport,
+  sessions,
+  runTurn,
+  translate,
+  maxAttempts = 3,
+  retryDelayMs = 1000
+}) {
+  const queues = new Map();
+  const seen = new Set();
+
+  function firstSeen(id) {
+    if (seen.has(id)) return false;
+    seen.add(id);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+    return true;
+  }
+
+  // Replies are short-lived, so failed sends are retried briefly and then
+  // given up on; the rest of that reply is dropped to keep the order
+  async function deliver(to, message) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await transport.send(to, message);
+      } catch (err) {
+        if (err.permanent || attempt >= maxAttempts) throw err;
+        await new Promise(resolve =>
+          setTimeout(resolve, retryDelayMs * attempt)
+        );
+      }
+    }
+  }
+
+  async function answer(sessionId, inbound) {
+    if (inbound.text === null) {
+      const state = await sessions.get(sessionId);
+      const locale = state ? state.locale : undefined;
+      return { reply: translate(locale, 'whatsapp.unsupported'), locale };
+    }
+    try {
+      return await runTurn(sessionId, { message: inbound.text });
+    } catch (err) {
+      console.error('WhatsApp turn error', err);
+      return { reply: translate(undefined, 'server.error') };
+    }
+  }
+
+  async function handle(inbound) {
+    const out = await answer(sessionIdOf(inbound.from), inbound);
+    const t = key => translate(out.locale, key);
+    for (const message of renderReply(out, t)) {
+      await deliver(inbound.from, message);
+    }
+  }
+
+  return {
+    transport: transport.name,
+
+    /**
+     * Handles the messages of a webhook notification. Resolves once every
+     * reply has been sent (or given up on) with the number of messages
+     * handled; already-seen messages and receipts are skipped.
+     * @param {object} payload  the parsed webhook body
+     * @returns {Promise<number>}
+     */
+    receive(payload) {
+      const jobs = parseWebhook(payload)
+        .filter(inbound => firstSeen(inbound.id))
+        .map(inbound => {
+          const previous = queues.get(inbound.from) || Promise.resolve();
+          const job = previous
+            .then(() => handle(inbound))
+            .catch(err =>
+              console.error(`WhatsApp reply to +${inbound.from} failed`, err)
+            );
+          queues.set(inbound.from, job);
+          job.then(() => {
+            if (queues.get(inbound.from) === job) queues.delete(inbound.from);
+          });
+          return job;
+        });
+      return Promise.all(jobs).then(() => jobs.length);
+    }
+  };
+}
+
+module.exports = { createWhatsAppAdapter, sessionIdOf };
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * @typedef {Object} InboundMessage
+ * @property {string} id        WhatsApp message ID (wamid.…)
+ * @property {string} from      sender's number, digits only with country code
+ * @property {string} name      sender's profile name, when sent
+ * @property {string} type      text, interactive, button, image, …
+ * @property {string|null} text what the flow gets: the typed text, or the id
+ *   of the tapped button or list row. null for media and other types the
+ *   bot cannot read.
+ */
+
+// Tapped reply buttons and list rows carry the option id we sent
+function readInteractive(interactive) {
+  const reply =
+    (interactive && (interactive.button_reply || interactive.list_reply)) ||
+    null;
+  return { text: reply ? reply.id : null };
+}
+
+function readMessage(message) {
+  switch (message.type) {
+    case 'text':
+      return { text: (message.text && message.text.body) || '' };
+    case 'interactive':
+      return readInteractive(message.interactive);
+    // Quick-reply button of a template message
+    case 'button':
+      return { text: message.button ? message.button.payload : null };
+    default:
+      return { text: null };
+  }
+}
+
+/**
+ * Incoming messages of a Cloud API webhook notification, in the order they
+ * were listed. Delivery and read receipts (`statuses`) are skipped.
+ * @param {object} payload  the parsed webhook body
+ * @returns {InboundMessage[]}
+ */
+function parseWebhook(payload) {
+  if (!payload || payload.object !== 'whatsapp_business_account') return [];
+  const out = [];
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.field === 'messages' && change.value;
+      if (!value) continue;
+      const names = new Map(
+        (value.contacts || []).map(c => [c.wa_id, (c.profile || {}).name])
+      );
+      for (const message of value.messages || []) {
+        if (!message || !message.id || !message.from) continue;
+        out.push({
+          id: message.id,
+          from: String(message.from),
+          name: names.get(message.from) || '',
+          type: message.type,
+          ...readMessage(message)
+        });
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = { parseWebhook };
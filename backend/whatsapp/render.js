@@ -0,0 +1,167 @@
+'use strict';
+
+const path = require('path');
+const { choicesOf, linksOf, imagesOf } = require('../channels/hints');
+
+// Cloud API limits, in characters
+const LIMITS = {
+  text: 4096,
+  body: 1024,
+  buttons: 3,
+  buttonTitle: 20,
+  rows: 10,
+  rowTitle: 24,
+  rowDescription: 72,
+  listButton: 20,
+  caption: 1024
+};
+
+// Counted in characters so an emoji is never cut in half
+function clip(value, max) {
+  const chars = Array.from(String(value));
+  return chars.length <= max
+    ? chars.join('')
+    : `${chars.slice(0, max - 1).join('')}…`;
+}
+
+// Long replies are split at line breaks where possible
+function splitText(text, max = LIMITS.text) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > max) {
+    const cut = rest.lastIndexOf('\n', max);
+    const at = cut > 0 ? cut : max;
+    parts.push(rest.slice(0, at));
+    rest = rest.slice(at).replace(/^\n/, '');
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Buttons only when every label fits; a list row has room for more
+function fitsButtons(choices) {
+  return (
+    choices.length <= LIMITS.buttons &&
+    choices.every(c => Array.from(c.label).length <= LIMITS.buttonTitle)
+  );
+}
+
+function textMessage(body) {
+  return { type: 'text', text: { body } };
+}
+
+function buttonsMessage(body, choices) {
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text: clip(body, LIMITS.body) },
+      action: {
+        buttons: choices.map(choice => ({
+          type: 'reply',
+          reply: { id: choice.id, title: choice.label }
+        }))
+      }
+    }
+  };
+}
+
+// Labels too long for a row title are repeated in full as its description
+function listMessage(body, button, choices) {
+  const rows = choices.map(choice => {
+    const title = clip(choice.label, LIMITS.rowTitle);
+    return title === choice.label
+      ? { id: choice.id, title }
+      : {
+          id: choice.id,
+          title,
+          description: clip(choice.label, LIMITS.rowDescription)
+        };
+  });
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      body: { text: clip(body, LIMITS.body) },
+      action: {
+        button: clip(button, LIMITS.listButton),
+        sections: [{ rows }]
+      }
+    }
+  };
+}
+
+// Documents are fetched by WhatsApp, so only absolute links can be sent
+function documentMessage({ label, url }) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (err) {
+    return null;
+  }
+  return {
+    type: 'document',
+    document: {
+      link: url,
+      filename: path.posix.basename(pathname),
+      caption: clip(label || '', LIMITS.caption)
+    }
+  };
+}
+
+// Images are fetched by WhatsApp too, and must be PNG or JPEG
+function imageMessage({ label, url }) {
+  return {
+    type: 'image',
+    image: { link: url, caption: clip(label || '', LIMITS.caption) }
+  };
+}
+
+/**
+ * Turns a chat engine reply into Cloud API message bodies (without `to`),
+ * sent in order:
+ *
+ * - up to 3 short choices become reply buttons; otherwise they go in list
+ *   messages of at most 10 rows each. Tapping one sends its option id back.
+ * - `download`/`downloads` links become document messages, and the QR
+ *   code of a UPI payment an image message.
+ * - everything else is text, split to fit. Forms never get here: the
+ *   channel layer (channels/) asks them as text.
+ *
+ * The reply is the body of the interactive message when it fits; otherwise
+ * it goes first as text.
+ * @param {{ reply: string, ui?: object }} out  as returned by engine.handle()
+ * @param {(key: string) => string} t  translates in the session's locale
+ * @returns {object[]}
+ */
+function renderReply({ reply, ui }, t) {
+  const messages = [];
+  const choices = choicesOf(ui, t);
+  const text = reply || '';
+  let body = text;
+  if (choices.length === 0 || !text || text.length > LIMITS.body) {
+    messages.push(...splitText(text).map(textMessage));
+    body = (ui && ui.title) || t('whatsapp.choose');
+  }
+  if (choices.length > 0 && fitsButtons(choices)) {
+    messages.push(buttonsMessage(body, choices));
+  } else {
+    for (let i = 0; i < choices.length; i += LIMITS.rows) {
+      messages.push(
+        listMessage(
+          i === 0 ? body : t('whatsapp.more'),
+          t('whatsapp.menu'),
+          choices.slice(i, i + LIMITS.rows)
+        )
+      );
+    }
+  }
+  for (const document of linksOf(ui)) {
+    const message = documentMessage(document);
+    if (message) messages.push(message);
+  }
+  messages.push(...imagesOf(ui, t).map(imageMessage));
+  return messages;
+}
+
+module.exports = { renderReply };
@@ -0,0 +1,27 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Checks the `X-Hub-Signature-256` header sent with every WhatsApp webhook:
+ * `sha256=<hex HMAC-SHA256 of the raw body, keyed with the app secret>`.
+ * It covers the raw bytes, so re-serialising the parsed JSON will not do.
+ * @param {Buffer} rawBody
+ * @param {string} header
+ * @param {string} appSecret
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, header, appSecret) {
+  if (!appSecret || !Buffer.isBuffer(rawBody) || typeof header !== 'string') {
+    return false;
+  }
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(header.trim());
+  if (!match) return false;
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(match[1], 'hex'));
+}
+
+module.exports = { verifySignature };
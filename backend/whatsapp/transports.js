@@ -0,0 +1,117 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} WhatsAppTransport
+ * @property {string} name
+ * @property {(to: string, message: object) => Promise<{ id: string }>} send
+ *   `message` is a Cloud API message body without `to`. Rejects with
+ *   `err.permanent` set when retrying cannot help.
+ */
+
+/**
+ * Failed sends carry the HTTP status, if there was a response. `permanent`
+ * is set for 4xx other than rate limiting: the request will fail the same
+ * way again.
+ */
+function whatsappError(message, status = null) {
+  const err = new Error(message);
+  err.code = 'WHATSAPP_ERROR';
+  err.status = status;
+  err.permanent = Boolean(status && status < 500 && status !== 429);
+  return err;
+}
+
+/**
+ * Local development stand-in for the Cloud API: every message is appended
+ * to a JSON-lines file and summed up on the console.
+ * @param {{ file: string, log?: boolean }} options
+ * @returns {WhatsAppTransport}
+ */
+function createOutboxTransport({ file, log = true }) {
+  let sequence = 0;
+  return {
+    name: 'outbox',
+    async send(to, message) {
+      sequence += 1;
+      const id = `outbox.${Date.now().toString(36)}.${sequence}`;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const line = { id, to, ...message, at: new Date().toISOString() };
+      fs.appendFileSync(file, `${JSON.stringify(line)}\n`);
+      if (log) {
+        const kind = message.interactive
+          ? `${message.type}/${message.interactive.type}`
+          : message.type;
+        console.log(`WhatsApp -> +${to}: ${kind}`);
+      }
+      return { id };
+    }
+  };
+}
+
+/**
+ * Sends through the WhatsApp Cloud API (`POST <apiUrl>/<phone number
+ * id>/messages`).
+ * @param {{ apiUrl: string, phoneNumberId: string, accessToken: string }} options
+ * @returns {WhatsAppTransport}
+ */
+function createCloudTransport({ apiUrl, phoneNumberId, accessToken }) {
+  if (!phoneNumberId || !accessToken) {
+    throw new Error(
+      'WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN are required for the cloud transport'
+    );
+  }
+  const endpoint = `${apiUrl}/${encodeURIComponent(phoneNumberId)}/messages`;
+  return {
+    name: 'cloud',
+    async send(to, message) {
+      let res;
+      try {
+        res = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            messaging_product: 'whatsapp',
+            recipient_type: 'individual',
+            to,
+            ...message
+          })
+        });
+      } catch (err) {
+        throw whatsappError(err.message);
+      }
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const detail = (body.error && body.error.message) || res.statusText;
+        throw whatsappError(
+          `WhatsApp API ${res.status}: ${detail}`,
+          res.status
+        );
+      }
+      return { id: ((body.messages || [])[0] || {}).id || '' };
+    }
+  };
+}
+
+/**
+ * @param {{ transport: 'outbox'|'cloud', outboxFile: string, apiUrl: string, phoneNumberId: string, accessToken: string }} config
+ * @returns {WhatsAppTransport}
+ */
+function createTransport(config) {
+  if (config.transport === 'outbox') {
+    return createOutboxTransport({ file: config.outboxFile });
+  }
+  if (config.transport === 'cloud') return createCloudTransport(config);
+  throw new Error(`Unknown WhatsApp transport "${config.transport}"`);
+}
+
+module.exports = {
+  createTransport,
+  createOutboxTransport,
+  createCloudTransport
+};
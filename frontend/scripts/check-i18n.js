@@ -0,0 +1,34 @@
+// Fails when a locale is missing keys, has keys English does not, or uses
+// different {placeholders} than English. Run with `npm run check:i18n`.
+
+import { DEFAULT_LOCALE, MESSAGES } from '../src/i18n.js';
+
+const placeholders = text =>
+  [...String(text).matchAll(/\{(\w+)\}/g)]
+    .map(m => m[1])
+    .sort()
+    .join(',');
+
+const base = MESSAGES[DEFAULT_LOCALE];
+let failed = false;
+
+for (const [locale, catalog] of Object.entries(MESSAGES)) {
+  if (locale === DEFAULT_LOCALE) continue;
+  const report = {
+    'missing keys': Object.keys(base).filter(key => !(key in catalog)),
+    'keys not in en': Object.keys(catalog).filter(key => !(key in base)),
+    'placeholders differ from en': Object.keys(catalog).filter(
+      key =>
+        key in base && placeholders(catalog[key]) !== placeholders(base[key])
+    )
+  };
+  for (const [label, keys] of Object.entries(report)) {
+    if (keys.length === 0) continue;
+    failed = true;
+    console.error(`${locale}: ${label}`);
+    for (const key of keys) console.error(`  - ${key}`);
+  }
+}
+
+if (failed) process.exit(1);
+console.log('All label catalogs are complete.');
@@ -1,22 +1,33 @@
 import React, { useEffect, useRef, useState } from 'react';
+import {
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  formatCurrencyInr,
+  translate
+} from './i18n.js';
 
 const BACKEND_URL =
   import.meta.env.VITE_BACKEND_URL || 'https://amazon-pay-bot.onrender.com';
 
 // import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
 
-function MessageBubble({ author, text }) {
+// Payment attempts that can still be paid, and how often a UPI QR's
+// attempt is polled
+const OPEN_PAYMENT = ['created', 'pending'];
+const UPI_POLL_MS = 3000;
+
+function MessageBubble({ author, text, t }) {
   const isBot = author === 'bot';
   return (
     <div className={`row ${isBot ? 'left' : 'right'}`}>
       <div className={`bubble ${isBot ? 'bot' : 'user'}`}>
-        {renderTextWithLinks(text)}
+        {renderTextWithLinks(text, t)}
       </div>
     </div>
   );
 }
 
-function renderTextWithLinks(text) {
+function renderTextWithLinks(text, t) {
   if (!text) return null;
   const urlRegex = /(https?:\/\/[^\s]+)/g;
   const parts = String(text).split(urlRegex);
@@ -24,7 +35,7 @@ function renderTextWithLinks(text) {
     if (urlRegex.test(part)) {
       const href = part;
       const display = href.includes('/gift/')
-        ? 'Open gift'
+        ? t('chat.openGift')
         : href.length > 40
         ? href.slice(0, 38) + '…'
         : href;
@@ -56,25 +67,80 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [ui, setUi] = useState(null);
   const [showPicker, setShowPicker] = useState(false);
+  // Field errors from the last form submission and the values that were sent
+  const [formErrors, setFormErrors] = useState(null);
+  const [formDraft, setFormDraft] = useState(null);
+  // Follows the server's locale; a locale picked in the header is sent with
+  // the next message so the bot switches too
+  const [locale, setLocale] = useState(
+    () => localStorage.getItem('locale') || DEFAULT_LOCALE
+  );
+  const [pickedLocale, setPickedLocale] = useState(null);
+  const t = (key, params) => translate(locale, key, params);
   const bottomRef = useRef(null);
+  // Status of the shown UPI QR's attempt, as last polled
+  const [upiStatus, setUpiStatus] = useState(null);
+  const sendRef = useRef(null);
 
   // No auto-start: user should type 'hi' to begin
 
+  function applyLocale(next) {
+    if (!next) return;
+    setLocale(next);
+    localStorage.setItem('locale', next);
+  }
+
   useEffect(() => {
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  // Load existing session id to preserve conversations across refresh
+  // Restore the conversation after a refresh: rebuild the chat from the
+  // server transcript and re-show the last prompt's ui
   useEffect(() => {
     const saved = localStorage.getItem('sessionId');
-    if (saved) setSessionId(saved);
+    if (!saved) return;
+    setSessionId(saved);
+    let cancelled = false;
+    (async () => {
+      try {
+        // The token the server handed out with the session proves this
+        // browser started it
+        const token = localStorage.getItem('sessionToken') || '';
+        const res = await fetch(
+          `${BACKEND_URL}/sessions/${encodeURIComponent(saved)}/transcript`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (res.status === 404) {
+          // Session expired on the server; start fresh next time
+          localStorage.removeItem('sessionId');
+          localStorage.removeItem('sessionToken');
+          if (!cancelled) setSessionId(null);
+          return;
+        }
+        if (!res.ok) return;
+        const { turns = [], locale: savedLocale } = await res.json();
+        if (cancelled) return;
+        applyLocale(savedLocale);
+        setMessages(
+          turns.map(turn => ({
+            author: turn.role === 'user' ? 'user' : 'bot',
+            text: turn.text
+          }))
+        );
+        const lastBot = [...turns].reverse().find(turn => turn.role === 'bot');
+        setUi(lastBot?.ui || null);
+      } catch (e) {
+        // Keep the empty chat; the session id still resumes the flow
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  async function sendMessage(manualText) {
-    const text = (manualText ?? input).trim();
-    if (!text || loading) return;
-    if (manualText === undefined) setInput('');
-    const next = [...messages, { author: 'user', text }];
+  async function postChat(body, userText) {
+    if (loading) return;
+    const next = [...messages, { author: 'user', text: userText }];
     setMessages(next);
     setLoading(true);
     try {
@@ -83,7 +149,11 @@ export default function App() {
       const res = await fetch(`${BACKEND_URL}/chat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ sessionId, message: text }),
+        body: JSON.stringify({
+          sessionId,
+          ...(pickedLocale ? { locale: pickedLocale } : {}),
+          ...body
+        }),
         signal: controller.signal
       });
       clearTimeout(timer);
@@ -93,19 +163,71 @@ export default function App() {
       const data = await res.json();
       setSessionId(data.sessionId || sessionId);
       if (data.sessionId) localStorage.setItem('sessionId', data.sessionId);
+      // Only sent with the turn that started the session
+      if (data.sessionToken) {
+        localStorage.setItem('sessionToken', data.sessionToken);
+      }
+      applyLocale(data.locale);
+      setPickedLocale(null);
       setUi(data.ui || null);
-      setShowPicker(false);
+      setFormErrors(data.errors || null);
+      // Re-open the form straight away so field errors show inline
+      setShowPicker(Boolean(data.errors && data.ui));
       setMessages([...next, { author: 'bot', text: data.reply }]);
     } catch (e) {
       setMessages([
         ...next,
-        { author: 'bot', text: 'Error talking to server.' }
+        { author: 'bot', text: t('chat.error') }
       ]);
     } finally {
       setLoading(false);
     }
   }
 
+  // Nothing is sent (and nothing returned) while another turn is in flight
+  function sendMessage(manualText) {
+    const text = (manualText ?? input).trim();
+    if (!text || loading) return;
+    if (manualText === undefined) setInput('');
+    return postChat({ message: text }, text);
+  }
+  sendRef.current = sendMessage;
+
+  // A UPI QR is paid outside the chat, so poll its attempt and check in
+  // with the bot once the gateway has settled it. Polling goes on until the
+  // check-in is actually sent: a turn still in flight defers it a tick.
+  useEffect(() => {
+    if (ui?.kind !== 'upiQr' || !ui.statusUrl) return undefined;
+    setUpiStatus(ui.status);
+    if (!OPEN_PAYMENT.includes(ui.status)) return undefined;
+    let cancelled = false;
+    const timer = setInterval(async () => {
+      try {
+        const res = await fetch(ui.statusUrl);
+        if (!res.ok || cancelled) return;
+        const { status } = await res.json();
+        setUpiStatus(status);
+        if (OPEN_PAYMENT.includes(status)) return;
+        if (!sendRef.current('paid')) return;
+        clearInterval(timer);
+        setShowPicker(false);
+        setUi(null);
+      } catch (e) {
+        // Try again on the next tick
+      }
+    }, UPI_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [ui]);
+
+  // Structured form submission: `{ action, data }` instead of a chat string
+  function sendAction(action, data, userText) {
+    setFormDraft(data);
+    return postChat({ action, data, label: userText }, userText);
+  }
+
   function handleKeyDown(e) {
     if (e.key === 'Enter') {
       e.preventDefault();
@@ -132,18 +254,32 @@ export default function App() {
                 alt='verified'
               />
             </div>
-            <div className='wa-subtitle'>online</div>
+            <div className='wa-subtitle'>{t('header.online')}</div>
           </div>
+          <select
+            className='wa-locale'
+            aria-label={t('header.language')}
+            value={pickedLocale || locale}
+            onChange={e => {
+              applyLocale(e.target.value);
+              setPickedLocale(e.target.value);
+            }}>
+            {Object.entries(LOCALE_NAMES).map(([id, name]) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
         </div>
         <div className='wa-chat'>
           {messages.length === 0 && (
-            <div className='hint'>Type "hi" to start the gift card flow.</div>
+            <div className='hint'>{t('chat.hint')}</div>
           )}
           {messages.map((m, i) => (
-            <MessageBubble key={i} author={m.author} text={m.text} />
+            <MessageBubble key={i} author={m.author} text={m.text} t={t} />
           ))}
           {loading && messages[messages.length - 1]?.author === 'user' && (
-            <MessageBubble author='bot' text='typing…' />
+            <MessageBubble author='bot' text={t('chat.typing')} t={t} />
           )}
           <div ref={bottomRef} />
           {ui &&
@@ -152,6 +288,7 @@ export default function App() {
             ui.kind !== 'downloads' && (
               <ActionBubble
                 ui={ui}
+                t={t}
                 sendMessage={sendMessage}
                 setUi={setUi}
                 onOpen={(kind, payload) => {
@@ -170,6 +307,7 @@ export default function App() {
           {ui?.kind === 'downloads' && !showPicker && (
             <DownloadsBubble
               items={ui.items}
+              t={t}
               onContinue={() => sendMessage('continue')}
             />
           )}
@@ -177,17 +315,18 @@ export default function App() {
             <DownloadsBubble
               items={[
                 {
-                  label: ui.label || 'Download',
-                  url: ui.url || '/gst-invoice.pdf'
+                  label: ui.label || t('common.download'),
+                  url: ui.url
                 }
               ]}
+              t={t}
               onContinue={() => sendMessage('continue')}
             />
           )}
         </div>
         {ui?.kind === 'buyerTypeOptions' && showPicker && (
           <Modal
-            title='Who are you buying for?'
+            title={t('modal.buyerType')}
             onClose={() => setShowPicker(false)}>
             <div className='option-grid'>
               {ui.options?.map(o => (
@@ -208,7 +347,7 @@ export default function App() {
 
         {ui?.kind === 'options' && showPicker && (
           <Modal
-            title={ui.title || 'Select an option'}
+            title={ui.title || t('modal.selectOption')}
             onClose={() => setShowPicker(false)}>
             <div className='option-grid'>
               {ui.options?.map(o => (
@@ -227,62 +366,65 @@ export default function App() {
           </Modal>
         )}
 
-        {ui?.kind === 'bizLeadForm' && showPicker && (
-          <Modal title='Business details' onClose={() => setShowPicker(false)}>
-            <BizLeadForm
-              onSubmit={data => {
-                setShowPicker(false);
-                setUi(null);
-                // Send single batch payload to backend to avoid multiple chat lines
-                const payload = `lead|${data.name}|${data.company}|${
-                  data.email
-                }|${data.phone}|${data.gstin || 'skip'}`;
-                sendMessage(payload);
-              }}
-            />
-          </Modal>
-        )}
-
         {ui?.kind === 'bizVerificationForm' && showPicker && (
           <Modal
-            title='Business Verification'
+            title={t('modal.bizVerification')}
             onClose={() => setShowPicker(false)}>
             <BizVerificationForm
+              t={t}
+              initial={formErrors ? formDraft : null}
+              serverErrors={formErrors}
               onSubmit={data => {
                 setShowPicker(false);
                 setUi(null);
-                // Send single batch payload to backend to avoid multiple chat lines
-                const payload = `lead|${data.fullName}|${data.company}|${data.phone}|${data.email}|${data.gstin}|${data.bankAccount}|${data.ifsc}`;
-                sendMessage(payload);
+                sendAction(
+                  'verifyBusiness',
+                  data,
+                  t('action.bizDetailsSubmitted')
+                );
               }}
             />
           </Modal>
         )}
 
         {ui?.kind === 'bizOrderForm' && showPicker && (
-          <Modal title='Order Details' onClose={() => setShowPicker(false)}>
+          <Modal
+            title={t('modal.orderDetails')}
+            onClose={() => setShowPicker(false)}>
             <BizOrderForm
+              t={t}
+              locale={locale}
+              limits={ui.limits}
+              initial={formErrors ? formDraft : null}
+              serverErrors={formErrors}
               onSubmit={data => {
                 setShowPicker(false);
                 setUi(null);
-                // Send new format with multiple orders
-                const payload = `orders|${JSON.stringify(data.orders)}|${
-                  data.total
-                }`;
-                sendMessage(payload);
+                sendAction(
+                  'submitOrderLines',
+                  { lines: data.lines },
+                  t('action.orderDetails', {
+                    count: data.lines.length,
+                    total: formatCurrencyInr(data.total, locale)
+                  })
+                );
               }}
             />
           </Modal>
         )}
 
         {ui?.kind === 'bizDeliveryForm' && showPicker && (
-          <Modal title='Delivery Email' onClose={() => setShowPicker(false)}>
+          <Modal
+            title={t('modal.deliveryEmail')}
+            onClose={() => setShowPicker(false)}>
             <BizDeliveryForm
-              email={ui.email}
+              t={t}
+              email={formErrors ? formDraft?.email : ui.email}
+              serverErrors={formErrors}
               onSubmit={data => {
                 setShowPicker(false);
                 setUi(null);
-                sendMessage(data.email);
+                sendAction('setDeliveryEmail', data, data.email);
               }}
             />
           </Modal>
@@ -290,7 +432,7 @@ export default function App() {
 
         {ui?.kind === 'occasionOptions' && showPicker && (
           <Modal
-            title='Select an occasion'
+            title={t('modal.occasion')}
             onClose={() => setShowPicker(false)}>
             <div className='option-grid'>
               {ui.options?.map(o => (
@@ -306,26 +448,26 @@ export default function App() {
                 </button>
               ))}
             </div>
-            <div className='muted small'>
-              Choose "Other (custom)" to type your own.
-            </div>
+            <div className='muted small'>{t('modal.occasionHint')}</div>
           </Modal>
         )}
 
         {ui?.kind === 'templatePicker' && showPicker && (
-          <Modal title='Choose a template' onClose={() => setShowPicker(false)}>
+          <Modal
+            title={t('modal.template')}
+            onClose={() => setShowPicker(false)}>
             <div className='template-grid'>
-              {ui.templates?.map(t => (
+              {ui.templates?.map(tpl => (
                 <div
-                  key={t.id}
+                  key={tpl.id}
                   className='template-card'
                   onClick={() => {
                     setShowPicker(false);
                     setUi(null);
-                    sendMessage(`template:${t.id}`);
+                    sendAction('pickTemplate', { templateId: tpl.id }, tpl.label);
                   }}>
-                  <img src={t.imageUrl} alt={t.label} />
-                  <div className='template-label'>{t.label}</div>
+                  <img src={tpl.imageUrl} alt={tpl.label} />
+                  <div className='template-label'>{tpl.label}</div>
                 </div>
               ))}
             </div>
@@ -335,6 +477,7 @@ export default function App() {
         {ui?.kind === 'amountOptions' && showPicker && (
           <AmountModal
             ui={ui}
+            t={t}
             onSelect={val => {
               setShowPicker(false);
               setUi(null);
@@ -345,7 +488,9 @@ export default function App() {
         )}
 
         {ui?.kind === 'confirm' && showPicker && (
-          <Modal title='Confirm order' onClose={() => setShowPicker(false)}>
+          <Modal
+            title={t('modal.confirm')}
+            onClose={() => setShowPicker(false)}>
             {ui.details && (
               <div className='confirm-wrap'>
                 {ui.details.templateImageUrl && (
@@ -357,20 +502,25 @@ export default function App() {
                 )}
                 <div className='confirm-list'>
                   <div>
-                    <strong>Occasion:</strong> {ui.details.occasion}
+                    <strong>{t('confirm.occasion')}</strong> {ui.details.occasion}
                   </div>
                   <div>
-                    <strong>Template:</strong> {ui.details.templateLabel}
+                    <strong>{t('confirm.template')}</strong>{' '}
+                    {ui.details.templateLabel}
                   </div>
                   <div>
-                    <strong>Amount:</strong> ₹{ui.details.amount}
+                    <strong>{t('confirm.amount')}</strong>{' '}
+                    {formatCurrencyInr(ui.details.amount, locale)}
                   </div>
                   <div>
-                    <strong>Recipient:</strong> {ui.details.recipientEmail}
+                    <strong>{t('confirm.recipient')}</strong>{' '}
+                    {[ui.details.recipientEmail, ui.details.recipientPhone]
+                      .filter(Boolean)
+                      .join(', ')}
                   </div>
                   <div>
-                    <strong>Message:</strong>{' '}
-                    {ui.details.personalMessage || '(none)'}
+                    <strong>{t('confirm.message')}</strong>{' '}
+                    {ui.details.personalMessage || t('common.none')}
                   </div>
                 </div>
               </div>
@@ -383,7 +533,7 @@ export default function App() {
                   setUi(null);
                   sendMessage('confirm');
                 }}>
-                Confirm
+                {t('confirm.confirm')}
               </button>
               <button
                 className='cancel'
@@ -392,7 +542,7 @@ export default function App() {
                   setUi(null);
                   sendMessage('cancel');
                 }}>
-                Cancel
+                {t('confirm.cancel')}
               </button>
             </div>
           </Modal>
@@ -400,11 +550,11 @@ export default function App() {
 
         {ui?.kind === 'uploadPO' && showPicker && (
           <Modal
-            title='Upload Purchase Order'
+            title={t('modal.uploadPo')}
             onClose={() => setShowPicker(false)}>
             <div className='upload-box'>
               <div className='upload-icon'>📄</div>
-              <div className='muted small'>Select a PDF file to upload</div>
+              <div className='muted small'>{t('upload.hint')}</div>
               <div
                 className='button-row'
                 style={{ justifyContent: 'flex-end', marginTop: 10 }}>
@@ -419,7 +569,7 @@ export default function App() {
                       file.name.toLowerCase().endsWith('.pdf');
                     const under10mb = file.size <= 10 * 1024 * 1024;
                     if (!isPdf || !under10mb) {
-                      alert('Please select a PDF file under 10 MB.');
+                      alert(t('upload.invalid'));
                       return;
                     }
                     // In this mock, we just notify backend that PO is uploaded
@@ -435,28 +585,65 @@ export default function App() {
 
         {ui?.kind === 'payment' && showPicker && (
           <Modal
-            title='Mock Payment Gateway'
+            title={t('modal.payment')}
             onClose={() => setShowPicker(false)}>
             <PaymentForm
-              onSubmit={() => {
+              t={t}
+              ui={ui}
+              utr={formErrors ? formDraft?.utr : ui.utr}
+              serverErrors={formErrors}
+              onSubmitUtr={data => {
+                setShowPicker(false);
+                setUi(null);
+                sendAction('submitUtr', data, data.utr);
+              }}
+              onCheck={() => {
                 setShowPicker(false);
                 setUi(null);
                 sendMessage('paid');
               }}
+              onRetry={() => {
+                setShowPicker(false);
+                setUi(null);
+                sendMessage('retry');
+              }}
+            />
+          </Modal>
+        )}
+
+        {ui?.kind === 'upiQr' && showPicker && (
+          <Modal
+            title={t('modal.upiQr')}
+            onClose={() => setShowPicker(false)}>
+            <UpiQrForm
+              t={t}
+              ui={ui}
+              status={upiStatus || ui.status}
+              onCheck={() => {
+                setShowPicker(false);
+                setUi(null);
+                sendMessage('paid');
+              }}
+              onRetry={() => {
+                setShowPicker(false);
+                setUi(null);
+                sendMessage('retry');
+              }}
             />
           </Modal>
         )}
 
         {ui?.kind === 'download' && showPicker && (
-          <Modal title='Invoice' onClose={() => setShowPicker(false)}>
+          <Modal title={t('modal.invoice')} onClose={() => setShowPicker(false)}>
             <div className='download-box'>
               <div className='pdf-preview'>📄</div>
-              <a
-                className='download-link'
-                href={ui.url || '/invoice.pdf'}
-                download>
-                {ui.label || 'Download'}
-              </a>
+              {ui.url ? (
+                <a className='download-link' href={ui.url} download>
+                  {ui.label || t('common.download')}
+                </a>
+              ) : (
+                <DownloadMissing t={t} />
+              )}
             </div>
           </Modal>
         )}
@@ -469,13 +656,13 @@ export default function App() {
           }}>
           <input
             type='text'
-            placeholder='Type a message'
+            placeholder={t('chat.placeholder')}
             value={input}
             onChange={e => setInput(e.target.value)}
             onKeyDown={handleKeyDown}
           />
           <button type='submit' disabled={!input.trim()}>
-            Send
+            {t('chat.send')}
           </button>
         </form>
       </div>
@@ -499,7 +686,7 @@ function Modal({ title, children, onClose }) {
   );
 }
 
-function AmountModal({ ui, onSelect, onClose }) {
+function AmountModal({ ui, t, onSelect, onClose }) {
   const [custom, setCustom] = useState('');
   function submitCustom() {
     const val = custom.trim();
@@ -507,7 +694,7 @@ function AmountModal({ ui, onSelect, onClose }) {
     onSelect(val);
   }
   return (
-    <Modal title='Select amount' onClose={onClose}>
+    <Modal title={t('modal.amount')} onClose={onClose}>
       <div className='option-grid'>
         {ui.options
           ?.filter(o => o.id !== 'custom')
@@ -524,82 +711,30 @@ function AmountModal({ ui, onSelect, onClose }) {
         <input
           type='number'
           min={500}
-          placeholder='Enter custom amount (₹)'
+          placeholder={t('amount.customPlaceholder')}
           value={custom}
           onChange={e => setCustom(e.target.value)}
           onKeyDown={e => {
             if (e.key === 'Enter') submitCustom();
           }}
         />
-        <button onClick={submitCustom}>Submit</button>
+        <button onClick={submitCustom}>{t('common.submit')}</button>
       </div>
     </Modal>
   );
 }
 
-function BizLeadForm({ onSubmit }) {
-  const [name, setName] = useState('');
-  const [company, setCompany] = useState('');
-  const [email, setEmail] = useState('');
-  const [phone, setPhone] = useState('');
-  const [gstin, setGstin] = useState('');
-  return (
-    <form
-      className='lead-form'
-      onSubmit={e => {
-        e.preventDefault();
-        onSubmit({ name, company, email, phone, gstin });
-      }}>
-      <label>Full Name</label>
-      <input value={name} onChange={e => setName(e.target.value)} required />
-      <label>Company Name</label>
-      <input
-        value={company}
-        onChange={e => setCompany(e.target.value)}
-        required
-      />
-      <label>Official Email ID</label>
-      <input
-        type='email'
-        value={email}
-        onChange={e => setEmail(e.target.value)}
-        required
-      />
-      <label>Phone Number</label>
-      <input
-        inputMode='numeric'
-        value={phone}
-        onChange={e => setPhone(e.target.value)}
-        required
-      />
-      <label>Business GSTIN (optional)</label>
-      <input
-        value={gstin}
-        onChange={e => setGstin(e.target.value)}
-        placeholder='Type skip if not available'
-      />
-      <div
-        className='button-row'
-        style={{ justifyContent: 'flex-end', marginTop: 8 }}>
-        <button className='confirm' type='submit'>
-          Submit
-        </button>
-      </div>
-    </form>
-  );
-}
-
-function BizVerificationForm({ onSubmit }) {
-  const [fullName, setFullName] = useState('');
+function BizVerificationForm({ t, initial, serverErrors, onSubmit }) {
+  const [fullName, setFullName] = useState(initial?.fullName || '');
   const [companyName, setCompanyName] = useState(' ABC Private limited');
-  const [phone, setPhone] = useState('');
-  const [email, setEmail] = useState('');
-  const [gstin, setGstin] = useState('');
-  const [bankAccount, setBankAccount] = useState('');
-  const [ifsc, setIfsc] = useState('');
+  const [phone, setPhone] = useState(initial?.phone || '');
+  const [email, setEmail] = useState(initial?.email || '');
+  const [gstin, setGstin] = useState(initial?.gstin || '');
+  const [bankAccount, setBankAccount] = useState(initial?.bankAccount || '');
+  const [ifsc, setIfsc] = useState(initial?.ifsc || '');
   const [step, setStep] = useState(1);
   const [error, setError] = useState('');
-  const [fieldErrors, setFieldErrors] = useState({});
+  const [fieldErrors, setFieldErrors] = useState(serverErrors || {});
 
   const patterns = {
     email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
@@ -611,21 +746,20 @@ function BizVerificationForm({ onSubmit }) {
 
   const validateStep1 = () => {
     const errs = {};
-    if (!fullName.trim()) errs.fullName = 'Full name is required';
+    if (!fullName.trim()) errs.fullName = t('error.fullName');
     if (!patterns.phone.test(String(phone).replace(/\s|-/g, '')))
-      errs.phone = 'Enter valid phone (10-15 digits)';
+      errs.phone = t('error.phone');
     if (!patterns.email.test(String(email).toLowerCase()))
-      errs.email = 'Enter a valid official email';
+      errs.email = t('error.email');
     if (!patterns.gstin.test(String(gstin).toUpperCase()))
-      errs.gstin = 'Enter a valid 15-char GSTIN';
+      errs.gstin = t('error.gstin');
     const zeros = (gstin || '').match(/0/g) || [];
     if (zeros.length >= 4)
-      errs.gstin =
-        'Cannot verify. GSTIN looks invalid. Please enter correct details.';
+      errs.gstin = t('error.gstinUnverified');
     if (!patterns.bankAccount.test(String(bankAccount)))
-      errs.bankAccount = 'Account number must be 8-20 digits';
+      errs.bankAccount = t('error.bankAccount');
     if (!patterns.ifsc.test(String(ifsc).toUpperCase()))
-      errs.ifsc = 'Enter a valid IFSC (e.g., HDFC0001234)';
+      errs.ifsc = t('error.ifsc');
     setFieldErrors(errs);
     return Object.keys(errs).length === 0;
   };
@@ -634,7 +768,7 @@ function BizVerificationForm({ onSubmit }) {
     e.preventDefault();
     if (step === 1) {
       if (!validateStep1()) {
-        setError('Please correct the highlighted fields and try again.');
+        setError(t('error.fixFields'));
         setStep(3); // Error step
         return;
       }
@@ -643,7 +777,7 @@ function BizVerificationForm({ onSubmit }) {
     } else if (step === 2) {
       onSubmit({
         fullName,
-        company: companyName,
+        company: companyName.trim(),
         phone,
         email,
         gstin,
@@ -672,7 +806,7 @@ function BizVerificationForm({ onSubmit }) {
             fontWeight: '600'
             // color: '#333'
           }}>
-          ✅ Successfully verified your business
+          {t('verify.success')}
         </h3>
 
         <div style={{ marginBottom: '16px' }}>
@@ -683,7 +817,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            Full Name:
+            {t('verify.fullName')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{fullName}</span>
         </div>
@@ -696,7 +830,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            Legal Name:
+            {t('verify.legalName')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{companyName}</span>
         </div>
@@ -709,7 +843,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            Phone:
+            {t('verify.phone')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{phone}</span>
         </div>
@@ -722,7 +856,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            Official E-mail Id:
+            {t('verify.email')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{email}</span>
         </div>
@@ -735,7 +869,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            Business GSTIN:
+            {t('verify.gstin')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{gstin}</span>
         </div>
@@ -748,7 +882,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            Bank Account:
+            {t('verify.bankAccountShort')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{bankAccount}</span>
         </div>
@@ -761,7 +895,7 @@ function BizVerificationForm({ onSubmit }) {
               display: 'block',
               marginBottom: '4px'
             }}>
-            IFSC Code:
+            {t('verify.ifsc')}:
           </strong>
           <span style={{ fontSize: '14px', color: '#333' }}>{ifsc}</span>
         </div>
@@ -784,7 +918,7 @@ function BizVerificationForm({ onSubmit }) {
               cursor: 'pointer',
               fontSize: '14px'
             }}>
-            ← Edit Details
+            {t('verify.edit')}
           </button>
           <button
             onClick={handleSubmit}
@@ -798,7 +932,7 @@ function BizVerificationForm({ onSubmit }) {
               fontSize: '14px',
               fontWeight: '500'
             }}>
-            ✅ Confirm & Verify
+            {t('verify.confirm')}
           </button>
         </div>
       </div>
@@ -817,7 +951,7 @@ function BizVerificationForm({ onSubmit }) {
               fontWeight: '600',
               color: '#dc3545'
             }}>
-            Verification Failed
+            {t('verify.failed')}
           </h3>
           <p
             style={{
@@ -847,7 +981,7 @@ function BizVerificationForm({ onSubmit }) {
               fontSize: '14px',
               fontWeight: '500'
             }}>
-            ← Go Back & Edit Details
+            {t('verify.goBack')}
           </button>
         </div>
       </div>
@@ -856,7 +990,7 @@ function BizVerificationForm({ onSubmit }) {
 
   return (
     <form className='lead-form' onSubmit={handleSubmit}>
-      <label>Full Name</label>
+      <label>{t('verify.fullName')}</label>
       <input
         value={fullName}
         onChange={e => setFullName(e.target.value)}
@@ -869,7 +1003,7 @@ function BizVerificationForm({ onSubmit }) {
         </div>
       )}
       {/* Company field removed per requirements */}
-      <label>Phone</label>
+      <label>{t('verify.phone')}</label>
       <input
         type='tel'
         value={phone}
@@ -882,7 +1016,7 @@ function BizVerificationForm({ onSubmit }) {
           {fieldErrors.phone}
         </div>
       )}
-      <label>Official E-mail Id</label>
+      <label>{t('verify.email')}</label>
       <input
         type='email'
         value={email}
@@ -895,7 +1029,7 @@ function BizVerificationForm({ onSubmit }) {
           {fieldErrors.email}
         </div>
       )}
-      <label>Business GSTIN</label>
+      <label>{t('verify.gstin')}</label>
       <input
         value={gstin}
         onChange={e => {
@@ -908,7 +1042,7 @@ function BizVerificationForm({ onSubmit }) {
       />
       {gstin.trim() && (
         <div className='muted small' style={{ marginTop: 4 }}>
-          Legal Name: {companyName}
+          {t('verify.legalName')}: {companyName}
         </div>
       )}
       {fieldErrors.gstin && (
@@ -916,14 +1050,14 @@ function BizVerificationForm({ onSubmit }) {
           {fieldErrors.gstin}
         </div>
       )}
-      <label>Bank account number</label>
+      <label>{t('verify.bankAccount')}</label>
       <input
         value={bankAccount}
         onChange={e => setBankAccount(e.target.value)}
         placeholder={
           gstin.trim()
-            ? `Enter Bank account number for ${companyName}`
-            : 'Enter Bank account number'
+            ? t('verify.bankAccountPlaceholderFor', { company: companyName })
+            : t('verify.bankAccountPlaceholder')
         }
         required
       />
@@ -932,11 +1066,11 @@ function BizVerificationForm({ onSubmit }) {
           {fieldErrors.bankAccount}
         </div>
       )}
-      <label>IFSC Code</label>
+      <label>{t('verify.ifsc')}</label>
       <input
         value={ifsc}
         onChange={e => setIfsc(e.target.value.toUpperCase())}
-        placeholder='Enter IFSC code'
+        placeholder={t('verify.ifscPlaceholder')}
         required
       />
       {fieldErrors.ifsc && (
@@ -945,30 +1079,61 @@ function BizVerificationForm({ onSubmit }) {
         </div>
       )}
       <div className='muted small' style={{ marginTop: 16, marginBottom: 8 }}>
-        To enable bulk orders & GST‑invoicing safely, we verify your company
-        details with a quick ₹2 deposit.{' '}
+        {t('verify.depositNote')}{' '}
         <a
           href='#'
           onClick={e => e.preventDefault()}
           style={{ textDecoration: 'underline' }}>
-          Know more
+          {t('verify.knowMore')}
         </a>
       </div>
       <div
         className='button-row'
         style={{ justifyContent: 'flex-end', marginTop: 8 }}>
         <button className='confirm' type='submit'>
-          ✅ Submit & Verify
+          {t('verify.submit')}
         </button>
       </div>
     </form>
   );
 }
 
-function BizOrderForm({ onSubmit }) {
-  const [orders, setOrders] = useState([{ denomination: '', count: '' }]);
+// Server errors use paths like "lines.0.count"; the form keys them "0-count"
+function orderErrorsFromServer(serverErrors) {
+  const errs = {};
+  Object.entries(serverErrors || {}).forEach(([path, message]) => {
+    const m = path.match(/^lines\.(\d+)\.(\w+)$/);
+    errs[m ? `${m[1]}-${m[2]}` : 'form'] = message;
+  });
+  return errs;
+}
+
+// Fallback for older backends; the server sends its limits in the ui hint
+const DEFAULT_ORDER_LIMITS = {
+  minDenomination: 10,
+  maxDenomination: 10000,
+  maxLines: 5,
+  maxOrderValue: 300000
+};
+
+function BizOrderForm({
+  t,
+  locale,
+  limits = DEFAULT_ORDER_LIMITS,
+  initial,
+  serverErrors,
+  onSubmit
+}) {
+  const overLimit = total => total > limits.maxOrderValue;
+  const inr = amount => formatCurrencyInr(amount, locale);
+  const [orders, setOrders] = useState(
+    initial?.lines?.map(line => ({
+      denomination: String(line.denomination),
+      count: String(line.count)
+    })) || [{ denomination: '', count: '' }]
+  );
   const [total, setTotal] = useState(0);
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState(orderErrorsFromServer(serverErrors));
 
   const calculateTotal = () => {
     const totalAmount = orders.reduce((sum, order) => {
@@ -988,25 +1153,31 @@ function BizOrderForm({ onSubmit }) {
     newOrders[index][field] = value;
     setOrders(newOrders);
 
+    // Editing a field clears any error the server reported for it
+    const newErrors = { ...errors };
+    delete newErrors[`${index}-${field}`];
+    delete newErrors.form;
+
     // Validate denomination
     if (field === 'denomination' && value) {
-      const newErrors = { ...errors };
       const denom = parseInt(value);
 
-      if (denom < 10) {
-        newErrors[`${index}-denomination`] = 'Minimum denomination is ₹10';
-      } else if (denom > 10000) {
-        newErrors[`${index}-denomination`] = 'Maximum denomination is ₹10,000';
-      } else {
-        delete newErrors[`${index}-denomination`];
+      if (denom < limits.minDenomination) {
+        newErrors[`${index}-denomination`] = t('order.minDenomination', {
+          amount: inr(limits.minDenomination)
+        });
+      } else if (denom > limits.maxDenomination) {
+        newErrors[`${index}-denomination`] = t('order.maxDenomination', {
+          amount: inr(limits.maxDenomination)
+        });
       }
-
-      setErrors(newErrors);
     }
+
+    setErrors(newErrors);
   };
 
   const addOrder = () => {
-    if (orders.length < 5) {
+    if (orders.length < limits.maxLines) {
       setOrders([...orders, { denomination: '', count: '' }]);
     }
   };
@@ -1020,11 +1191,16 @@ function BizOrderForm({ onSubmit }) {
 
   const handleSubmit = e => {
     e.preventDefault();
-    if (total > 300000 || Object.keys(errors).length > 0) {
+    if (overLimit(total) || Object.keys(errors).length > 0) {
       return; // Don't submit if over limit or has validation errors
     }
     onSubmit({
-      orders: orders.filter(order => order.denomination && order.count),
+      lines: orders
+        .filter(order => order.denomination && order.count)
+        .map(order => ({
+          denomination: parseInt(order.denomination),
+          count: parseInt(order.count)
+        })),
       total
     });
   };
@@ -1034,7 +1210,7 @@ function BizOrderForm({ onSubmit }) {
       <form className='lead-form' onSubmit={handleSubmit}>
         <h3
           style={{ margin: '0 0 16px 0', fontSize: '16px', fontWeight: '600' }}>
-          Order Details
+          {t('order.title')}
         </h3>
 
         {orders.map((order, index) => (
@@ -1054,7 +1230,7 @@ function BizOrderForm({ onSubmit }) {
                 marginBottom: '8px'
               }}>
               <span style={{ fontSize: '14px', fontWeight: '500' }}>
-                Item {index + 1}
+                {t('order.item', { number: index + 1 })}
               </span>
               {orders.length > 1 && (
                 <button
@@ -1067,7 +1243,7 @@ function BizOrderForm({ onSubmit }) {
                     cursor: 'pointer',
                     fontSize: '12px'
                   }}>
-                  ✕ Remove
+                  {t('order.remove')}
                 </button>
               )}
             </div>
@@ -1086,7 +1262,7 @@ function BizOrderForm({ onSubmit }) {
                     display: 'block',
                     marginBottom: '4px'
                   }}>
-                  Denomination (INR)
+                  {t('order.denomination')}
                 </label>
                 <input
                   type='number'
@@ -1094,9 +1270,9 @@ function BizOrderForm({ onSubmit }) {
                   onChange={e =>
                     updateOrder(index, 'denomination', e.target.value)
                   }
-                  placeholder='₹ Amount'
-                  min='10'
-                  max='10000'
+                  placeholder={t('order.amountPlaceholder')}
+                  min={limits.minDenomination}
+                  max={limits.maxDenomination}
                   required
                   style={{
                     width: '100%',
@@ -1127,39 +1303,52 @@ function BizOrderForm({ onSubmit }) {
                     display: 'block',
                     marginBottom: '4px'
                   }}>
-                  Count
+                  {t('order.count')}
                 </label>
                 <input
                   type='number'
                   value={order.count}
                   onChange={e => updateOrder(index, 'count', e.target.value)}
-                  placeholder='Quantity'
+                  placeholder={t('order.quantityPlaceholder')}
                   min='1'
                   required
                   style={{
                     width: '100%',
                     padding: '8px',
-                    border: '1px solid #ddd',
+                    border: `1px solid ${
+                      errors[`${index}-count`] ? '#dc3545' : '#ddd'
+                    }`,
                     borderRadius: '4px'
                   }}
                 />
+                {errors[`${index}-count`] && (
+                  <div
+                    style={{
+                      fontSize: '12px',
+                      color: '#dc3545',
+                      marginTop: '4px'
+                    }}>
+                    {errors[`${index}-count`]}
+                  </div>
+                )}
               </div>
             </div>
 
             {order.denomination && order.count && (
               <div
                 style={{ marginTop: '8px', fontSize: '12px', color: '#666' }}>
-                Subtotal: ₹
-                {(
-                  (parseInt(order.denomination) || 0) *
-                  (parseInt(order.count) || 0)
-                ).toLocaleString()}
+                {t('order.subtotal', {
+                  amount: inr(
+                    (parseInt(order.denomination) || 0) *
+                      (parseInt(order.count) || 0)
+                  )
+                })}
               </div>
             )}
           </div>
         ))}
 
-        {orders.length < 5 && (
+        {orders.length < limits.maxLines && (
           <button
             type='button'
             onClick={addOrder}
@@ -1174,17 +1363,24 @@ function BizOrderForm({ onSubmit }) {
               marginBottom: '16px',
               fontSize: '14px'
             }}>
-            + Add Another Item
+            {t('order.addItem')}
           </button>
         )}
 
+        {errors.form && (
+          <div
+            style={{ color: '#dc3545', fontSize: '12px', marginBottom: '12px' }}>
+            {errors.form}
+          </div>
+        )}
+
         <div
           style={{
             padding: '12px',
-            backgroundColor: total > 300000 ? '#fff3cd' : '#d4edda',
+            backgroundColor: overLimit(total) ? '#fff3cd' : '#d4edda',
             borderRadius: '8px',
             marginBottom: '16px',
-            border: `1px solid ${total > 300000 ? '#ffeaa7' : '#c3e6cb'}`
+            border: `1px solid ${overLimit(total) ? '#ffeaa7' : '#c3e6cb'}`
           }}>
           <div
             style={{
@@ -1193,13 +1389,12 @@ function BizOrderForm({ onSubmit }) {
               marginBottom: '4px',
               color: '#dc3545'
             }}>
-            Total Amount: ₹{total.toLocaleString()}
+            {t('order.total', { amount: inr(total) })}
           </div>
 
-          {total > 300000 ? (
+          {overLimit(total) ? (
             <div style={{ fontSize: '14px', color: '#856404' }}>
-              ⚠️ Orders above ₹3,00,000 require special handling. Please contact
-              customer care:{' '}
+              {t('order.overLimit', { amount: inr(limits.maxOrderValue) })}{' '}
               <a
                 href='tel:18000123456'
                 style={{ color: '#007bff', textDecoration: 'underline' }}>
@@ -1208,7 +1403,7 @@ function BizOrderForm({ onSubmit }) {
             </div>
           ) : (
             <div style={{ fontSize: '12px', color: '#155724' }}>
-              ✅ Order within limit
+              {t('order.withinLimit')}
             </div>
           )}
         </div>
@@ -1220,19 +1415,23 @@ function BizOrderForm({ onSubmit }) {
             className='confirm'
             type='submit'
             disabled={
-              total > 300000 || total === 0 || Object.keys(errors).length > 0
+              overLimit(total) || total === 0 || Object.keys(errors).length > 0
             }
             style={{
               opacity:
-                total > 300000 || total === 0 || Object.keys(errors).length > 0
+                overLimit(total) ||
+                total === 0 ||
+                Object.keys(errors).length > 0
                   ? 0.6
                   : 1,
               cursor:
-                total > 300000 || total === 0 || Object.keys(errors).length > 0
+                overLimit(total) ||
+                total === 0 ||
+                Object.keys(errors).length > 0
                   ? 'not-allowed'
                   : 'pointer'
             }}>
-            Continue
+            {t('common.continue')}
           </button>
         </div>
       </form>
@@ -1240,9 +1439,9 @@ function BizOrderForm({ onSubmit }) {
   );
 }
 
-function BizDeliveryForm({ email, onSubmit }) {
+function BizDeliveryForm({ t, email, serverErrors, onSubmit }) {
   const [deliveryEmail, setDeliveryEmail] = useState(email || '');
-  const [isEditing, setIsEditing] = useState(false);
+  const [isEditing, setIsEditing] = useState(Boolean(serverErrors?.email));
 
   return (
     <form
@@ -1251,7 +1450,7 @@ function BizDeliveryForm({ email, onSubmit }) {
         e.preventDefault();
         onSubmit({ email: deliveryEmail });
       }}>
-      <label>Delivery Email</label>
+      <label>{t('delivery.label')}</label>
       {!isEditing ? (
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
           <input value={deliveryEmail} readOnly />
@@ -1260,7 +1459,7 @@ function BizDeliveryForm({ email, onSubmit }) {
             onClick={() => setIsEditing(true)}
             className='option'
             style={{ margin: 0 }}>
-            Edit Email
+            {t('delivery.edit')}
           </button>
         </div>
       ) : (
@@ -1268,21 +1467,26 @@ function BizDeliveryForm({ email, onSubmit }) {
           type='email'
           value={deliveryEmail}
           onChange={e => setDeliveryEmail(e.target.value)}
-          placeholder='Enter delivery email'
+          placeholder={t('delivery.placeholder')}
           required
         />
       )}
+      {serverErrors?.email && (
+        <div style={{ color: '#dc3545', fontSize: '12px' }}>
+          {serverErrors.email}
+        </div>
+      )}
       <div
         className='button-row'
         style={{ justifyContent: 'flex-end', marginTop: 8 }}>
         <button className='confirm' type='submit'>
-          Continue
+          {t('common.continue')}
         </button>
       </div>
     </form>
   );
 }
-function ActionBubble({ ui, onOpen, sendMessage, setUi }) {
+function ActionBubble({ ui, t, onOpen, sendMessage, setUi }) {
   const inferredStart =
     ui.options && ui.options.length === 1 && ui.options[0].id === 'start';
 
@@ -1311,158 +1515,281 @@ function ActionBubble({ ui, onOpen, sendMessage, setUi }) {
 
   const label =
     ui.kind === 'start' || inferredStart
-      ? 'Buy a Gift Card'
+      ? t('action.buy')
       : ui.kind === 'buyerTypeOptions'
-      ? 'Choose buyer type'
+      ? t('action.buyerType')
       : ui.kind === 'options'
-      ? ui.title || 'Choose option'
+      ? ui.title || t('action.chooseOption')
       : ui.kind === 'occasionOptions'
-      ? 'Choose occasion'
+      ? t('action.occasion')
       : ui.kind === 'templatePicker'
-      ? 'Choose template'
+      ? t('action.template')
       : ui.kind === 'amountOptions'
-      ? 'Select amount'
+      ? t('action.amount')
       : ui.kind === 'confirm'
-      ? 'Review & confirm'
-      : (ui.options && ui.options[0]?.label) || 'Open';
+      ? t('action.confirm')
+      : ui.kind === 'upiQr'
+      ? t('action.scanQr')
+      : (ui.options && ui.options[0]?.label) || t('common.open');
 
   return (
     <div className='row left'>
       <div className='bubble bot'>
         <button className='action-button' onClick={() => onOpen(ui.kind, ui)}>
-          {ui.kind === 'bizVerificationForm' ? 'Proceed' : `${label}`}
+          {ui.kind === 'bizVerificationForm' ? t('action.proceed') : `${label}`}
         </button>
       </div>
     </div>
   );
 }
 
-function PaymentForm({ onSubmit }) {
-  const [method, setMethod] = useState('neft');
-  const [cardNumber, setCardNumber] = useState('');
-  const [cvv, setCvv] = useState('');
-  const [expiryDate, setExpiryDate] = useState('');
-  const [utrNumber, setUtrNumber] = useState('');
-
-  const handleSubmit = e => {
-    e.preventDefault();
-    if (method === 'card') {
-      onSubmit({ method, cardNumber, cvv, expiryDate });
-    } else {
-      onSubmit({ method, utrNumber });
-    }
-  };
-
+// Payment is made on the gateway's checkout page, in a new tab. The order
+// only moves on once the gateway has confirmed it to the backend, so the
+// button here just asks the chat to check.
+// Bank transfers show where to pay and take the UTR; gateway payments link
+// to the checkout page
+function PaymentForm({
+  t,
+  ui,
+  utr,
+  serverErrors,
+  onSubmitUtr,
+  onCheck,
+  onRetry
+}) {
+  const expired = ui.status === 'expired';
+  const failed = ui.status === 'failed' || expired;
+  if (ui.method === 'transfer') {
+    return (
+      <TransferForm
+        t={t}
+        ui={ui}
+        utr={utr}
+        serverErrors={serverErrors}
+        onSubmit={onSubmitUtr}
+        onCheck={onCheck}
+      />
+    );
+  }
   return (
-    <form className='lead-form' onSubmit={handleSubmit}>
-      <label>Payment Method</label>
-      <div className='option-grid'>
-        <button
-          type='button'
-          className='option'
-          onClick={() => setMethod('neft')}>
-          NEFT / Netbanking
-        </button>
-        <button
-          type='button'
-          className='option'
-          onClick={() => setMethod('card')}>
-          Credit Card
-        </button>
-      </div>
-
-      {method === 'neft' ? (
-        <>
-          <label>UTR Number</label>
-          <input
-            type='text'
-            value={utrNumber}
-            onChange={e => setUtrNumber(e.target.value)}
-            placeholder='e.g., 12345678901234567890'
-            required
-          />
-        </>
-      ) : (
-        <>
-          <label>Card Number</label>
-          <input
-            type='text'
-            value={cardNumber}
-            onChange={e => setCardNumber(e.target.value)}
-            placeholder='1234 5678 9012 3456'
-            required
-          />
-          <div style={{ display: 'flex', gap: '12px' }}>
-            <div style={{ flex: 1 }}>
-              <label>CVV</label>
-              <input
-                type='text'
-                value={cvv}
-                onChange={e => setCvv(e.target.value)}
-                placeholder='123'
-                maxLength='3'
-                required
-              />
-            </div>
-            <div style={{ flex: 1 }}>
-              <label>Expiry Date</label>
-              <input
-                type='text'
-                value={expiryDate}
-                onChange={e => setExpiryDate(e.target.value)}
-                placeholder='MM/YY'
-                maxLength='5'
-                required
-              />
-            </div>
-          </div>
-        </>
+    <div className='lead-form'>
+      {typeof ui.amount === 'number' && (
+        <div>
+          {t('payment.amount')}:{' '}
+          <strong>₹{ui.amount.toLocaleString('en-IN')}</strong>
+        </div>
+      )}
+      {failed && (
+        <div style={{ color: '#dc3545' }}>
+          {t(expired ? 'payment.expired' : 'payment.failed')}
+        </div>
       )}
 
       <div className='muted small' style={{ marginTop: 8 }}>
-        💳 Before completing your payment, please keep in mind:
+        {t('payment.notesTitle')}
         <br />
-        1. Carefully review your PI to ensure all details are correct.
+        {t('payment.note1')}
         <br />
-        2. For bank transfers, use the same GST company account shared during
-        verification.
+        {t('payment.note2')}
         <br />
-        3. You can also pay conveniently using a Credit Card.
+        {t('payment.note3')}
       </div>
+      <div
+        className='button-row'
+        style={{ justifyContent: 'flex-end', marginTop: 8 }}>
+        {failed ? (
+          <button className='confirm' type='button' onClick={onRetry}>
+            {t('payment.retry')}
+          </button>
+        ) : (
+          <a
+            className='download-link'
+            href={ui.url}
+            target='_blank'
+            rel='noreferrer'>
+            {ui.label || t('payment.submit')}
+          </a>
+        )}
+        <button className='cancel' type='button' onClick={onCheck}>
+          {t('payment.check')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TransferForm({ t, ui, utr, serverErrors, onSubmit, onCheck }) {
+  const [value, setValue] = useState(utr || '');
+  const payee = ui.payee || {};
+  const rows = [
+    ['payment.accountName', payee.accountName],
+    ['payment.accountNumber', payee.accountNumber],
+    ['payment.ifsc', payee.ifsc],
+    ['payment.bank', payee.bankName],
+    ['payment.reference', ui.reference]
+  ].filter(([, text]) => text);
+
+  return (
+    <form
+      className='lead-form'
+      onSubmit={e => {
+        e.preventDefault();
+        onSubmit({ utr: value.trim() });
+      }}>
+      {typeof ui.amount === 'number' && (
+        <div>
+          {t('payment.amount')}:{' '}
+          <strong>₹{ui.amount.toLocaleString('en-IN')}</strong>
+        </div>
+      )}
+      <div className='small' style={{ marginTop: 8 }}>
+        {rows.map(([key, text]) => (
+          <div key={key}>
+            {t(key)}: <strong>{text}</strong>
+          </div>
+        ))}
+      </div>
+      <div className='muted small' style={{ marginTop: 8 }}>
+        {t('payment.note2')}
+      </div>
+      <label style={{ marginTop: 8 }}>{t('payment.utr')}</label>
+      <input
+        value={value}
+        onChange={e => setValue(e.target.value)}
+        placeholder={t('payment.utrPlaceholder')}
+        autoComplete='off'
+        required
+      />
+      {serverErrors?.utr && (
+        <div style={{ color: '#dc3545', fontSize: '12px' }}>
+          {serverErrors.utr}
+        </div>
+      )}
       <div
         className='button-row'
         style={{ justifyContent: 'flex-end', marginTop: 8 }}>
         <button className='confirm' type='submit'>
-          ✅ I Understand & Pay Now
+          {ui.label || t('payment.submitUtr')}
         </button>
+        {ui.utr && (
+          <button className='cancel' type='button' onClick={onCheck}>
+            {t('payment.check')}
+          </button>
+        )}
       </div>
     </form>
   );
 }
 
-function DownloadsBubble({ items, onContinue }) {
-  const list =
-    Array.isArray(items) && items.length > 0
-      ? items
-      : [
-          { label: 'GST Invoice (PDF)', url: '/gst-invoice.pdf' },
-          { label: 'GC Delivery (PDF)', url: '/gc-delivery.pdf' },
-          { label: 'PO (PDF)', url: '/po.pdf' }
-        ];
+// UPI: scan the attempt's QR code, or open its intent link in a UPI app on
+// this phone. App polls the attempt meanwhile; the code goes once the
+// attempt expires.
+function UpiQrForm({ t, ui, status, onCheck, onRetry }) {
+  const [now, setNow] = useState(() => Date.now());
+  const expiresAt = ui.expiresAt ? Date.parse(ui.expiresAt) : Infinity;
+  const expired =
+    status === 'expired' || (OPEN_PAYMENT.includes(status) && now >= expiresAt);
+  const scannable = status === 'created' && !expired && Boolean(ui.uri);
+
+  useEffect(() => {
+    if (!scannable) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [scannable]);
+
+  const seconds = Math.max(0, Math.round((expiresAt - now) / 1000));
+  const left = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+    2,
+    '0'
+  )}`;
+
+  return (
+    <div className='lead-form'>
+      {typeof ui.amount === 'number' && (
+        <div>
+          {t('payment.amount')}:{' '}
+          <strong>₹{ui.amount.toLocaleString('en-IN')}</strong>
+        </div>
+      )}
+      {scannable && (
+        <div style={{ textAlign: 'center', marginTop: 8 }}>
+          <img src={ui.qr.svg} alt={t('upi.qrAlt')} width={220} height={220} />
+          <div className='muted small'>{t('upi.scan')}</div>
+          {Number.isFinite(expiresAt) && (
+            <div className='muted small'>
+              {t('upi.expiresIn', { time: left })}
+            </div>
+          )}
+        </div>
+      )}
+      {status === 'pending' && !expired && (
+        <div className='muted small'>{t('upi.pending')}</div>
+      )}
+      {expired && (
+        <div style={{ color: '#dc3545' }}>{t('payment.expired')}</div>
+      )}
+      {status === 'failed' && (
+        <div style={{ color: '#dc3545' }}>{t('payment.failed')}</div>
+      )}
+      <div
+        className='button-row'
+        style={{ justifyContent: 'flex-end', marginTop: 8 }}>
+        {expired || status === 'failed' ? (
+          <button className='confirm' type='button' onClick={onRetry}>
+            {t('payment.retry')}
+          </button>
+        ) : (
+          scannable && (
+            <>
+              <a className='download-link' href={ui.uri}>
+                {t('upi.openApp')}
+              </a>
+              <a
+                className='download-link'
+                href={ui.url}
+                target='_blank'
+                rel='noreferrer'>
+                {t('upi.payById')}
+              </a>
+            </>
+          )
+        )}
+        <button className='cancel' type='button' onClick={onCheck}>
+          {t('payment.check')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Shown in place of a document the server sent no link for
+function DownloadMissing({ t }) {
+  return (
+    <div style={{ color: '#dc3545', fontSize: '12px', marginTop: '8px' }}>
+      {t('download.missing')}
+    </div>
+  );
+}
+
+function DownloadsBubble({ items, t, onContinue }) {
+  const list = Array.isArray(items) ? items : [];
+  const ready = list.filter(it => it.url);
+  const missing = list.length === 0 || ready.length < list.length;
   return (
     <div className='row left'>
       <div className='bubble bot'>
         <div className='file-chips'>
-          {list.map((it, idx) => (
+          {ready.map((it, idx) => (
             <a key={idx} className='file-chip' href={it.url} download>
               📄 {it.label}
             </a>
           ))}
         </div>
+        {missing && <DownloadMissing t={t} />}
         {onContinue && (
           <div className='button-row' style={{ marginTop: 8 }}>
             <button className='confirm' onClick={onContinue}>
-              Continue
+              {t('common.continue')}
             </button>
           </div>
         )}
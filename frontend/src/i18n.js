@@ -0,0 +1,446 @@
+// Labels the chat client renders itself. Bot replies, option labels and
+// server-side field errors arrive already translated from the backend.
+// Every locale must have the keys of `en`; `npm run check:i18n` lists gaps.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_NAMES = {
+  en: 'English',
+  hi: 'हिन्दी',
+  hinglish: 'Hinglish'
+};
+
+const INTL_LOCALES = { en: 'en-IN', hi: 'hi-IN', hinglish: 'en-IN' };
+
+export const MESSAGES = {
+  en: {
+    'header.online': 'online',
+    'header.language': 'Language',
+    'chat.hint': 'Type "hi" to start the gift card flow.',
+    'chat.typing': 'typing…',
+    'chat.error': 'Error talking to server.',
+    'chat.placeholder': 'Type a message',
+    'chat.send': 'Send',
+    'chat.openGift': 'Open gift',
+    'common.continue': 'Continue',
+    'common.submit': 'Submit',
+    'common.download': 'Download',
+    'common.open': 'Open',
+    'common.none': '(none)',
+
+    'modal.buyerType': 'Who are you buying for?',
+    'modal.selectOption': 'Select an option',
+    'modal.bizVerification': 'Business Verification',
+    'modal.orderDetails': 'Order Details',
+    'modal.deliveryEmail': 'Delivery Email',
+    'modal.occasion': 'Select an occasion',
+    'modal.occasionHint': 'Choose "Other (custom)" to type your own.',
+    'modal.template': 'Choose a template',
+    'modal.amount': 'Select amount',
+    'modal.confirm': 'Confirm order',
+    'modal.uploadPo': 'Upload Purchase Order',
+    'modal.payment': 'Mock Payment Gateway',
+    'modal.upiQr': 'Pay with UPI',
+    'modal.invoice': 'Invoice',
+
+    'amount.customPlaceholder': 'Enter custom amount (₹)',
+    'confirm.occasion': 'Occasion:',
+    'confirm.template': 'Template:',
+    'confirm.amount': 'Amount:',
+    'confirm.recipient': 'Recipient:',
+    'confirm.message': 'Message:',
+    'confirm.confirm': 'Confirm',
+    'confirm.cancel': 'Cancel',
+    'upload.hint': 'Select a PDF file to upload',
+    'upload.invalid': 'Please select a PDF file under 10 MB.',
+
+    'action.bizDetailsSubmitted': 'Business details submitted',
+    'action.orderDetails': 'Order details: {count} item(s), {total}',
+    'action.buy': 'Buy a Gift Card',
+    'action.buyerType': 'Choose buyer type',
+    'action.chooseOption': 'Choose option',
+    'action.occasion': 'Choose occasion',
+    'action.template': 'Choose template',
+    'action.amount': 'Select amount',
+    'action.confirm': 'Review & confirm',
+    'action.scanQr': 'Scan QR to pay',
+    'action.proceed': 'Proceed',
+
+    'verify.fullName': 'Full Name',
+    'verify.legalName': 'Legal Name',
+    'verify.phone': 'Phone',
+    'verify.email': 'Official E-mail Id',
+    'verify.gstin': 'Business GSTIN',
+    'verify.bankAccount': 'Bank account number',
+    'verify.bankAccountShort': 'Bank Account',
+    'verify.bankAccountPlaceholder': 'Enter Bank account number',
+    'verify.bankAccountPlaceholderFor':
+      'Enter Bank account number for {company}',
+    'verify.ifsc': 'IFSC Code',
+    'verify.ifscPlaceholder': 'Enter IFSC code',
+    'verify.depositNote':
+      'To enable bulk orders & GST‑invoicing safely, we verify your company details with a quick ₹2 deposit.',
+    'verify.knowMore': 'Know more',
+    'verify.submit': '✅ Submit & Verify',
+    'verify.success': '✅ Successfully verified your business',
+    'verify.edit': '← Edit Details',
+    'verify.confirm': '✅ Confirm & Verify',
+    'verify.failed': 'Verification Failed',
+    'verify.goBack': '← Go Back & Edit Details',
+
+    'error.fullName': 'Full name is required',
+    'error.phone': 'Enter valid phone (10-15 digits)',
+    'error.email': 'Enter a valid official email',
+    'error.gstin': 'Enter a valid 15-char GSTIN',
+    'error.gstinUnverified':
+      'Cannot verify. GSTIN looks invalid. Please enter correct details.',
+    'error.bankAccount': 'Account number must be 8-20 digits',
+    'error.ifsc': 'Enter a valid IFSC (e.g., HDFC0001234)',
+    'error.fixFields': 'Please correct the highlighted fields and try again.',
+
+    'order.title': 'Order Details',
+    'order.item': 'Item {number}',
+    'order.remove': '✕ Remove',
+    'order.denomination': 'Denomination (INR)',
+    'order.amountPlaceholder': '₹ Amount',
+    'order.count': 'Count',
+    'order.quantityPlaceholder': 'Quantity',
+    'order.subtotal': 'Subtotal: {amount}',
+    'order.addItem': '+ Add Another Item',
+    'order.total': 'Total Amount: {amount}',
+    'order.overLimit':
+      '⚠️ Orders above {amount} require special handling. Please contact customer care:',
+    'order.withinLimit': '✅ Order within limit',
+    'order.minDenomination': 'Minimum denomination is {amount}',
+    'order.maxDenomination': 'Maximum denomination is {amount}',
+
+    'delivery.label': 'Delivery Email',
+    'delivery.edit': 'Edit Email',
+    'delivery.placeholder': 'Enter delivery email',
+
+    'payment.amount': 'Amount payable',
+    'payment.expired': 'The payment link has expired. No money was taken.',
+    'payment.failed':
+      'The last payment did not go through. No money was taken.',
+    'payment.retry': '🔁 Try again',
+    'payment.check': "I've paid – check status",
+    'payment.notesTitle':
+      '💳 Before completing your payment, please keep in mind:',
+    'payment.note1':
+      '1. Carefully review your PI to ensure all details are correct.',
+    'payment.note2':
+      '2. For bank transfers, use the same GST company account shared during verification.',
+    'payment.note3': '3. You can also pay conveniently using a Credit Card.',
+    'payment.utr': 'UTR number',
+    'payment.utrPlaceholder': 'e.g. HDFCN52024101912345678',
+    'payment.submitUtr': 'Submit UTR',
+    'payment.accountName': 'Account name',
+    'payment.accountNumber': 'Account number',
+    'payment.ifsc': 'IFSC',
+    'payment.bank': 'Bank',
+    'payment.reference': 'Payment reference',
+    'payment.submit': '✅ I Understand & Pay Now',
+    'upi.scan': 'Scan this QR code with any UPI app to pay.',
+    'upi.qrAlt': 'UPI payment QR code',
+    'upi.expiresIn': 'The QR code expires in {time}',
+    'upi.pending': 'Waiting for your UPI app to confirm the payment…',
+    'upi.openApp': 'Open UPI app',
+    'upi.payById': 'Pay with UPI ID',
+
+    'download.missing':
+      "This document isn't available right now. Please try again later or contact support."
+  },
+
+  hi: {
+    'header.online': 'ऑनलाइन',
+    'header.language': 'भाषा',
+    'chat.hint': 'गिफ्ट कार्ड शुरू करने के लिए "नमस्ते" लिखें।',
+    'chat.typing': 'लिख रहे हैं…',
+    'chat.error': 'सर्वर से बात नहीं हो सकी।',
+    'chat.placeholder': 'संदेश लिखें',
+    'chat.send': 'भेजें',
+    'chat.openGift': 'गिफ्ट खोलें',
+    'common.continue': 'जारी रखें',
+    'common.submit': 'जमा करें',
+    'common.download': 'डाउनलोड करें',
+    'common.open': 'खोलें',
+    'common.none': '(कोई नहीं)',
+
+    'modal.buyerType': 'आप किसके लिए खरीद रहे हैं?',
+    'modal.selectOption': 'एक विकल्प चुनें',
+    'modal.bizVerification': 'व्यवसाय सत्यापन',
+    'modal.orderDetails': 'ऑर्डर विवरण',
+    'modal.deliveryEmail': 'डिलीवरी ईमेल',
+    'modal.occasion': 'अवसर चुनें',
+    'modal.occasionHint': 'अपना अवसर लिखने के लिए "अन्य" चुनें।',
+    'modal.template': 'टेम्पलेट चुनें',
+    'modal.amount': 'राशि चुनें',
+    'modal.confirm': 'ऑर्डर की पुष्टि करें',
+    'modal.uploadPo': 'परचेज़ ऑर्डर अपलोड करें',
+    'modal.payment': 'मॉक पेमेंट गेटवे',
+    'modal.upiQr': 'UPI से भुगतान करें',
+    'modal.invoice': 'इनवॉइस',
+
+    'amount.customPlaceholder': 'अपनी राशि दर्ज करें (₹)',
+    'confirm.occasion': 'अवसर:',
+    'confirm.template': 'टेम्पलेट:',
+    'confirm.amount': 'राशि:',
+    'confirm.recipient': 'प्राप्तकर्ता:',
+    'confirm.message': 'संदेश:',
+    'confirm.confirm': 'पुष्टि करें',
+    'confirm.cancel': 'रद्द करें',
+    'upload.hint': 'अपलोड करने के लिए PDF फ़ाइल चुनें',
+    'upload.invalid': 'कृपया 10 MB से छोटी PDF फ़ाइल चुनें।',
+
+    'action.bizDetailsSubmitted': 'व्यवसाय विवरण जमा किया',
+    'action.orderDetails': 'ऑर्डर विवरण: {count} आइटम, {total}',
+    'action.buy': 'गिफ्ट कार्ड खरीदें',
+    'action.buyerType': 'खरीदार का प्रकार चुनें',
+    'action.chooseOption': 'विकल्प चुनें',
+    'action.occasion': 'अवसर चुनें',
+    'action.template': 'टेम्पलेट चुनें',
+    'action.amount': 'राशि चुनें',
+    'action.confirm': 'जाँचें और पुष्टि करें',
+    'action.scanQr': 'भुगतान के लिए QR स्कैन करें',
+    'action.proceed': 'आगे बढ़ें',
+
+    'verify.fullName': 'पूरा नाम',
+    'verify.legalName': 'कानूनी नाम',
+    'verify.phone': 'फ़ोन',
+    'verify.email': 'आधिकारिक ईमेल',
+    'verify.gstin': 'व्यवसाय GSTIN',
+    'verify.bankAccount': 'बैंक खाता संख्या',
+    'verify.bankAccountShort': 'बैंक खाता',
+    'verify.bankAccountPlaceholder': 'बैंक खाता संख्या दर्ज करें',
+    'verify.bankAccountPlaceholderFor':
+      '{company} की बैंक खाता संख्या दर्ज करें',
+    'verify.ifsc': 'IFSC कोड',
+    'verify.ifscPlaceholder': 'IFSC कोड दर्ज करें',
+    'verify.depositNote':
+      'बल्क ऑर्डर और GST इनवॉइस सुरक्षित रूप से चालू करने के लिए हम ₹2 की छोटी जमा राशि से आपकी कंपनी का विवरण सत्यापित करते हैं।',
+    'verify.knowMore': 'और जानें',
+    'verify.submit': '✅ जमा करें और सत्यापित करें',
+    'verify.success': '✅ आपका व्यवसाय सत्यापित हो गया',
+    'verify.edit': '← विवरण बदलें',
+    'verify.confirm': '✅ पुष्टि करें और सत्यापित करें',
+    'verify.failed': 'सत्यापन विफल',
+    'verify.goBack': '← वापस जाएँ और विवरण बदलें',
+
+    'error.fullName': 'पूरा नाम ज़रूरी है',
+    'error.phone': 'मान्य फ़ोन नंबर दर्ज करें (10-15 अंक)',
+    'error.email': 'मान्य आधिकारिक ईमेल दर्ज करें',
+    'error.gstin': 'मान्य 15 अक्षरों का GSTIN दर्ज करें',
+    'error.gstinUnverified':
+      'सत्यापन नहीं हो सका। GSTIN अमान्य लगता है। कृपया सही विवरण दर्ज करें।',
+    'error.bankAccount': 'खाता संख्या 8-20 अंकों की होनी चाहिए',
+    'error.ifsc': 'मान्य IFSC दर्ज करें (जैसे HDFC0001234)',
+    'error.fixFields': 'कृपया चिह्नित फ़ील्ड ठीक करें और फिर से कोशिश करें।',
+
+    'order.title': 'ऑर्डर विवरण',
+    'order.item': 'आइटम {number}',
+    'order.remove': '✕ हटाएँ',
+    'order.denomination': 'मूल्यवर्ग (INR)',
+    'order.amountPlaceholder': '₹ राशि',
+    'order.count': 'संख्या',
+    'order.quantityPlaceholder': 'मात्रा',
+    'order.subtotal': 'उप-योग: {amount}',
+    'order.addItem': '+ एक और आइटम जोड़ें',
+    'order.total': 'कुल राशि: {amount}',
+    'order.overLimit':
+      '⚠️ {amount} से ज़्यादा के ऑर्डर के लिए विशेष प्रक्रिया लगती है। कृपया कस्टमर केयर से संपर्क करें:',
+    'order.withinLimit': '✅ ऑर्डर सीमा के भीतर है',
+    'order.minDenomination': 'न्यूनतम मूल्यवर्ग {amount} है',
+    'order.maxDenomination': 'अधिकतम मूल्यवर्ग {amount} है',
+
+    'delivery.label': 'डिलीवरी ईमेल',
+    'delivery.edit': 'ईमेल बदलें',
+    'delivery.placeholder': 'डिलीवरी ईमेल दर्ज करें',
+
+    'payment.amount': 'देय राशि',
+    'payment.expired': 'भुगतान लिंक समाप्त हो गया है। कोई पैसा नहीं कटा।',
+    'payment.failed': 'पिछला भुगतान नहीं हो सका। कोई पैसा नहीं कटा।',
+    'payment.retry': '🔁 फिर से कोशिश करें',
+    'payment.check': 'मैंने भुगतान कर दिया – स्थिति देखें',
+    'payment.notesTitle': '💳 भुगतान पूरा करने से पहले ध्यान रखें:',
+    'payment.note1': '1. अपने PI का सारा विवरण ध्यान से जाँच लें।',
+    'payment.note2':
+      '2. बैंक ट्रांसफ़र के लिए वही GST कंपनी खाता इस्तेमाल करें जो सत्यापन में दिया था।',
+    'payment.note3': '3. आप क्रेडिट कार्ड से भी आसानी से भुगतान कर सकते हैं।',
+    'payment.utr': 'UTR नंबर',
+    'payment.utrPlaceholder': 'जैसे HDFCN52024101912345678',
+    'payment.submitUtr': 'UTR भेजें',
+    'payment.accountName': 'खाते का नाम',
+    'payment.accountNumber': 'खाता संख्या',
+    'payment.ifsc': 'IFSC',
+    'payment.bank': 'बैंक',
+    'payment.reference': 'भुगतान संदर्भ',
+    'payment.submit': '✅ मैं समझ गया, अभी भुगतान करें',
+    'upi.scan': 'भुगतान के लिए यह QR कोड किसी भी UPI ऐप से स्कैन करें।',
+    'upi.qrAlt': 'UPI भुगतान QR कोड',
+    'upi.expiresIn': 'QR कोड {time} में समाप्त हो जाएगा',
+    'upi.pending': 'आपके UPI ऐप से भुगतान की पुष्टि का इंतज़ार है…',
+    'upi.openApp': 'UPI ऐप खोलें',
+    'upi.payById': 'UPI ID से भुगतान करें',
+
+    'download.missing':
+      'यह दस्तावेज़ अभी उपलब्ध नहीं है। कृपया बाद में फिर से कोशिश करें या सपोर्ट से संपर्क करें।'
+  },
+
+  hinglish: {
+    'header.online': 'online',
+    'header.language': 'Language',
+    'chat.hint': 'Gift card shuru karne ke liye "hi" likhein.',
+    'chat.typing': 'typing…',
+    'chat.error': 'Server se baat nahi ho payi.',
+    'chat.placeholder': 'Message likhein',
+    'chat.send': 'Bhejein',
+    'chat.openGift': 'Gift kholein',
+    'common.continue': 'Continue karein',
+    'common.submit': 'Submit',
+    'common.download': 'Download',
+    'common.open': 'Kholein',
+    'common.none': '(kuch nahi)',
+
+    'modal.buyerType': 'Aap kiske liye kharid rahe hain?',
+    'modal.selectOption': 'Ek option chunein',
+    'modal.bizVerification': 'Business Verification',
+    'modal.orderDetails': 'Order Details',
+    'modal.deliveryEmail': 'Delivery Email',
+    'modal.occasion': 'Occasion chunein',
+    'modal.occasionHint': 'Apna occasion likhne ke liye "Other" chunein.',
+    'modal.template': 'Template chunein',
+    'modal.amount': 'Amount chunein',
+    'modal.confirm': 'Order confirm karein',
+    'modal.uploadPo': 'Purchase Order upload karein',
+    'modal.payment': 'Mock Payment Gateway',
+    'modal.upiQr': 'UPI se pay karein',
+    'modal.invoice': 'Invoice',
+
+    'amount.customPlaceholder': 'Apna amount daalein (₹)',
+    'confirm.occasion': 'Occasion:',
+    'confirm.template': 'Template:',
+    'confirm.amount': 'Amount:',
+    'confirm.recipient': 'Recipient:',
+    'confirm.message': 'Message:',
+    'confirm.confirm': 'Confirm',
+    'confirm.cancel': 'Cancel',
+    'upload.hint': 'Upload karne ke liye PDF file chunein',
+    'upload.invalid': 'Please 10 MB se chhoti PDF file chunein.',
+
+    'action.bizDetailsSubmitted': 'Business details submit kiye',
+    'action.orderDetails': 'Order details: {count} item(s), {total}',
+    'action.buy': 'Gift Card kharidein',
+    'action.buyerType': 'Buyer type chunein',
+    'action.chooseOption': 'Option chunein',
+    'action.occasion': 'Occasion chunein',
+    'action.template': 'Template chunein',
+    'action.amount': 'Amount chunein',
+    'action.confirm': 'Check karke confirm karein',
+    'action.scanQr': 'Pay karne ke liye QR scan karein',
+    'action.proceed': 'Aage badhein',
+
+    'verify.fullName': 'Poora Naam',
+    'verify.legalName': 'Legal Naam',
+    'verify.phone': 'Phone',
+    'verify.email': 'Official E-mail Id',
+    'verify.gstin': 'Business GSTIN',
+    'verify.bankAccount': 'Bank account number',
+    'verify.bankAccountShort': 'Bank Account',
+    'verify.bankAccountPlaceholder': 'Bank account number daalein',
+    'verify.bankAccountPlaceholderFor':
+      '{company} ka Bank account number daalein',
+    'verify.ifsc': 'IFSC Code',
+    'verify.ifscPlaceholder': 'IFSC code daalein',
+    'verify.depositNote':
+      'Bulk orders aur GST-invoicing safely enable karne ke liye hum ₹2 ke chhote deposit se aapki company details verify karte hain.',
+    'verify.knowMore': 'Aur jaanein',
+    'verify.submit': '✅ Submit aur Verify karein',
+    'verify.success': '✅ Aapka business verify ho gaya',
+    'verify.edit': '← Details edit karein',
+    'verify.confirm': '✅ Confirm aur Verify karein',
+    'verify.failed': 'Verification fail ho gaya',
+    'verify.goBack': '← Wapas jaakar details edit karein',
+
+    'error.fullName': 'Poora naam zaroori hai',
+    'error.phone': 'Sahi phone number daalein (10-15 digits)',
+    'error.email': 'Sahi official email daalein',
+    'error.gstin': 'Sahi 15-character GSTIN daalein',
+    'error.gstinUnverified':
+      'Verify nahi ho saka. GSTIN galat lag raha hai. Please sahi details daalein.',
+    'error.bankAccount': 'Account number 8-20 digits ka hona chahiye',
+    'error.ifsc': 'Sahi IFSC daalein (jaise HDFC0001234)',
+    'error.fixFields':
+      'Highlight kiye gaye fields theek karke dobara try karein.',
+
+    'order.title': 'Order Details',
+    'order.item': 'Item {number}',
+    'order.remove': '✕ Hatayein',
+    'order.denomination': 'Denomination (INR)',
+    'order.amountPlaceholder': '₹ Amount',
+    'order.count': 'Count',
+    'order.quantityPlaceholder': 'Quantity',
+    'order.subtotal': 'Subtotal: {amount}',
+    'order.addItem': '+ Ek aur item add karein',
+    'order.total': 'Total Amount: {amount}',
+    'order.overLimit':
+      '⚠️ {amount} se upar ke orders ke liye special handling lagti hai. Please customer care se contact karein:',
+    'order.withinLimit': '✅ Order limit ke andar hai',
+    'order.minDenomination': 'Minimum denomination {amount} hai',
+    'order.maxDenomination': 'Maximum denomination {amount} hai',
+
+    'delivery.label': 'Delivery Email',
+    'delivery.edit': 'Email edit karein',
+    'delivery.placeholder': 'Delivery email daalein',
+
+    'payment.amount': 'Payable amount',
+    'payment.expired': 'Payment link expire ho gaya hai. Koi paisa nahi kata.',
+    'payment.failed': 'Pichla payment nahi ho paya. Koi paisa nahi kata.',
+    'payment.retry': '🔁 Dobara try karein',
+    'payment.check': 'Maine pay kar diya – status check karein',
+    'payment.notesTitle':
+      '💳 Payment poora karne se pehle ye dhyan rakhein:',
+    'payment.note1': '1. Apne PI ki saari details dhyan se check karein.',
+    'payment.note2':
+      '2. Bank transfer ke liye wahi GST company account use karein jo verification mein diya tha.',
+    'payment.note3': '3. Aap Credit Card se bhi aasani se pay kar sakte hain.',
+    'payment.utr': 'UTR number',
+    'payment.utrPlaceholder': 'jaise HDFCN52024101912345678',
+    'payment.submitUtr': 'UTR bhejein',
+    'payment.accountName': 'Account name',
+    'payment.accountNumber': 'Account number',
+    'payment.ifsc': 'IFSC',
+    'payment.bank': 'Bank',
+    'payment.reference': 'Payment reference',
+    'payment.submit': '✅ Samajh gaya, abhi Pay karein',
+    'upi.scan': 'Pay karne ke liye yeh QR code kisi bhi UPI app se scan karein.',
+    'upi.qrAlt': 'UPI payment QR code',
+    'upi.expiresIn': 'QR code {time} mein expire ho jayega',
+    'upi.pending': 'Aapke UPI app se payment confirm hone ka intezaar hai…',
+    'upi.openApp': 'UPI app kholein',
+    'upi.payById': 'UPI ID se pay karein',
+
+    'download.missing':
+      'Yeh document abhi available nahi hai. Kripya baad mein dobara try karein ya support se contact karein.'
+  }
+};
+
+// Missing keys fall back to English, then to the key itself
+export function translate(locale, key, params) {
+  const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const text = catalog[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+// Same output as the backend's formatCurrencyInr
+export function formatCurrencyInr(amount, locale) {
+  const number = Number(amount);
+  if (Number.isNaN(number)) return '₹0';
+  return new Intl.NumberFormat(INTL_LOCALES[locale] || INTL_LOCALES.en, {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0
+  }).format(number);
+}